@@ -5,16 +5,28 @@ const dotenv = require('dotenv');
 
 // Rotas
 const contactRoutes = require('./routes/contactRoutes');
+const contactFieldRoutes = require('./routes/contactFieldRoutes');
+const segmentRoutes = require('./routes/segmentRoutes');
 const templateRoutes = require('./routes/templateRoutes');
 const campaignRoutes = require('./routes/campaignRoutes');
 const instanceRoutes = require('./routes/instanceRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const alertRoutes = require('./routes/alertRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const outboundWebhookRoutes = require('./routes/outboundWebhookRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const publicApiRoutes = require('./routes/publicApiRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const { errorHandler } = require('./middlewares/errorMiddleware');
+const workspaceService = require('./services/workspaceService');
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -33,21 +45,39 @@ app.set('trust proxy', '127.0.0.1, loopback, linklocal, uniquelocal');
 
 // Conectar ao MongoDB
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zapstorm')
-  .then(() => console.log('Conexão com MongoDB estabelecida'))
+  .then(() => {
+    console.log('Conexão com MongoDB estabelecida');
+    // Associa ao workspace padrão os dados anteriores à separação por workspace
+    return workspaceService.ensureDefaultWorkspace()
+      .catch(err => console.error('Erro ao migrar dados para workspaces:', err));
+  })
   .catch(err => console.error('Erro ao conectar ao MongoDB:', err));
 
 // Rotas da API
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/contact-fields', contactFieldRoutes);
+app.use('/api/segments', segmentRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/instances', instanceRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/outbound-webhooks', outboundWebhookRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/settings', settingsRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/health', healthRoutes);
 
+// API pública para integrações (autenticada por chave de API)
+app.use('/api/v1', publicApiRoutes);
+
 // Rota de teste
 app.get('/', (req, res) => {
   res.send('API ZapStorm está rodando!');
@@ -24,7 +24,9 @@ const config = {
   // Configurações de autenticação JWT
   jwt: {
     secret: process.env.JWT_SECRET || 'zapstorm_secret_key_for_development',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    // Token de acesso de curta duração, renovado com o refresh token da sessão
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30
   },
   
   // Configurações de throttling para envio de mensagens
@@ -33,11 +35,107 @@ const config = {
     perMinute: parseInt(process.env.THROTTLE_PER_MINUTE) || 50,
     perHour: parseInt(process.env.THROTTLE_PER_HOUR) || 1000
   },
+
+  // Limitador de envio por instância compartilhado entre os workers
+  rateLimiter: {
+    // mongo (compartilhado entre réplicas) ou memory (apenas um processo)
+    store: process.env.RATE_LIMIT_STORE || 'mongo',
+    // Esperas maiores que isso reagendam a mensagem em vez de segurar o consumidor
+    maxWaitMs: parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS) || 30000,
+    // Parte de cada janela reservada às mensagens prioritárias (0.2 = 20%); os envios
+    // de campanha deixam essas fichas livres
+    priorityReserve: parseFloat(process.env.RATE_LIMIT_PRIORITY_RESERVE || '0.2')
+  },
+  
+  // Renderização de templates de mensagem
+  templates: {
+    // Fuso usado nas formatações de data ({{vencimento:data}})
+    timeZone: process.env.TEMPLATE_TIMEZONE || 'America/Sao_Paulo'
+  },
+  
+  // Workspaces (clientes atendidos pela mesma instalação)
+  workspaces: {
+    // Cota padrão de instâncias de um workspace novo; cada workspace pode ter a sua
+    defaultMaxInstances: parseInt(process.env.WORKSPACE_MAX_INSTANCES) || 5
+  },
+  
+  // Chaves da API pública (/api/v1)
+  apiKeys: {
+    // Requisições por minuto de uma chave nova; cada chave pode ter o seu limite
+    defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+    maxRateLimit: parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 1000
+  },
+  
+  // Webhooks de saída (eventos enviados aos sistemas dos workspaces)
+  outboundWebhooks: {
+    timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000,
+    // Tentativas por entrega; o intervalo dobra a cada falha (30s, 1min, 2min...) até o máximo
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseDelayMs: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS) || 30000,
+    retryMaxDelayMs: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_MS) || 3600000,
+    // Limites da fila de eventos do worker de webhooks de saída, para que ela não cresça
+    // sem fim quando o worker não estiver rodando (os eventos mais antigos são descartados)
+    // Permite webhooks para localhost e redes privadas (apenas em desenvolvimento)
+    allowPrivateDestinations: process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE === 'true',
+    queueTtlMs: parseInt(process.env.OUTBOUND_WEBHOOK_QUEUE_TTL_MS) || 3600000,
+    queueMaxLength: parseInt(process.env.OUTBOUND_WEBHOOK_QUEUE_MAX_LENGTH) || 50000
+  },
+  
+  // Supervisor de saúde das instâncias (worker instanceHealthWorker)
+  instanceHealth: {
+    probeIntervalMs: parseInt(process.env.INSTANCE_HEALTH_INTERVAL_MS) || 60000,
+    probeTimeoutMs: parseInt(process.env.INSTANCE_HEALTH_TIMEOUT_MS) || 10000,
+    // Verificações seguidas com falha antes de pausar as campanhas e gerar o alerta connection_lost
+    failureThreshold: parseInt(process.env.INSTANCE_HEALTH_FAILURE_THRESHOLD) || 3,
+    // Reconexões com intervalo dobrado a cada tentativa (30s, 1min, 2min...) até o máximo;
+    // a cada restartEvery tentativas a instância é reiniciada em vez de apenas reconectada
+    reconnectBaseDelayMs: parseInt(process.env.INSTANCE_RECONNECT_BASE_MS) || 30000,
+    reconnectMaxDelayMs: parseInt(process.env.INSTANCE_RECONNECT_MAX_MS) || 900000,
+    restartEvery: parseInt(process.env.INSTANCE_RESTART_EVERY) || 3,
+    historyDays: parseInt(process.env.INSTANCE_HEALTH_HISTORY_DAYS) || 7
+  },
+
+  // Pontuação de risco de banimento dos números (calculada pelo instanceHealthWorker)
+  banRisk: {
+    intervalMs: parseInt(process.env.BAN_RISK_INTERVAL_MS) || 300000,
+    // Janela das taxas de falha, leitura e descadastro usadas na pontuação
+    windowHours: parseInt(process.env.BAN_RISK_WINDOW_HOURS) || 24,
+    // Abaixo dessa quantidade de envios as taxas são amortecidas (poucos envios geram taxas extremas)
+    minSample: parseInt(process.env.BAN_RISK_MIN_SAMPLE) || 20,
+    // Pontuação (0 a 100) a partir da qual cada proteção é aplicada
+    reduceThrottlingAt: parseInt(process.env.BAN_RISK_REDUCE_AT) || 40,
+    cooldownAt: parseInt(process.env.BAN_RISK_COOLDOWN_AT) || 60,
+    pauseAt: parseInt(process.env.BAN_RISK_PAUSE_AT) || 80,
+    // Fração dos limites de envio mantida enquanto o risco estiver elevado
+    throttlingFactor: parseFloat(process.env.BAN_RISK_THROTTLING_FACTOR) || 0.5,
+    // Envios diários considerados seguros para um número novo, mais o acréscimo por dia de uso
+    safeDailyVolumeBase: parseInt(process.env.BAN_RISK_SAFE_VOLUME_BASE) || 50,
+    safeDailyVolumePerDay: parseInt(process.env.BAN_RISK_SAFE_VOLUME_PER_DAY) || 25
+  },
+
+  // Canal de tempo real (SSE) com os navegadores
+  realtime: {
+    // A conexão é encerrada após esse tempo e o navegador reconecta com o token atual,
+    // para que sessões encerradas ou permissões alteradas não continuem recebendo eventos
+    maxConnectionMs: parseInt(process.env.REALTIME_MAX_CONNECTION_MS) || 600000
+  },
   
   // Configurações de upload
   upload: {
     maxFileSize: 10 * 1024 * 1024, // 10MB
     directory: process.env.UPLOAD_DIR || 'uploads/'
+  },
+
+  // Configurações de descadastro (opt-out) por resposta do contato
+  optOut: {
+    enabled: process.env.OPT_OUT_ENABLED !== 'false',
+    // Lista separada por vírgula; a comparação ignora maiúsculas, acentos e pontuação
+    keywords: (process.env.OPT_OUT_KEYWORDS || 'sair,stop,parar,cancelar,descadastrar')
+      .split(',')
+      .map(keyword => keyword.trim())
+      .filter(Boolean),
+    confirmationMessage: process.env.OPT_OUT_CONFIRMATION_MESSAGE ||
+      'Você foi removido da nossa lista e não receberá novas mensagens. Obrigado!'
   }
 };
 
@@ -0,0 +1,133 @@
+// Permissões por recurso (recurso:ação) e os papéis que as concedem
+// O papel de cada usuário vale por workspace (User.workspaces); as permissões de sistema
+// só são concedidas a quem tem o papel global de administrador (User.role = 'admin')
+
+const PERMISSIONS = {
+  'campaign:read': 'Visualizar campanhas e relatórios',
+  'campaign:manage': 'Criar, editar e excluir campanhas',
+  'campaign:start': 'Iniciar, pausar, retomar, cancelar e reenviar campanhas',
+  'contact:read': 'Visualizar contatos',
+  'contact:manage': 'Criar, editar e importar contatos',
+  'contact:delete': 'Excluir contatos (inclusive em massa e duplicados)',
+  'contact:export': 'Exportar contatos',
+  'contact_field:manage': 'Definir campos personalizados de contato',
+  'segment:read': 'Visualizar segmentos',
+  'segment:manage': 'Criar, editar e excluir segmentos',
+  'template:read': 'Visualizar templates',
+  'template:manage': 'Criar, editar e excluir templates',
+  'instance:read': 'Visualizar instâncias',
+  'instance:connect': 'Conectar, desconectar e reiniciar instâncias',
+  'instance:manage': 'Criar, editar, excluir e configurar instâncias',
+  'conversation:read': 'Visualizar conversas',
+  'conversation:reply': 'Responder conversas',
+  'message:send': 'Enviar mensagens avulsas (transacionais) e consultar seu status',
+  'dashboard:read': 'Visualizar o dashboard',
+  'alert:read': 'Visualizar alertas',
+  'webhook_log:read': 'Visualizar logs de webhook',
+  'webhook_log:manage': 'Limpar logs e fila de webhooks',
+  'member:manage': 'Gerenciar os membros do workspace',
+  'user:manage': 'Gerenciar usuários',
+  'settings:manage': 'Alterar configurações do sistema',
+  'workspace:manage': 'Criar workspaces e definir suas cotas',
+  'audit:read': 'Consultar o log de auditoria',
+  'api_key:manage': 'Criar e revogar chaves da API pública',
+  'webhook:manage': 'Configurar webhooks de saída e reenviar entregas'
+};
+
+// Afetam todos os workspaces (contas de usuário, configurações, workspaces)
+const SYSTEM_PERMISSIONS = ['user:manage', 'settings:manage', 'workspace:manage'];
+
+const READ_PERMISSIONS = [
+  'campaign:read',
+  'contact:read',
+  'segment:read',
+  'template:read',
+  'instance:read',
+  'conversation:read',
+  'dashboard:read',
+  'alert:read'
+];
+
+const CAMPAIGN_MANAGER_PERMISSIONS = [
+  ...READ_PERMISSIONS,
+  'campaign:manage',
+  'campaign:start',
+  'contact:manage',
+  'contact:delete',
+  'contact:export',
+  'segment:manage',
+  'template:manage',
+  'conversation:reply',
+  'message:send',
+  'webhook_log:read'
+];
+
+const ROLES = {
+  admin: {
+    label: 'Administrador',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  campaign_manager: {
+    label: 'Gerente de campanhas',
+    permissions: CAMPAIGN_MANAGER_PERMISSIONS
+  },
+  operator: {
+    label: 'Operador',
+    permissions: [
+      ...READ_PERMISSIONS,
+      'campaign:start',
+      'instance:connect',
+      'conversation:reply',
+      'message:send'
+    ]
+  },
+  viewer: {
+    label: 'Visualizador',
+    permissions: READ_PERMISSIONS
+  },
+  auditor: {
+    label: 'Auditor',
+    permissions: [...READ_PERMISSIONS, 'webhook_log:read', 'audit:read']
+  },
+  // Papel anterior ao modelo de permissões; mantém o acesso que usuários comuns tinham
+  user: {
+    label: 'Usuário (legado)',
+    permissions: [...CAMPAIGN_MANAGER_PERMISSIONS, 'instance:connect', 'instance:manage']
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Escopos das chaves da API pública (/api/v1); cada chave recebe apenas os que o sistema integrado precisa
+const API_KEY_SCOPES = {
+  'contact:write': 'Criar e atualizar contatos',
+  'message:send': 'Enviar mensagens avulsas (template ou texto)',
+  'message:read': 'Consultar o status de mensagens',
+  'campaign:start': 'Iniciar campanhas'
+};
+
+const getPermissions = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Permissões efetivas de um usuário em um workspace
+ * @param {Object} user - Usuário (role global)
+ * @param {String|null} workspaceRole - Papel do usuário no workspace; null se não for membro
+ */
+const getWorkspacePermissions = (user, workspaceRole) => {
+  if (user.role === 'admin') return getPermissions('admin');
+
+  return getPermissions(workspaceRole).filter(permission => !SYSTEM_PERMISSIONS.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  SYSTEM_PERMISSIONS,
+  API_KEY_SCOPES,
+  getPermissions,
+  hasPermission,
+  getWorkspacePermissions
+};
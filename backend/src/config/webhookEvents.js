@@ -0,0 +1,39 @@
+// Eventos que podem ser assinados pelos webhooks de saída (nome público e descrição)
+const WEBHOOK_EVENTS = {
+  'message.sent': 'Mensagem enviada',
+  'message.delivered': 'Mensagem entregue',
+  'message.read': 'Mensagem lida',
+  'message.failed': 'Falha no envio da mensagem',
+  'message.received': 'Mensagem recebida de um contato',
+  'contact.opted_out': 'Contato pediu descadastro (opt-out)',
+  'campaign.started': 'Campanha iniciada',
+  'campaign.completed': 'Campanha concluída',
+  'campaign.failed': 'Campanha falhou',
+  'instance.disconnected': 'Instância desconectada',
+  'alert.created': 'Alerta criado'
+};
+
+// Tipos dos eventos internos (queueService.publishEvent) e o evento público correspondente;
+// os demais eventos internos não saem do sistema
+const INTERNAL_EVENT_MAP = {
+  message_sent: 'message.sent',
+  message_delivered: 'message.delivered',
+  message_read: 'message.read',
+  message_failed: 'message.failed',
+  message_received: 'message.received',
+  contact_opted_out: 'contact.opted_out',
+  campaign_started: 'campaign.started',
+  campaign_completed: 'campaign.completed',
+  campaign_failed: 'campaign.failed',
+  instance_disconnected: 'instance.disconnected',
+  new_alert: 'alert.created'
+};
+
+// Evento enviado pelo botão "Testar" da interface
+const TEST_EVENT = 'ping';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  INTERNAL_EVENT_MAP,
+  TEST_EVENT
+};
@@ -2,6 +2,13 @@ const { Alert } = require('../models');
 const logger = require('../utils/logger');
 const alertService = require('../services/alertService');
 
+// Alertas do workspace ativo; os alertas do sistema (sem workspace) aparecem só para administradores
+const workspaceFilter = (req) => (
+  req.user.role === 'admin'
+    ? { workspace: { $in: [req.workspaceId, null] } }
+    : { workspace: req.workspaceId }
+);
+
 /**
  * Retorna a lista de alertas com filtros
  */
@@ -17,7 +24,7 @@ exports.getAlerts = async (req, res) => {
     } = req.query;
     
     // Construir o filtro com base nos parâmetros
-    const filter = {};
+    const filter = workspaceFilter(req);
     
     if (type) filter.type = type;
     if (level) filter.level = level;
@@ -68,7 +75,7 @@ exports.getAlert = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const alert = await Alert.findById(id);
+    const alert = await Alert.findOne({ _id: id, ...workspaceFilter(req) });
     
     if (!alert) {
       return res.status(404).json({
@@ -98,7 +105,7 @@ exports.markAsRead = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const alert = await Alert.findById(id);
+    const alert = await Alert.findOne({ _id: id, ...workspaceFilter(req) });
     
     if (!alert) {
       return res.status(404).json({
@@ -128,7 +135,7 @@ exports.markAsRead = async (req, res) => {
  */
 exports.markAllAsRead = async (req, res) => {
   try {
-    const filter = {};
+    const filter = workspaceFilter(req);
     
     // Filtros opcionais
     if (req.query.type) filter.type = req.query.type;
@@ -160,15 +167,16 @@ exports.markAllAsRead = async (req, res) => {
 exports.getUnreadSummary = async (req, res) => {
   try {
     // Contar total de alertas não lidos
-    const total = await Alert.countDocuments({ isRead: false });
+    const unread = { ...workspaceFilter(req), isRead: false };
+    const total = await Alert.countDocuments(unread);
     
     // Contar por nível de criticidade
-    const critical = await Alert.countDocuments({ isRead: false, level: 'critical' });
-    const warning = await Alert.countDocuments({ isRead: false, level: 'warning' });
-    const info = await Alert.countDocuments({ isRead: false, level: 'info' });
+    const critical = await Alert.countDocuments({ ...unread, level: 'critical' });
+    const warning = await Alert.countDocuments({ ...unread, level: 'warning' });
+    const info = await Alert.countDocuments({ ...unread, level: 'info' });
     
     // Buscar os últimos 5 alertas não lidos
-    const recentAlerts = await Alert.find({ isRead: false })
+    const recentAlerts = await Alert.find(unread)
       .sort({ createdAt: -1 })
       .limit(5);
     
@@ -0,0 +1,117 @@
+const { ApiKey } = require('../models');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+/**
+ * Lista as chaves de API do workspace ativo (o valor da chave nunca é retornado)
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ workspace: req.workspaceId }).sort({ revokedAt: 1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    logger.error('Erro ao listar chaves de API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar chaves de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Escopos disponíveis para as chaves
+ */
+exports.getScopes = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description }))
+  });
+};
+
+/**
+ * Cria uma chave de API; o valor é retornado somente nesta resposta
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { data, error } = apiKeyService.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.create(req.workspaceId, data, {
+      id: req.user.id,
+      name: req.user.name
+    });
+
+    await auditService.record(req, {
+      action: 'api_key.create',
+      target: { type: 'api_key', id: apiKey._id, name: `${apiKey.name} (${apiKey.prefix})` },
+      after: { name: apiKey.name, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit, expiresAt: apiKey.expiresAt }
+    });
+
+    const result = apiKey.toObject();
+    delete result.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave criada. Copie o valor agora: ele não será exibido novamente',
+      data: { ...result, key }
+    });
+  } catch (error) {
+    logger.error('Erro ao criar chave de API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoga uma chave de API; sistemas que a usam passam a receber 401
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.workspaceId, req.params.id, {
+      id: req.user.id,
+      name: req.user.name
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave não encontrada ou já revogada'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'api_key.revoke',
+      target: { type: 'api_key', id: apiKey._id, name: `${apiKey.name} (${apiKey.prefix})` },
+      before: { revokedAt: null },
+      after: { revokedAt: apiKey.revokedAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Chave revogada',
+      data: apiKey
+    });
+  } catch (error) {
+    logger.error('Erro ao revogar chave de API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao revogar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
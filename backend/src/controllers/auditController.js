@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+const { AuditLog } = require('../models');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Limite de linhas da exportação em CSV
+const MAX_EXPORT_ROWS = 50000;
+
+// Valida os filtros comuns à listagem e à exportação
+const getFilters = (req) => {
+  const { action, targetType, targetId, actor, from, to } = req.query;
+
+  if (targetId && !mongoose.Types.ObjectId.isValid(targetId)) {
+    return { error: 'ID do recurso inválido' };
+  }
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return { error: 'Período inválido' };
+  }
+
+  return { query: auditService.buildQuery(req, { action, targetType, targetId, actor, from, to }) };
+};
+
+/**
+ * Lista os registros de auditoria com filtros
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { query, error } = getFilters(req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          total,
+          page: Number(page),
+          limit: Number(limit),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar registros de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar registros de auditoria',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Ações registradas até agora (para o filtro da tela)
+ */
+exports.getActions = async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action', auditService.buildQuery(req));
+
+    res.status(200).json({
+      success: true,
+      data: actions.sort()
+    });
+  } catch (error) {
+    logger.error('Erro ao listar ações de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar ações de auditoria',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exporta os registros filtrados em CSV
+ */
+exports.exportCSV = async (req, res) => {
+  try {
+    const { query, error } = getFilters(req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    if (logs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum registro encontrado para exportar'
+      });
+    }
+
+    const exportDir = path.join(__dirname, '../../exports');
+    if (!fs.existsSync(exportDir)) {
+      fs.mkdirSync(exportDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `auditoria_${timestamp}.csv`;
+    const filepath = path.join(exportDir, filename);
+
+    const csvWriter = createObjectCsvWriter({
+      path: filepath,
+      header: [
+        { id: 'createdAt', title: 'Data' },
+        { id: 'actorName', title: 'Usuário' },
+        { id: 'actorEmail', title: 'Email' },
+        { id: 'action', title: 'Ação' },
+        { id: 'targetType', title: 'Recurso' },
+        { id: 'targetId', title: 'ID do Recurso' },
+        { id: 'targetName', title: 'Nome do Recurso' },
+        { id: 'before', title: 'Antes' },
+        { id: 'after', title: 'Depois' },
+        { id: 'details', title: 'Detalhes' },
+        { id: 'ip', title: 'IP' },
+        { id: 'userAgent', title: 'User-Agent' }
+      ]
+    });
+
+    await csvWriter.writeRecords(logs.map(log => ({
+      createdAt: new Date(log.createdAt).toISOString(),
+      actorName: log.actor?.name || '',
+      actorEmail: log.actor?.email || '',
+      action: log.action,
+      targetType: log.target?.type || '',
+      targetId: log.target?.id ? String(log.target.id) : '',
+      targetName: log.target?.name || '',
+      before: log.changes?.before ? JSON.stringify(log.changes.before) : '',
+      after: log.changes?.after ? JSON.stringify(log.changes.after) : '',
+      details: log.details ? JSON.stringify(log.details) : '',
+      ip: log.ip,
+      userAgent: log.userAgent
+    })));
+
+    res.download(filepath, filename, (err) => {
+      if (err) {
+        logger.error('Erro ao enviar CSV de auditoria:', err);
+      }
+      fs.unlink(filepath, () => {});
+    });
+  } catch (error) {
+    logger.error('Erro ao exportar registros de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao exportar registros de auditoria',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
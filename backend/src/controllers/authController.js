@@ -1,20 +1,64 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const logger = require('../utils/logger');
+const passwordService = require('../services/passwordService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
+const { ROLES, ROLE_NAMES, PERMISSIONS, getWorkspacePermissions } = require('../config/permissions');
 
-// Criar token JWT
-const generateToken = (id) => {
-  return jwt.sign(
-    { id },
-    process.env.JWT_SECRET || 'sua_chave_secreta',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// Resumo do workspace ativo enviado ao frontend
+const formatWorkspace = (workspace, role) => (workspace ? {
+  id: workspace._id,
+  name: workspace.name,
+  slug: workspace.slug,
+  role
+} : null);
+
+// Campos de usuário registrados na auditoria (contas são do sistema, sem workspace)
+const auditUser = (user) => ({
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  active: user.active,
+  password: user.password
+});
+
+const recordUserAudit = (req, action, user, { before = null, after = null, details = null } = {}) => auditService.record(req, {
+  action,
+  target: { type: 'user', id: user._id, name: user.email },
+  before,
+  after,
+  details,
+  workspace: null
+});
+
+// Abre a sessão (token de acesso + refresh token) e monta a resposta do login
+const buildLoginResponse = async (user, req) => {
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+  const { workspace, role: workspaceRole } = await workspaceService.resolve(user);
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: workspace || user.role === 'admin' ? getWorkspacePermissions(user, workspaceRole) : []
+    },
+    workspace: formatWorkspace(workspace, workspaceRole),
+    // O papel exige 2FA e o usuário ainda não ativou: o frontend leva ao perfil
+    twoFactorSetupRequired: !user.twoFactor?.enabled && await twoFactorService.isRequiredFor(user)
+  };
 };
 
 // Registrar usuário
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Verificar se o usuário já existe
     const userExists = await User.findOne({ email });
@@ -25,27 +69,25 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Criar novo usuário
+    const passwordError = passwordService.validateStrength(password, { name, email });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // O cadastro público não escolhe papel: o primeiro usuário vira admin, os demais
+    // recebem o papel padrão (somente leitura) até um admin alterá-lo
+    const isFirstUser = (await User.estimatedDocumentCount()) === 0;
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'user' // Por padrão, o papel é 'user'
+      role: isFirstUser ? 'admin' : undefined
     });
 
-    // Gerar token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    res.status(201).json(await buildLoginResponse(user, req));
   } catch (error) {
     logger.error('Erro ao registrar usuário:', error);
     res.status(500).json({
@@ -78,12 +120,23 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Verificar bloqueio por excesso de tentativas
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: `Conta bloqueada temporariamente por excesso de tentativas. Tente novamente em ${passwordService.getLockMinutes(user)} minuto(s)`
+      });
+    }
+
     // Verificar se a senha está correta
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
+      const locked = await passwordService.registerFailedLogin(user);
+      return res.status(locked ? 423 : 401).json({
         success: false,
-        message: 'Credenciais inválidas'
+        message: locked
+          ? `Conta bloqueada por ${passwordService.lockTimeMs / 60000} minutos após ${passwordService.maxFailedAttempts} tentativas malsucedidas`
+          : 'Credenciais inválidas'
       });
     }
 
@@ -95,29 +148,129 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Atualizar data do último login
-    await User.findByIdAndUpdate(user._id, {
-      lastLogin: Date.now()
+    // Com 2FA ativo, a sessão só é aberta após o código (POST /api/auth/login/2fa)
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.signChallenge(user)
+      });
+    }
+
+    // Atualizar data do último login e zerar as tentativas malsucedidas
+    await passwordService.registerSuccessfulLogin(user);
+
+    res.status(200).json(await buildLoginResponse(user, req));
+  } catch (error) {
+    logger.error('Erro ao fazer login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Segunda etapa do login: código do aplicativo autenticador ou de recuperação
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = twoFactorService.verifyChallenge(challengeToken);
+    const user = challenge ? await User.findById(challenge.id) : null;
+    if (!user || !user.active || (challenge.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: 'Login expirado. Informe email e senha novamente'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: `Conta bloqueada temporariamente por excesso de tentativas. Tente novamente em ${passwordService.getLockMinutes(user)} minuto(s)`
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o código do aplicativo autenticador ou um código de recuperação'
+      });
+    }
+
+    // Códigos errados contam para o bloqueio, como senhas erradas
+    const { valid, usedRecoveryCode } = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!valid) {
+      const locked = await passwordService.registerFailedLogin(user);
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        message: locked
+          ? `Conta bloqueada por ${passwordService.lockTimeMs / 60000} minutos após ${passwordService.maxFailedAttempts} tentativas malsucedidas`
+          : 'Código inválido'
+      });
+    }
+
+    await passwordService.registerSuccessfulLogin(user);
+
+    const response = await buildLoginResponse(user, req);
+    if (usedRecoveryCode) {
+      response.recoveryCodesRemaining = await twoFactorService.countRecoveryCodes(user._id);
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error('Erro na verificação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro na verificação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// Renovar o token de acesso (o refresh token é trocado a cada uso)
+exports.refreshToken = async (req, res) => {
+  try {
+    const result = await sessionService.refresh(req.body.refreshToken, req);
 
-    // Gerar token
-    const token = generateToken(user._id);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      token: result.token,
+      refreshToken: result.refreshToken
     });
   } catch (error) {
-    logger.error('Erro ao fazer login:', error);
+    logger.error('Erro ao renovar token:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao fazer login',
+      message: 'Erro ao renovar token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Logout: encerra a sessão do refresh token informado
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão encerrada'
+    });
+  } catch (error) {
+    logger.error('Erro ao fazer logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer logout',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -137,7 +290,13 @@ exports.getProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      user
+      user: {
+        ...user.toObject(),
+        permissions: req.user.permissions
+      },
+      // Workspace ativo nesta requisição e os demais que o usuário pode abrir
+      workspace: formatWorkspace(req.workspace, req.user.workspaceRole),
+      workspaces: await workspaceService.listForUser(user)
     });
   } catch (error) {
     logger.error('Erro ao obter perfil do usuário:', error);
@@ -155,6 +314,14 @@ exports.updateProfile = async (req, res) => {
     const { name, email, password } = req.body;
     const userId = req.user.id;
 
+    // A troca de senha exige a senha atual (PUT /api/auth/password)
+    if (password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use a opção de alterar senha para definir uma nova senha'
+      });
+    }
+
     // Verificar se o email já está em uso por outro usuário
     if (email) {
       const existingUser = await User.findOne({ email, _id: { $ne: userId } });
@@ -179,7 +346,6 @@ exports.updateProfile = async (req, res) => {
     // Atualizar campos
     if (name) user.name = name;
     if (email) user.email = email;
-    if (password) user.password = password;
 
     // Salvar usuário
     await user.save();
@@ -204,6 +370,229 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Alterar a própria senha (encerra as demais sessões)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe a senha atual e a nova senha'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    // 400 (e não 401) para não ser tratado como sessão expirada pelo frontend
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Senha atual incorreta'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'A nova senha deve ser diferente da atual'
+      });
+    }
+
+    const passwordError = passwordService.validateStrength(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Encerrar as outras sessões; a atual continua com o mesmo refresh token
+    await sessionService.revokeAll(user._id, 'password_changed', req.user.sessionId);
+    logger.info(`Senha alterada pelo usuário ${user.email}; sessões anteriores encerradas`);
+
+    // Novo token de acesso, já que a versão anterior foi revogada
+    res.status(200).json({
+      success: true,
+      message: 'Senha alterada com sucesso',
+      token: sessionService.signAccessToken(user, req.user.sessionId)
+    });
+  } catch (error) {
+    logger.error('Erro ao alterar senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao alterar senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Solicitar redefinição de senha
+// Sem serviço de email configurado, o link é registrado no log do servidor
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o email'
+      });
+    }
+
+    // A resposta é a mesma exista ou não o usuário, para não revelar emails cadastrados
+    const response = {
+      success: true,
+      message: 'Se o email estiver cadastrado, um link de redefinição será enviado'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim(), active: true });
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const { token, expiresAt } = await passwordService.createResetToken(user);
+    const resetUrl = passwordService.buildResetUrl(req, token);
+    logger.info(`Link de redefinição de senha para ${user.email} (válido até ${expiresAt.toISOString()}): ${resetUrl}`);
+
+    res.status(200).json({
+      ...response,
+      resetUrl: process.env.NODE_ENV === 'development' ? resetUrl : undefined
+    });
+  } catch (error) {
+    logger.error('Erro ao solicitar redefinição de senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao solicitar redefinição de senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Redefinir senha com o token recebido
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await passwordService.findUserByResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de redefinição inválido ou expirado'
+      });
+    }
+
+    const passwordError = passwordService.validateStrength(password, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    await sessionService.revokeAll(user._id, 'password_changed');
+    logger.info(`Senha redefinida para o usuário ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Senha redefinida com sucesso. Faça login com a nova senha'
+    });
+  } catch (error) {
+    logger.error('Erro ao redefinir senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao redefinir senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Listar as sessões ativas do usuário logado
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.id);
+    const currentId = req.user.sessionId ? req.user.sessionId.toString() : null;
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    logger.error('Erro ao listar sessões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar sessões',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Encerrar uma sessão do usuário logado
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revoke(req.params.id, 'user_revoked', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sessão não encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessão:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessão',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Encerrar todas as outras sessões do usuário logado
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAll(req.user.id, 'user_revoked', req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: `${count} sessão(ões) encerrada(s)`,
+      count
+    });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessões',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // MÉTODOS DE ADMINISTRAÇÃO DE USUÁRIOS
 
 /**
@@ -263,6 +652,13 @@ exports.createUser = async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
     
+    if (role && !ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Papel inválido. Use: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+    
     // Verificar se o usuário já existe
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -272,13 +668,27 @@ exports.createUser = async (req, res) => {
       });
     }
     
-    // Criar novo usuário
+    const passwordError = passwordService.validateStrength(password, { name, email });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+    
+    // Criar novo usuário, já como membro do workspace atual com o mesmo papel
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'user'
+      role,
+      ...(req.workspaceId && { defaultWorkspace: req.workspaceId })
     });
+    if (req.workspaceId) {
+      await workspaceService.setMember(req.workspaceId, user._id, user.role);
+    }
+    
+    await recordUserAudit(req, 'user.create', user, { after: auditUser(user) });
     
     res.status(201).json({
       success: true,
@@ -310,6 +720,21 @@ exports.updateUser = async (req, res) => {
     const { name, email, password, role } = req.body;
     const userId = req.params.id;
     
+    if (role && !ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Papel inválido. Use: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+    
+    // Evitar que o administrador perca o próprio acesso
+    if (role && userId === req.user.id.toString() && role !== req.user.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Você não pode alterar o seu próprio papel'
+      });
+    }
+    
     // Verificar se o email já está em uso por outro usuário
     if (email) {
       const existingUser = await User.findOne({ email, _id: { $ne: userId } });
@@ -330,7 +755,19 @@ exports.updateUser = async (req, res) => {
       });
     }
     
-    // Atualizar campos
+    if (password) {
+      const passwordError = passwordService.validateStrength(password, { name: name || user.name, email: email || user.email });
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          message: passwordError
+        });
+      }
+    }
+    
+    const before = auditUser(user);
+    
+    // Atualizar campos (nova senha encerra as sessões do usuário)
     if (name) user.name = name;
     if (email) user.email = email;
     if (password) user.password = password;
@@ -339,6 +776,12 @@ exports.updateUser = async (req, res) => {
     // Salvar usuário
     await user.save();
     
+    if (password) {
+      await sessionService.revokeAll(user._id, 'password_changed');
+    }
+    
+    await recordUserAudit(req, 'user.update', user, { before, after: auditUser(user) });
+    
     res.status(200).json({
       success: true,
       message: 'Usuário atualizado com sucesso',
@@ -384,6 +827,9 @@ exports.deleteUser = async (req, res) => {
     }
     
     await User.findByIdAndDelete(req.params.id);
+    await sessionService.revokeAll(user._id, 'deactivated');
+    
+    await recordUserAudit(req, 'user.delete', user, { before: auditUser(user) });
     
     res.status(200).json({
       success: true,
@@ -404,9 +850,10 @@ exports.deleteUser = async (req, res) => {
  */
 exports.activateUser = async (req, res) => {
   try {
+    // Reativar também remove um bloqueio por tentativas de login
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { active: true },
+      { active: true, failedLoginAttempts: 0, lockUntil: null },
       { new: true }
     ).select('-password');
     
@@ -417,6 +864,8 @@ exports.activateUser = async (req, res) => {
       });
     }
     
+    await recordUserAudit(req, 'user.activate', user, { after: { active: true } });
+    
     res.status(200).json({
       success: true,
       message: 'Usuário ativado com sucesso',
@@ -438,16 +887,17 @@ exports.activateUser = async (req, res) => {
 exports.deactivateUser = async (req, res) => {
   try {
     // Não permitir desativar o próprio usuário
-    if (req.params.id === req.user.id) {
+    if (req.params.id === req.user.id.toString()) {
       return res.status(400).json({
         success: false,
         message: 'Você não pode desativar seu próprio usuário'
       });
     }
     
+    // Incrementar a versão do token encerra as sessões abertas do usuário
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { active: false },
+      { active: false, $inc: { tokenVersion: 1 } },
       { new: true }
     ).select('-password');
     
@@ -458,6 +908,10 @@ exports.deactivateUser = async (req, res) => {
       });
     }
     
+    await sessionService.revokeAll(user._id, 'deactivated');
+    
+    await recordUserAudit(req, 'user.deactivate', user, { after: { active: false } });
+    
     res.status(200).json({
       success: true,
       message: 'Usuário desativado com sucesso',
@@ -471,4 +925,128 @@ exports.deactivateUser = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Gerar link de redefinição de senha para um usuário (admin)
+ */
+exports.createPasswordResetLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+    
+    if (!user.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ative o usuário antes de redefinir a senha'
+      });
+    }
+    
+    const { token, expiresAt } = await passwordService.createResetToken(user);
+    
+    await recordUserAudit(req, 'user.password_reset_link', user, { details: { expiresAt } });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Link de redefinição gerado com sucesso',
+      resetUrl: passwordService.buildResetUrl(req, token),
+      expiresAt
+    });
+  } catch (error) {
+    logger.error('Erro ao gerar link de redefinição de senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar link de redefinição de senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Listar sessões ativas de um usuário (admin)
+ */
+exports.getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+    
+    const sessions = await sessionService.listActive(user._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Erro ao listar sessões do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar sessões do usuário',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Encerrar todas as sessões de um usuário (admin)
+ */
+exports.forceLogout = async (req, res) => {
+  try {
+    // A versão do token também invalida tokens de acesso ainda não expirados
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    ).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+    
+    const count = await sessionService.revokeAll(user._id, 'admin_logout');
+    logger.info(`Sessões do usuário ${user.email} encerradas por ${req.user.email} (${count})`);
+    
+    await recordUserAudit(req, 'user.force_logout', user, { details: { sessions: count } });
+    
+    res.status(200).json({
+      success: true,
+      message: `${count} sessão(ões) encerrada(s)`,
+      count
+    });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessões do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessões do usuário',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Listar papéis e permissões disponíveis (admin)
+ */
+exports.getRoles = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      roles: ROLE_NAMES.map(name => ({ name, label: ROLES[name].label, permissions: ROLES[name].permissions })),
+      permissions: PERMISSIONS
+    }
+  });
+};
@@ -1,6 +1,12 @@
-const { Campaign, Template, Contact, Message, Instance } = require('../models');
+const { Campaign, Template, Contact, Message, Instance, Segment } = require('../models');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
 const queueService = require('../services/queueService');
+const instancePoolService = require('../services/instancePoolService');
+const templateRenderer = require('../utils/templateRenderer');
+const contactFieldService = require('../services/contactFieldService');
+const segmentService = require('../services/segmentService');
+const abTestService = require('../services/abTestService');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 
@@ -13,7 +19,7 @@ exports.getCampaigns = async (req, res) => {
     const status = req.query.status || '';
     
     // Construir query com filtros
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (search) {
       query.name = { $regex: search, $options: 'i' };
@@ -28,6 +34,7 @@ exports.getCampaigns = async (req, res) => {
     
     // Buscar campanhas com paginação
     const campaigns = await Campaign.find(query)
+      .select('-abTest.remainingContacts')
       .populate('templateId', 'name')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -54,7 +61,7 @@ exports.getCampaigns = async (req, res) => {
 // Obter uma campanha específica
 exports.getCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id)
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId })
       .populate('templateId')
       .populate('contacts', 'phone name');
     
@@ -80,6 +87,67 @@ exports.getCampaign = async (req, res) => {
 };
 
 // Criar nova campanha
+// Valida as instâncias adicionais e a estratégia de distribuição de uma campanha
+// Retorna a lista de IDs do pool (sem a instância principal) ou uma mensagem de erro
+const validateInstancePool = async (instancePool, primaryInstanceId, distributionStrategy, workspace) => {
+  if (distributionStrategy && !instancePoolService.strategies.includes(distributionStrategy)) {
+    return { error: `Estratégia de distribuição inválida. Use: ${instancePoolService.strategies.join(', ')}` };
+  }
+
+  const poolIds = [...new Set((instancePool || [])
+    .filter(Boolean)
+    .map(id => id.toString())
+    .filter(id => id !== primaryInstanceId.toString()))];
+
+  if (poolIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'ID de instância inválido no pool' };
+  }
+
+  if (poolIds.length > 0) {
+    const found = await Instance.countDocuments({ _id: { $in: poolIds }, workspace });
+    if (found !== poolIds.length) {
+      return { error: 'Uma ou mais instâncias do pool não foram encontradas' };
+    }
+  }
+
+  return { poolIds };
+};
+
+// Valida o público definido por segmento salvo ou por regras próprias da campanha
+// contactFilter segue o formato de regras de segmento; filtros MongoDB brutos não são aceitos
+// Retorna o segmento, as regras saneadas e a quantidade de contatos aptos, ou uma mensagem de erro
+const validateAudience = async (segmentId, contactFilter, workspace) => {
+  if (segmentId) {
+    if (!mongoose.Types.ObjectId.isValid(segmentId)) {
+      return { error: 'ID de segmento inválido' };
+    }
+
+    const segment = await Segment.findOne({ _id: segmentId, workspace });
+    if (!segment) {
+      return { error: 'Segmento não encontrado' };
+    }
+
+    const { count, errors } = await segmentService.count(segment.rules, workspace);
+    if (errors.length > 0) {
+      return { error: `Regras do segmento inválidas: ${errors.join('; ')}` };
+    }
+
+    return { segmentId: segment._id, contactFilter: {}, count };
+  }
+
+  if (contactFilter && Object.keys(contactFilter).length > 0) {
+    const { query, rules, errors } = await segmentService.compile(contactFilter, { workspace });
+    if (errors.length > 0) {
+      return { error: `Filtro de contatos inválido: ${errors.join('; ')}` };
+    }
+
+    const count = await Contact.countDocuments(query).eligible();
+    return { segmentId: null, contactFilter: rules, count };
+  }
+
+  return { segmentId: null, contactFilter: {}, count: 0 };
+};
+
 exports.createCampaign = async (req, res) => {
   try {
     const { 
@@ -87,33 +155,37 @@ exports.createCampaign = async (req, res) => {
       templateId, 
       schedule, 
       contactFilter, 
+      segmentId,
       contacts: contactIds,
       instanceId,
-      variableValues
+      instancePool,
+      distributionStrategy,
+      variableValues,
+      abTest
     } = req.body;
     
     logger.info(`Tentando criar campanha: ${name}, template: ${templateId}, instância: ${instanceId}`);
     console.log(`Tentando criar campanha: ${name}, template: ${templateId}, instância: ${instanceId}`);
     
     // Verificar se há contatos selecionados
-    if ((!contactIds || contactIds.length === 0) && (!contactFilter || Object.keys(contactFilter).length === 0)) {
+    if ((!contactIds || contactIds.length === 0) && !segmentId && (!contactFilter || Object.keys(contactFilter).length === 0)) {
       logger.error('Tentativa de criar campanha sem contatos');
       return res.status(400).json({
         success: false,
-        message: 'Nenhum contato selecionado para a campanha. Selecione contatos específicos ou defina um filtro.'
+        message: 'Nenhum contato selecionado para a campanha. Selecione contatos específicos, um segmento ou defina um filtro.'
       });
     }
     
     // Verificar se os contatos existem, se especificados por ID
     if (contactIds && contactIds.length > 0) {
       logger.info(`Verificando existência de ${contactIds.length} contatos`);
-      const contatos = await Contact.find({ _id: { $in: contactIds } });
+      const contatos = await Contact.find({ _id: { $in: contactIds }, workspace: req.workspaceId }).eligible();
       
       if (contatos.length === 0) {
         logger.error('Nenhum dos contatos especificados foi encontrado');
         return res.status(400).json({
           success: false,
-          message: 'Nenhum dos contatos especificados foi encontrado'
+          message: 'Nenhum dos contatos especificados foi encontrado ou todos estão descadastrados'
         });
       }
       
@@ -121,7 +193,7 @@ exports.createCampaign = async (req, res) => {
     }
     
     // Verificar se o template existe
-    const template = await Template.findById(templateId);
+    const template = await Template.findOne({ _id: templateId, workspace: req.workspaceId });
     if (!template) {
       logger.error(`Template não encontrado: ${templateId}`);
       console.error(`Template não encontrado: ${templateId}`);
@@ -134,7 +206,7 @@ exports.createCampaign = async (req, res) => {
     // Verificar se a instância existe
     logger.info(`Buscando instância com ID: ${instanceId}`);
     console.log(`Buscando instância com ID: ${instanceId}`);
-    const instance = await Instance.findById(instanceId);
+    const instance = await Instance.findOne({ _id: instanceId, workspace: req.workspaceId });
     if (!instance) {
       logger.error(`Instância não encontrada: ${instanceId}`);
       console.error(`Instância não encontrada: ${instanceId}`);
@@ -147,30 +219,45 @@ exports.createCampaign = async (req, res) => {
     logger.info(`Instância encontrada: ${instance.instanceName}, status: ${instance.status}`);
     console.log(`Instância encontrada: ${instance.instanceName}, status: ${instance.status}`);
     
-    // Verificar filtro de contatos, se especificado
-    if (contactFilter && Object.keys(contactFilter).length > 0) {
-      logger.info(`Verificando filtro de contatos: ${JSON.stringify(contactFilter)}`);
+    // Verificar instâncias adicionais para distribuição do envio
+    const poolValidation = await validateInstancePool(instancePool, instance._id, distributionStrategy, req.workspaceId);
+    if (poolValidation.error) {
+      return res.status(400).json({
+        success: false,
+        message: poolValidation.error
+      });
+    }
+    
+    // Verificar variantes do teste A/B
+    const abTestValidation = await abTestService.validate(abTest, req.workspaceId);
+    if (abTestValidation.error) {
+      return res.status(400).json({
+        success: false,
+        message: abTestValidation.error
+      });
+    }
+    
+    // Verificar segmento ou filtro de contatos, quando não houver contatos específicos
+    let audience = { segmentId: null, contactFilter: {} };
+    if (!contactIds || contactIds.length === 0) {
+      audience = await validateAudience(segmentId, contactFilter, req.workspaceId);
       
-      try {
-        const contadosContagem = await Contact.countDocuments(contactFilter);
-        
-        if (contadosContagem === 0) {
-          logger.error(`Nenhum contato encontrado com o filtro: ${JSON.stringify(contactFilter)}`);
-          return res.status(400).json({
-            success: false,
-            message: 'Nenhum contato corresponde aos critérios do filtro especificado'
-          });
-        }
-        
-        logger.info(`Encontrados ${contadosContagem} contatos com o filtro especificado`);
-      } catch (filterError) {
-        logger.error(`Erro ao validar filtro de contatos: ${filterError.message}`);
+      if (audience.error) {
+        logger.error(`Público da campanha inválido: ${audience.error}`);
         return res.status(400).json({
           success: false,
-          message: 'Filtro de contatos inválido',
-          error: filterError.message
+          message: audience.error
         });
       }
+      
+      if (audience.count === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum contato corresponde aos critérios do segmento ou filtro especificado'
+        });
+      }
+      
+      logger.info(`Encontrados ${audience.count} contatos para o segmento/filtro da campanha`);
     }
     
     // Validar schedule
@@ -202,6 +289,7 @@ exports.createCampaign = async (req, res) => {
     console.log(`Usuário que está criando a campanha: ${req.user ? req.user.id : 'Não autenticado'}`);
     
     const campaign = await Campaign.create({
+      workspace: req.workspaceId,
       name,
       templateId,
       status: 'draft',
@@ -213,7 +301,8 @@ exports.createCampaign = async (req, res) => {
         recurrenceDays: schedule?.recurrenceDays || [],
         recurrenceTime: schedule?.recurrenceTime || '09:00'
       },
-      contactFilter: contactFilter || {},
+      contactFilter: audience.contactFilter,
+      segmentId: audience.segmentId,
       contacts: contactIds || [],
       variableValues: variableValues || {},
       metrics: {
@@ -224,7 +313,16 @@ exports.createCampaign = async (req, res) => {
         pending: 0
       },
       createdBy: req.user?.id || null,
-      instanceId: instance._id
+      instanceId: instance._id,
+      instancePool: poolValidation.poolIds,
+      distributionStrategy: distributionStrategy || 'round_robin',
+      abTest: abTestValidation.abTest
+    });
+    
+    await auditService.record(req, {
+      action: 'campaign.create',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      after: campaign
     });
     
     res.status(201).json({
@@ -273,13 +371,17 @@ exports.updateCampaign = async (req, res) => {
       templateId, 
       schedule, 
       contactFilter, 
+      segmentId,
       contacts: contactIds,
       instanceId,
-      variableValues
+      instancePool,
+      distributionStrategy,
+      variableValues,
+      abTest
     } = req.body;
     
     // Buscar campanha
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -298,7 +400,7 @@ exports.updateCampaign = async (req, res) => {
     
     // Verificar se o template existe
     if (templateId) {
-      const template = await Template.findById(templateId);
+      const template = await Template.findOne({ _id: templateId, workspace: req.workspaceId });
       if (!template) {
         return res.status(400).json({
           success: false,
@@ -309,7 +411,7 @@ exports.updateCampaign = async (req, res) => {
     
     // Verificar se a instância existe
     if (instanceId) {
-      const instance = await Instance.findById(instanceId);
+      const instance = await Instance.findOne({ _id: instanceId, workspace: req.workspaceId });
       if (!instance) {
         return res.status(400).json({
           success: false,
@@ -318,9 +420,48 @@ exports.updateCampaign = async (req, res) => {
       }
     }
     
+    // Verificar instâncias adicionais para distribuição do envio
+    const poolValidation = await validateInstancePool(
+      instancePool || campaign.instancePool,
+      instanceId || campaign.instanceId,
+      distributionStrategy,
+      req.workspaceId
+    );
+    if (poolValidation.error) {
+      return res.status(400).json({
+        success: false,
+        message: poolValidation.error
+      });
+    }
+    
+    // Validar teste A/B apenas quando enviado
+    let abTestConfig = campaign.abTest;
+    if (abTest !== undefined) {
+      const abTestValidation = await abTestService.validate(abTest, req.workspaceId);
+      if (abTestValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: abTestValidation.error
+        });
+      }
+      abTestConfig = abTestValidation.abTest;
+    }
+    
+    // Validar segmento ou filtro apenas quando o público for alterado
+    let audience = { segmentId: campaign.segmentId, contactFilter: campaign.contactFilter };
+    if (segmentId !== undefined || contactFilter !== undefined) {
+      audience = await validateAudience(segmentId, contactFilter, req.workspaceId);
+      if (audience.error) {
+        return res.status(400).json({
+          success: false,
+          message: audience.error
+        });
+      }
+    }
+    
     // Atualizar campanha
     const updatedCampaign = await Campaign.findByIdAndUpdate(
-      req.params.id,
+      campaign._id,
       {
         name: name || campaign.name,
         templateId: templateId || campaign.templateId,
@@ -332,15 +473,26 @@ exports.updateCampaign = async (req, res) => {
           recurrenceDays: schedule.recurrenceDays || campaign.schedule.recurrenceDays,
           recurrenceTime: schedule.recurrenceTime || campaign.schedule.recurrenceTime
         } : campaign.schedule,
-        contactFilter: contactFilter || campaign.contactFilter,
+        contactFilter: audience.contactFilter,
+        segmentId: audience.segmentId,
         contacts: contactIds || campaign.contacts,
         instanceId: instanceId || campaign.instanceId,
+        instancePool: poolValidation.poolIds,
+        distributionStrategy: distributionStrategy || campaign.distributionStrategy,
         variableValues: variableValues || campaign.variableValues,
+        abTest: abTestConfig,
         lastUpdated: Date.now()
       },
       { new: true, runValidators: true }
     );
     
+    await auditService.record(req, {
+      action: 'campaign.update',
+      target: { type: 'campaign', id: campaign._id, name: updatedCampaign.name },
+      before: campaign,
+      after: updatedCampaign
+    });
+    
     res.status(200).json({
       success: true,
       data: updatedCampaign
@@ -358,7 +510,7 @@ exports.updateCampaign = async (req, res) => {
 // Excluir campanha
 exports.deleteCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -376,10 +528,17 @@ exports.deleteCampaign = async (req, res) => {
     }
     
     // Excluir mensagens associadas à campanha
-    await Message.deleteMany({ campaignId: campaign._id });
+    const deletedMessages = await Message.deleteMany({ campaignId: campaign._id });
     
     // Excluir campanha
-    await Campaign.findByIdAndDelete(req.params.id);
+    await Campaign.findByIdAndDelete(campaign._id);
+    
+    await auditService.record(req, {
+      action: 'campaign.delete',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      before: campaign,
+      details: { deletedMessages: deletedMessages.deletedCount }
+    });
     
     res.status(200).json({
       success: true,
@@ -408,7 +567,7 @@ const verificarContatos = async (req, res, next) => {
     }
     
     // Buscar a campanha
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne({ _id: id, workspace: req.workspaceId });
     if (!campaign) {
       return res.status(404).json({
         success: false,
@@ -416,41 +575,33 @@ const verificarContatos = async (req, res, next) => {
       });
     }
     
-    // Verificar contatos diretos
-    if (campaign.contacts && campaign.contacts.length > 0) {
-      const contatos = await Contact.countDocuments({
-        _id: { $in: campaign.contacts }
+    // Contatos selecionados, segmento ou regras próprias da campanha
+    const { query, errors } = await segmentService.getCampaignQuery(campaign);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; ')
       });
-      
-      if (contatos === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Nenhum contato válido encontrado entre os selecionados'
-        });
-      }
-      
-      // Se temos contatos, podemos prosseguir
-      req.campaign = campaign;
-      return next();
     }
     
-    // Verificar filtro de contatos
-    if (campaign.contactFilter && Object.keys(campaign.contactFilter).length > 0) {
-      const contatos = await Contact.countDocuments(campaign.contactFilter);
+    if (query) {
+      const contatos = await Contact.countDocuments(query).eligible();
       
       if (contatos === 0) {
         return res.status(400).json({
           success: false,
-          message: 'Nenhum contato corresponde aos critérios do filtro'
+          message: campaign.contacts && campaign.contacts.length > 0
+            ? 'Nenhum contato válido encontrado entre os selecionados'
+            : 'Nenhum contato corresponde aos critérios do segmento ou filtro'
         });
       }
       
-      // Se temos contatos via filtro, podemos prosseguir
       req.campaign = campaign;
       return next();
     }
     
-    // Se chegamos aqui, não há contatos ou filtro
+    // Se chegamos aqui, não há contatos, segmento ou filtro
     return res.status(400).json({
       success: false,
       message: 'Nenhum contato selecionado para a campanha. Edite a campanha para adicionar contatos.'
@@ -534,7 +685,7 @@ const createCampaignBatches = async (campaign, contacts, instance, template) =>
 // Modificar a função startCampaign para usar o sistema de batches
 exports.startCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -568,7 +719,7 @@ exports.startCampaign = async (req, res) => {
     logger.info(`É um ObjectId válido? ${isValidObjectId}`);
 
     // Buscar template
-    const template = await Template.findById(campaign.templateId);
+    const template = await Template.findOne({ _id: campaign.templateId, workspace: campaign.workspace });
     if (!template) {
       return res.status(404).json({
         success: false,
@@ -576,12 +727,38 @@ exports.startCampaign = async (req, res) => {
       });
     }
     
-    // Buscar contatos
-    const contacts = await Contact.find({ _id: { $in: campaign.contacts } });
+    // Variáveis sem valor na campanha e sem valor padrão no template ({{variavel|padrão}})
+    // Em testes A/B, todas as variantes são verificadas
+    const customFieldKeys = await contactFieldService.getKeys(campaign.workspace);
+    const templatesToCheck = campaign.abTest?.enabled
+      ? [...(await abTestService.getVariantTemplates(campaign)).values()].filter(Boolean)
+      : [template];
+    const unknownVariables = [...new Set(templatesToCheck.flatMap(current => templateRenderer.findUnknownVariables(current.content, {
+      variables: campaign.variableValues || {},
+      customFields: customFieldKeys
+    })))];
+    if (unknownVariables.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Variáveis sem valor no template: ${unknownVariables.join(', ')}`,
+        data: { unknownVariables }
+      });
+    }
+    
+    // Buscar contatos (selecionados, do segmento ou das regras da campanha)
+    const audience = await segmentService.getCampaignQuery(campaign);
+    if (audience.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: audience.errors.join('; ')
+      });
+    }
+    
+    const contacts = audience.query ? await Contact.find(audience.query).eligible() : [];
     if (contacts.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Nenhum contato encontrado para esta campanha'
+        message: 'Nenhum contato apto (não descadastrado) encontrado para esta campanha'
       });
     }
     
@@ -593,14 +770,14 @@ exports.startCampaign = async (req, res) => {
     
     // Primeiro tentamos buscar pelo ID
     if (isValidObjectId) {
-      instance = await Instance.findById(campaign.instanceId);
+      instance = await Instance.findOne({ _id: campaign.instanceId, workspace: campaign.workspace });
       console.log(`Busca por ObjectId: ${instance ? 'Encontrado' : 'Não encontrado'}`);
       logger.info(`Busca por ObjectId: ${instance ? 'Encontrado' : 'Não encontrado'}`);
     }
     
     // Se não for encontrado e for uma string, pode ser que seja o nome da instância
     if (!instance && typeof campaign.instanceId === 'string') {
-      instance = await Instance.findOne({ instanceName: campaign.instanceId });
+      instance = await Instance.findOne({ instanceName: campaign.instanceId, workspace: campaign.workspace });
       console.log(`Busca por instanceName: ${instance ? 'Encontrado' : 'Não encontrado'}`);
       logger.info(`Busca por instanceName: ${instance ? 'Encontrado' : 'Não encontrado'}`);
       
@@ -624,17 +801,25 @@ exports.startCampaign = async (req, res) => {
       });
     }
     
-    // Verificar se a instância está conectada
-    if (instance.status !== 'connected') {
+    // Verificar se ao menos uma instância da campanha (principal ou do pool) está conectada
+    // A instância de cada mensagem é escolhida no momento do envio pelo worker
+    const healthyInstances = await instancePoolService.getHealthyInstances({
+      instanceId: instance._id,
+      instancePool: campaign.instancePool
+    });
+    if (healthyInstances.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Instância não está conectada'
+        message: campaign.instancePool?.length > 0
+          ? 'Nenhuma instância da campanha está conectada'
+          : 'Instância não está conectada'
       });
     }
     
     // Verificar se é necessário dividir a campanha em batches
     // Considerar grandes campanhas aquelas com mais contatos do que o limite seguro
-    const useBatchMode = req.body.useBatchMode || contacts.length > 200; // Limite configurável
+    // Testes A/B não são divididos em batches: o sorteio das variantes considera o público inteiro
+    const useBatchMode = !campaign.abTest?.enabled && (req.body.useBatchMode || contacts.length > 200); // Limite configurável
     
     if (useBatchMode) {
       logger.info(`Campanha com ${contacts.length} contatos, usando modo de batches`);
@@ -652,10 +837,13 @@ exports.startCampaign = async (req, res) => {
         // Criar uma nova campanha para cada batch
         for (const batch of batches) {
           const batchCampaign = new Campaign({
+            workspace: campaign.workspace,
             name: batch.batchName,
             templateId: campaign.templateId,
             contacts: batch.contactIds,
             instanceId: campaign.instanceId,
+            instancePool: campaign.instancePool,
+            distributionStrategy: campaign.distributionStrategy,
             variableValues: campaign.variableValues,
             schedule: {
               type: 'scheduled',
@@ -697,6 +885,14 @@ exports.startCampaign = async (req, res) => {
           }
         );
         
+        await auditService.record(req, {
+          action: 'campaign.start',
+          target: { type: 'campaign', id: campaign._id, name: campaign.name },
+          before: { status: campaign.status },
+          after: { status: 'master' },
+          details: { totalMessages: contacts.length, batches: batches.length }
+        });
+        
         // Retornar sucesso com informações sobre os batches
         return res.status(200).json({
           success: true,
@@ -713,47 +909,37 @@ exports.startCampaign = async (req, res) => {
     }
     
     // Continuar com o fluxo normal se não precisar de batches ou se a configuração desabilitar
-    logger.info(`Criando ${contacts.length} mensagens para a campanha ${campaign.name}`);
-    console.log(`Criando ${contacts.length} mensagens para a campanha ${campaign.name}`);
+    // Em testes A/B com seleção de vencedor, parte dos contatos aguarda o fim da janela de teste
+    const { assignments, remaining } = await abTestService.assignTemplates(campaign, contacts, template);
+    logger.info(`Criando ${assignments.length} mensagens para a campanha ${campaign.name}`);
+    console.log(`Criando ${assignments.length} mensagens para a campanha ${campaign.name}`);
     
     // Criar mensagens para cada contato
     const messages = [];
     const variableValues = campaign.variableValues || {};
     
-    for (const contact of contacts) {
-      // Criar conteúdo personalizado substituindo variáveis
-      let content = template.content;
-      
-      // Substituir variáveis no template
-      if (template.variables && template.variables.length > 0) {
-        for (const variable of template.variables) {
-          const value = variableValues[variable] || '';
-          const regex = new RegExp(`\\{\\{${variable}\\}\\}`, 'g');
-          content = content.replace(regex, value);
-        }
-      }
-      
-      // Substituir nome do contato se existir
-      if (contact.name) {
-        content = content.replace(/\{\{nome\}\}/g, contact.name);
-      }
+    for (const { contact, template: contactTemplate, variant } of assignments) {
+      // Criar conteúdo personalizado (variáveis, campos do contato e spintax)
+      const content = templateRenderer.render(contactTemplate.content, { contact, variables: variableValues });
       
       // Criar mensagem
       const message = new Message({
+        workspace: campaign.workspace,
         campaignId: campaign._id,
         contactId: contact._id,
         status: 'pending',
         content,
-        mediaUrl: template.mediaUrl,
-        mediaType: template.mediaType === 'none' ? null : template.mediaType,
+        mediaUrl: contactTemplate.mediaUrl,
+        mediaType: contactTemplate.mediaType === 'none' ? null : contactTemplate.mediaType,
+        variant,
         instanceId: instance._id,
         retries: 0
       });
       
       // Log para debug
-      if (template.mediaUrl && template.mediaType && template.mediaType !== 'none') {
-        console.log(`Mensagem de mídia criada: tipo=${template.mediaType}, url=${template.mediaUrl}`);
-        logger.info(`Mensagem de mídia criada: tipo=${template.mediaType}, url=${template.mediaUrl}`);
+      if (contactTemplate.mediaUrl && contactTemplate.mediaType && contactTemplate.mediaType !== 'none') {
+        console.log(`Mensagem de mídia criada: tipo=${contactTemplate.mediaType}, url=${contactTemplate.mediaUrl}`);
+        logger.info(`Mensagem de mídia criada: tipo=${contactTemplate.mediaType}, url=${contactTemplate.mediaUrl}`);
       } else {
         console.log(`Mensagem de texto criada: ${content.substring(0, 50)}...`);
         logger.info(`Mensagem de texto criada`);
@@ -774,8 +960,9 @@ exports.startCampaign = async (req, res) => {
       campaign._id,
       {
         status: campaign.schedule.type === 'immediate' ? 'running' : 'queued',
-        'metrics.total': contacts.length,
-        'metrics.pending': contacts.length,
+        'metrics.total': messages.length,
+        'metrics.pending': messages.length,
+        ...abTestService.getStartUpdate(campaign, remaining),
         lastUpdated: Date.now()
       }
     );
@@ -838,18 +1025,37 @@ exports.startCampaign = async (req, res) => {
           message: 'Não foi possível enfileirar nenhuma mensagem. Serviço de fila indisponível.'
         });
       }
+      
+      await queueService.publishEventSafe({
+        type: 'campaign_started',
+        workspace: campaign.workspace,
+        data: {
+          campaignId: campaign._id,
+          campaignName: campaign.name,
+          totalMessages: messages.length
+        }
+      });
     }
     
     logger.info(`Campanha ${campaign.name} iniciada com sucesso`);
     console.log(`Campanha ${campaign.name} iniciada com sucesso`);
     
+    await auditService.record(req, {
+      action: 'campaign.start',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      before: { status: campaign.status },
+      after: { status: campaign.schedule.type === 'immediate' ? 'running' : 'queued' },
+      details: { totalMessages: messages.length, awaitingWinner: remaining.length }
+    });
+    
     res.status(200).json({
       success: true,
       message: campaign.schedule.type === 'immediate' ? 
         'Campanha iniciada com sucesso' : 
         'Campanha agendada com sucesso',
       data: {
-        totalMessages: contacts.length
+        totalMessages: messages.length,
+        awaitingWinner: remaining.length
       }
     });
   } catch (error) {
@@ -878,7 +1084,7 @@ exports.startCampaign = async (req, res) => {
 // Pausar campanha
 exports.pauseCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -904,6 +1110,13 @@ exports.pauseCampaign = async (req, res) => {
       }
     );
     
+    await auditService.record(req, {
+      action: 'campaign.pause',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      before: { status: campaign.status },
+      after: { status: 'paused' }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Campanha pausada com sucesso'
@@ -921,7 +1134,7 @@ exports.pauseCampaign = async (req, res) => {
 // Retomar campanha
 exports.resumeCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -958,6 +1171,14 @@ exports.resumeCampaign = async (req, res) => {
       await queueService.enqueueMessage(message);
     }
     
+    await auditService.record(req, {
+      action: 'campaign.resume',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      before: { status: campaign.status },
+      after: { status: 'running' },
+      details: { pendingMessages: pendingMessages.length }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Campanha retomada com sucesso',
@@ -978,7 +1199,7 @@ exports.resumeCampaign = async (req, res) => {
 // Cancelar campanha
 exports.cancelCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!campaign) {
       return res.status(404).json({
@@ -1012,7 +1233,7 @@ exports.cancelCampaign = async (req, res) => {
     );
     
     // Atualizar status das mensagens pendentes
-    await Message.updateMany(
+    const canceledMessages = await Message.updateMany(
       {
         campaignId: campaign._id,
         status: 'pending'
@@ -1023,6 +1244,14 @@ exports.cancelCampaign = async (req, res) => {
       }
     );
     
+    await auditService.record(req, {
+      action: 'campaign.cancel',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      before: { status: campaign.status },
+      after: { status: 'canceled' },
+      details: { canceledMessages: canceledMessages.modifiedCount }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Campanha cancelada com sucesso'
@@ -1040,7 +1269,7 @@ exports.cancelCampaign = async (req, res) => {
 // Obter relatório da campanha
 exports.getCampaignReport = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id)
+    const campaign = await Campaign.findOne({ _id: req.params.id, workspace: req.workspaceId })
       .populate('templateId', 'name');
     
     if (!campaign) {
@@ -1052,7 +1281,7 @@ exports.getCampaignReport = async (req, res) => {
     
     // Buscar métricas detalhadas por status
     const messagesByStatus = await Message.aggregate([
-      { $match: { campaignId: mongoose.Types.ObjectId(campaign._id) } },
+      { $match: { campaignId: new mongoose.Types.ObjectId(campaign._id) } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
     
@@ -1063,9 +1292,29 @@ exports.getCampaignReport = async (req, res) => {
     });
     
     // Calcular taxa de entrega e leitura
+    // O status só avança (enviada -> entregue -> lida), então cada etapa inclui as seguintes
     const total = campaign.metrics.total || 0;
-    const deliveryRate = total > 0 ? ((statusCounts.sent || 0) / total) * 100 : 0;
-    const readRate = statusCounts.sent > 0 ? ((statusCounts.read || 0) / statusCounts.sent) * 100 : 0;
+    const readCount = statusCounts.read || 0;
+    const deliveredCount = (statusCounts.delivered || 0) + readCount;
+    const sentCount = (statusCounts.sent || 0) + deliveredCount;
+    const deliveryRate = sentCount > 0 ? (deliveredCount / sentCount) * 100 : 0;
+    const readRate = deliveredCount > 0 ? (readCount / deliveredCount) * 100 : 0;
+    
+    // Métricas por variante do teste A/B
+    const variantStats = await abTestService.getVariantStats(campaign);
+    const abTestReport = campaign.abTest?.enabled ? {
+      winnerSelection: campaign.abTest.winnerSelection,
+      testEndsAt: campaign.abTest.testEndsAt,
+      winnerVariant: campaign.abTest.winnerVariant,
+      winnerSelectedAt: campaign.abTest.winnerSelectedAt,
+      awaitingWinner: campaign.abTest.remainingContacts?.length || 0,
+      variants: variantStats.map(variant => ({
+        ...variant,
+        deliveryRate: variant.deliveryRate.toFixed(2),
+        readRate: variant.readRate.toFixed(2),
+        replyRate: variant.replyRate.toFixed(2)
+      }))
+    } : null;
     
     res.status(200).json({
       success: true,
@@ -1081,15 +1330,17 @@ exports.getCampaignReport = async (req, res) => {
         },
         metrics: {
           total,
-          pending: statusCounts.pending || 0,
-          sent: statusCounts.sent || 0,
-          delivered: statusCounts.delivered || 0,
-          read: statusCounts.read || 0,
+          pending: (statusCounts.pending || 0) + (statusCounts.queued || 0) +
+            (statusCounts.sending || 0) + (statusCounts.scheduled_retry || 0),
+          sent: sentCount,
+          delivered: deliveredCount,
+          read: readCount,
           failed: statusCounts.failed || 0,
           canceled: statusCounts.canceled || 0,
           deliveryRate: deliveryRate.toFixed(2),
           readRate: readRate.toFixed(2)
-        }
+        },
+        abTest: abTestReport
       }
     });
   } catch (error) {
@@ -1110,7 +1361,7 @@ exports.resendFailedMessages = async (req, res) => {
     const { id } = req.params;
     
     // Buscar a campanha
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne({ _id: id, workspace: req.workspaceId });
     if (!campaign) {
       return res.status(404).json({
         success: false,
@@ -1173,6 +1424,12 @@ exports.resendFailedMessages = async (req, res) => {
       });
     }
     
+    await auditService.record(req, {
+      action: 'campaign.resend_failed',
+      target: { type: 'campaign', id: campaign._id, name: campaign.name },
+      details: { resentMessages: reenqueuedCount }
+    });
+    
     res.json({
       success: true,
       message: `${reenqueuedCount} mensagens reenviadas com sucesso`
@@ -1195,7 +1452,7 @@ exports.resendMessage = async (req, res) => {
     const { messageId } = req.params;
     
     // Buscar a mensagem
-    const message = await Message.findById(messageId);
+    const message = await Message.findOne({ _id: messageId, workspace: req.workspaceId });
     if (!message) {
       return res.status(404).json({
         success: false,
@@ -1230,6 +1487,12 @@ exports.resendMessage = async (req, res) => {
       }
     });
     
+    await auditService.record(req, {
+      action: 'campaign.resend_message',
+      target: { type: 'campaign', id: message.campaignId },
+      details: { messageId: message._id, contactId: message.contactId }
+    });
+    
     res.json({
       success: true,
       message: 'Mensagem reenviada com sucesso'
@@ -1,5 +1,8 @@
 const { Contact } = require('../models');
 const logger = require('../utils/logger');
+const optOutService = require('../services/optOutService');
+const contactFieldService = require('../services/contactFieldService');
+const auditService = require('../services/auditService');
 const csv = require('csv-parser');
 const fs = require('fs');
 const { createObjectCsvWriter } = require('csv-writer');
@@ -44,6 +47,18 @@ const normalizePhone = (phone) => {
   return '+' + normalizedPhone.replace(/^\+/, '').replace(/\D/g, '');
 };
 
+// Aplica à query os filtros de campos personalizados (?customFields[cidade]=Recife&customFields[idade][gte]=18)
+// Retorna a lista de erros de validação (campo ou operador desconhecido, valor inválido)
+const applyCustomFieldFilter = async (query, criteria, workspace) => {
+  if (!criteria) return [];
+
+  const fields = await contactFieldService.getFields(workspace);
+  const { filter, errors } = contactFieldService.buildFilter(criteria, fields);
+
+  Object.assign(query, filter);
+  return errors;
+};
+
 // Obter todos os contatos com paginação e filtros
 exports.getContacts = async (req, res) => {
   try {
@@ -72,7 +87,7 @@ exports.getContacts = async (req, res) => {
     sort[actualSortField] = sortOrder;
     
     // Construir query com filtros
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (search) {
       query.$or = [
@@ -85,6 +100,21 @@ exports.getContacts = async (req, res) => {
       query.tags = tag;
     }
     
+    // Filtrar por situação de descadastro (opt-out)
+    if (req.query.optedOut === 'true') {
+      query.optedOut = true;
+    } else if (req.query.optedOut === 'false') {
+      query.optedOut = { $ne: true };
+    }
+    
+    const filterErrors = await applyCustomFieldFilter(query, req.query.customFields, req.workspaceId);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: filterErrors.join('; ')
+      });
+    }
+    
     // Contagem total para paginação
     const total = await Contact.countDocuments(query);
     
@@ -117,7 +147,7 @@ exports.getContacts = async (req, res) => {
 // Obter um contato específico
 exports.getContact = async (req, res) => {
   try {
-    const contact = await Contact.findById(req.params.id);
+    const contact = await Contact.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!contact) {
       return res.status(404).json({
@@ -143,13 +173,23 @@ exports.getContact = async (req, res) => {
 // Criar novo contato
 exports.createContact = async (req, res) => {
   try {
-    const { phone, name, tags } = req.body;
+    const { phone, name, tags, customFields } = req.body;
+    
+    // Validar os campos personalizados conforme o tipo definido
+    const fields = await contactFieldService.getFields(req.workspaceId);
+    const customValues = contactFieldService.validateValues(customFields, fields);
+    if (customValues.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: customValues.errors.join('; ')
+      });
+    }
     
     // Normalizar número do telefone
     const normalizedPhone = normalizePhone(phone);
     
     // Verificar se o telefone já existe (usando método estático)
-    const existingContact = await Contact.phoneExists(normalizedPhone);
+    const existingContact = await Contact.phoneExists(normalizedPhone, req.workspaceId);
     if (existingContact) {
       return res.status(400).json({
         success: false,
@@ -162,10 +202,18 @@ exports.createContact = async (req, res) => {
     
     // Criar novo contato
     const contact = await Contact.create({
+      workspace: req.workspaceId,
       phone: normalizedPhone,
       phoneNormalized: phoneNormalized,
       name,
-      tags: tags || []
+      tags: tags || [],
+      customFields: customValues.set
+    });
+    
+    await auditService.record(req, {
+      action: 'contact.create',
+      target: { type: 'contact', id: contact._id, name: contact.name || contact.phone },
+      after: contact
     });
     
     res.status(201).json({
@@ -185,7 +233,27 @@ exports.createContact = async (req, res) => {
 // Atualizar contato
 exports.updateContact = async (req, res) => {
   try {
-    const { phone, name, tags } = req.body;
+    const { phone, name, tags, optedOut, customFields } = req.body;
+    
+    // Campos personalizados são atualizados individualmente; valores vazios removem o campo
+    const customUpdate = {};
+    if (customFields !== undefined) {
+      const fields = await contactFieldService.getFields(req.workspaceId);
+      const customValues = contactFieldService.validateValues(customFields, fields, { partial: true });
+      if (customValues.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: customValues.errors.join('; ')
+        });
+      }
+      
+      Object.keys(customValues.set).forEach(key => {
+        customUpdate[`customFields.${key}`] = customValues.set[key];
+      });
+      if (customValues.unset.length > 0) {
+        customUpdate.$unset = Object.fromEntries(customValues.unset.map(key => [`customFields.${key}`, 1]));
+      }
+    }
     
     let normalizedPhone;
     let phoneNormalized;
@@ -196,6 +264,7 @@ exports.updateContact = async (req, res) => {
       phoneNormalized = getNormalizedPhoneForComparison(normalizedPhone);
       
       const existingContact = await Contact.findOne({ 
+        workspace: req.workspaceId,
         phone: normalizedPhone, 
         _id: { $ne: req.params.id } 
       });
@@ -208,14 +277,18 @@ exports.updateContact = async (req, res) => {
       }
     }
     
+    // Estado anterior para o registro de auditoria
+    const previous = await Contact.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    
     // Buscar e atualizar contato
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
+    let contact = await Contact.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspaceId },
       { 
         phone: normalizedPhone,
         phoneNormalized: phoneNormalized,
         name,
         tags,
+        ...customUpdate,
         lastUpdated: Date.now()
       },
       { new: true, runValidators: true }
@@ -228,6 +301,29 @@ exports.updateContact = async (req, res) => {
       });
     }
     
+    // Descadastro manual ou reativação de um contato descadastrado
+    if (optedOut === true && !contact.optedOut) {
+      contact = await optOutService.optOutContact(contact._id, { keyword: 'manual' });
+    } else if (optedOut === false && contact.optedOut) {
+      contact = await Contact.findByIdAndUpdate(
+        contact._id,
+        {
+          optedOut: false,
+          $unset: { optedOutAt: 1, optOutSource: 1 },
+          lastUpdated: Date.now()
+        },
+        { new: true }
+      );
+      logger.info(`Contato ${contact._id} reativado após descadastro`);
+    }
+    
+    await auditService.record(req, {
+      action: 'contact.update',
+      target: { type: 'contact', id: contact._id, name: contact.name || contact.phone },
+      before: previous,
+      after: contact
+    });
+    
     res.status(200).json({
       success: true,
       data: contact
@@ -245,7 +341,7 @@ exports.updateContact = async (req, res) => {
 // Excluir contato
 exports.deleteContact = async (req, res) => {
   try {
-    const contact = await Contact.findByIdAndDelete(req.params.id);
+    const contact = await Contact.findOneAndDelete({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!contact) {
       return res.status(404).json({
@@ -254,6 +350,12 @@ exports.deleteContact = async (req, res) => {
       });
     }
     
+    await auditService.record(req, {
+      action: 'contact.delete',
+      target: { type: 'contact', id: contact._id, name: contact.name || contact.phone },
+      before: contact
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Contato excluído com sucesso'
@@ -280,7 +382,13 @@ exports.deleteMultipleContacts = async (req, res) => {
       });
     }
     
-    const result = await Contact.deleteMany({ _id: { $in: ids } });
+    const result = await Contact.deleteMany({ _id: { $in: ids }, workspace: req.workspaceId });
+    
+    await auditService.record(req, {
+      action: 'contact.delete_multiple',
+      target: { type: 'contact', name: `${result.deletedCount} contatos` },
+      details: { requested: ids.length, deleted: result.deletedCount, ids: ids.slice(0, 100) }
+    });
     
     res.status(200).json({
       success: true,
@@ -311,9 +419,29 @@ exports.importCSV = async (req, res) => {
     let imported = 0;
     let duplicates = 0;
     
+    // Colunas do CSV associadas a campos personalizados: pelo mapeamento enviado
+    // ({ "Coluna do CSV": "chave_do_campo" }) ou pelo nome/chave do campo no cabeçalho
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (parseError) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: 'Mapeamento de colunas inválido'
+        });
+      }
+    }
+    const fields = await contactFieldService.getFields(req.workspaceId);
+    let customColumns = {};
+    
     // Processar arquivo CSV
     fs.createReadStream(req.file.path)
       .pipe(csv())
+      .on('headers', (headers) => {
+        customColumns = contactFieldService.mapCsvColumns(headers, fields, mapping);
+      })
       .on('data', async (data) => {
         // Verificar se os campos necessários existem
         const phone = data.phone || data.telefone || data.celular;
@@ -327,12 +455,26 @@ exports.importCSV = async (req, res) => {
           return;
         }
         
+        // Converter as colunas mapeadas para os tipos dos campos personalizados
+        const rowValues = {};
+        Object.keys(customColumns).forEach(column => {
+          rowValues[customColumns[column].key] = data[column];
+        });
+        const customValues = contactFieldService.validateValues(rowValues, fields);
+        if (customValues.errors.length > 0) {
+          errors.push({
+            row: results.length + 1,
+            message: customValues.errors.join('; ')
+          });
+          return;
+        }
+        
         try {
           // Normalizar o telefone
           const normalizedPhone = normalizePhone(phone);
           
           // Verificar se o contato já existe
-          const existingContact = await Contact.phoneExists(normalizedPhone);
+          const existingContact = await Contact.phoneExists(normalizedPhone, req.workspaceId);
           
           if (existingContact) {
             duplicates++;
@@ -344,10 +486,12 @@ exports.importCSV = async (req, res) => {
           
           // Adicionar à lista de resultados
           results.push({
+            workspace: req.workspaceId,
             phone: normalizedPhone,
             phoneNormalized: phoneNormalized,
             name: name || '',
-            tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : []
+            tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
+            customFields: customValues.set
           });
         } catch (error) {
           errors.push({
@@ -375,6 +519,12 @@ exports.importCSV = async (req, res) => {
         // Remover arquivo temporário
         fs.unlinkSync(req.file.path);
         
+        await auditService.record(req, {
+          action: 'contact.import',
+          target: { type: 'contact', name: req.file.originalname },
+          details: { imported, duplicates, errors: errors.length }
+        });
+        
         res.status(200).json({
           success: true,
           message: `Importação concluída. ${imported} contatos importados, ${duplicates} duplicados ignorados, ${errors.length} erros.`,
@@ -424,7 +574,7 @@ exports.exportCSV = async (req, res) => {
     sort[actualSortField] = orderDirection;
     
     // Construir query com filtros
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (search) {
       query.$or = [
@@ -437,6 +587,14 @@ exports.exportCSV = async (req, res) => {
       query.tags = tag;
     }
     
+    const filterErrors = await applyCustomFieldFilter(query, req.query.customFields, req.workspaceId);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: filterErrors.join('; ')
+      });
+    }
+    
     // Buscar todos os contatos que correspondem aos filtros
     const contacts = await Contact.find(query).sort(sort);
     
@@ -458,6 +616,9 @@ exports.exportCSV = async (req, res) => {
     const filename = `contatos_${timestamp}.csv`;
     const filepath = path.join(exportDir, filename);
     
+    // Campos personalizados viram colunas com o nome do campo (reimportáveis pelo cabeçalho)
+    const fields = await contactFieldService.getFields(req.workspaceId);
+    
     // Configurar escritor CSV
     const csvWriter = createObjectCsvWriter({
       path: filepath,
@@ -465,21 +626,36 @@ exports.exportCSV = async (req, res) => {
         { id: 'name', title: 'Nome' },
         { id: 'phone', title: 'Telefone' },
         { id: 'tags', title: 'Tags' },
+        ...fields.map(field => ({ id: `custom_${field.key}`, title: field.label })),
         { id: 'createdAt', title: 'Data de Criação' }
       ]
     });
     
     // Formatar dados para CSV
-    const records = contacts.map(contact => ({
-      name: contact.name || '',
-      phone: contact.phone || '',
-      tags: contact.tags ? contact.tags.join(', ') : '',
-      createdAt: new Date(contact.createdAt).toLocaleString('pt-BR')
-    }));
+    const records = contacts.map(contact => {
+      const record = {
+        name: contact.name || '',
+        phone: contact.phone || '',
+        tags: contact.tags ? contact.tags.join(', ') : '',
+        createdAt: new Date(contact.createdAt).toLocaleString('pt-BR')
+      };
+      
+      fields.forEach(field => {
+        record[`custom_${field.key}`] = contactFieldService.formatValue(field, contact.customFields?.[field.key]);
+      });
+      
+      return record;
+    });
     
     // Escrever arquivo CSV
     await csvWriter.writeRecords(records);
     
+    await auditService.record(req, {
+      action: 'contact.export',
+      target: { type: 'contact', name: filename },
+      details: { exported: records.length, filters: { search, tag, customFields: req.query.customFields } }
+    });
+    
     // Enviar arquivo como resposta
     res.download(filepath, filename, (err) => {
       if (err) {
@@ -507,7 +683,7 @@ exports.exportCSV = async (req, res) => {
 // Obter todas as tags distintas
 exports.getTags = async (req, res) => {
   try {
-    const tags = await Contact.distinct('tags');
+    const tags = await Contact.distinct('tags', { workspace: req.workspaceId });
     
     res.status(200).json({
       success: true,
@@ -526,8 +702,8 @@ exports.getTags = async (req, res) => {
 // Função para encontrar e remover contatos duplicados
 exports.findAndRemoveDuplicates = async (req, res) => {
   try {
-    // Buscar todos os contatos
-    const allContacts = await Contact.find({}).lean();
+    // Buscar todos os contatos do workspace
+    const allContacts = await Contact.find({ workspace: req.workspaceId }).lean();
     
     // Arrays para acompanhar duplicados
     const duplicatesFound = {};
@@ -603,7 +779,13 @@ exports.findAndRemoveDuplicates = async (req, res) => {
     });
     
     // Remover contatos duplicados
-    const result = await Contact.deleteMany({ _id: { $in: idsToRemove } });
+    const result = await Contact.deleteMany({ _id: { $in: idsToRemove }, workspace: req.workspaceId });
+    
+    await auditService.record(req, {
+      action: 'contact.remove_duplicates',
+      target: { type: 'contact', name: `${result.deletedCount} contatos duplicados` },
+      details: { duplicatesFound: Object.keys(duplicatesFound).length, removed: result.deletedCount }
+    });
     
     res.status(200).json({
       success: true,
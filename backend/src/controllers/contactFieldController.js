@@ -0,0 +1,176 @@
+const { ContactField, Contact } = require('../models');
+const logger = require('../utils/logger');
+
+// Normaliza as opções de campos do tipo enum
+const sanitizeOptions = (options) => [...new Set((Array.isArray(options) ? options : [])
+  .map(option => String(option).trim())
+  .filter(Boolean))];
+
+// Listar campos personalizados de contato
+exports.getFields = async (req, res) => {
+  try {
+    const fields = await ContactField.find({ workspace: req.workspaceId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: fields
+    });
+  } catch (error) {
+    logger.error('Erro ao obter campos personalizados:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter campos personalizados',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Criar campo personalizado
+exports.createField = async (req, res) => {
+  try {
+    const { key, label, type, options, required } = req.body;
+
+    const existingField = await ContactField.findOne({ workspace: req.workspaceId, key });
+    if (existingField) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um campo com esta chave'
+      });
+    }
+
+    const fieldOptions = sanitizeOptions(options);
+    if (type === 'enum' && fieldOptions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe as opções do campo de lista'
+      });
+    }
+
+    const field = await ContactField.create({
+      workspace: req.workspaceId,
+      key,
+      label,
+      type: type || 'string',
+      options: type === 'enum' ? fieldOptions : [],
+      required: Boolean(required)
+    });
+
+    logger.info(`Campo personalizado de contato criado: ${field.key} (${field.type})`);
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Erro ao criar campo personalizado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar campo personalizado',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Atualizar campo personalizado (a chave não pode ser alterada)
+exports.updateField = async (req, res) => {
+  try {
+    const { label, type, options, required } = req.body;
+
+    const field = await ContactField.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campo personalizado não encontrado'
+      });
+    }
+
+    // Trocar o tipo invalidaria os valores já gravados nos contatos
+    if (type && type !== field.type) {
+      const contactsWithValue = await Contact.countDocuments({
+        workspace: req.workspaceId,
+        [`customFields.${field.key}`]: { $exists: true }
+      });
+      if (contactsWithValue > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Não é possível alterar o tipo: ${contactsWithValue} contatos já possuem valor neste campo`
+        });
+      }
+      field.type = type;
+    }
+
+    if (label !== undefined) field.label = label;
+    if (required !== undefined) field.required = Boolean(required);
+    if (options !== undefined || field.type !== 'enum') {
+      field.options = field.type === 'enum' ? sanitizeOptions(options) : [];
+    }
+
+    if (field.type === 'enum' && field.options.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe as opções do campo de lista'
+      });
+    }
+
+    await field.save();
+
+    res.status(200).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Erro ao atualizar campo personalizado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar campo personalizado',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Excluir campo personalizado e remover seus valores dos contatos
+exports.deleteField = async (req, res) => {
+  try {
+    const field = await ContactField.findOneAndDelete({ _id: req.params.id, workspace: req.workspaceId });
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campo personalizado não encontrado'
+      });
+    }
+
+    const result = await Contact.updateMany(
+      { workspace: req.workspaceId, [`customFields.${field.key}`]: { $exists: true } },
+      { $unset: { [`customFields.${field.key}`]: 1 } }
+    );
+
+    logger.info(`Campo personalizado ${field.key} excluído e removido de ${result.modifiedCount} contatos`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Campo personalizado excluído com sucesso'
+    });
+  } catch (error) {
+    logger.error('Erro ao excluir campo personalizado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir campo personalizado',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
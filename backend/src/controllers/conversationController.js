@@ -0,0 +1,246 @@
+const { Conversation, ConversationMessage, Contact, Instance } = require('../models');
+const EvolutionApiService = require('../services/evolutionApiService');
+const conversationService = require('../services/conversationService');
+const logger = require('../utils/logger');
+
+/**
+ * Lista as conversas (threads) com filtros e paginação
+ */
+exports.getConversations = async (req, res) => {
+  try {
+    const {
+      instanceName,
+      search,
+      unread,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = { workspace: req.workspaceId };
+
+    if (instanceName) filter.instanceName = instanceName;
+    if (unread === 'true') filter.unreadCount = { $gt: 0 };
+
+    if (search) {
+      const regex = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      const contactIds = await Contact.find({ workspace: req.workspaceId, name: regex }).distinct('_id');
+      filter.$or = [
+        { phone: regex },
+        { pushName: regex },
+        { contactId: { $in: contactIds } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const conversations = await Conversation.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate('contactId', 'name phone optedOut');
+
+    const total = await Conversation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          total,
+          page: Number(page),
+          limit: Number(limit),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar conversas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar conversas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Retorna os detalhes de uma conversa
+ */
+exports.getConversation = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, workspace: req.workspaceId })
+      .populate('contactId', 'name phone tags optedOut');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversa não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar conversa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar conversa',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Retorna o histórico de mensagens de uma conversa, da mais recente para a mais antiga
+ * O parâmetro "before" permite carregar mensagens anteriores a uma data (rolagem infinita)
+ */
+exports.getMessages = async (req, res) => {
+  try {
+    const { before, limit = 50 } = req.query;
+
+    const conversation = await Conversation.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversa não encontrada'
+      });
+    }
+
+    const filter = { conversationId: conversation._id };
+    if (before) {
+      const beforeDate = new Date(before);
+      if (!isNaN(beforeDate.getTime())) {
+        filter.timestamp = { $lt: beforeDate };
+      }
+    }
+
+    const messages = await ConversationMessage.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(Number(limit))
+      .populate('sentBy', 'name')
+      .populate('campaignId', 'name');
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        hasMore: messages.length === Number(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar mensagens da conversa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar mensagens da conversa',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Responde a uma conversa enviando texto ou mídia pela instância da conversa
+ */
+exports.sendReply = async (req, res) => {
+  try {
+    const { content, mediaUrl, mediaType } = req.body;
+
+    if (!mediaUrl && (!content || !content.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o texto da mensagem ou uma mídia'
+      });
+    }
+
+    const conversation = await Conversation.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversa não encontrada'
+      });
+    }
+
+    const instance = await Instance.findOne({ instanceName: conversation.instanceName, workspace: conversation.workspace });
+    if (!instance) {
+      return res.status(400).json({
+        success: false,
+        message: 'Instância da conversa não encontrada'
+      });
+    }
+
+    if (instance.status !== 'connected') {
+      return res.status(400).json({
+        success: false,
+        message: 'A instância da conversa não está conectada'
+      });
+    }
+
+    const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
+
+    const response = mediaUrl
+      ? await evolutionApi.sendMedia(instance.instanceName, conversation.phone, mediaUrl, content, mediaType)
+      : await evolutionApi.sendText(instance.instanceName, conversation.phone, content);
+
+    await conversationService.recordOutbound(instance.instanceName, {
+      phone: conversation.phone,
+      remoteJid: conversation.remoteJid,
+      contactId: conversation.contactId,
+      messageId: response?.key?.id,
+      content: content || '',
+      mediaUrl,
+      mediaType: mediaUrl ? mediaType : null,
+      sentBy: req.user.id
+    });
+
+    // Responder implica que a conversa foi lida
+    await Conversation.updateOne({ _id: conversation._id }, { unreadCount: 0 });
+
+    logger.info(`Resposta enviada na conversa ${conversation._id} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Mensagem enviada com sucesso',
+      data: response
+    });
+  } catch (error) {
+    logger.error('Erro ao responder conversa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao enviar mensagem',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Marca uma conversa como lida
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspaceId },
+      { unreadCount: 0 },
+      { new: true }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversa não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error('Erro ao marcar conversa como lida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao marcar conversa como lida',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -11,14 +11,18 @@ const mongoose = require('mongoose');
 // Obter estatísticas gerais do sistema
 exports.getStats = async (req, res) => {
   try {
+    // Estatísticas do workspace ativo
+    const workspace = req.workspaceId;
+
     // Contagens
-    const totalContacts = await Contact.countDocuments();
-    const totalCampaigns = await Campaign.countDocuments();
-    const totalTemplates = await Template.countDocuments();
-    const totalInstances = await Instance.countDocuments();
+    const totalContacts = await Contact.countDocuments({ workspace });
+    const totalCampaigns = await Campaign.countDocuments({ workspace });
+    const totalTemplates = await Template.countDocuments({ workspace });
+    const totalInstances = await Instance.countDocuments({ workspace });
     
     // Contagem de mensagens por status
     const messageStats = await Message.aggregate([
+      { $match: { workspace } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
     
@@ -39,11 +43,13 @@ exports.getStats = async (req, res) => {
     
     // Campanhas ativas
     const activeCampaigns = await Campaign.countDocuments({
+      workspace,
       status: { $in: ['queued', 'running'] }
     });
     
     // Instâncias conectadas
     const connectedInstances = await Instance.countDocuments({
+      workspace,
       status: 'connected'
     });
     
@@ -54,6 +60,7 @@ exports.getStats = async (req, res) => {
     const dailyStats = await Message.aggregate([
       {
         $match: {
+          workspace,
           sentAt: { $gte: last7Days },
           status: { $in: ['sent', 'delivered', 'read'] }
         }
@@ -128,7 +135,7 @@ exports.getStats = async (req, res) => {
 // Obter campanhas recentes
 exports.getRecentCampaigns = async (req, res) => {
   try {
-    const campaigns = await Campaign.find()
+    const campaigns = await Campaign.find({ workspace: req.workspaceId })
       .populate('templateId', 'name')
       .sort({ createdAt: -1 })
       .limit(5);
@@ -150,7 +157,7 @@ exports.getRecentCampaigns = async (req, res) => {
 // Obter mensagens recentes com falha
 exports.getRecentFailures = async (req, res) => {
   try {
-    const messages = await Message.find({ status: 'failed' })
+    const messages = await Message.find({ workspace: req.workspaceId, status: 'failed' })
       .populate('campaignId', 'name')
       .populate('contactId', 'phone name')
       .sort({ updatedAt: -1 })
@@ -173,8 +180,8 @@ exports.getRecentFailures = async (req, res) => {
 // Obter status das instâncias
 exports.getInstancesStatus = async (req, res) => {
   try {
-    const instances = await Instance.find()
-      .select('instanceName status lastConnection metrics')
+    const instances = await Instance.find({ workspace: req.workspaceId })
+      .select('instanceName status lastConnection metrics risk.score risk.level risk.evaluatedAt risk.cooldownUntil')
       .sort({ lastConnection: -1 });
     
     res.status(200).json({
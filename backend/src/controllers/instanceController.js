@@ -1,15 +1,24 @@
 const { Instance } = require('../models');
 const logger = require('../utils/logger');
 const EvolutionApiService = require('../services/evolutionApiService');
+const rateLimiterService = require('../services/rateLimiterService');
+const settingsService = require('../services/settingsService');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
+const instanceHealthService = require('../services/instanceHealthService');
+const instanceWarmupService = require('../services/instanceWarmupService');
 
 // Obter todas as instâncias
 exports.getInstances = async (req, res) => {
   try {
-    const instances = await Instance.find().select('-apiKey');
+    const instances = await Instance.find({ workspace: req.workspaceId }).select('-apiKey');
     
     res.status(200).json({
       success: true,
-      data: instances
+      data: instances.map(instance => ({
+        ...instance.toObject(),
+        warmupProgress: instanceWarmupService.getProgress(instance)
+      }))
     });
   } catch (error) {
     logger.error('Erro ao obter instâncias:', error);
@@ -24,9 +33,10 @@ exports.getInstances = async (req, res) => {
 // Sincronizar instâncias da Evolution API
 exports.syncFromEvolution = async (req, res) => {
   try {
+    const settings = await settingsService.get();
     logger.info('Iniciando sincronização de instâncias da Evolution API');
-    logger.info(`URL da Evolution API: ${process.env.EVOLUTION_API_URL}`);
-    logger.info(`Token da Evolution API: ${process.env.EVOLUTION_API_TOKEN ? process.env.EVOLUTION_API_TOKEN.substring(0, 8) + '...' : 'Não configurado'}`);
+    logger.info(`URL da Evolution API: ${settings.evolutionApiUrl}`);
+    logger.info(`Token da Evolution API: ${settings.evolutionApiKey ? settings.evolutionApiKey.substring(0, 8) + '...' : 'Não configurado'}`);
     
     // Buscar instâncias da Evolution API
     const evolutionData = await EvolutionApiService.getAllInstances();
@@ -43,6 +53,9 @@ exports.syncFromEvolution = async (req, res) => {
     
     const evolutionInstances = evolutionData.instances;
     let syncedCount = 0;
+    let skippedByQuota = 0;
+    const quota = await workspaceService.checkInstanceQuota(req.workspace);
+    let available = Math.max(0, quota.max - quota.used);
     
     logger.info(`Sincronizando ${evolutionInstances.length} instâncias da Evolution API`);
     console.log(`Sincronizando ${evolutionInstances.length} instâncias da Evolution API`);
@@ -70,11 +83,18 @@ exports.syncFromEvolution = async (req, res) => {
       const existingInstance = await Instance.findOne({ instanceName });
       
       if (!existingInstance) {
+        // Instâncias novas entram no workspace atual, respeitando a cota
+        if (available === 0) {
+          skippedByQuota++;
+          continue;
+        }
+        
         // Criar nova instância local com os dados da Evolution
         const newInstance = await Instance.create({
+          workspace: req.workspaceId,
           instanceName,
-          serverUrl: process.env.EVOLUTION_API_URL,
-          apiKey: process.env.EVOLUTION_API_TOKEN,
+          serverUrl: settings.evolutionApiUrl,
+          apiKey: settings.evolutionApiKey,
           status: connectionState === 'open' ? 'connected' : 'disconnected',
           owner,
           profileName,
@@ -84,8 +104,9 @@ exports.syncFromEvolution = async (req, res) => {
         
         logger.info(`Nova instância criada: ${instanceName} (${newInstance._id})`);
         console.log(`Nova instância criada: ${instanceName} (${newInstance._id})`);
+        available--;
         syncedCount++;
-      } else {
+      } else if (String(existingInstance.workspace) === String(req.workspaceId)) {
         // Atualizar instância existente
         await Instance.findByIdAndUpdate(
           existingInstance._id,
@@ -107,9 +128,17 @@ exports.syncFromEvolution = async (req, res) => {
     logger.info(`Sincronização concluída: ${syncedCount} instâncias processadas`);
     console.log(`Sincronização concluída: ${syncedCount} instâncias processadas`);
     
+    await auditService.record(req, {
+      action: 'instance.sync',
+      target: { type: 'instance', name: 'Evolution API' },
+      details: { synced: syncedCount, skippedByQuota }
+    });
+    
     res.status(200).json({
       success: true,
-      message: `${syncedCount} instâncias sincronizadas com sucesso`
+      message: skippedByQuota > 0
+        ? `${syncedCount} instâncias sincronizadas; ${skippedByQuota} não importadas por exceder a cota de ${quota.max} instâncias do workspace`
+        : `${syncedCount} instâncias sincronizadas com sucesso`
     });
   } catch (error) {
     logger.error('Erro ao sincronizar instâncias:', error);
@@ -125,7 +154,7 @@ exports.syncFromEvolution = async (req, res) => {
 // Obter uma instância específica
 exports.getInstance = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id).select('-apiKey');
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId }).select('-apiKey');
     
     if (!instance) {
       return res.status(404).json({
@@ -153,7 +182,7 @@ exports.createInstance = async (req, res) => {
   try {
     const { instanceName, serverUrl, apiKey } = req.body;
     
-    // Verificar se a instância já existe
+    // O nome identifica a instância na Evolution API, por isso é único entre todos os workspaces
     const existingInstance = await Instance.findOne({ instanceName });
     if (existingInstance) {
       return res.status(400).json({
@@ -162,8 +191,19 @@ exports.createInstance = async (req, res) => {
       });
     }
     
+    // Cota de instâncias do workspace
+    const quota = await workspaceService.checkInstanceQuota(req.workspace);
+    if (!quota.allowed) {
+      return res.status(403).json({
+        success: false,
+        code: 'INSTANCE_QUOTA_EXCEEDED',
+        message: `Limite de ${quota.max} instâncias do workspace atingido`
+      });
+    }
+    
     // Criar nova instância no sistema ZapStorm
     const instance = await Instance.create({
+      workspace: req.workspaceId,
       instanceName,
       serverUrl,
       apiKey,
@@ -189,6 +229,12 @@ exports.createInstance = async (req, res) => {
       // Continuar mesmo se a API falhar, permitindo configuração manual depois
     }
     
+    await auditService.record(req, {
+      action: 'instance.create',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      after: instance
+    });
+    
     res.status(201).json({
       success: true,
       data: {
@@ -213,13 +259,20 @@ exports.updateInstance = async (req, res) => {
   try {
     const { serverUrl, apiKey, throttling } = req.body;
     
+    // Estado anterior (com a apiKey) para o registro de auditoria
+    const previous = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    
+    // Limites alterados pelo usuário passam a ser os restaurados quando o risco de banimento baixar
+    const riskUpdate = throttling && previous?.risk?.originalThrottling ? { 'risk.originalThrottling': null } : {};
+    
     // Atualizar instância
-    const instance = await Instance.findByIdAndUpdate(
-      req.params.id,
+    const instance = await Instance.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspaceId },
       { 
         serverUrl,
         apiKey,
         throttling,
+        ...riskUpdate,
         lastUpdated: Date.now()
       },
       { new: true, runValidators: true }
@@ -232,6 +285,13 @@ exports.updateInstance = async (req, res) => {
       });
     }
     
+    await auditService.record(req, {
+      action: 'instance.update',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      before: previous,
+      after: await Instance.findById(instance._id)
+    });
+    
     res.status(200).json({
       success: true,
       data: instance
@@ -249,7 +309,7 @@ exports.updateInstance = async (req, res) => {
 // Excluir instância
 exports.deleteInstance = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id);
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!instance) {
       return res.status(404).json({
@@ -268,7 +328,14 @@ exports.deleteInstance = async (req, res) => {
     }
     
     // Excluir do banco de dados
-    await Instance.findByIdAndDelete(req.params.id);
+    await Instance.findByIdAndDelete(instance._id);
+    await rateLimiterService.reset(instance);
+    
+    await auditService.record(req, {
+      action: 'instance.delete',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      before: instance
+    });
     
     res.status(200).json({
       success: true,
@@ -284,10 +351,18 @@ exports.deleteInstance = async (req, res) => {
   }
 };
 
-// Conectar instância (gerar QR Code)
+// Conectar instância (gerar QR Code; com o número, também o código de pareamento)
 exports.connectInstance = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id);
+    const number = req.body && req.body.number ? String(req.body.number).replace(/\D/g, '') : null;
+    if (number !== null && (number.length < 10 || number.length > 15)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o número com DDI e DDD para gerar o código de pareamento'
+      });
+    }
+    
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!instance) {
       return res.status(404).json({
@@ -305,7 +380,14 @@ exports.connectInstance = async (req, res) => {
     // Chamar API Evolution para gerar QR Code
     try {
       const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
-      const response = await evolutionApi.connectInstance(instance.instanceName);
+      const response = await evolutionApi.connectInstance(instance.instanceName, number);
+      
+      await auditService.record(req, {
+        action: 'instance.connect',
+        target: { type: 'instance', id: instance._id, name: instance.instanceName },
+        before: { status: instance.status },
+        after: { status: 'connecting' }
+      });
       
       res.status(200).json({
         success: true,
@@ -339,7 +421,7 @@ exports.connectInstance = async (req, res) => {
 // Verificar estado da conexão
 exports.connectionState = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id);
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!instance) {
       return res.status(404).json({
@@ -415,7 +497,7 @@ exports.connectionState = async (req, res) => {
 // Desconectar instância
 exports.logoutInstance = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id);
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!instance) {
       return res.status(404).json({
@@ -429,12 +511,19 @@ exports.logoutInstance = async (req, res) => {
       const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
       const response = await evolutionApi.logoutInstance(instance.instanceName);
       
-      // Atualizar status no banco
+      // Atualizar status no banco; o supervisor de saúde não reconecta até um novo pareamento
       await Instance.findByIdAndUpdate(
         req.params.id,
-        { status: 'disconnected' }
+        { status: 'disconnected', 'health.loggedOut': true }
       );
       
+      await auditService.record(req, {
+        action: 'instance.logout',
+        target: { type: 'instance', id: instance._id, name: instance.instanceName },
+        before: { status: instance.status },
+        after: { status: 'disconnected' }
+      });
+      
       res.status(200).json({
         success: true,
         data: response
@@ -460,7 +549,7 @@ exports.logoutInstance = async (req, res) => {
 // Reiniciar instância
 exports.restartInstance = async (req, res) => {
   try {
-    const instance = await Instance.findById(req.params.id);
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!instance) {
       return res.status(404).json({
@@ -480,6 +569,13 @@ exports.restartInstance = async (req, res) => {
         { status: 'connecting' }
       );
       
+      await auditService.record(req, {
+        action: 'instance.restart',
+        target: { type: 'instance', id: instance._id, name: instance.instanceName },
+        before: { status: instance.status },
+        after: { status: 'connecting' }
+      });
+      
       res.status(200).json({
         success: true,
         data: response
@@ -516,9 +612,11 @@ exports.configureWebhook = async (req, res) => {
       });
     }
     
+    const previous = await Instance.findOne({ _id: id, workspace: req.workspaceId }).select('webhook');
+    
     // Atualizar configuração de webhook
-    const instance = await Instance.findByIdAndUpdate(
-      id,
+    const instance = await Instance.findOneAndUpdate(
+      { _id: id, workspace: req.workspaceId },
       {
         $set: {
           'webhook.enabled': enabled,
@@ -555,6 +653,13 @@ exports.configureWebhook = async (req, res) => {
       }
     }
     
+    await auditService.record(req, {
+      action: 'instance.configure_webhook',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      before: { webhook: previous.webhook },
+      after: { webhook: instance.webhook }
+    });
+    
     res.status(200).json({
       success: true,
       data: instance
@@ -574,7 +679,7 @@ exports.getWebhookStats = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const instance = await Instance.findById(id).select('instanceName webhook');
+    const instance = await Instance.findOne({ _id: id, workspace: req.workspaceId }).select('instanceName webhook');
     
     if (!instance) {
       return res.status(404).json({
@@ -604,4 +709,243 @@ exports.getWebhookStats = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Disponibilidade e histórico de verificações do supervisor de saúde
+exports.getInstanceHealth = async (req, res) => {
+  try {
+    const instance = await Instance.findOne({ _id: req.params.id, workspace: req.workspaceId })
+      .select('instanceName status health');
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 168);
+    const history = await instanceHealthService.getHistory(instance, hours);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        instanceName: instance.instanceName,
+        ...history
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao obter saúde da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter saúde da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Busca a instância do workspace para as rotas de aquecimento
+const findWarmupInstance = (req) =>
+  Instance.findOne({ _id: req.params.id, workspace: req.workspaceId })
+    .select('workspace instanceName throttling warmup risk');
+
+// Plano de aquecimento, andamento e limite de cada dia
+exports.getInstanceWarmup = async (req, res) => {
+  try {
+    const instance = await findWarmupInstance(req);
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    const enabled = Boolean(instance.warmup?.enabled);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        instanceName: instance.instanceName,
+        plan: enabled ? instance.warmup : null,
+        defaultPlan: instanceWarmupService.defaultPlan,
+        progress: instanceWarmupService.getProgress(instance),
+        schedule: enabled ? instanceWarmupService.getSchedule(instance.warmup) : [],
+        configuredDailyLimit: instance.throttling?.dailyLimit || null,
+        effectiveDailyLimit: instanceWarmupService.getEffectiveDailyLimit(instance)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao obter aquecimento da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter aquecimento da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Iniciar ou alterar o plano de aquecimento
+exports.saveInstanceWarmup = async (req, res) => {
+  try {
+    const { data, error } = instanceWarmupService.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const instance = await findWarmupInstance(req);
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    const restart = Boolean(req.body.restart);
+    const updated = await instanceWarmupService.savePlan(instance, data, { restart });
+    
+    await auditService.record(req, {
+      action: instanceWarmupService.isActive(instance.warmup) && !restart ? 'instance.warmup_update' : 'instance.warmup_start',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      before: { warmup: instance.warmup },
+      after: { warmup: updated.warmup }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plan: updated.warmup,
+        progress: instanceWarmupService.getProgress(updated)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao salvar aquecimento da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao salvar aquecimento da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Pausar o aquecimento (o limite fica no valor do dia atual)
+exports.pauseInstanceWarmup = async (req, res) => {
+  try {
+    const instance = await findWarmupInstance(req);
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    const updated = await instanceWarmupService.pause(instance, 'manual');
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'A instância não tem um aquecimento em andamento'
+      });
+    }
+    
+    await auditService.record(req, {
+      action: 'instance.warmup_pause',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plan: updated.warmup,
+        progress: instanceWarmupService.getProgress(updated)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao pausar aquecimento da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao pausar aquecimento da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Retomar o aquecimento do dia em que parou
+exports.resumeInstanceWarmup = async (req, res) => {
+  try {
+    const instance = await findWarmupInstance(req);
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    const result = await instanceWarmupService.resume(instance);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    await auditService.record(req, {
+      action: 'instance.warmup_resume',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plan: result.instance.warmup,
+        progress: instanceWarmupService.getProgress(result.instance)
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao retomar aquecimento da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao retomar aquecimento da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Encerrar o aquecimento (volta a valer apenas o limite diário de throttling)
+exports.cancelInstanceWarmup = async (req, res) => {
+  try {
+    const instance = await findWarmupInstance(req);
+    
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instância não encontrada'
+      });
+    }
+    
+    await instanceWarmupService.cancel(instance);
+    
+    await auditService.record(req, {
+      action: 'instance.warmup_cancel',
+      target: { type: 'instance', id: instance._id, name: instance.instanceName },
+      before: { warmup: instance.warmup }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Aquecimento encerrado'
+    });
+  } catch (error) {
+    logger.error('Erro ao encerrar aquecimento da instância:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar aquecimento da instância',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const messageService = require('../services/messageService');
+const logger = require('../utils/logger');
+
+// Mensagens avulsas (transacionais): usadas pelo painel (POST /api/messages/send)
+// e pela API pública (POST /api/v1/messages), que identifica a origem pela chave de API
+
+/**
+ * Envia uma mensagem avulsa para um telefone ou contato
+ * A chave de idempotência pode vir no cabeçalho Idempotency-Key ou no corpo (idempotencyKey)
+ */
+exports.sendMessage = async (req, res) => {
+  try {
+    const { phone, contactId, template, text, mediaUrl, mediaType, variables, instance } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+
+    const { message, duplicate, error, conflict } = await messageService.send(
+      req.workspaceId,
+      { phone, contactId, template, text, mediaUrl, mediaType, variables, instance, idempotencyKey },
+      req.apiKey ? { apiKey: req.apiKey._id } : { user: req.user.id }
+    );
+
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(duplicate ? 200 : 202).json({
+      success: true,
+      data: {
+        id: message._id,
+        status: message.status,
+        duplicate,
+        createdAt: message.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao enviar mensagem avulsa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao enviar mensagem',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Status de uma mensagem (avulsa ou de campanha) do workspace
+ */
+exports.getMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID da mensagem inválido'
+      });
+    }
+
+    const status = await messageService.getStatus(req.workspaceId, req.params.id);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mensagem não encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Erro ao consultar mensagem:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao consultar mensagem',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,305 @@
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+
+// Campos registrados na auditoria (o segredo nunca é registrado)
+const auditFields = (subscription) => ({
+  name: subscription.name,
+  url: subscription.url,
+  events: subscription.events,
+  active: subscription.active
+});
+
+/**
+ * Eventos que podem ser assinados
+ */
+exports.getEvents = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }))
+  });
+};
+
+/**
+ * Lista os webhooks de saída do workspace ativo (o segredo nunca é retornado)
+ */
+exports.getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ workspace: req.workspaceId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    logger.error('Erro ao listar webhooks de saída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar webhooks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cria um webhook; o segredo de assinatura é retornado somente nesta resposta
+ */
+exports.createSubscription = async (req, res) => {
+  try {
+    const { data, error } = await outboundWebhookService.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { subscription, secret } = await outboundWebhookService.create(req.workspaceId, data, {
+      id: req.user.id,
+      name: req.user.name
+    });
+
+    await auditService.record(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: subscription._id, name: subscription.name },
+      after: auditFields(subscription)
+    });
+
+    const result = subscription.toObject();
+    delete result.secret;
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook criado. Copie o segredo agora: ele não será exibido novamente',
+      data: { ...result, secret }
+    });
+  } catch (error) {
+    logger.error('Erro ao criar webhook de saída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Atualiza nome, URL, eventos ou ativa/desativa o webhook
+ */
+exports.updateSubscription = async (req, res) => {
+  try {
+    const { data, error } = await outboundWebhookService.validate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const previous = await WebhookSubscription.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook não encontrado'
+      });
+    }
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      previous._id,
+      { ...data, lastUpdated: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    await auditService.record(req, {
+      action: 'webhook.update',
+      target: { type: 'webhook', id: subscription._id, name: subscription.name },
+      before: auditFields(previous),
+      after: auditFields(subscription)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar webhook de saída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exclui o webhook e o seu histórico de entregas
+ */
+exports.deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findOneAndDelete({ _id: req.params.id, workspace: req.workspaceId });
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook não encontrado'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    await auditService.record(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: subscription._id, name: subscription.name },
+      before: auditFields(subscription)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook excluído'
+    });
+  } catch (error) {
+    logger.error('Erro ao excluir webhook de saída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Gera um novo segredo de assinatura; o anterior deixa de valer imediatamente
+ */
+exports.rotateSecret = async (req, res) => {
+  try {
+    const result = await outboundWebhookService.rotateSecret(req.workspaceId, req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook não encontrado'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'webhook.rotate_secret',
+      target: { type: 'webhook', id: result.subscription._id, name: result.subscription.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Novo segredo gerado. Copie-o agora: ele não será exibido novamente',
+      data: { secret: result.secret }
+    });
+  } catch (error) {
+    logger.error('Erro ao gerar segredo do webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar novo segredo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Agenda uma entrega de teste (evento ping) para o webhook
+ */
+exports.testSubscription = async (req, res) => {
+  try {
+    const { delivery, error } = await outboundWebhookService.sendTest(req.workspaceId, req.params.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Evento de teste agendado; acompanhe o resultado nas entregas',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Erro ao testar webhook de saída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao testar webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Histórico de entregas do workspace, com filtros por webhook, evento e status
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 25, subscription, event, status } = req.query;
+
+    const query = { workspace: req.workspaceId };
+    if (subscription) query.subscription = subscription;
+    if (event) query.event = event;
+    if (status) query.status = status;
+
+    const total = await WebhookDelivery.countDocuments(query);
+    const deliveries = await WebhookDelivery.find(query)
+      .populate('subscription', 'name url')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          total,
+          page: Number(page),
+          limit: Number(limit),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar entregas de webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar entregas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reenvia o evento de uma entrega (com o mesmo ID de evento) em uma nova entrega
+ */
+exports.replayDelivery = async (req, res) => {
+  try {
+    const { delivery, error } = await outboundWebhookService.replay(req.workspaceId, req.params.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'webhook.replay',
+      target: { type: 'webhook', id: delivery.subscription },
+      details: { deliveryId: req.params.id, replayId: delivery._id, event: delivery.event }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reenvio agendado',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Erro ao reenviar entrega de webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao reenviar entrega',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
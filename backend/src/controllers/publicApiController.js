@@ -0,0 +1,102 @@
+const { Contact } = require('../models');
+const contactFieldService = require('../services/contactFieldService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// API pública (/api/v1): autenticada por chave de API, sempre no workspace da chave
+
+/**
+ * Cria ou atualiza um contato pelo telefone
+ * Campos omitidos são mantidos; tags informadas substituem as atuais
+ */
+exports.upsertContact = async (req, res) => {
+  try {
+    const { phone, name, tags, customFields } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Telefone (phone) é obrigatório'
+      });
+    }
+
+    const phoneFields = Contact.formatPhone(phone);
+    if (!/^\+[1-9]\d{1,14}$/.test(phoneFields.phone)) {
+      return res.status(400).json({
+        success: false,
+        message: `${phone} não é um número de telefone válido`
+      });
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return res.status(400).json({
+        success: false,
+        message: 'As tags devem ser uma lista'
+      });
+    }
+
+    const existing = await Contact.phoneExists(phoneFields.phone, req.workspaceId);
+
+    // Na criação, os campos personalizados obrigatórios precisam ser informados
+    const fields = await contactFieldService.getFields(req.workspaceId);
+    const customValues = contactFieldService.validateValues(customFields, fields, { partial: Boolean(existing) });
+    if (customValues.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: customValues.errors.join('; ')
+      });
+    }
+
+    if (!existing) {
+      const contact = await Contact.create({
+        workspace: req.workspaceId,
+        ...phoneFields,
+        name,
+        tags: tags || [],
+        customFields: customValues.set
+      });
+
+      await auditService.record(req, {
+        action: 'contact.create',
+        target: { type: 'contact', id: contact._id, name: contact.name || contact.phone },
+        after: contact
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { created: true, contact }
+      });
+    }
+
+    const update = { lastUpdated: Date.now() };
+    if (name !== undefined) update.name = name;
+    if (tags !== undefined) update.tags = tags;
+    Object.keys(customValues.set).forEach(key => {
+      update[`customFields.${key}`] = customValues.set[key];
+    });
+    if (customValues.unset.length > 0) {
+      update.$unset = Object.fromEntries(customValues.unset.map(key => [`customFields.${key}`, 1]));
+    }
+
+    const contact = await Contact.findByIdAndUpdate(existing._id, update, { new: true, runValidators: true });
+
+    await auditService.record(req, {
+      action: 'contact.update',
+      target: { type: 'contact', id: contact._id, name: contact.name || contact.phone },
+      before: existing,
+      after: contact
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { created: false, contact }
+    });
+  } catch (error) {
+    logger.error('Erro ao salvar contato pela API pública:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao salvar contato',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
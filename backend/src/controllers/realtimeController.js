@@ -0,0 +1,9 @@
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Fluxo de eventos em tempo real (SSE) do workspace ativo: métricas de campanhas,
+ * status de mensagens, conexão das instâncias e novos alertas
+ */
+exports.stream = (req, res) => {
+  realtimeService.addClient(req, res);
+};
@@ -0,0 +1,296 @@
+const { Segment, Campaign, Contact } = require('../models');
+const segmentService = require('../services/segmentService');
+const settingsService = require('../services/settingsService');
+const logger = require('../utils/logger');
+
+// Quantidade de contatos exibidos como amostra na prévia do segmento
+const PREVIEW_SAMPLE_SIZE = 5;
+
+// Listar segmentos
+exports.getSegments = async (req, res) => {
+  try {
+    const segments = await Segment.find({ workspace: req.workspaceId }).sort({ name: 1 });
+
+    // Contagens mais antigas que o tempo de cache das Configurações são recalculadas
+    const { cacheExpiration } = await settingsService.get();
+    const staleBefore = Date.now() - cacheExpiration * 1000;
+    for (const segment of segments) {
+      if (segment.countedAt && segment.countedAt.getTime() > staleBefore) continue;
+
+      const { count, errors } = await segmentService.count(segment.rules, req.workspaceId);
+      if (errors.length > 0) continue;
+
+      segment.contactCount = count;
+      segment.countedAt = new Date();
+      await Segment.updateOne({ _id: segment._id }, { contactCount: count, countedAt: segment.countedAt });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: segments
+    });
+  } catch (error) {
+    logger.error('Erro ao obter segmentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter segmentos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Obter segmento por ID
+exports.getSegment = async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, workspace: req.workspaceId });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento não encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    logger.error('Erro ao obter segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Pré-visualizar regras (contagem e amostra de contatos) sem salvar
+exports.previewSegment = async (req, res) => {
+  try {
+    const { query, errors } = await segmentService.compile(req.body.rules, { workspace: req.workspaceId });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const [count, sample] = await Promise.all([
+      Contact.countDocuments(query).eligible(),
+      Contact.find(query).eligible().select('name phone tags').sort({ name: 1 }).limit(PREVIEW_SAMPLE_SIZE)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { count, sample }
+    });
+  } catch (error) {
+    logger.error('Erro ao pré-visualizar segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao pré-visualizar segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Recalcular a contagem de um segmento salvo
+exports.countSegment = async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, workspace: req.workspaceId });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento não encontrado'
+      });
+    }
+
+    const { count, errors } = await segmentService.count(segment.rules, req.workspaceId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    segment.contactCount = count;
+    segment.countedAt = new Date();
+    await segment.save();
+
+    res.status(200).json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Erro ao contar contatos do segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao contar contatos do segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Criar segmento
+exports.createSegment = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const existingSegment = await Segment.findOne({ workspace: req.workspaceId, name });
+    if (existingSegment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um segmento com este nome'
+      });
+    }
+
+    const { query, rules, errors } = await segmentService.compile(req.body.rules, { workspace: req.workspaceId });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const segment = await Segment.create({
+      workspace: req.workspaceId,
+      name,
+      description,
+      rules,
+      contactCount: await Contact.countDocuments(query).eligible(),
+      countedAt: new Date(),
+      createdBy: req.user?.id || null
+    });
+
+    logger.info(`Segmento criado: ${segment.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Erro ao criar segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Atualizar segmento
+exports.updateSegment = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const segment = await Segment.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento não encontrado'
+      });
+    }
+
+    if (name && name !== segment.name) {
+      const existingSegment = await Segment.findOne({ workspace: req.workspaceId, name });
+      if (existingSegment) {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe um segmento com este nome'
+        });
+      }
+      segment.name = name;
+    }
+
+    if (description !== undefined) segment.description = description;
+
+    if (req.body.rules !== undefined) {
+      const { query, rules, errors } = await segmentService.compile(req.body.rules, { workspace: req.workspaceId });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('; '),
+          errors
+        });
+      }
+
+      segment.rules = rules;
+      segment.contactCount = await Contact.countDocuments(query).eligible();
+      segment.countedAt = new Date();
+    }
+
+    await segment.save();
+
+    res.status(200).json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Erro ao atualizar segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Excluir segmento
+exports.deleteSegment = async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento não encontrado'
+      });
+    }
+
+    // Campanhas ainda não concluídas dependem do segmento para buscar os contatos
+    const campaignsInUse = await Campaign.countDocuments({
+      workspace: req.workspaceId,
+      segmentId: segment._id,
+      status: { $nin: ['completed', 'canceled'] }
+    });
+    if (campaignsInUse > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Segmento em uso por ${campaignsInUse} campanha(s) não concluída(s)`
+      });
+    }
+
+    await Segment.findByIdAndDelete(segment._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Segmento excluído com sucesso'
+    });
+  } catch (error) {
+    logger.error('Erro ao excluir segmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir segmento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
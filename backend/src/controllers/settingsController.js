@@ -0,0 +1,56 @@
+const settingsService = require('../services/settingsService');
+const logger = require('../utils/logger');
+
+// Obter configurações do sistema
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.load();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Erro ao obter configurações:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter configurações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Atualizar configurações do sistema (aplicadas pelos workers sem reinício)
+exports.updateSettings = async (req, res) => {
+  try {
+    const { settings, error } = await settingsService.update(req.body, req.user.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    logger.info(`Configurações do sistema atualizadas por ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Erro ao atualizar configurações:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar configurações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
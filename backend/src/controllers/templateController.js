@@ -1,5 +1,22 @@
-const { Template } = require('../models');
+const { Template, Contact } = require('../models');
 const logger = require('../utils/logger');
+const templateRenderer = require('../utils/templateRenderer');
+const contactFieldService = require('../services/contactFieldService');
+const auditService = require('../services/auditService');
+
+// Contato fictício usado na pré-visualização quando nenhum contato é informado
+const SAMPLE_CONTACT = {
+  name: 'Cliente Exemplo',
+  phone: '+5511999999999',
+  tags: []
+};
+
+// Avisos sobre variáveis do template que não correspondem a campos do contato
+const getTemplateWarnings = async (content, workspace) => {
+  const customFields = await contactFieldService.getKeys(workspace);
+  const unknownVariables = templateRenderer.findUnknownVariables(content, { customFields });
+  return unknownVariables.length > 0 ? { unknownVariables } : undefined;
+};
 
 // Obter todos os templates com paginação e filtros
 exports.getTemplates = async (req, res) => {
@@ -9,7 +26,7 @@ exports.getTemplates = async (req, res) => {
     const search = req.query.search || '';
     
     // Construir query com filtros
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (search) {
       query.$or = [
@@ -48,7 +65,7 @@ exports.getTemplates = async (req, res) => {
 // Obter um template específico
 exports.getTemplate = async (req, res) => {
   try {
-    const template = await Template.findById(req.params.id);
+    const template = await Template.findOne({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!template) {
       return res.status(404).json({
@@ -77,7 +94,7 @@ exports.createTemplate = async (req, res) => {
     const { name, content, mediaUrl, mediaType } = req.body;
     
     // Verificar se o nome já existe
-    const existingTemplate = await Template.findOne({ name });
+    const existingTemplate = await Template.findOne({ workspace: req.workspaceId, name });
     if (existingTemplate) {
       return res.status(400).json({
         success: false,
@@ -87,15 +104,23 @@ exports.createTemplate = async (req, res) => {
     
     // Criar novo template
     const template = await Template.create({
+      workspace: req.workspaceId,
       name,
       content,
       mediaUrl,
       mediaType: mediaType || 'none'
     });
     
+    await auditService.record(req, {
+      action: 'template.create',
+      target: { type: 'template', id: template._id, name: template.name },
+      after: template
+    });
+    
     res.status(201).json({
       success: true,
-      data: template
+      data: template,
+      warnings: await getTemplateWarnings(template.content, req.workspaceId)
     });
   } catch (error) {
     logger.error('Erro ao criar template:', error);
@@ -115,6 +140,7 @@ exports.updateTemplate = async (req, res) => {
     // Verificar se o nome já existe em outro template
     if (name) {
       const existingTemplate = await Template.findOne({ 
+        workspace: req.workspaceId,
         name, 
         _id: { $ne: req.params.id } 
       });
@@ -127,14 +153,19 @@ exports.updateTemplate = async (req, res) => {
       }
     }
     
-    // Buscar e atualizar template
-    const template = await Template.findByIdAndUpdate(
-      req.params.id,
+    const previous = await Template.findOne({ _id: req.params.id, workspace: req.workspaceId });
+    
+    // Buscar e atualizar template (o hook de save não roda aqui, então as variáveis são recalculadas)
+    const template = await Template.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspaceId },
       { 
         name,
         content,
         mediaUrl,
         mediaType,
+        ...(content !== undefined && {
+          variables: templateRenderer.extractVariables(content).map(variable => variable.path)
+        }),
         lastUpdated: Date.now()
       },
       { new: true, runValidators: true }
@@ -147,9 +178,17 @@ exports.updateTemplate = async (req, res) => {
       });
     }
     
+    await auditService.record(req, {
+      action: 'template.update',
+      target: { type: 'template', id: template._id, name: template.name },
+      before: previous,
+      after: template
+    });
+    
     res.status(200).json({
       success: true,
-      data: template
+      data: template,
+      warnings: await getTemplateWarnings(template.content, req.workspaceId)
     });
   } catch (error) {
     logger.error('Erro ao atualizar template:', error);
@@ -164,7 +203,7 @@ exports.updateTemplate = async (req, res) => {
 // Excluir template
 exports.deleteTemplate = async (req, res) => {
   try {
-    const template = await Template.findByIdAndDelete(req.params.id);
+    const template = await Template.findOneAndDelete({ _id: req.params.id, workspace: req.workspaceId });
     
     if (!template) {
       return res.status(404).json({
@@ -173,6 +212,12 @@ exports.deleteTemplate = async (req, res) => {
       });
     }
     
+    await auditService.record(req, {
+      action: 'template.delete',
+      target: { type: 'template', id: template._id, name: template.name },
+      before: template
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Template excluído com sucesso'
@@ -191,10 +236,10 @@ exports.deleteTemplate = async (req, res) => {
 exports.previewTemplate = async (req, res) => {
   try {
     const { id } = req.params;
-    const { variables } = req.body;
+    const { variables, contactId } = req.body;
     
     // Obter o template
-    const template = await Template.findById(id);
+    const template = await Template.findOne({ _id: id, workspace: req.workspaceId });
     
     if (!template) {
       return res.status(404).json({
@@ -203,24 +248,30 @@ exports.previewTemplate = async (req, res) => {
       });
     }
     
-    // Substituir variáveis no conteúdo
-    let previewContent = template.content;
-    
-    if (variables && typeof variables === 'object') {
-      Object.keys(variables).forEach(key => {
-        const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-        previewContent = previewContent.replace(regex, variables[key]);
-      });
+    // Usar um contato real quando informado, para conferir os campos do contato
+    let contact = SAMPLE_CONTACT;
+    if (contactId) {
+      contact = await Contact.findOne({ _id: contactId, workspace: req.workspaceId });
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contato não encontrado'
+        });
+      }
     }
     
+    const values = variables && typeof variables === 'object' ? variables : {};
+    const customFields = await contactFieldService.getKeys(req.workspaceId);
+    
     res.status(200).json({
       success: true,
       data: {
-        preview: previewContent,
+        preview: templateRenderer.render(template.content, { contact, variables: values }),
         original: template.content,
         mediaUrl: template.mediaUrl,
         mediaType: template.mediaType,
-        variables: template.variables
+        variables: template.variables,
+        unknownVariables: templateRenderer.findUnknownVariables(template.content, { variables: values, customFields })
       }
     });
   } catch (error) {
@@ -0,0 +1,195 @@
+const { User } = require('../models');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Situação da autenticação em dois fatores do usuário logado
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await twoFactorService.isRequiredFor(user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? await twoFactorService.countRecoveryCodes(user._id) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao obter status da autenticação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter status da autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Iniciar ativação: gera o segredo e o QR code para o aplicativo autenticador
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'A autenticação em dois fatores já está ativa'
+      });
+    }
+
+    const enrollment = await twoFactorService.startEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    logger.error('Erro ao iniciar autenticação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao iniciar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Concluir ativação com o primeiro código; retorna os códigos de recuperação uma única vez
+exports.enable = async (req, res) => {
+  try {
+    const { recoveryCodes, error } = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Erro ao ativar autenticação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao ativar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Desativar (exige senha e código)
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (await twoFactorService.isRequiredFor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A autenticação em dois fatores é obrigatória para o seu perfil de acesso'
+      });
+    }
+
+    // 400 (e não 401) para não ser tratado como sessão expirada pelo frontend
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Senha incorreta'
+      });
+    }
+
+    const { valid } = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+    logger.info(`Autenticação em dois fatores desativada por ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticação em dois fatores desativada'
+    });
+  } catch (error) {
+    logger.error('Erro ao desativar autenticação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao desativar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Gerar novos códigos de recuperação (exige código do aplicativo)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { valid } = await twoFactorService.verify(req.user.id, { code: req.body.code });
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Novos códigos de recuperação gerados; os anteriores deixaram de valer',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Erro ao gerar códigos de recuperação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar códigos de recuperação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remover a autenticação em dois fatores de um usuário que perdeu o dispositivo (admin)
+ */
+exports.resetForUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+    logger.info(`Autenticação em dois fatores de ${user.email} removida por ${req.user.email}`);
+
+    await auditService.record(req, {
+      action: 'user.two_factor_reset',
+      target: { type: 'user', id: user._id, name: user.email },
+      workspace: null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticação em dois fatores removida. O usuário poderá ativá-la novamente'
+    });
+  } catch (error) {
+    logger.error('Erro ao remover autenticação em dois fatores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
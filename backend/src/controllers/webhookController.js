@@ -1,10 +1,15 @@
 const { Message, Instance, Campaign } = require('../models');
 const logger = require('../utils/logger');
 const { Contact } = require('../models');
-const { Alert } = require('../models');
 const WebhookLog = require('../models/WebhookLog');
 const crypto = require('crypto');
 const webhookQueueService = require('../services/webhookQueueService');
+const optOutService = require('../services/optOutService');
+const conversationService = require('../services/conversationService');
+const messageStatusService = require('../services/messageStatusService');
+const instanceConnectionService = require('../services/instanceConnectionService');
+const auditService = require('../services/auditService');
+const { extractUpsertMessages, extractStatusUpdates } = require('../utils/evolutionPayload');
 
 /**
  * Processa webhooks da API Evolution
@@ -238,50 +243,10 @@ const validateWebhook = async (req) => {
   return { valid: true };
 };
 
-// Função auxiliar para atualizar status da instância
-const updateInstanceStatus = async (instanceName, status) => {
-  try {
-    if (!instanceName) {
-      logger.warn('Nome da instância não fornecido para atualização de status');
-      return;
-    }
-    
-    await Instance.findOneAndUpdate(
-      { instanceName },
-      { 
-        status,
-        lastUpdated: new Date()
-      },
-      { upsert: false, new: true }
-    );
-    
-    logger.info(`Status da instância ${instanceName} atualizado para ${status}`);
-  } catch (error) {
-    logger.error(`Erro ao atualizar status da instância ${instanceName}:`, error);
-  }
-};
-
 // Handler para evento CONNECTION_UPDATE
 const handleConnectionUpdate = async (instanceName, data) => {
   try {
-    if (!data.connection) return;
-    
-    const status = data.connection.state || 'UNKNOWN';
-    
-    // Atualizar status da instância
-    await updateInstanceStatus(instanceName, status);
-    
-    // Criar alerta para certos status
-    if (['DISCONNECTED', 'CONNECTED'].includes(status)) {
-      await Alert.create({
-        type: status === 'CONNECTED' ? 'success' : 'warning',
-        title: status === 'CONNECTED' ? 'Instância Conectada' : 'Instância Desconectada',
-        message: `A instância ${instanceName} está ${status === 'CONNECTED' ? 'online' : 'offline'}`,
-        source: 'whatsapp',
-        sourceId: instanceName,
-        read: false
-      });
-    }
+    await instanceConnectionService.applyConnectionUpdate(instanceName, data);
   } catch (error) {
     logger.error('Erro ao processar CONNECTION_UPDATE:', error);
   }
@@ -290,27 +255,7 @@ const handleConnectionUpdate = async (instanceName, data) => {
 // Handler para evento QRCODE_UPDATED
 const handleQrCodeUpdated = async (instanceName, data) => {
   try {
-    if (!data.qrcode) return;
-    
-    // Atualizar QR code na instância
-    await Instance.findOneAndUpdate(
-      { instanceName },
-      { 
-        qrcode: data.qrcode,
-        status: 'WAITING_FOR_SCAN',
-        lastUpdated: new Date()
-      }
-    );
-    
-    // Criar alerta para notificar sobre o novo QR code
-    await Alert.create({
-      type: 'info',
-      title: 'QR Code Atualizado',
-      message: `Novo QR code disponível para instância ${instanceName}`,
-      source: 'whatsapp',
-      sourceId: instanceName,
-      read: false
-    });
+    await instanceConnectionService.publishQrCode(instanceName, data);
   } catch (error) {
     logger.error('Erro ao processar QRCODE_UPDATED:', error);
   }
@@ -320,12 +265,21 @@ const handleQrCodeUpdated = async (instanceName, data) => {
 const handleMessagesUpsert = async (instanceName, data) => {
   try {
     logger.info(`Processando mensagens para instância ${instanceName}`);
-    // Implementação simplificada
-    if (!data.messages || !Array.isArray(data.messages)) {
+    const messages = extractUpsertMessages(data);
+    if (messages.length === 0) {
       return;
     }
     
-    logger.info(`Recebidas ${data.messages.length} mensagens para processar`);
+    logger.info(`Recebidas ${messages.length} mensagens para processar`);
+
+    // Registrar conversas e verificar pedidos de descadastro nas respostas dos contatos
+    for (const message of messages) {
+      if (!message?.key || message.messageStubType) continue;
+      await conversationService.saveWebhookMessage(instanceName, message);
+      if (!message.key.fromMe) {
+        await optOutService.processInboundMessage(instanceName, message);
+      }
+    }
   } catch (error) {
     logger.error('Erro ao processar MESSAGES_UPSERT:', error);
   }
@@ -335,7 +289,10 @@ const handleMessagesUpsert = async (instanceName, data) => {
 const handleMessagesUpdate = async (instanceName, data) => {
   try {
     logger.info(`Processando atualização de mensagens para instância ${instanceName}`);
-    // Implementação simplificada
+    for (const update of extractStatusUpdates(data)) {
+      if (update.fromMe === false) continue;
+      await messageStatusService.applyStatus(instanceName, update.messageId, update.status);
+    }
   } catch (error) {
     logger.error('Erro ao processar MESSAGES_UPDATE:', error);
   }
@@ -355,7 +312,9 @@ const handleMessagesDelete = async (instanceName, data) => {
 const handleSendMessage = async (instanceName, data) => {
   try {
     logger.info(`Processando envio de mensagem para instância ${instanceName}`);
-    // Implementação simplificada
+    for (const update of extractStatusUpdates(data)) {
+      await messageStatusService.applyStatus(instanceName, update.messageId, update.status);
+    }
   } catch (error) {
     logger.error('Erro ao processar SEND_MESSAGE:', error);
   }
@@ -482,7 +441,7 @@ exports.processSendMessage = async (req, res) => {
 exports.getWebhookLogs = async (req, res) => {
   try {
     const { instanceName, event, status, limit = 50, page = 1 } = req.query;
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (instanceName) query.instanceName = instanceName;
     if (event) query.event = event;
@@ -522,7 +481,7 @@ exports.getWebhookLogs = async (req, res) => {
 exports.clearWebhookLogs = async (req, res) => {
   try {
     const { instanceName, olderThan } = req.body;
-    const query = {};
+    const query = { workspace: req.workspaceId };
     
     if (instanceName) query.instanceName = instanceName;
     
@@ -534,6 +493,12 @@ exports.clearWebhookLogs = async (req, res) => {
     
     const result = await WebhookLog.deleteMany(query);
     
+    await auditService.record(req, {
+      action: 'webhook.clear_logs',
+      target: { type: 'webhook', name: instanceName || 'Todas as instâncias' },
+      details: { deleted: result.deletedCount, instanceName, olderThan }
+    });
+    
     res.status(200).json({
       success: true,
       data: {
@@ -579,6 +544,13 @@ exports.clearQueue = async (req, res) => {
     const result = await webhookQueueService.clearQueue();
     
     if (result.success) {
+      // A fila é compartilhada por todos os workspaces
+      await auditService.record(req, {
+        action: 'webhook.clear_queue',
+        target: { type: 'webhook', name: 'Fila de webhooks' },
+        workspace: null
+      });
+      
       res.status(200).json({
         success: true,
         message: 'Fila de webhooks limpa com sucesso'
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const { Workspace, User, Instance } = require('../models');
+const workspaceService = require('../services/workspaceService');
+const auditService = require('../services/auditService');
+const { ROLE_NAMES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Workspaces que o usuário logado pode abrir
+exports.getWorkspaces = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const workspaces = await workspaceService.listForUser(user);
+
+    res.status(200).json({
+      success: true,
+      data: workspaces
+    });
+  } catch (error) {
+    logger.error('Erro ao listar workspaces:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar workspaces',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Workspace ativo com o uso das cotas
+exports.getCurrentWorkspace = async (req, res) => {
+  try {
+    if (!req.workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Você ainda não participa de nenhum workspace'
+      });
+    }
+
+    const instances = await Instance.countDocuments({ workspace: req.workspaceId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...req.workspace.toObject(),
+        role: req.user.workspaceRole,
+        usage: { instances }
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao obter workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao obter workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Criar workspace (administrador do sistema)
+exports.createWorkspace = async (req, res) => {
+  try {
+    const creator = await User.findById(req.user.id);
+    const { workspace, error } = await workspaceService.create(req.body, creator);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    logger.error('Erro ao criar workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Atualizar nome, situação e cotas do workspace (administrador do sistema)
+exports.updateWorkspace = async (req, res) => {
+  try {
+    const { name, active, quotas } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID do workspace inválido'
+      });
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = String(name).trim();
+    if (typeof active === 'boolean') update.active = active;
+    if (quotas?.maxInstances !== undefined) {
+      const maxInstances = Number(quotas.maxInstances);
+      if (!Number.isInteger(maxInstances) || maxInstances < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A cota de instâncias deve ser um número inteiro maior ou igual a zero'
+        });
+      }
+      update['quotas.maxInstances'] = maxInstances;
+    }
+
+    const workspace = await Workspace.findByIdAndUpdate(
+      req.params.id,
+      { ...update, lastUpdated: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace não encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Membros do workspace ativo
+exports.getMembers = async (req, res) => {
+  try {
+    const users = await User.find({ 'workspaces.workspace': req.workspaceId })
+      .select('name email active lastLogin workspaces')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: users.map(user => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        active: user.active,
+        lastLogin: user.lastLogin,
+        role: user.getWorkspaceRole(req.workspaceId)
+      }))
+    });
+  } catch (error) {
+    logger.error('Erro ao listar membros do workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao listar membros do workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Adicionar um usuário existente (pelo email) ao workspace ativo
+exports.addMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Papel inválido. Use: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
+    const user = await User.findOne({ email: String(email || '').trim().toLowerCase() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum usuário com este email. Peça a um administrador do sistema para criar a conta'
+      });
+    }
+
+    if (user.getWorkspaceRole(req.workspaceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'O usuário já é membro deste workspace'
+      });
+    }
+
+    await workspaceService.setMember(req.workspaceId, user._id, role);
+    logger.info(`${user.email} adicionado ao workspace ${req.workspace.slug} como ${role} por ${req.user.email}`);
+
+    await auditService.record(req, {
+      action: 'user.member_add',
+      target: { type: 'user', id: user._id, name: user.email },
+      after: { role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Membro adicionado ao workspace'
+    });
+  } catch (error) {
+    logger.error('Erro ao adicionar membro ao workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao adicionar membro ao workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Alterar o papel de um membro no workspace ativo
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Papel inválido. Use: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
+    // Evitar que o administrador do workspace perca o próprio acesso
+    if (req.params.userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Você não pode alterar o seu próprio papel'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, 'workspaces.workspace': req.workspaceId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membro não encontrado neste workspace'
+      });
+    }
+
+    await workspaceService.setMember(req.workspaceId, user._id, role);
+
+    await auditService.record(req, {
+      action: 'user.member_update',
+      target: { type: 'user', id: user._id, name: user.email },
+      before: { role: user.getWorkspaceRole(req.workspaceId) },
+      after: { role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Papel do membro atualizado'
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar membro do workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar membro do workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remover um membro do workspace ativo
+exports.removeMember = async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Você não pode remover a si mesmo do workspace'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, 'workspaces.workspace': req.workspaceId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membro não encontrado neste workspace'
+      });
+    }
+
+    await workspaceService.removeMember(req.workspaceId, user._id);
+    logger.info(`${user.email} removido do workspace ${req.workspace.slug} por ${req.user.email}`);
+
+    await auditService.record(req, {
+      action: 'user.member_remove',
+      target: { type: 'user', id: user._id, name: user.email },
+      before: { role: user.getWorkspaceRole(req.workspaceId) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Membro removido do workspace'
+    });
+  } catch (error) {
+    logger.error('Erro ao remover membro do workspace:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover membro do workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,66 @@
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Autenticação da API pública (/api/v1) por chave de API
+ * A chave pode vir em X-Api-Key ou em Authorization: Bearer zs_...
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const key = req.headers['x-api-key'] || (authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Chave de API não fornecida. Use o cabeçalho X-Api-Key'
+      });
+    }
+
+    const { apiKey, workspace, error } = await apiKeyService.authenticate(key, req.ip);
+    if (error) {
+      logger.warn(`Chave de API recusada em ${req.method} ${req.originalUrl}: ${error}`);
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Sem req.user: as rotas da API pública verificam os escopos da chave (requireScope)
+    req.apiKey = apiKey;
+    req.workspace = workspace;
+    req.workspaceId = workspace._id;
+
+    next();
+  } catch (error) {
+    logger.error(`Erro de autenticação por chave de API: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro de autenticação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Middleware para exigir escopos (todos os informados) da chave de API
+// Uso: router.post('/messages', requireScope('message:send'), ...)
+const requireScope = (...scopes) => (req, res, next) => {
+  const granted = req.apiKey?.scopes || [];
+  const missing = scopes.filter(scope => !granted.includes(scope));
+
+  if (req.apiKey && missing.length === 0) {
+    return next();
+  }
+
+  logger.warn(`Chave de API ${req.apiKey?.prefix || 'desconhecida'} sem escopo em ${req.method} ${req.originalUrl}: falta ${missing.join(', ')}`);
+  return res.status(403).json({
+    success: false,
+    message: 'A chave de API não tem permissão para esta operação',
+    missingScopes: missing
+  });
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireScope
+};
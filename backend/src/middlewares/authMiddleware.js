@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const logger = require('../utils/logger');
+const { getWorkspacePermissions } = require('../config/permissions');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const workspaceService = require('../services/workspaceService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -26,6 +30,14 @@ const authMiddleware = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'sua_chave_secreta');
     logger.info(`Token verificado com sucesso para usuário ID: ${decoded.id}`);
 
+    // Tokens de desafio do login em duas etapas não dão acesso à API
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token inválido'
+      });
+    }
+
     // Buscar usuário no banco
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -43,13 +55,58 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Tokens emitidos antes de uma troca de senha ou desativação são revogados
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão encerrada. Faça login novamente'
+      });
+    }
+
+    // Sessões encerradas (logout, revogação ou admin) deixam de aceitar o token de acesso
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão encerrada. Faça login novamente'
+      });
+    }
+
+    // Papéis com 2FA obrigatório só acessam as rotas da própria conta até ativá-lo
+    if (req.baseUrl !== '/api/auth' && !user.twoFactor?.enabled && await twoFactorService.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Ative a autenticação em dois fatores no seu perfil para continuar'
+      });
+    }
+
+    // Workspace da requisição: o informado pelo cliente ou o padrão do usuário
+    const { workspace, role: workspaceRole, error: workspaceError } = await workspaceService.resolve(
+      user,
+      req.headers['x-workspace-id']
+    );
+    if (workspaceError) {
+      return res.status(403).json({
+        success: false,
+        code: 'WORKSPACE_FORBIDDEN',
+        message: workspaceError
+      });
+    }
+
     // Adicionar o usuário ao objeto req
+    // Sem workspace, o usuário só acessa as rotas da própria conta (as demais exigem permissões);
+    // o administrador do sistema mantém as permissões para criar workspaces
     req.user = {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role
+      role: user.role,
+      workspaceRole,
+      permissions: workspace || user.role === 'admin' ? getWorkspacePermissions(user, workspaceRole) : [],
+      sessionId: decoded.sid || null
     };
+    req.workspace = workspace;
+    req.workspaceId = workspace ? workspace._id : null;
 
     next();
   } catch (error) {
@@ -80,20 +137,26 @@ const authMiddleware = async (req, res, next) => {
 // Middleware protect - Alias para authMiddleware (para compatibilidade com código existente)
 const protect = authMiddleware;
 
-// Middleware para verificar permissões de admin
-const adminMiddleware = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Middleware para exigir permissões (todas as informadas) do papel do usuário
+// Uso: router.post('/:id/start', requirePermission('campaign:start'), ...)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+  const missing = permissions.filter(permission => !granted.includes(permission));
+
+  if (req.user && missing.length === 0) {
     return next();
   }
-  
+
+  logger.warn(`Acesso negado a ${req.user?.email || 'anônimo'} em ${req.method} ${req.originalUrl}: falta ${missing.join(', ')}`);
   return res.status(403).json({
     success: false,
-    message: 'Acesso restrito ao administrador'
+    message: 'Você não tem permissão para realizar esta ação',
+    missingPermissions: missing
   });
 };
 
 module.exports = {
   authMiddleware,
-  adminMiddleware,
+  requirePermission,
   protect
 }; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 /**
  * Middleware para limitar taxa de requisições à API
@@ -76,8 +77,26 @@ const webhookRateLimit = rateLimit({
   skipFailedRequests: true // não contar requisições que resultam em erro
 });
 
+// Limiter da API pública: por chave de API, com o limite definido em cada chave
+// Deve vir depois de apiKeyAuth, que identifica a chave
+const apiKeyRateLimit = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minuto
+  limit: (req) => req.apiKey?.rateLimit || config.apiKeys.defaultRateLimit,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `apikey:${req.apiKey?._id || req.ip}`,
+  handler: (req, res) => {
+    logger.warn(`Rate limit excedido para a chave de API ${req.apiKey?.prefix}`);
+    return res.status(429).json({
+      success: false,
+      message: `Limite de ${req.apiKey?.rateLimit} requisições por minuto excedido para esta chave de API.`
+    });
+  }
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
-  webhookRateLimit
+  webhookRateLimit,
+  apiKeyRateLimit
 };
\ No newline at end of file
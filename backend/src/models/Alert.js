@@ -1,9 +1,16 @@
 const mongoose = require('mongoose');
 
 const alertSchema = new mongoose.Schema({
+  // Workspace afetado; null para alertas do sistema, visíveis apenas aos administradores
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   type: {
     type: String,
-    enum: ['campaign_failure', 'connection_lost', 'high_failure_rate', 'system'],
+    enum: ['campaign_failure', 'connection_lost', 'high_failure_rate', 'ban_risk', 'system'],
     required: true
   },
   level: {
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Chave da API pública de um workspace (integração com CRM, ERP...)
+// A chave só é exibida na criação; aqui fica apenas o hash e o prefixo para identificação
+const apiKeySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Nome da chave é obrigatório'],
+    trim: true
+  },
+  // Início da chave (ex.: zs_4f2a9c), para reconhecê-la na listagem e nos logs
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES)
+  }],
+  // Requisições por minuto
+  rateLimit: {
+    type: Number,
+    min: 1,
+    max: config.apiKeys.maxRateLimit,
+    default: () => config.apiKeys.defaultRateLimit
+  },
+  createdBy: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  // Opcional: sem data, a chave vale até ser revogada
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar lastUpdated quando a chave for modificada
+apiKeySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
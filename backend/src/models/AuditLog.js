@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Registro de auditoria: quem fez o quê, em qual recurso, com o antes/depois dos campos alterados
+// Somente inclusão: os registros não podem ser alterados nem excluídos pela aplicação
+const auditLogSchema = new mongoose.Schema({
+  // Workspace em que a ação ocorreu; null para ações do sistema (usuários, configurações)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  // Cópia dos dados do autor: o registro continua legível se o usuário for excluído
+  // Nas ações da API pública, o autor é a chave de API (role = 'api_key')
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  // recurso.ação, ex.: campaign.start, contact.export, instance.update
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['campaign', 'contact', 'instance', 'template', 'user', 'webhook', 'api_key'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: String
+  },
+  // Somente os campos alterados; segredos aparecem como "[oculto]"
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  // Contexto adicional da ação (quantidade de contatos afetados, filtros da exportação...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ workspace: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1 });
+
+// Bloquear alterações e exclusões feitas pela aplicação
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Registros de auditoria não podem ser alterados'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Registros de auditoria não podem ser alterados ou excluídos'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
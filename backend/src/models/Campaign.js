@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 
 const campaignSchema = new mongoose.Schema({
+  // Workspace dono da campanha
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
   name: {
     type: String,
     required: [true, 'Nome da campanha é obrigatório'],
@@ -43,10 +50,17 @@ const campaignSchema = new mongoose.Schema({
       default: '09:00'
     }
   },
+  // Regras de segmentação próprias da campanha (mesmo formato de Segment.rules)
   contactFilter: {
     type: Object,
     default: {}
   },
+  // Segmento salvo; os contatos são avaliados no momento do início da campanha
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment',
+    default: null
+  },
   contacts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contact'
@@ -64,6 +78,10 @@ const campaignSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    read: {
+      type: Number,
+      default: 0
+    },
     failed: {
       type: Number,
       default: 0
@@ -94,6 +112,85 @@ const campaignSchema = new mongoose.Schema({
     ref: 'Instance',
     required: [true, 'Uma instância deve ser associada à campanha']
   },
+  // Instâncias adicionais para distribuir o envio (a instância principal sempre participa)
+  instancePool: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance'
+  }],
+  distributionStrategy: {
+    type: String,
+    enum: ['round_robin', 'weighted_quota', 'sticky'],
+    default: 'round_robin'
+  },
+  // Contador usado pela estratégia round-robin
+  distributionCursor: {
+    type: Number,
+    default: 0
+  },
+  // Teste A/B entre templates (ver services/abTestService)
+  abTest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Variantes A, B e C; os percentuais dividem o público do teste e somam 100
+    variants: [{
+      _id: false,
+      name: {
+        type: String,
+        enum: ['A', 'B', 'C']
+      },
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template'
+      },
+      percentage: {
+        type: Number,
+        min: 1,
+        max: 100
+      }
+    }],
+    // Envio da variante vencedora ao restante do público após a janela de teste
+    winnerSelection: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Parcela do público que participa do teste
+      testPercentage: {
+        type: Number,
+        min: 5,
+        max: 95,
+        default: 20
+      },
+      testWindowHours: {
+        type: Number,
+        min: 1,
+        max: 168,
+        default: 4
+      },
+      metric: {
+        type: String,
+        enum: ['delivery_rate', 'read_rate', 'reply_rate'],
+        default: 'read_rate'
+      }
+    },
+    // Contatos que aguardam a variante vencedora
+    remainingContacts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact'
+    }],
+    testEndsAt: {
+      type: Date
+    },
+    winnerVariant: {
+      type: String,
+      default: null
+    },
+    winnerSelectedAt: {
+      type: Date
+    }
+  },
   // Novos campos para sistema de batch
   segmentSize: {
     type: Number,
@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 
 const contactSchema = new mongoose.Schema({
+  // Workspace dono do contato (o telefone é único dentro do workspace)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   phone: {
     type: String,
     required: [true, 'Número de telefone é obrigatório'],
     trim: true,
-    unique: true,
     validate: {
       validator: function(v) {
         // Validação formato internacional: +55DDDNNNNNNNNN
@@ -27,6 +32,27 @@ const contactSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Valores dos campos personalizados, indexados pela chave de ContactField
+  customFields: {
+    type: Object,
+    default: {}
+  },
+  // Descadastro (opt-out) solicitado pelo contato via resposta
+  optedOut: {
+    type: Boolean,
+    default: false
+  },
+  optedOutAt: {
+    type: Date
+  },
+  optOutSource: {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    },
+    instanceName: String,
+    keyword: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,6 +63,9 @@ const contactSchema = new mongoose.Schema({
   }
 });
 
+contactSchema.index({ workspace: 1, phone: 1 }, { unique: true });
+contactSchema.index({ optedOut: 1 });
+
 // Middleware para atualizar lastUpdated quando contato for modificado
 contactSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -45,6 +74,12 @@ contactSchema.pre('save', function(next) {
   next();
 });
 
+// Query helper para considerar apenas contatos aptos a receber campanhas
+// Uso: Contact.find(filtro).eligible()
+contactSchema.query.eligible = function() {
+  return this.where({ optedOut: { $ne: true } });
+};
+
 // Função para normalizar telefone sem o 9 para comparação
 function getNormalizedPhoneForComparison(phone) {
   // Remove todos os caracteres não numéricos, inclusive o +
@@ -92,8 +127,8 @@ contactSchema.pre('save', function(next) {
   next();
 });
 
-// Método estático para verificar se um telefone já existe (considerando diferentes formatos)
-contactSchema.statics.phoneExists = async function(phone) {
+// Método estático para verificar se um telefone já existe no workspace (considerando diferentes formatos)
+contactSchema.statics.phoneExists = async function(phone, workspace) {
   // Normaliza o telefone
   const digitsOnly = phone.replace(/\D/g, '');
   const formattedPhone = '+' + digitsOnly;
@@ -102,11 +137,12 @@ contactSchema.statics.phoneExists = async function(phone) {
   const normalizedPhone = getNormalizedPhoneForComparison(formattedPhone);
   
   // Buscar contato com o número exato
-  const exactMatch = await this.findOne({ phone: formattedPhone });
+  const exactMatch = await this.findOne({ workspace, phone: formattedPhone });
   if (exactMatch) return exactMatch;
   
   // Buscar contato com o número normalizado - usando regex para encontrar correspondências com final igual
   const phoneQuery = {
+    workspace,
     $or: [
       { phoneNormalized: normalizedPhone },
       { 
@@ -121,6 +157,23 @@ contactSchema.statics.phoneExists = async function(phone) {
   return await this.findOne(phoneQuery);
 };
 
+// Método estático com o telefone no formato salvo (+55...) e a versão normalizada para comparação
+// Uso: Contact.create({ workspace, ...Contact.formatPhone(phone), name })
+contactSchema.statics.formatPhone = function(phone) {
+  let formatted = String(phone).replace(/[\s\-()]/g, '');
+  
+  // Se começar apenas com números, presumir Brasil +55
+  if (!formatted.startsWith('+') && /^\d+$/.test(formatted)) {
+    formatted = '+55' + formatted;
+  }
+  formatted = '+' + formatted.replace(/\D/g, '');
+  
+  return {
+    phone: formatted,
+    phoneNormalized: getNormalizedPhoneForComparison(formatted)
+  };
+};
+
 // Método estático para verificar e atualizar um número antigo para formato com 9 dígitos
 contactSchema.statics.updateToImprovedFormat = async function(newContact) {
   // Verificar se é número brasileiro de celular com 9 dígitos
@@ -130,7 +183,7 @@ contactSchema.statics.updateToImprovedFormat = async function(newContact) {
   // Verificar se formatos são diferentes (um tem 9 e outro não)
   if (digitsOnly !== normalizedPhone && digitsOnly.startsWith('55')) {
     // O número tem 9 a mais, procurar versão anterior sem 9
-    const existingContact = await this.findOne({ phoneNormalized: normalizedPhone });
+    const existingContact = await this.findOne({ workspace: newContact.workspace, phoneNormalized: normalizedPhone });
     
     if (existingContact) {
       if (existingContact.phone.length < newContact.phone.length) {
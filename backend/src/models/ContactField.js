@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Definição de um campo personalizado de contato (cidade, plano, vencimento...)
+const contactFieldSchema = new mongoose.Schema({
+  // Workspace dono do campo (a chave é única dentro do workspace)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Chave usada em Contact.customFields, nos filtros e nos templates ({{contact.cidade}})
+  key: {
+    type: String,
+    required: [true, 'Chave do campo é obrigatória'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'A chave deve começar com letra e conter apenas letras minúsculas, números e _']
+  },
+  label: {
+    type: String,
+    required: [true, 'Nome do campo é obrigatório'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['string', 'number', 'date', 'boolean', 'enum'],
+    default: 'string'
+  },
+  // Opções permitidas quando o tipo for enum
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+contactFieldSchema.index({ workspace: 1, key: 1 }, { unique: true });
+
+// Middleware para atualizar lastUpdated quando o campo for modificado
+contactFieldSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const ContactField = mongoose.model('ContactField', contactFieldSchema);
+
+module.exports = ContactField;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Thread de conversa com um contato em uma instância específica
+const conversationSchema = new mongoose.Schema({
+  // Workspace da instância da conversa
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  instanceName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // JID do WhatsApp do contato (5511999999999@s.whatsapp.net)
+  remoteJid: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Contato cadastrado, quando o número existir na base
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  // Nome exibido no WhatsApp (pushName) para números sem cadastro
+  pushName: {
+    type: String,
+    trim: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMessagePreview: {
+    type: String
+  },
+  lastMessageFromMe: {
+    type: Boolean,
+    default: false
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ instanceName: 1, remoteJid: 1 }, { unique: true });
+conversationSchema.index({ lastMessageAt: -1 });
+conversationSchema.index({ contactId: 1 });
+
+// Middleware para atualizar lastUpdated quando a conversa for modificada
+conversationSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
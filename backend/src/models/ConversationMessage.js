@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Mensagem individual de uma conversa (recebida ou enviada)
+// Separada de Message, que representa apenas envios de campanha
+const conversationMessageSchema = new mongoose.Schema({
+  // Workspace da conversa
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  instanceName: {
+    type: String,
+    required: true
+  },
+  // ID da mensagem no WhatsApp, usado para evitar duplicidade entre webhook e envio
+  messageId: {
+    type: String
+  },
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  messageType: {
+    type: String,
+    default: 'text'
+  },
+  mediaUrl: {
+    type: String,
+    trim: true
+  },
+  mediaType: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'document', null],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['received', 'sent', 'delivered', 'read', 'failed'],
+    default: 'received'
+  },
+  // Campanha de origem, quando a mensagem enviada fizer parte de uma campanha
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Usuário que respondeu pela caixa de entrada
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationMessageSchema.index({ conversationId: 1, timestamp: -1 });
+conversationMessageSchema.index(
+  { instanceName: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+const ConversationMessage = mongoose.model('ConversationMessage', conversationMessageSchema);
+
+module.exports = ConversationMessage;
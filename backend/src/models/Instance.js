@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 
 const instanceSchema = new mongoose.Schema({
+  // Workspace dono da instância (instanceName continua único: é o nome na Evolution API)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
   instanceName: {
     type: String,
     required: [true, 'Nome da instância é obrigatório'],
@@ -151,10 +158,10 @@ const instanceSchema = new mongoose.Schema({
     },
     maxRetries: {
       type: Number,
-      default: 3,
+      default: null,
       min: 0,
       max: 10,
-      description: 'Número máximo de tentativas para mensagens com falha'
+      description: 'Número máximo de tentativas para mensagens com falha (vazio usa o padrão das Configurações)'
     },
     randomizeDelay: {
       type: Boolean,
@@ -219,6 +226,138 @@ const instanceSchema = new mongoose.Schema({
       description: 'Tempo de descanso após atingir o limite (em ms)'
     }
   },
+  // Estado mantido pelo supervisor de saúde (instanceHealthWorker)
+  health: {
+    lastCheckAt: {
+      type: Date
+    },
+    lastHealthyAt: {
+      type: Date
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    reconnectAttempts: {
+      type: Number,
+      default: 0
+    },
+    nextReconnectAt: {
+      type: Date
+    },
+    lastAction: {
+      type: String,
+      enum: ['connect', 'restart', null],
+      default: null
+    },
+    lastActionAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    // Desconectada pelo usuário (logout): o supervisor não tenta reconectar até um novo pareamento
+    loggedOut: {
+      type: Boolean,
+      default: false
+    },
+    // Início da queda atual em que as campanhas foram pausadas e o alerta foi gerado
+    outageNotifiedAt: {
+      type: Date
+    }
+  },
+  // Plano de aquecimento de números novos: o limite diário cresce a cada dia até a meta
+  // (instanceWarmupService); o menor entre ele e throttling.dailyLimit é o aplicado
+  warmup: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    startedAt: {
+      type: Date
+    },
+    initialDailyLimit: {
+      type: Number,
+      min: 1,
+      max: 1000
+    },
+    targetDailyLimit: {
+      type: Number,
+      min: 1,
+      max: 1000
+    },
+    // linear: soma dailyIncrease por dia; exponential: cresce growthRate (0.5 = 50%) por dia
+    curve: {
+      type: String,
+      enum: ['linear', 'exponential'],
+      default: 'linear'
+    },
+    dailyIncrease: {
+      type: Number,
+      min: 1
+    },
+    growthRate: {
+      type: Number,
+      min: 0.05,
+      max: 2
+    },
+    // Pausado: o limite fica no valor do dia da pausa e os dias parados não contam
+    pausedAt: {
+      type: Date
+    },
+    pauseReason: {
+      type: String,
+      enum: ['manual', 'ban_risk', null],
+      default: null
+    },
+    completedAt: {
+      type: Date
+    }
+  },
+  // Risco de banimento do número, recalculado periodicamente (instanceRiskService)
+  risk: {
+    score: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    level: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'low'
+    },
+    // Valores de cada fator usados no último cálculo
+    factors: {
+      attempts: Number,
+      rejections: Number,
+      rejectionRate: Number,
+      delivered: Number,
+      read: Number,
+      readRate: Number,
+      optOuts: Number,
+      optOutRate: Number,
+      sentLast24h: Number,
+      safeDailyVolume: Number,
+      accountAgeDays: Number
+    },
+    evaluatedAt: {
+      type: Date
+    },
+    // Limites definidos pelo usuário, restaurados quando o risco volta a baixo
+    originalThrottling: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Descanso forçado: os envios da instância são reagendados até essa data
+    cooldownUntil: {
+      type: Date
+    },
+    // Episódio de risco crítico em que as campanhas foram pausadas (uma vez por episódio)
+    pausedAt: {
+      type: Date
+    }
+  },
   metrics: {
     totalSent: {
       type: Number,
@@ -228,6 +367,10 @@ const instanceSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalRead: {
+      type: Number,
+      default: 0
+    },
     totalFailed: {
       type: Number,
       default: 0
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Resultado de uma verificação de conexão feita pelo supervisor de saúde (histórico de disponibilidade)
+const instanceHealthCheckSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  instance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true
+  },
+  healthy: {
+    type: Boolean,
+    required: true
+  },
+  // Estado informado pela Evolution (open, connecting, close) ou null quando a consulta falhou
+  state: {
+    type: String,
+    default: null
+  },
+  latencyMs: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  // Ação de recuperação disparada após esta verificação
+  action: {
+    type: String,
+    enum: ['connect', 'restart', null],
+    default: null
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now,
+    expires: config.instanceHealth.historyDays * 86400 // TTL para auto-limpeza (em segundos)
+  }
+});
+
+// Índice para o histórico e o cálculo de disponibilidade de cada instância
+instanceHealthCheckSchema.index({ instance: 1, checkedAt: -1 });
+
+const InstanceHealthCheck = mongoose.model('InstanceHealthCheck', instanceHealthCheckSchema);
+
+module.exports = InstanceHealthCheck;
@@ -1,10 +1,53 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
+  // Workspace da campanha (ou da chave de API) da mensagem
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  // campaign: gerada por uma campanha; transactional: mensagem avulsa (POST /api/messages/send ou API pública)
+  source: {
+    type: String,
+    enum: ['campaign', 'transactional'],
+    default: 'campaign'
+  },
+  // Obrigatória apenas para mensagens de campanha
   campaignId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Campaign',
-    required: true
+    required: function() {
+      return this.source !== 'transactional';
+    }
+  },
+  // Chave de API ou usuário que solicitou uma mensagem avulsa
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // high: fila prioritária, à frente das campanhas (mensagens avulsas como confirmações e códigos)
+  priority: {
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
+  // Chave enviada pelo cliente para não duplicar o envio ao repetir a requisição
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  // Hash dos dados da requisição original, para recusar a mesma chave com outros dados
+  idempotencyHash: {
+    type: String,
+    select: false
   },
   contactId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,12 +56,15 @@ const messageSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'queued', 'sent', 'delivered', 'read', 'failed'],
+    enum: ['pending', 'queued', 'sending', 'scheduled_retry', 'sent', 'delivered', 'read', 'failed', 'canceled'],
     default: 'pending'
   },
+  // Opcional apenas em mensagens de mídia (sem legenda)
   content: {
     type: String,
-    required: true
+    required: function() {
+      return !this.mediaUrl;
+    }
   },
   // Campos para mídia
   mediaUrl: {
@@ -60,11 +106,25 @@ const messageSchema = new mongoose.Schema({
   readAt: {
     type: Date
   },
+  // Timestamp da falha definitiva
+  failedAt: {
+    type: Date
+  },
   // Próxima tentativa agendada
   scheduledRetryAt: {
     type: Date
   },
   // Informações sobre a instância que enviou a mensagem
+  // Variante do teste A/B que gerou o conteúdo (null fora de testes A/B)
+  variant: {
+    type: String,
+    default: null
+  },
+  // Envio da variante vencedora ao restante do público: fica fora das métricas do teste
+  abRollout: {
+    type: Boolean,
+    default: false
+  },
   instanceId: {
     type: String,
     required: true
@@ -74,7 +134,13 @@ const messageSchema = new mongoose.Schema({
 // Índices para melhorar performance
 messageSchema.index({ status: 1 });
 messageSchema.index({ campaignId: 1, status: 1 });
-messageSchema.index({ scheduledRetryAt: 1 }, { expireAfterSeconds: 0 });
+messageSchema.index({ messageId: 1 });
+messageSchema.index(
+  { workspace: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+// Varredura de retentativas atrasadas (sem TTL: as mensagens reagendadas não podem expirar)
+messageSchema.index({ scheduledRetryAt: 1 });
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Estado compartilhado do limitador de envio (token bucket) de cada instância
+// Um único documento por chave permite que vários workers respeitem os mesmos limites
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Fichas disponíveis em cada janela (second, minute, hour); podem ser fracionárias
+  tokens: {
+    type: Object,
+    default: {}
+  },
+  // Momento (relógio do MongoDB) da última recarga das fichas
+  refilledAt: {
+    type: Date
+  },
+  // Intervalo mínimo entre envios, com variação aleatória já aplicada
+  nextSendAt: {
+    type: Date
+  },
+  // Contador do limite diário (dayKey = data local no formato AAAA-MM-DD)
+  dayKey: {
+    type: String
+  },
+  dayCount: {
+    type: Number,
+    default: 0
+  },
+  // Resultado da última tentativa de consumo
+  granted: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Público salvo, definido por regras (ver services/segmentService para o formato)
+const segmentSchema = new mongoose.Schema({
+  // Workspace dono do segmento (o nome é único dentro do workspace)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Nome do segmento é obrigatório'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Grupo raiz: { operator: 'and' | 'or', rules: [regra | grupo] }
+  rules: {
+    type: Object,
+    required: true,
+    default: { operator: 'and', rules: [] }
+  },
+  // Última contagem calculada, apenas para exibição na listagem
+  contactCount: {
+    type: Number,
+    default: 0
+  },
+  countedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+segmentSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+// Middleware para atualizar lastUpdated quando o segmento for modificado
+segmentSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+module.exports = Segment;
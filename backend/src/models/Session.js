@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Sessão de login: guarda o refresh token (apenas o hash) e o dispositivo que o usa
+// A cada renovação o token é trocado (rotação); o hash anterior fica guardado para detectar reutilização
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Descrição legível do dispositivo (ex.: "Chrome no Windows")
+  device: {
+    type: String,
+    default: 'Desconhecido'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, user_revoked, admin_logout, password_changed, deactivated, token_reuse
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Sessões expiradas são removidas automaticamente pelo MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { ROLE_NAMES } = require('../config/permissions');
+
+// Configurações do sistema editadas na tela de Configurações
+// Há um único documento (key = 'system'); os workers releem os valores sem reiniciar
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'system',
+    unique: true
+  },
+  // Vazio usa EVOLUTION_API_URL / EVOLUTION_API_TOKEN do ambiente
+  evolutionApiUrl: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  evolutionApiKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Intervalo padrão entre mensagens (ms) quando a instância não define throttling
+  messageSendDelay: {
+    type: Number,
+    default: 1000,
+    min: 100,
+    max: 60000
+  },
+  // Tentativas de envio quando a instância não define maxRetries
+  defaultRetries: {
+    type: Number,
+    default: 3,
+    min: 0,
+    max: 10
+  },
+  // Mensagens processadas simultaneamente por worker (prefetch do consumidor)
+  maxConcurrentMessages: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 50
+  },
+  notificationsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Destino das notificações de alerta
+  webhookEnabled: {
+    type: Boolean,
+    default: false
+  },
+  webhookUrl: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Validade (s) das contagens de contatos dos segmentos
+  cacheExpiration: {
+    type: Number,
+    default: 86400,
+    min: 60,
+    max: 2592000
+  },
+  // Papéis obrigados a usar autenticação em dois fatores
+  twoFactorRequiredRoles: {
+    type: [String],
+    enum: ROLE_NAMES,
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar lastUpdated quando as configurações forem modificadas
+settingSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
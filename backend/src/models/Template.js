@@ -1,11 +1,17 @@
 const mongoose = require('mongoose');
+const templateRenderer = require('../utils/templateRenderer');
 
 const templateSchema = new mongoose.Schema({
+  // Workspace dono do template (o nome é único dentro do workspace)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   name: {
     type: String,
     required: [true, 'Nome do template é obrigatório'],
-    trim: true,
-    unique: true
+    trim: true
   },
   content: {
     type: String,
@@ -43,6 +49,8 @@ const templateSchema = new mongoose.Schema({
   }]
 });
 
+templateSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
 // Middleware para atualizar lastUpdated quando template for modificado
 templateSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -51,8 +59,7 @@ templateSchema.pre('save', function(next) {
   
   // Detecta variáveis na string do conteúdo (formato: {{nome_variavel}})
   if (this.isModified('content')) {
-    const varMatches = this.content.match(/\{\{([^}]+)\}\}/g) || [];
-    this.variables = varMatches.map(v => v.replace(/\{\{|\}\}/g, ''));
+    this.variables = templateRenderer.extractVariables(this.content).map(variable => variable.path);
   }
   
   next();
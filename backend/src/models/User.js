@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLE_NAMES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,12 +24,35 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Senha é obrigatória'],
-    minlength: [6, 'A senha deve ter pelo menos 6 caracteres']
+    minlength: [8, 'A senha deve ter pelo menos 8 caracteres']
   },
+  // Papéis e suas permissões em config/permissions.js ('user' é o papel legado)
+  // Papel global: 'admin' administra o sistema e todos os workspaces; os demais valem como
+  // papel padrão ao adicionar o usuário a um workspace
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'user'
+    enum: ROLE_NAMES,
+    default: 'viewer'
+  },
+  // Workspaces de que o usuário participa e o papel em cada um
+  workspaces: [{
+    _id: false,
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLE_NAMES,
+      required: true
+    }
+  }],
+  // Workspace aberto ao entrar quando o cliente não informa um
+  defaultWorkspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
   },
   active: {
     type: Boolean,
@@ -37,6 +61,67 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Incrementada ao trocar a senha ou desativar o usuário; tokens com versão anterior deixam de valer
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Bloqueio temporário após tentativas de login malsucedidas
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Hash (SHA-256) do token de redefinição de senha; o token em si nunca é armazenado
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Autenticação em dois fatores (TOTP); segredos criptografados e códigos de recuperação em hash
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Segredo gerado na ativação, aguardando a confirmação com o primeiro código
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Último intervalo de 30s aceito; impede reutilizar o mesmo código
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -57,6 +142,12 @@ userSchema.pre('save', async function(next) {
     const salt = await bcrypt.genSalt(10);
     // Hash a senha junto com o novo salt
     this.password = await bcrypt.hash(this.password, salt);
+    
+    // Trocar a senha encerra as sessões abertas com a senha anterior
+    if (!this.isNew) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+      this.passwordChangedAt = Date.now();
+    }
     next();
   } catch (error) {
     next(error);
@@ -68,6 +159,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Papel do usuário no workspace (null se não for membro)
+userSchema.methods.getWorkspaceRole = function(workspaceId) {
+  const membership = (this.workspaces || []).find(item => String(item.workspace) === String(workspaceId));
+  return membership ? membership.role : null;
+};
+
+// Verifica se o usuário está bloqueado por excesso de tentativas de login
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
 // Middleware para atualizar lastUpdated quando usuário for modificado
 userSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -76,6 +178,8 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+userSchema.index({ 'workspaces.workspace': 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Entrega de um evento a um webhook de saída, com o resultado da última tentativa
+const webhookDeliverySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  // ID do evento, igual em todas as entregas (e reenvios) do mesmo evento
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // pending: aguardando a próxima tentativa; sending: tentativa em andamento
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'success', 'failed'],
+    default: 'pending'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseMessage: {
+    type: String
+  },
+  processingTimeMs: {
+    type: Number
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Entrega original, quando esta foi criada por um reenvio manual
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 1209600 // 14 dias (em segundos) - TTL para auto-limpeza
+  }
+});
+
+// Índices para a varredura de tentativas e para as consultas da interface
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ workspace: 1, createdAt: -1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 
 const webhookLogSchema = new mongoose.Schema({
+  // Workspace da instância que recebeu o evento (null se a instância não existir)
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   instanceName: {
     type: String,
     required: true,
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+
+// Webhook de saída: URL de um sistema do workspace que recebe os eventos assinados
+const webhookSubscriptionSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Nome do webhook é obrigatório'],
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL do webhook é obrigatória'],
+    trim: true,
+    match: [/^https?:\/\/[^\s/$.?#].[^\s]*$/, 'URL do webhook inválida']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.keys(WEBHOOK_EVENTS)
+    }],
+    validate: [events => events.length > 0, 'Selecione ao menos um evento']
+  },
+  // Chave das assinaturas HMAC; precisa ficar em texto para assinar cada entrega
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSubscriptionSchema.index({ workspace: 1, active: 1, events: 1 });
+
+// Middleware para atualizar lastUpdated quando o webhook for modificado
+webhookSubscriptionSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
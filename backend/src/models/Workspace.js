@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Workspace (cliente da agência): contatos, templates, campanhas e instâncias pertencem a um workspace
+// Os membros e seus papéis ficam em User.workspaces
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome do workspace é obrigatório'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'O identificador deve conter apenas letras minúsculas, números e hífens']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Cotas de uso do workspace
+  quotas: {
+    maxInstances: {
+      type: Number,
+      min: 0,
+      default: () => config.workspaces.defaultMaxInstances
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar lastUpdated quando o workspace for modificado
+workspaceSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.lastUpdated = Date.now();
+  }
+  next();
+});
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
@@ -7,6 +7,19 @@ const Message = require('./Message');
 const Instance = require('./Instance');
 const Alert = require('./Alert');
 const WebhookLog = require('./WebhookLog');
+const Conversation = require('./Conversation');
+const ConversationMessage = require('./ConversationMessage');
+const RateLimitBucket = require('./RateLimitBucket');
+const ContactField = require('./ContactField');
+const Segment = require('./Segment');
+const Setting = require('./Setting');
+const Session = require('./Session');
+const Workspace = require('./Workspace');
+const AuditLog = require('./AuditLog');
+const ApiKey = require('./ApiKey');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const InstanceHealthCheck = require('./InstanceHealthCheck');
 
 module.exports = {
   User,
@@ -16,5 +29,18 @@ module.exports = {
   Message,
   Instance,
   Alert,
-  WebhookLog
+  WebhookLog,
+  Conversation,
+  ConversationMessage,
+  RateLimitBucket,
+  ContactField,
+  Segment,
+  Setting,
+  Session,
+  Workspace,
+  AuditLog,
+  ApiKey,
+  WebhookSubscription,
+  WebhookDelivery,
+  InstanceHealthCheck
 }; 
\ No newline at end of file
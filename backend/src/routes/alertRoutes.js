@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const alertController = require('../controllers/alertController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware);
+router.use(requirePermission('alert:read'));
 
 // Rotas para listar e gerenciar alertas
 router.get('/', alertController.getAlerts);
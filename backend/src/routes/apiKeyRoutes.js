@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Gerenciamento das chaves da API pública do workspace ativo
+router.use(authMiddleware, requirePermission('api_key:manage'));
+
+router.get('/scopes', apiKeyController.getScopes);
+
+router.route('/')
+  .get(apiKeyController.getApiKeys)
+  .post(apiKeyController.createApiKey);
+
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
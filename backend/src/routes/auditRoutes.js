@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Log de auditoria: somente leitura
+router.use(authMiddleware);
+router.use(requirePermission('audit:read'));
+
+router.get('/', auditController.getAuditLogs);
+router.get('/actions', auditController.getActions);
+router.get('/export', auditController.exportCSV);
+
+module.exports = router;
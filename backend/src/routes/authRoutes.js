@@ -1,14 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware, adminMiddleware } = require('../middlewares/authMiddleware');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authLimiter } = require('../middlewares/rateLimitMiddleware');
 
 // Rotas públicas
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', authLimiter, authController.loginTwoFactor);
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', authController.logout);
+router.post('/forgot-password', authLimiter, authController.forgotPassword);
+router.post('/reset-password', authLimiter, authController.resetPassword);
 
 // Rotas protegidas
 router.get('/profile', authMiddleware, authController.getProfile);
 router.put('/profile', authMiddleware, authController.updateProfile);
+router.put('/password', authMiddleware, authController.changePassword);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions', authMiddleware, authController.revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware, authController.revokeSession);
+
+// Autenticação em dois fatores
+router.get('/2fa', authMiddleware, twoFactorController.getStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorController.setup);
+router.post('/2fa/enable', authMiddleware, twoFactorController.enable);
+router.post('/2fa/disable', authMiddleware, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router; 
\ No newline at end of file
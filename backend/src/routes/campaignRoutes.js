@@ -1,35 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const campaignController = require('../controllers/campaignController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware);
 
 // Rota de listagem e criação de campanhas
 router.route('/')
-  .get(campaignController.getCampaigns)
-  .post(campaignController.createCampaign);
+  .get(requirePermission('campaign:read'), campaignController.getCampaigns)
+  .post(requirePermission('campaign:manage'), campaignController.createCampaign);
 
 // Rotas para operações específicas em uma campanha
 router.route('/:id')
-  .get(campaignController.getCampaign)
-  .put(campaignController.updateCampaign)
-  .delete(campaignController.deleteCampaign);
+  .get(requirePermission('campaign:read'), campaignController.getCampaign)
+  .put(requirePermission('campaign:manage'), campaignController.updateCampaign)
+  .delete(requirePermission('campaign:manage'), campaignController.deleteCampaign);
 
 // Rota para obter relatório da campanha
-router.get('/:id/report', campaignController.getCampaignReport);
+router.get('/:id/report', requirePermission('campaign:read'), campaignController.getCampaignReport);
 
 // Rotas para controle de campanha
-router.post('/:id/start', campaignController.verificarContatos, campaignController.startCampaign);
-router.post('/:id/pause', campaignController.pauseCampaign);
-router.post('/:id/resume', campaignController.resumeCampaign);
-router.post('/:id/cancel', campaignController.cancelCampaign);
+router.post('/:id/start', requirePermission('campaign:start'), campaignController.verificarContatos, campaignController.startCampaign);
+router.post('/:id/pause', requirePermission('campaign:start'), campaignController.pauseCampaign);
+router.post('/:id/resume', requirePermission('campaign:start'), campaignController.resumeCampaign);
+router.post('/:id/cancel', requirePermission('campaign:start'), campaignController.cancelCampaign);
 
 // Rota para reenviar mensagens com falha de uma campanha
-router.post('/:id/resend-failed', campaignController.resendFailedMessages);
+router.post('/:id/resend-failed', requirePermission('campaign:start'), campaignController.resendFailedMessages);
 
 // Rota para reenviar uma mensagem específica
-router.post('/messages/:messageId/resend', campaignController.resendMessage);
+router.post('/messages/:messageId/resend', requirePermission('campaign:start'), campaignController.resendMessage);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const contactFieldController = require('../controllers/contactFieldController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Aplicar middleware de autenticação em todas as rotas
+router.use(authMiddleware);
+
+// Qualquer usuário pode consultar os campos; defini-los exige permissão própria
+router.route('/')
+  .get(contactFieldController.getFields)
+  .post(requirePermission('contact_field:manage'), contactFieldController.createField);
+
+router.route('/:id')
+  .put(requirePermission('contact_field:manage'), contactFieldController.updateField)
+  .delete(requirePermission('contact_field:manage'), contactFieldController.deleteField);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 const multer = require('multer');
 
 // Configuração do multer para upload de arquivos
@@ -25,28 +25,28 @@ router.use(authMiddleware);
 
 // Rota de listagem e criação de contatos
 router.route('/')
-  .get(contactController.getContacts)
-  .post(contactController.createContact);
+  .get(requirePermission('contact:read'), contactController.getContacts)
+  .post(requirePermission('contact:manage'), contactController.createContact);
 
 // Rota para exportar contatos
-router.get('/export', contactController.exportCSV);
+router.get('/export', requirePermission('contact:export'), contactController.exportCSV);
 
 // Rota para importação em massa de contatos via CSV
-router.post('/import', upload.single('file'), contactController.importCSV);
+router.post('/import', requirePermission('contact:manage'), upload.single('file'), contactController.importCSV);
 
 // Rota para excluir múltiplos contatos
-router.post('/delete-multiple', contactController.deleteMultipleContacts);
+router.post('/delete-multiple', requirePermission('contact:delete'), contactController.deleteMultipleContacts);
 
 // Rota para obter todas as tags distintas
-router.get('/tags', contactController.getTags);
+router.get('/tags', requirePermission('contact:read'), contactController.getTags);
 
 // Rota para encontrar e remover contatos duplicados
-router.post('/remove-duplicates', contactController.findAndRemoveDuplicates);
+router.post('/remove-duplicates', requirePermission('contact:delete'), contactController.findAndRemoveDuplicates);
 
 // Rotas para operações específicas em um contato
 router.route('/:id')
-  .get(contactController.getContact)
-  .put(contactController.updateContact)
-  .delete(contactController.deleteContact);
+  .get(requirePermission('contact:read'), contactController.getContact)
+  .put(requirePermission('contact:manage'), contactController.updateContact)
+  .delete(requirePermission('contact:delete'), contactController.deleteContact);
 
 module.exports = router; 
\ No newline at end of file
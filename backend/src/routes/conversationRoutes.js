@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversationController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Aplicar middleware de autenticação em todas as rotas
+router.use(authMiddleware);
+
+// Rota de listagem de conversas (caixa de entrada)
+router.get('/', requirePermission('conversation:read'), conversationController.getConversations);
+
+// Rotas para operações em uma conversa
+router.get('/:id', requirePermission('conversation:read'), conversationController.getConversation);
+router.route('/:id/messages')
+  .get(requirePermission('conversation:read'), conversationController.getMessages)
+  .post(requirePermission('conversation:reply'), conversationController.sendReply);
+router.post('/:id/read', requirePermission('conversation:read'), conversationController.markAsRead);
+
+module.exports = router;
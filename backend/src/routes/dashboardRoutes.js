@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware);
+router.use(requirePermission('dashboard:read'));
 
 // Rota para estatísticas gerais
 router.get('/stats', dashboardController.getStats);
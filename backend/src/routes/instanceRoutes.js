@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const instanceController = require('../controllers/instanceController');
-const { authMiddleware, adminMiddleware, protect } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission, protect } = require('../middlewares/authMiddleware');
 
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware);
@@ -10,33 +10,44 @@ router.use(authMiddleware);
 router.use(protect);
 
 // Rota para sincronizar instâncias da Evolution API
-router.post('/sync-from-evolution', instanceController.syncFromEvolution);
+router.post('/sync-from-evolution', requirePermission('instance:manage'), instanceController.syncFromEvolution);
 
 // Rota de listagem e criação de instâncias
 router.route('/')
-  .get(instanceController.getInstances)
-  .post(instanceController.createInstance);
+  .get(requirePermission('instance:read'), instanceController.getInstances)
+  .post(requirePermission('instance:manage'), instanceController.createInstance);
 
 // Rotas para operações específicas em uma instância
 router.route('/:id')
-  .get(instanceController.getInstance)
-  .put(instanceController.updateInstance)
-  .delete(instanceController.deleteInstance);
+  .get(requirePermission('instance:read'), instanceController.getInstance)
+  .put(requirePermission('instance:manage'), instanceController.updateInstance)
+  .delete(requirePermission('instance:manage'), instanceController.deleteInstance);
 
 // Rota para conectar instância (gerar QR Code)
-router.post('/:id/connect', instanceController.connectInstance);
+router.post('/:id/connect', requirePermission('instance:connect'), instanceController.connectInstance);
 
 // Rota para verificar estado da conexão
-router.get('/:id/state', instanceController.connectionState);
+router.get('/:id/state', requirePermission('instance:read'), instanceController.connectionState);
+
+// Rota para disponibilidade e histórico de verificações do supervisor de saúde
+router.get('/:id/health', requirePermission('instance:read'), instanceController.getInstanceHealth);
+
+// Rotas do plano de aquecimento (limite diário crescente para números novos)
+router.route('/:id/warmup')
+  .get(requirePermission('instance:read'), instanceController.getInstanceWarmup)
+  .put(requirePermission('instance:manage'), instanceController.saveInstanceWarmup)
+  .delete(requirePermission('instance:manage'), instanceController.cancelInstanceWarmup);
+router.post('/:id/warmup/pause', requirePermission('instance:manage'), instanceController.pauseInstanceWarmup);
+router.post('/:id/warmup/resume', requirePermission('instance:manage'), instanceController.resumeInstanceWarmup);
 
 // Rota para desconectar instância
-router.post('/:id/logout', instanceController.logoutInstance);
+router.post('/:id/logout', requirePermission('instance:connect'), instanceController.logoutInstance);
 
 // Rota para reiniciar instância
-router.post('/:id/restart', instanceController.restartInstance);
+router.post('/:id/restart', requirePermission('instance:connect'), instanceController.restartInstance);
 
 // Rotas de webhook
-router.post('/:id/webhook', instanceController.configureWebhook);
-router.get('/:id/webhook/stats', instanceController.getWebhookStats);
+router.post('/:id/webhook', requirePermission('instance:manage'), instanceController.configureWebhook);
+router.get('/:id/webhook/stats', requirePermission('instance:read'), instanceController.getWebhookStats);
 
 module.exports = router; 
\ No newline at end of file
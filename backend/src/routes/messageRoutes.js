@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('../controllers/messageController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+router.use(authMiddleware);
+
+// Mensagens avulsas (confirmações de pedido, códigos de acesso...) fora de campanhas
+router.post('/send', requirePermission('message:send'), messageController.sendMessage);
+router.get('/:id', requirePermission('message:send'), messageController.getMessage);
+
+module.exports = router;
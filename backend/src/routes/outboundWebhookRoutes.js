@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const outboundWebhookController = require('../controllers/outboundWebhookController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Webhooks de saída do workspace ativo e o histórico de entregas
+router.use(authMiddleware, requirePermission('webhook:manage'));
+
+router.get('/events', outboundWebhookController.getEvents);
+
+router.get('/deliveries', outboundWebhookController.getDeliveries);
+router.post('/deliveries/:id/replay', outboundWebhookController.replayDelivery);
+
+router.route('/')
+  .get(outboundWebhookController.getSubscriptions)
+  .post(outboundWebhookController.createSubscription);
+
+router.route('/:id')
+  .put(outboundWebhookController.updateSubscription)
+  .delete(outboundWebhookController.deleteSubscription);
+
+router.post('/:id/rotate-secret', outboundWebhookController.rotateSecret);
+router.post('/:id/test', outboundWebhookController.testSubscription);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const publicApiController = require('../controllers/publicApiController');
+const messageController = require('../controllers/messageController');
+const campaignController = require('../controllers/campaignController');
+const { apiKeyAuth, requireScope } = require('../middlewares/apiKeyMiddleware');
+const { apiKeyRateLimit } = require('../middlewares/rateLimitMiddleware');
+
+// API pública versionada para sistemas externos (CRM, ERP...)
+// Autenticação: cabeçalho X-Api-Key com uma chave criada em /api/api-keys
+router.use(apiKeyAuth, apiKeyRateLimit);
+
+// Contatos: cria ou atualiza pelo telefone
+router.post('/contacts', requireScope('contact:write'), publicApiController.upsertContact);
+
+// Mensagens avulsas (prioritárias) e consulta de status; aceita o cabeçalho Idempotency-Key
+router.post('/messages', requireScope('message:send'), messageController.sendMessage);
+router.get('/messages/:id', requireScope('message:read'), messageController.getMessage);
+
+// Campanhas já configuradas no painel
+router.post('/campaigns/:id/start', requireScope('campaign:start'), campaignController.verificarContatos, campaignController.startCampaign);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtimeController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+
+// Cada evento é filtrado pelas permissões do usuário no workspace ativo
+router.get('/stream', authMiddleware, realtimeController.stream);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const segmentController = require('../controllers/segmentController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Aplicar middleware de autenticação em todas as rotas
+router.use(authMiddleware);
+
+// Rota de listagem e criação de segmentos
+router.route('/')
+  .get(requirePermission('segment:read'), segmentController.getSegments)
+  .post(requirePermission('segment:manage'), segmentController.createSegment);
+
+// Rota para contar contatos a partir de regras ainda não salvas
+router.post('/preview', requirePermission('segment:read'), segmentController.previewSegment);
+
+// Rotas para operações específicas em um segmento
+router.route('/:id')
+  .get(requirePermission('segment:read'), segmentController.getSegment)
+  .put(requirePermission('segment:manage'), segmentController.updateSegment)
+  .delete(requirePermission('segment:manage'), segmentController.deleteSegment);
+
+// Rota para recalcular a contagem de contatos do segmento
+router.post('/:id/count', requirePermission('segment:read'), segmentController.countSegment);
+
+module.exports = router;
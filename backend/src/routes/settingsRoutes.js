@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+// Configurações do sistema: somente admin
+router.use(authMiddleware);
+router.use(requirePermission('settings:manage'));
+
+router.route('/')
+  .get(settingsController.getSettings)
+  .put(settingsController.updateSettings);
+
+module.exports = router;
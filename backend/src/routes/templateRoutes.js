@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const templateController = require('../controllers/templateController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware);
 
 // Rota de listagem e criação de templates
 router.route('/')
-  .get(templateController.getTemplates)
-  .post(templateController.createTemplate);
+  .get(requirePermission('template:read'), templateController.getTemplates)
+  .post(requirePermission('template:manage'), templateController.createTemplate);
 
 // Rotas para operações específicas em um template
 router.route('/:id')
-  .get(templateController.getTemplate)
-  .put(templateController.updateTemplate)
-  .delete(templateController.deleteTemplate);
+  .get(requirePermission('template:read'), templateController.getTemplate)
+  .put(requirePermission('template:manage'), templateController.updateTemplate)
+  .delete(requirePermission('template:manage'), templateController.deleteTemplate);
 
 // Rota para pré-visualizar um template com variáveis
-router.post('/:id/preview', templateController.previewTemplate);
+router.post('/:id/preview', requirePermission('template:read'), templateController.previewTemplate);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware, adminMiddleware } = require('../middlewares/authMiddleware');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 
-// Rotas de usuários - somente admin pode gerenciar usuários
-router.get('/', authMiddleware, adminMiddleware, authController.getAllUsers);
-router.post('/', authMiddleware, adminMiddleware, authController.createUser);
-router.get('/:id', authMiddleware, adminMiddleware, authController.getUserById);
-router.put('/:id', authMiddleware, adminMiddleware, authController.updateUser);
-router.delete('/:id', authMiddleware, adminMiddleware, authController.deleteUser);
-router.put('/:id/activate', authMiddleware, adminMiddleware, authController.activateUser);
-router.put('/:id/deactivate', authMiddleware, adminMiddleware, authController.deactivateUser);
+// Rotas de usuários - exigem a permissão de gerenciar usuários
+router.get('/roles', authMiddleware, requirePermission('user:manage'), authController.getRoles);
+router.get('/', authMiddleware, requirePermission('user:manage'), authController.getAllUsers);
+router.post('/', authMiddleware, requirePermission('user:manage'), authController.createUser);
+router.get('/:id', authMiddleware, requirePermission('user:manage'), authController.getUserById);
+router.put('/:id', authMiddleware, requirePermission('user:manage'), authController.updateUser);
+router.delete('/:id', authMiddleware, requirePermission('user:manage'), authController.deleteUser);
+router.put('/:id/activate', authMiddleware, requirePermission('user:manage'), authController.activateUser);
+router.put('/:id/deactivate', authMiddleware, requirePermission('user:manage'), authController.deactivateUser);
+router.post('/:id/password-reset', authMiddleware, requirePermission('user:manage'), authController.createPasswordResetLink);
+router.get('/:id/sessions', authMiddleware, requirePermission('user:manage'), authController.getUserSessions);
+router.post('/:id/logout', authMiddleware, requirePermission('user:manage'), authController.forceLogout);
+router.post('/:id/2fa/reset', authMiddleware, requirePermission('user:manage'), twoFactorController.resetForUser);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
-const { protect, adminMiddleware } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const { webhookRateLimit } = require('../middlewares/rateLimitMiddleware');
 
 // Rotas públicas (sem autenticação)
@@ -18,11 +18,11 @@ router.post('/send-message', webhookRateLimit, webhookController.processSendMess
 
 // Rotas protegidas (requerem autenticação)
 // Rotas de logs (apenas para usuários autenticados)
-router.get('/logs', protect, webhookController.getWebhookLogs);
-router.delete('/logs', protect, adminMiddleware, webhookController.clearWebhookLogs);
+router.get('/logs', protect, requirePermission('webhook_log:read'), webhookController.getWebhookLogs);
+router.delete('/logs', protect, requirePermission('webhook_log:manage'), webhookController.clearWebhookLogs);
 
 // Rotas para gerenciamento da fila (apenas para administradores)
-router.get('/queue/status', protect, adminMiddleware, webhookController.getQueueStatus);
-router.delete('/queue', protect, adminMiddleware, webhookController.clearQueue);
+router.get('/queue/status', protect, requirePermission('webhook_log:read'), webhookController.getQueueStatus);
+router.delete('/queue', protect, requirePermission('webhook_log:manage'), webhookController.clearQueue);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspaceController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+
+router.use(authMiddleware);
+
+// Workspaces do usuário e o workspace ativo (cabeçalho X-Workspace-Id)
+router.get('/', workspaceController.getWorkspaces);
+router.get('/current', workspaceController.getCurrentWorkspace);
+
+// Membros do workspace ativo
+router.route('/current/members')
+  .get(requirePermission('member:manage'), workspaceController.getMembers)
+  .post(requirePermission('member:manage'), workspaceController.addMember);
+
+router.route('/current/members/:userId')
+  .put(requirePermission('member:manage'), workspaceController.updateMember)
+  .delete(requirePermission('member:manage'), workspaceController.removeMember);
+
+// Criação e cotas: administrador do sistema
+router.post('/', requirePermission('workspace:manage'), workspaceController.createWorkspace);
+router.put('/:id', requirePermission('workspace:manage'), workspaceController.updateWorkspace);
+
+module.exports = router;
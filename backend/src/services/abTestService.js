@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const { Campaign, Template, Contact, Message, Conversation, ConversationMessage } = require('../models');
+const queueService = require('./queueService');
+const templateRenderer = require('../utils/templateRenderer');
+const logger = require('../utils/logger');
+
+const VARIANT_NAMES = ['A', 'B', 'C'];
+const METRICS = ['delivery_rate', 'read_rate', 'reply_rate'];
+
+// Status que contam como enviados/entregues (o status só avança: enviada -> entregue -> lida)
+const SENT_STATUSES = ['sent', 'delivered', 'read'];
+
+// Campanhas nesses status não recebem o envio do vencedor (nem voltam a rodar por ele)
+const STOPPED_STATUSES = ['paused', 'canceled', 'failed'];
+
+const toRate = (part, total) => (total > 0 ? (part / total) * 100 : 0);
+
+class AbTestService {
+  constructor() {
+    this.metrics = METRICS;
+  }
+
+  /**
+   * Valida a configuração de teste A/B recebida na criação/edição da campanha
+   * @param {Object} abTest - { enabled, variants: [{ templateId, percentage }], winnerSelection }
+   * @param {ObjectId} workspace - Workspace da campanha; os templates precisam pertencer a ele
+   * @returns {Object} - { abTest } saneado ou { error }
+   */
+  async validate(abTest, workspace) {
+    if (!abTest || !abTest.enabled) {
+      return { abTest: { enabled: false, variants: [], winnerSelection: { enabled: false } } };
+    }
+
+    const input = Array.isArray(abTest.variants) ? abTest.variants : [];
+    if (input.length < 2 || input.length > VARIANT_NAMES.length) {
+      return { error: `O teste A/B precisa de 2 a ${VARIANT_NAMES.length} variantes` };
+    }
+
+    const variants = input.map((variant, index) => ({
+      name: VARIANT_NAMES[index],
+      templateId: variant.templateId,
+      percentage: Number(variant.percentage)
+    }));
+
+    if (variants.some(variant => !Number.isInteger(variant.percentage) || variant.percentage < 1 || variant.percentage > 99)) {
+      return { error: 'O percentual de cada variante deve ser um número inteiro entre 1 e 99' };
+    }
+    if (variants.reduce((sum, variant) => sum + variant.percentage, 0) !== 100) {
+      return { error: 'Os percentuais das variantes devem somar 100%' };
+    }
+
+    const templateIds = variants.map(variant => String(variant.templateId));
+    if (templateIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Template inválido em uma das variantes' };
+    }
+    if (new Set(templateIds).size !== templateIds.length) {
+      return { error: 'Cada variante deve usar um template diferente' };
+    }
+
+    const found = await Template.countDocuments({ _id: { $in: templateIds }, workspace });
+    if (found !== templateIds.length) {
+      return { error: 'Um ou mais templates das variantes não foram encontrados' };
+    }
+
+    const selection = abTest.winnerSelection || {};
+    const winnerSelection = {
+      enabled: Boolean(selection.enabled),
+      testPercentage: Number(selection.testPercentage) || 20,
+      testWindowHours: Number(selection.testWindowHours) || 4,
+      metric: selection.metric || 'read_rate'
+    };
+
+    if (winnerSelection.enabled) {
+      if (winnerSelection.testPercentage < 5 || winnerSelection.testPercentage > 95) {
+        return { error: 'A parcela de teste deve estar entre 5% e 95% do público' };
+      }
+      if (winnerSelection.testWindowHours < 1 || winnerSelection.testWindowHours > 168) {
+        return { error: 'A janela de teste deve ter entre 1 e 168 horas' };
+      }
+      if (!METRICS.includes(winnerSelection.metric)) {
+        return { error: `Métrica de vencedor inválida. Use: ${METRICS.join(', ')}` };
+      }
+    }
+
+    return { abTest: { enabled: true, variants, winnerSelection } };
+  }
+
+  shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Sorteia os contatos entre as variantes conforme os percentuais
+   * Com seleção de vencedor, apenas a parcela de teste é distribuída; o restante aguarda
+   * @returns {Object} - { groups: [{ variant, contacts }], remaining: [contatos] }
+   */
+  splitAudience(abTest, contacts) {
+    const shuffled = this.shuffle(contacts);
+    const variants = abTest.variants;
+
+    let testSize = shuffled.length;
+    if (abTest.winnerSelection?.enabled) {
+      testSize = Math.min(
+        shuffled.length,
+        Math.max(variants.length, Math.round(shuffled.length * abTest.winnerSelection.testPercentage / 100))
+      );
+    }
+
+    const groups = [];
+    let offset = 0;
+
+    variants.forEach((variant, index) => {
+      // A última variante fica com a sobra do arredondamento
+      const size = index === variants.length - 1
+        ? testSize - offset
+        : Math.floor(testSize * variant.percentage / 100);
+
+      groups.push({ variant, contacts: shuffled.slice(offset, offset + size) });
+      offset += size;
+    });
+
+    return { groups, remaining: shuffled.slice(testSize) };
+  }
+
+  /**
+   * Define o template de cada contato da campanha
+   * @param {Object} campaign
+   * @param {Array} contacts - Contatos aptos da campanha
+   * @param {Object} template - Template principal (usado fora de testes A/B)
+   * @returns {Object} - { assignments: [{ contact, template, variant }], remaining: [ids de contatos] }
+   */
+  async assignTemplates(campaign, contacts, template) {
+    if (!campaign.abTest?.enabled || !campaign.abTest.variants?.length) {
+      return {
+        assignments: contacts.map(contact => ({ contact, template, variant: null })),
+        remaining: []
+      };
+    }
+
+    const templates = await this.getVariantTemplates(campaign);
+    const { groups, remaining } = this.splitAudience(campaign.abTest, contacts);
+
+    const assignments = groups.flatMap(group => group.contacts.map(contact => ({
+      contact,
+      template: templates.get(group.variant.name) || template,
+      variant: group.variant.name
+    })));
+
+    logger.info(`Teste A/B da campanha ${campaign._id}: ${groups.map(group => `${group.variant.name}=${group.contacts.length}`).join(', ')}, aguardando vencedor: ${remaining.length}`);
+
+    return { assignments, remaining: remaining.map(contact => contact._id) };
+  }
+
+  /**
+   * Templates das variantes, indexados pelo nome (A, B, C)
+   */
+  async getVariantTemplates(campaign) {
+    const variants = campaign.abTest?.variants || [];
+    const templates = await Template.find({ _id: { $in: variants.map(variant => variant.templateId) }, workspace: campaign.workspace });
+    const byId = new Map(templates.map(template => [template._id.toString(), template]));
+
+    return new Map(variants.map(variant => [variant.name, byId.get(String(variant.templateId))]));
+  }
+
+  /**
+   * Campos da campanha a atualizar após criar as mensagens do teste
+   */
+  getStartUpdate(campaign, remaining) {
+    if (!campaign.abTest?.enabled) return {};
+
+    const hasRemaining = remaining.length > 0;
+    const windowMs = (campaign.abTest.winnerSelection?.testWindowHours || 0) * 60 * 60 * 1000;
+    // Em campanhas agendadas a janela começa no horário de início do envio
+    const startAt = campaign.schedule?.startAt ? new Date(campaign.schedule.startAt).getTime() : 0;
+    const testStart = Math.max(Date.now(), startAt);
+
+    return {
+      'abTest.remainingContacts': remaining,
+      'abTest.testEndsAt': hasRemaining ? new Date(testStart + windowMs) : null,
+      'abTest.winnerVariant': null,
+      'abTest.winnerSelectedAt': null
+    };
+  }
+
+  /**
+   * Contatos que responderam (mensagem recebida na caixa de entrada) após o envio da variante
+   * @returns {Map} - variante -> quantidade de contatos que responderam
+   */
+  async countReplies(campaignId, workspace) {
+    const sentMessages = await Message.find({
+      campaignId,
+      variant: { $ne: null },
+      abRollout: { $ne: true },
+      sentAt: { $ne: null }
+    }).select('contactId variant sentAt').lean();
+
+    const replies = new Map();
+    if (sentMessages.length === 0) return replies;
+
+    const conversations = await Conversation.find({
+      workspace,
+      contactId: { $in: sentMessages.map(message => message.contactId) }
+    }).select('contactId').lean();
+
+    const since = new Date(Math.min(...sentMessages.map(message => new Date(message.sentAt).getTime())));
+    const lastInbound = await ConversationMessage.aggregate([
+      {
+        $match: {
+          conversationId: { $in: conversations.map(conversation => conversation._id) },
+          direction: 'inbound',
+          timestamp: { $gte: since }
+        }
+      },
+      { $group: { _id: '$conversationId', last: { $max: '$timestamp' } } }
+    ]);
+
+    // Último recebimento por contato (um contato pode ter conversas em mais de uma instância)
+    const conversationContact = new Map(conversations.map(conversation => [conversation._id.toString(), conversation.contactId.toString()]));
+    const lastByContact = new Map();
+    for (const item of lastInbound) {
+      const contactId = conversationContact.get(item._id.toString());
+      const current = lastByContact.get(contactId);
+      if (!current || item.last > current) lastByContact.set(contactId, item.last);
+    }
+
+    for (const message of sentMessages) {
+      const last = lastByContact.get(message.contactId.toString());
+      if (last && last >= message.sentAt) {
+        replies.set(message.variant, (replies.get(message.variant) || 0) + 1);
+      }
+    }
+
+    return replies;
+  }
+
+  /**
+   * Métricas de cada variante: envio, entrega, leitura e resposta
+   * Só contam as mensagens do teste; o envio do vencedor ao restante do público fica de fora
+   * @returns {Array} - Uma entrada por variante, com taxas em porcentagem
+   */
+  async getVariantStats(campaign) {
+    if (!campaign.abTest?.enabled) return [];
+
+    const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+    const [rows, replies] = await Promise.all([
+      Message.aggregate([
+        { $match: { campaignId, variant: { $ne: null }, abRollout: { $ne: true } } },
+        { $group: { _id: { variant: '$variant', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      this.countReplies(campaignId, campaign.workspace)
+    ]);
+
+    return campaign.abTest.variants.map(variant => {
+      const counts = {};
+      rows
+        .filter(row => row._id.variant === variant.name)
+        .forEach(row => { counts[row._id.status] = row.count; });
+
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      const read = counts.read || 0;
+      const delivered = (counts.delivered || 0) + read;
+      const sent = SENT_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0);
+      const replied = replies.get(variant.name) || 0;
+
+      return {
+        name: variant.name,
+        templateId: variant.templateId,
+        percentage: variant.percentage,
+        total,
+        sent,
+        delivered,
+        read,
+        failed: counts.failed || 0,
+        replied,
+        deliveryRate: toRate(delivered, sent),
+        readRate: toRate(read, delivered),
+        replyRate: toRate(replied, sent)
+      };
+    });
+  }
+
+  /**
+   * Escolhe a variante com a maior taxa na métrica configurada (empate: mais mensagens enviadas)
+   */
+  pickWinner(stats, metric) {
+    const key = { delivery_rate: 'deliveryRate', read_rate: 'readRate', reply_rate: 'replyRate' }[metric] || 'readRate';
+
+    const ranked = [...stats].sort((a, b) => (b[key] - a[key]) || (b.sent - a.sent));
+    return ranked[0] || null;
+  }
+
+  /**
+   * Envia a variante vencedora aos contatos que ficaram fora do teste
+   * Chamado pelo scheduler quando a janela de teste termina
+   */
+  async sendWinner(campaign) {
+    const stats = await this.getVariantStats(campaign);
+    const winner = this.pickWinner(stats, campaign.abTest.winnerSelection?.metric);
+    if (!winner) {
+      logger.warn(`Não foi possível escolher a variante vencedora da campanha ${campaign._id}`);
+      return null;
+    }
+
+    // Reivindica o envio de forma atômica para que dois schedulers não enviem em dobro;
+    // uma campanha pausada ou cancelada depois da busca do scheduler fica como está
+    const claimed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'abTest.winnerVariant': null, status: { $nin: STOPPED_STATUSES } },
+      { $set: { 'abTest.winnerVariant': winner.name, 'abTest.winnerSelectedAt': new Date(), lastUpdated: Date.now() } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const templates = await this.getVariantTemplates(claimed);
+    const template = templates.get(winner.name);
+    const contacts = await Contact.find({ _id: { $in: claimed.abTest.remainingContacts } }).eligible();
+
+    logger.info(`Variante ${winner.name} venceu o teste A/B da campanha ${claimed._id}; enviando para ${contacts.length} contatos restantes`);
+
+    if (!template || contacts.length === 0) {
+      await Campaign.findByIdAndUpdate(claimed._id, { 'abTest.remainingContacts': [] });
+      return winner.name;
+    }
+
+    const variableValues = claimed.variableValues || {};
+    const messages = contacts.map(contact => new Message({
+      workspace: claimed.workspace,
+      campaignId: claimed._id,
+      contactId: contact._id,
+      status: 'pending',
+      content: templateRenderer.render(template.content, { contact, variables: variableValues }),
+      mediaUrl: template.mediaUrl || null,
+      mediaType: template.mediaType === 'none' ? null : template.mediaType,
+      variant: winner.name,
+      abRollout: true,
+      instanceId: claimed.instanceId.toString(),
+      retries: 0
+    }));
+
+    await Message.insertMany(messages);
+    await Campaign.findByIdAndUpdate(claimed._id, {
+      $set: { 'abTest.remainingContacts': [], lastUpdated: Date.now() },
+      $inc: { 'metrics.total': messages.length, 'metrics.pending': messages.length }
+    });
+    // Pausada no meio do envio: as mensagens aguardam a retomada (holdIfCampaignPaused)
+    await Campaign.updateOne({ _id: claimed._id, status: { $nin: STOPPED_STATUSES } }, { status: 'running' });
+
+    await queueService.enqueueMessageBatch(messages);
+
+    return winner.name;
+  }
+}
+
+module.exports = new AbTestService();
@@ -1,14 +1,18 @@
-const { Alert, Message, Campaign, Instance } = require('../models');
+const axios = require('axios');
+const { Alert, Message, Campaign } = require('../models');
 const logger = require('../utils/logger');
 const queueService = require('./queueService');
+const settingsService = require('./settingsService');
 
 class AlertService {
   /**
    * Cria um novo alerta de falha
+   * @param {ObjectId} [workspace] - Workspace afetado; null para alertas do sistema
    */
-  async createAlert(type, level, message, details = {}, relatedTo = {}) {
+  async createAlert(type, level, message, details = {}, relatedTo = {}, workspace = null) {
     try {
       const alert = new Alert({
+        workspace,
         type,
         level,
         message,
@@ -21,6 +25,7 @@ class AlertService {
       // Publicar evento de novo alerta para notificações em tempo real
       await queueService.publishEvent({
         type: 'new_alert',
+        workspace,
         data: alert
       });
       
@@ -77,7 +82,8 @@ class AlertService {
                 type: 'campaign',
                 id: campaign._id,
                 name: campaign.name
-              }
+              },
+              campaign.workspace
             );
           }
         }
@@ -87,46 +93,6 @@ class AlertService {
     }
   }
   
-  /**
-   * Verifica problemas de conexão com instâncias
-   */
-  async checkInstanceConnections() {
-    try {
-      // Buscar instâncias desconectadas recentemente
-      const disconnectedInstances = await Instance.find({
-        status: 'disconnected',
-        lastConnection: { $gte: new Date(Date.now() - 3600000) } // Última hora
-      });
-      
-      for (const instance of disconnectedInstances) {
-        // Verificar se já existe alerta para esta instância
-        const existingAlert = await Alert.findOne({
-          'relatedTo.type': 'instance',
-          'relatedTo.id': instance._id,
-          createdAt: { $gte: new Date(Date.now() - 1800000) } // Últimos 30 minutos
-        });
-        
-        if (!existingAlert) {
-          await this.createAlert(
-            'connection_lost',
-            'critical',
-            `Conexão perdida com a instância ${instance.instanceName}`,
-            {
-              lastConnection: instance.lastConnection
-            },
-            {
-              type: 'instance',
-              id: instance._id,
-              name: instance.instanceName
-            }
-          );
-        }
-      }
-    } catch (error) {
-      logger.error('Erro ao verificar conexões de instâncias:', error);
-    }
-  }
-  
   /**
    * Marca um alerta como lido
    */
@@ -150,6 +116,26 @@ class AlertService {
       .limit(limit);
   }
   
+  /**
+   * Entrega a notificação de um alerta ao webhook das Configurações (quando ativo)
+   * @returns {Boolean} - true se a notificação foi enviada
+   */
+  async processNotification(notification) {
+    const settings = await settingsService.get();
+    if (!settings.notificationsEnabled || !settings.webhookEnabled || !settings.webhookUrl) {
+      return false;
+    }
+    
+    await axios.post(settings.webhookUrl, {
+      event: 'alert_notification',
+      data: notification,
+      sentAt: new Date().toISOString()
+    }, { timeout: 10000 });
+    
+    logger.info(`Notificação do alerta ${notification.alertId} enviada para o webhook`);
+    return true;
+  }
+  
   /**
    * Obtém alertas não notificados
    */
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { ApiKey, Workspace } = require('../models');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Identifica as chaves da API pública (ex.: em um vazamento de código, é fácil procurar por "zs_")
+const KEY_PREFIX = 'zs_';
+
+// Caracteres da chave exibidos na listagem (após o prefixo)
+const VISIBLE_CHARS = 6;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Valida os dados de uma chave nova
+   * @returns {Object} - { data } ou { error }
+   */
+  validate({ name, scopes, rateLimit, expiresAt }) {
+    if (!name || !String(name).trim()) {
+      return { error: 'Nome da chave é obrigatório' };
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return { error: 'Selecione ao menos um escopo' };
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (invalidScopes.length > 0) {
+      return { error: `Escopos inválidos: ${invalidScopes.join(', ')}` };
+    }
+
+    const limit = rateLimit === undefined || rateLimit === null || rateLimit === ''
+      ? config.apiKeys.defaultRateLimit
+      : Number(rateLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > config.apiKeys.maxRateLimit) {
+      return { error: `O limite deve ser um número inteiro entre 1 e ${config.apiKeys.maxRateLimit} requisições por minuto` };
+    }
+
+    let expiration = null;
+    if (expiresAt) {
+      expiration = new Date(expiresAt);
+      if (isNaN(expiration.getTime()) || expiration <= new Date()) {
+        return { error: 'A data de expiração deve estar no futuro' };
+      }
+    }
+
+    return {
+      data: {
+        name: String(name).trim(),
+        scopes: [...new Set(scopes)],
+        rateLimit: limit,
+        expiresAt: expiration
+      }
+    };
+  }
+
+  /**
+   * Cria uma chave para o workspace; o valor em texto só é retornado aqui
+   * @param {ObjectId} workspace
+   * @param {Object} data - Dados já validados (validate)
+   * @param {Object} createdBy - { id, name } do usuário
+   * @returns {Object} - { apiKey, key }
+   */
+  async create(workspace, data, createdBy) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      ...data,
+      workspace,
+      prefix: key.substring(0, KEY_PREFIX.length + VISIBLE_CHARS),
+      keyHash: hashKey(key),
+      createdBy
+    });
+
+    logger.info(`Chave de API ${apiKey.prefix} criada no workspace ${workspace}`);
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoga a chave; o registro é mantido para auditoria
+   */
+  async revoke(workspace, id, revokedBy) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, workspace, revokedAt: null },
+      { revokedAt: new Date(), revokedBy, lastUpdated: Date.now() },
+      { new: true }
+    );
+
+    if (apiKey) {
+      logger.info(`Chave de API ${apiKey.prefix} revogada no workspace ${workspace}`);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Localiza a chave informada pelo sistema integrado e registra o uso
+   * @param {String} key - Chave em texto
+   * @param {String} ip - IP da requisição
+   * @returns {Object} - { apiKey, workspace } ou { error }
+   */
+  async authenticate(key, ip) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return { error: 'Chave de API inválida' };
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!apiKey || apiKey.revokedAt) {
+      return { error: 'Chave de API inválida ou revogada' };
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { error: 'Chave de API expirada' };
+    }
+
+    const workspace = await Workspace.findOne({ _id: apiKey.workspace, active: true });
+    if (!workspace) {
+      return { error: 'Workspace da chave não encontrado ou desativado' };
+    }
+
+    // Sem aguardar: o registro de uso não deve atrasar a requisição
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip, $inc: { usageCount: 1 } }
+    ).catch(error => logger.error(`Erro ao registrar uso da chave ${apiKey.prefix}:`, error));
+
+    return { apiKey, workspace };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { AuditLog } = require('../models');
+const logger = require('../utils/logger');
+
+// Campos que mudam em toda gravação e não interessam à auditoria
+const IGNORED_FIELDS = ['_id', '__v', 'lastUpdated', 'updatedAt', 'createdAt'];
+
+// Campos com segredos: o registro informa que mudaram, mas não o valor
+const SENSITIVE_FIELD = /password|apikey|secret|token|recoverycodes|twofactor/i;
+
+// Listas maiores que isto (ex.: contatos de uma campanha) são registradas só pelo tamanho
+const MAX_ARRAY_ITEMS = 20;
+
+const getClientIp = (req) => req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || '';
+
+// Autor da ação: o usuário logado ou a chave da API pública
+const getActor = (req) => {
+  if (req.user) {
+    return {
+      id: req.user.id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.user.workspaceRole || req.user.role
+    };
+  }
+  if (req.apiKey) {
+    return {
+      name: `Chave de API: ${req.apiKey.name} (${req.apiKey.prefix})`,
+      role: 'api_key'
+    };
+  }
+  return {};
+};
+
+class AuditService {
+  /**
+   * Registra uma ação de alteração; falhas são apenas logadas para não interromper a requisição
+   * @param {Object} req - Requisição autenticada (autor, workspace, IP e User-Agent)
+   * @param {Object} entry - { action, target: { type, id, name }, before, after, details }
+   * @param {ObjectId|null} [entry.workspace] - Padrão: workspace ativo; null para ações do sistema
+   */
+  async record(req, { action, target, before = null, after = null, details = null, workspace }) {
+    try {
+      const changes = this.diff(before, after);
+
+      return await AuditLog.create({
+        workspace: workspace !== undefined ? workspace : req.workspaceId || null,
+        actor: getActor(req),
+        action,
+        target: {
+          type: target.type,
+          id: target.id || null,
+          name: target.name
+        },
+        changes,
+        details,
+        ip: getClientIp(req),
+        userAgent: req.get('user-agent') || ''
+      });
+    } catch (error) {
+      logger.error(`Erro ao registrar auditoria (${action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Campos alterados entre dois estados de um documento (caminhos com ponto para subdocumentos)
+   * Na criação, before é null; na exclusão, after é null
+   * @returns {Object} - { before, after }
+   */
+  diff(before, after) {
+    const flatBefore = before ? this.flatten(this.toPlain(before)) : null;
+    const flatAfter = after ? this.flatten(this.toPlain(after)) : null;
+
+    if (!flatBefore || !flatAfter) {
+      return { before: flatBefore, after: flatAfter };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    const keys = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    for (const key of keys) {
+      const oldValue = flatBefore[key];
+      const newValue = flatAfter[key];
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+      changedBefore[key] = oldValue === undefined ? null : oldValue;
+      changedAfter[key] = newValue === undefined ? null : newValue;
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * Documento Mongoose ou objeto -> JSON puro (ObjectId e datas viram texto)
+   */
+  toPlain(value) {
+    const object = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+    return JSON.parse(JSON.stringify(object));
+  }
+
+  flatten(object, prefix = '', result = {}) {
+    for (const [key, value] of Object.entries(object)) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (SENSITIVE_FIELD.test(key)) {
+        // Valores diferentes geram marcadores diferentes, mas sem expor o segredo
+        result[path] = value ? `[oculto:${crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 8)}]` : value;
+      } else if (Array.isArray(value)) {
+        result[path] = value.length > MAX_ARRAY_ITEMS ? `[${value.length} itens]` : value;
+      } else if (value && typeof value === 'object') {
+        this.flatten(value, path, result);
+      } else {
+        result[path] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Filtro de consulta a partir dos parâmetros da tela de auditoria
+   * Os registros do sistema (sem workspace) só aparecem para administradores
+   */
+  buildQuery(req, { action, targetType, targetId, actor, from, to } = {}) {
+    const query = req.user.role === 'admin'
+      ? { workspace: { $in: [req.workspaceId, null] } }
+      : { workspace: req.workspaceId };
+
+    if (action) query.action = action;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (actor) {
+      const regex = { $regex: actor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ 'actor.name': regex }, { 'actor.email': regex }];
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+}
+
+module.exports = new AuditService();
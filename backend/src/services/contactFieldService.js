@@ -0,0 +1,249 @@
+const { ContactField } = require('../models');
+
+// Operadores aceitos nos filtros de campos personalizados
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'exists'];
+
+const TRUE_VALUES = ['true', '1', 'sim', 's', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'nao', 'não', 'n', 'no'];
+
+// Remove acentos e caixa para comparar cabeçalhos de CSV e opções de enum
+const normalizeText = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+// Datas são gravadas à meia-noite UTC do dia informado e sempre lidas em UTC,
+// para que o dia não dependa do formato de entrada nem do fuso do servidor
+const parseDay = (raw) => {
+  if (raw instanceof Date) {
+    return isNaN(raw.getTime())
+      ? null
+      : new Date(Date.UTC(raw.getUTCFullYear(), raw.getUTCMonth(), raw.getUTCDate()));
+  }
+
+  const text = String(raw).trim();
+  const brDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (brDate) return new Date(Date.UTC(Number(brDate[3]), Number(brDate[2]) - 1, Number(brDate[1])));
+
+  // AAAA-MM-DD, com ou sem horário: vale o dia escrito
+  const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoDate) return new Date(Date.UTC(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3])));
+
+  const date = new Date(text);
+  return isNaN(date.getTime())
+    ? null
+    : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+class ContactFieldService {
+  constructor() {
+    this.operators = OPERATORS;
+  }
+
+  // Campos personalizados do workspace
+  async getFields(workspace) {
+    return ContactField.find({ workspace }).sort({ createdAt: 1 }).lean();
+  }
+
+  async getKeys(workspace) {
+    const fields = await this.getFields(workspace);
+    return fields.map(field => field.key);
+  }
+
+  /**
+   * Converte um valor (da API ou de uma célula de CSV) para o tipo do campo
+   * @param {Object} field - Definição do campo
+   * @param {*} raw - Valor recebido
+   * @returns {Object} - { value } ou { error }; value null significa campo vazio
+   */
+  castValue(field, raw) {
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+      return { value: null };
+    }
+
+    switch (field.type) {
+      case 'number': {
+        if (typeof raw === 'number') return { value: raw };
+        const text = String(raw).trim();
+        // Aceita "1234.5" e o formato brasileiro "1.234,50"
+        const number = Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+        return isNaN(number)
+          ? { error: `${field.label}: "${raw}" não é um número válido` }
+          : { value: number };
+      }
+      case 'date': {
+        const date = parseDay(raw);
+        return date
+          ? { value: date }
+          : { error: `${field.label}: "${raw}" não é uma data válida (use DD/MM/AAAA)` };
+      }
+      case 'boolean': {
+        if (typeof raw === 'boolean') return { value: raw };
+        const text = normalizeText(raw);
+        if (TRUE_VALUES.includes(text)) return { value: true };
+        if (FALSE_VALUES.includes(text)) return { value: false };
+        return { error: `${field.label}: "${raw}" não é um valor sim/não válido` };
+      }
+      case 'enum': {
+        const option = (field.options || []).find(current => normalizeText(current) === normalizeText(raw));
+        return option
+          ? { value: option }
+          : { error: `${field.label}: "${raw}" não é uma opção válida (${(field.options || []).join(', ')})` };
+      }
+      default:
+        return { value: String(raw).trim() };
+    }
+  }
+
+  /**
+   * Valida os valores de campos personalizados enviados para um contato
+   * @param {Object} values - { chave: valor }
+   * @param {Array} fields - Definições dos campos
+   * @param {Object} [options]
+   * @param {Boolean} [options.partial] - Atualização parcial (não exige campos obrigatórios)
+   * @returns {Object} - { set, unset, errors } prontos para $set/$unset em customFields
+   */
+  validateValues(values, fields, { partial = false } = {}) {
+    const set = {};
+    const unset = [];
+    const errors = [];
+    const input = values && typeof values === 'object' ? values : {};
+
+    for (const key of Object.keys(input)) {
+      const field = fields.find(current => current.key === key);
+      if (!field) {
+        errors.push(`Campo personalizado desconhecido: ${key}`);
+        continue;
+      }
+
+      const { value, error } = this.castValue(field, input[key]);
+      if (error) {
+        errors.push(error);
+      } else if (value === null) {
+        unset.push(key);
+      } else {
+        set[key] = value;
+      }
+    }
+
+    for (const field of fields) {
+      const missing = partial ? unset.includes(field.key) : set[field.key] === undefined;
+      if (field.required && missing) {
+        errors.push(`${field.label} é obrigatório`);
+      }
+    }
+
+    return { set, unset, errors };
+  }
+
+  /**
+   * Formata um valor para exibição/exportação (datas DD/MM/AAAA, sim/não)
+   */
+  formatValue(field, value) {
+    if (value === undefined || value === null) return '';
+
+    if (field.type === 'date') {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? '' : date.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+    }
+    if (field.type === 'boolean') return value ? 'Sim' : 'Não';
+
+    return String(value);
+  }
+
+  /**
+   * Monta o filtro MongoDB a partir de critérios sobre campos personalizados
+   * Ex.: { cidade: 'Recife', idade: { gte: 18 }, plano: { in: ['ouro', 'prata'] } }
+   * Apenas campos cadastrados e operadores conhecidos são aceitos
+   * @returns {Object} - { filter, errors }
+   */
+  buildFilter(criteria, fields) {
+    const filter = {};
+    const errors = [];
+
+    if (!criteria || typeof criteria !== 'object') {
+      return { filter, errors };
+    }
+
+    for (const key of Object.keys(criteria)) {
+      const field = fields.find(current => current.key === key);
+      if (!field) {
+        errors.push(`Campo personalizado desconhecido: ${key}`);
+        continue;
+      }
+
+      const condition = criteria[key] !== null && typeof criteria[key] === 'object' && !Array.isArray(criteria[key])
+        ? criteria[key]
+        : { eq: criteria[key] };
+
+      const query = {};
+
+      for (const operator of Object.keys(condition)) {
+        if (!OPERATORS.includes(operator)) {
+          errors.push(`Operador inválido para ${field.label}: ${operator}`);
+          continue;
+        }
+
+        const raw = condition[operator];
+
+        if (operator === 'exists') {
+          query.$exists = raw === true || TRUE_VALUES.includes(normalizeText(raw));
+          continue;
+        }
+
+        if (operator === 'contains') {
+          const text = String(raw).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          query.$regex = text;
+          query.$options = 'i';
+          continue;
+        }
+
+        const rawValues = operator === 'in'
+          ? (Array.isArray(raw) ? raw : String(raw).split(','))
+          : [raw];
+        const values = [];
+
+        for (const item of rawValues) {
+          const { value, error } = this.castValue(field, item);
+          if (error) errors.push(error);
+          else values.push(value);
+        }
+
+        if (operator === 'in') query.$in = values;
+        else query[`$${operator}`] = values[0];
+      }
+
+      filter[`customFields.${key}`] = query;
+    }
+
+    return { filter, errors };
+  }
+
+  /**
+   * Associa as colunas de um CSV aos campos personalizados
+   * @param {Array<String>} headers - Cabeçalhos do arquivo
+   * @param {Array} fields - Definições dos campos
+   * @param {Object} [mapping] - Mapeamento explícito { coluna: chave }
+   * @returns {Object} - { coluna: campo }
+   */
+  mapCsvColumns(headers, fields, mapping = {}) {
+    const columns = {};
+
+    for (const header of headers) {
+      const explicitKey = mapping[header];
+      const field = explicitKey
+        ? fields.find(current => current.key === explicitKey)
+        : fields.find(current =>
+          normalizeText(current.key) === normalizeText(header) ||
+          normalizeText(current.label) === normalizeText(header)
+        );
+
+      if (field) columns[header] = field;
+    }
+
+    return columns;
+  }
+}
+
+module.exports = new ContactFieldService();
@@ -0,0 +1,251 @@
+const { Contact, Conversation, ConversationMessage, Instance } = require('../models');
+const queueService = require('./queueService');
+const logger = require('../utils/logger');
+const { describeMessage, jidToPhone } = require('../utils/evolutionPayload');
+
+// Tamanho máximo do resumo da última mensagem exibido na lista de conversas
+const PREVIEW_LENGTH = 120;
+
+class ConversationService {
+  /**
+   * Converte um telefone internacional em JID do WhatsApp
+   */
+  phoneToJid(phone) {
+    return `${(phone || '').replace(/\D/g, '')}@s.whatsapp.net`;
+  }
+
+  /**
+   * Converte o timestamp do Baileys (segundos, número ou Long) em Date
+   */
+  parseTimestamp(messageTimestamp) {
+    if (!messageTimestamp) return new Date();
+
+    const seconds = typeof messageTimestamp === 'object'
+      ? messageTimestamp.low
+      : Number(messageTimestamp);
+
+    return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : new Date();
+  }
+
+  /**
+   * Workspace da instância; as conversas e os contatos vinculados são desse workspace
+   */
+  async getInstanceWorkspace(instanceName) {
+    const instance = await Instance.findOne({ instanceName }).select('workspace').lean();
+    return instance ? instance.workspace : null;
+  }
+
+  /**
+   * Busca a conversa de um contato na instância ou cria uma nova
+   * A busca considera o contato cadastrado, pois o JID do WhatsApp pode vir
+   * sem o nono dígito em números brasileiros
+   */
+  async findOrCreateConversation(instanceName, { workspace, remoteJid, phone, contactId, pushName }) {
+    const criteria = [{ remoteJid }];
+    if (contactId) criteria.push({ contactId });
+
+    const conversation = await Conversation.findOne({ instanceName, $or: criteria });
+
+    if (conversation) {
+      let changed = false;
+
+      if (contactId && !conversation.contactId) {
+        conversation.contactId = contactId;
+        changed = true;
+      }
+      if (pushName && conversation.pushName !== pushName) {
+        conversation.pushName = pushName;
+        changed = true;
+      }
+
+      if (changed) await conversation.save();
+      return conversation;
+    }
+
+    try {
+      return await Conversation.create({ workspace, instanceName, remoteJid, phone, contactId, pushName });
+    } catch (error) {
+      // Outra mensagem da mesma conversa pode ter criado o registro ao mesmo tempo
+      if (error.code === 11000) {
+        return Conversation.findOne({ instanceName, remoteJid });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Adiciona uma mensagem à conversa, ignorando duplicidades pelo ID do WhatsApp
+   * @returns {Object|null} - Mensagem criada ou null se já existia
+   */
+  async addMessage(conversation, data) {
+    const { instanceName } = conversation;
+
+    if (data.messageId) {
+      const existing = await ConversationMessage.findOne({ instanceName, messageId: data.messageId });
+
+      if (existing) {
+        // O webhook pode chegar antes do registro do envio; completar a origem da mensagem
+        const origin = {};
+        if (data.campaignId && !existing.campaignId) origin.campaignId = data.campaignId;
+        if (data.sentBy && !existing.sentBy) origin.sentBy = data.sentBy;
+        if (data.mediaUrl && !existing.mediaUrl) origin.mediaUrl = data.mediaUrl;
+
+        if (Object.keys(origin).length > 0) {
+          await ConversationMessage.updateOne({ _id: existing._id }, { $set: origin });
+        }
+        return null;
+      }
+    }
+
+    let message;
+    try {
+      message = await ConversationMessage.create({
+        ...data,
+        workspace: conversation.workspace,
+        conversationId: conversation._id,
+        instanceName
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const inbound = message.direction === 'inbound';
+
+    // Atualizar resumo apenas se a mensagem for mais recente que a última registrada
+    await Conversation.updateOne(
+      { _id: conversation._id, lastMessageAt: { $lte: message.timestamp } },
+      {
+        $set: {
+          lastMessageAt: message.timestamp,
+          lastMessagePreview: (message.content || '').substring(0, PREVIEW_LENGTH),
+          lastMessageFromMe: !inbound,
+          lastUpdated: Date.now()
+        }
+      }
+    );
+
+    if (inbound) {
+      await Conversation.updateOne({ _id: conversation._id }, { $inc: { unreadCount: 1 } });
+    }
+
+    return message;
+  }
+
+  /**
+   * Registra uma mensagem recebida via webhook MESSAGES_UPSERT
+   * @param {String} instanceName - Instância que recebeu/enviou a mensagem
+   * @param {Object} message - Mensagem no formato Baileys/Evolution
+   */
+  async saveWebhookMessage(instanceName, message) {
+    try {
+      if (!message?.key?.id || message.messageStubType) return null;
+
+      const remoteJid = message.key.remoteJid;
+      const phone = jidToPhone(remoteJid);
+
+      // Grupos e broadcasts não fazem parte da caixa de entrada
+      if (!phone) return null;
+
+      const workspace = await this.getInstanceWorkspace(instanceName);
+      if (!workspace) {
+        logger.warn(`Mensagem da instância ${instanceName} ignorada: instância não cadastrada`);
+        return null;
+      }
+
+      const fromMe = !!message.key.fromMe;
+      const contact = await Contact.phoneExists(phone, workspace);
+
+      const conversation = await this.findOrCreateConversation(instanceName, {
+        workspace,
+        remoteJid,
+        phone,
+        contactId: contact?._id,
+        pushName: fromMe ? undefined : message.pushName
+      });
+
+      const { content, messageType, mediaType } = describeMessage(message);
+
+      const saved = await this.addMessage(conversation, {
+        messageId: message.key.id,
+        direction: fromMe ? 'outbound' : 'inbound',
+        content,
+        messageType,
+        mediaType,
+        status: fromMe ? 'sent' : 'received',
+        timestamp: this.parseTimestamp(message.messageTimestamp)
+      });
+
+      // Somente mensagens novas (o mesmo webhook pode chegar mais de uma vez)
+      if (saved && !fromMe) {
+        await queueService.publishEventSafe({
+          type: 'message_received',
+          workspace,
+          data: {
+            conversationId: conversation._id,
+            whatsappMessageId: saved.messageId,
+            instanceName,
+            phone,
+            contactId: contact?._id || null,
+            pushName: message.pushName || null,
+            messageType,
+            mediaType: mediaType || null,
+            content,
+            timestamp: saved.timestamp
+          }
+        });
+      }
+
+      return saved;
+    } catch (error) {
+      logger.error(`Erro ao salvar mensagem na conversa (instância ${instanceName}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Registra uma mensagem enviada pelo sistema (campanha ou resposta da caixa de entrada)
+   * @param {String} instanceName - Instância usada no envio
+   * @param {Object} data - phone, content e opcionalmente remoteJid, contactId, messageId,
+   *                        mediaUrl, mediaType, campaignId e sentBy
+   */
+  async recordOutbound(instanceName, data) {
+    try {
+      const { phone, remoteJid, contactId, ...messageData } = data;
+
+      const workspace = await this.getInstanceWorkspace(instanceName);
+      if (!workspace) {
+        logger.warn(`Envio da instância ${instanceName} não registrado na conversa: instância não cadastrada`);
+        return null;
+      }
+
+      let resolvedContactId = contactId;
+      if (!resolvedContactId) {
+        const contact = await Contact.phoneExists(phone, workspace);
+        resolvedContactId = contact?._id;
+      }
+
+      const conversation = await this.findOrCreateConversation(instanceName, {
+        workspace,
+        remoteJid: remoteJid || this.phoneToJid(phone),
+        phone,
+        contactId: resolvedContactId
+      });
+
+      await this.addMessage(conversation, {
+        ...messageData,
+        direction: 'outbound',
+        messageType: messageData.mediaType ? `${messageData.mediaType}Message` : 'conversation',
+        status: 'sent',
+        timestamp: new Date()
+      });
+
+      return conversation;
+    } catch (error) {
+      logger.error(`Erro ao registrar mensagem enviada na conversa (instância ${instanceName}):`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new ConversationService();
@@ -1,8 +1,9 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const settingsService = require('./settingsService');
 
 class EvolutionApiService {
-  constructor(serverUrl, apiKey) {
+  constructor(serverUrl, apiKey, options = {}) {
     this.serverUrl = serverUrl;
     this.apiKey = apiKey;
     this.axios = axios.create({
@@ -11,7 +12,7 @@ class EvolutionApiService {
         'Content-Type': 'application/json',
         'apikey': apiKey
       },
-      timeout: 30000 // 30 segundos de timeout
+      timeout: options.timeout || 30000 // 30 segundos de timeout
     });
     
     // Log de inicialização
@@ -50,15 +51,29 @@ class EvolutionApiService {
     }
   }
   
-  // Método estático para obter instâncias utilizando as variáveis de ambiente
+  // Obter os dados de uma instância (perfil e dono do número)
+  async fetchInstance(instanceName) {
+    try {
+      const response = await this.axios.get('/instance/fetchInstances', { params: { instanceName } });
+      const data = response.data;
+      const instances = Array.isArray(data) ? data : (data?.instances || []);
+      return instances.find(item => (item.name || item.instance?.instanceName) === instanceName) || instances[0] || null;
+    } catch (error) {
+      this._handleError(error, 'fetchInstance');
+    }
+  }
+  
+  // Método estático para obter instâncias utilizando as credenciais das configurações do sistema
+  // (ou, se não definidas, das variáveis de ambiente EVOLUTION_API_URL e EVOLUTION_API_TOKEN)
   static async getAllInstances() {
     try {
-      const apiUrl = process.env.EVOLUTION_API_URL;
-      const apiToken = process.env.EVOLUTION_API_TOKEN;
+      const settings = await settingsService.get();
+      const apiUrl = settings.evolutionApiUrl;
+      const apiToken = settings.evolutionApiKey;
       
       if (!apiUrl || !apiToken) {
-        console.error('Variáveis de ambiente EVOLUTION_API_URL e EVOLUTION_API_TOKEN não configuradas');
-        throw new Error('Variáveis de ambiente EVOLUTION_API_URL e EVOLUTION_API_TOKEN não configuradas');
+        console.error('URL e chave da Evolution API não configuradas');
+        throw new Error('URL e chave da Evolution API não configuradas (Configurações ou EVOLUTION_API_URL/EVOLUTION_API_TOKEN)');
       }
       
       console.log(`Conectando à Evolution API em: ${apiUrl}`);
@@ -126,10 +141,12 @@ class EvolutionApiService {
     }
   }
 
-  // Conectar instância
-  async connectInstance(instanceName) {
+  // Conectar instância (com o número, a Evolution também gera o código de pareamento)
+  async connectInstance(instanceName, number = null) {
     try {
-      const response = await this.axios.get(`/instance/connect/${instanceName}`);
+      const response = await this.axios.get(`/instance/connect/${instanceName}`, {
+        params: number ? { number } : undefined
+      });
       return response.data;
     } catch (error) {
       this._handleError(error, 'connectInstance');
@@ -0,0 +1,170 @@
+const { Instance, Alert } = require('../models');
+const EvolutionApiService = require('./evolutionApiService');
+const queueService = require('./queueService');
+const logger = require('../utils/logger');
+const { extractConnectionUpdate, extractQrCode, toInstanceStatus } = require('../utils/evolutionPayload');
+
+// Motivo enviado pelo WhatsApp quando a sessão é encerrada no celular
+const LOGGED_OUT_STATUS_REASON = 401;
+
+/**
+ * Eventos de conexão da Evolution (CONNECTION_UPDATE e QRCODE_UPDATED), tratados
+ * da mesma forma pelo worker de webhooks e pelo processador da API
+ */
+class InstanceConnectionService {
+  /**
+   * Atualiza o status da instância e avisa as telas abertas e os webhooks de saída
+   * @param {String} instanceName - Nome da instância na Evolution
+   * @param {Object} body - Corpo do webhook recebido
+   * @returns {Promise<String|null>} - Status aplicado ou null se o evento foi ignorado
+   */
+  async applyConnectionUpdate(instanceName, body) {
+    const connection = extractConnectionUpdate(body);
+    if (!connection) return null;
+
+    return this.applyState(instanceName, connection);
+  }
+
+  /**
+   * Aplica um estado de conexão (do webhook ou da verificação do supervisor de saúde)
+   * @param {String} instanceName - Nome da instância na Evolution
+   * @param {Object} connection - { state, statusReason, owner, profileName, profilePictureUrl }
+   * @returns {Promise<String|null>} - Status aplicado ou null se o estado é desconhecido
+   */
+  async applyState(instanceName, connection) {
+    const status = toInstanceStatus(connection.state);
+    if (!status) {
+      logger.warn(`Estado de conexão desconhecido para a instância ${instanceName}: ${connection.state}`);
+      return null;
+    }
+
+    // Na conexão, o perfil do número pareado vem no evento ou é buscado na Evolution
+    const profile = status === 'connected' ? await this.resolveProfile(instanceName, connection) : null;
+
+    const update = { status, lastUpdated: new Date() };
+    if (profile) {
+      // Conectada: encerra a queda atual e volta a ser supervisionada
+      Object.assign(update, profile, {
+        lastConnection: new Date(),
+        'health.lastHealthyAt': new Date(),
+        'health.consecutiveFailures': 0,
+        'health.reconnectAttempts': 0,
+        'health.nextReconnectAt': null,
+        'health.outageNotifiedAt': null,
+        'health.loggedOut': false
+      });
+    } else if (Number(connection.statusReason) === LOGGED_OUT_STATUS_REASON) {
+      // Sessão encerrada pelo celular: reconectar exige um novo pareamento
+      update['health.loggedOut'] = true;
+    }
+
+    // Retorna o documento anterior para saber de qual status a instância partiu
+    const previous = await Instance.findOneAndUpdate({ instanceName }, update, { new: false });
+
+    // Avisar os webhooks de saída somente na queda (o mesmo estado pode ser reenviado)
+    if (previous && status === 'disconnected' && previous.status !== 'disconnected') {
+      await queueService.publishEventSafe({
+        type: 'instance_disconnected',
+        workspace: previous.workspace,
+        data: {
+          instanceId: previous._id,
+          instanceName,
+          reason: connection.statusReason || connection.state
+        }
+      });
+    } else if (previous && previous.status !== status) {
+      // Demais mudanças só interessam às telas abertas (tempo real)
+      await queueService.publishEventSafe({
+        type: 'instance_status',
+        workspace: previous.workspace,
+        data: {
+          instanceId: previous._id,
+          instanceName,
+          status,
+          ...(profile || {})
+        }
+      });
+    }
+
+    // Criar alerta para certos status
+    if (['DISCONNECTED', 'CONNECTED'].includes(connection.state)) {
+      try {
+        await Alert.create({
+          type: connection.state === 'CONNECTED' ? 'success' : 'warning',
+          title: connection.state === 'CONNECTED' ? 'Instância Conectada' : 'Instância Desconectada',
+          message: `A instância ${instanceName} está ${connection.state === 'CONNECTED' ? 'online' : 'offline'}`,
+          source: 'whatsapp',
+          sourceId: instanceName,
+          read: false
+        });
+      } catch (alertError) {
+        logger.error('Erro ao criar alerta de conexão:', alertError);
+      }
+    }
+
+    logger.info(`Status da instância ${instanceName} atualizado para ${status}`);
+    return status;
+  }
+
+  /**
+   * Repassa o novo QR code (e o código de pareamento) à tela de pareamento aberta;
+   * o QR não é gravado porque expira em poucos segundos
+   * @param {String} instanceName - Nome da instância na Evolution
+   * @param {Object} body - Corpo do webhook recebido
+   */
+  async publishQrCode(instanceName, body) {
+    const qrcode = extractQrCode(body);
+    if (!qrcode) return;
+
+    const instance = await Instance.findOneAndUpdate(
+      { instanceName },
+      { status: 'connecting', lastUpdated: new Date() }
+    );
+    if (!instance) return;
+
+    await queueService.publishEventSafe({
+      type: 'instance_qrcode',
+      workspace: instance.workspace,
+      data: {
+        instanceId: instance._id,
+        instanceName,
+        ...qrcode
+      }
+    });
+
+    logger.info(`QR code atualizado para instância ${instanceName}`);
+  }
+
+  /**
+   * Perfil do número pareado: usa os dados do evento e completa com a Evolution
+   */
+  async resolveProfile(instanceName, connection) {
+    const profile = {
+      owner: connection.owner,
+      profileName: connection.profileName,
+      profilePictureUrl: connection.profilePictureUrl
+    };
+
+    if (!profile.profileName || !profile.profilePictureUrl) {
+      try {
+        const instance = await Instance.findOne({ instanceName }).select('serverUrl apiKey');
+        if (instance) {
+          const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
+          const details = await evolutionApi.fetchInstance(instanceName);
+          if (details) {
+            profile.owner = profile.owner || details.ownerJid || details.owner;
+            profile.profileName = profile.profileName || details.profileName;
+            profile.profilePictureUrl = profile.profilePictureUrl || details.profilePicUrl || details.profilePictureUrl;
+          }
+        }
+      } catch (error) {
+        logger.error(`Erro ao buscar perfil da instância ${instanceName}:`, error);
+      }
+    }
+
+    // Campos ausentes não apagam o perfil já gravado
+    return Object.fromEntries(Object.entries(profile).filter(([, value]) => value));
+  }
+}
+
+module.exports = new InstanceConnectionService();
@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const { Instance, Campaign, InstanceHealthCheck } = require('../models');
+const EvolutionApiService = require('./evolutionApiService');
+const instanceConnectionService = require('./instanceConnectionService');
+const instancePoolService = require('./instancePoolService');
+const alertService = require('./alertService');
+const queueService = require('./queueService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { toInstanceStatus } = require('../utils/evolutionPayload');
+
+// Instâncias verificadas ao mesmo tempo (cada verificação é uma chamada à Evolution)
+const PROBE_CONCURRENCY = 5;
+
+// Verificações com falha ou ação de recuperação listadas no histórico da instância
+const INCIDENT_LIMIT = 20;
+
+/**
+ * Supervisor de saúde das instâncias: verifica a conexão na Evolution, registra o
+ * histórico de disponibilidade e aplica a política de reconexão
+ */
+class InstanceHealthService {
+  /**
+   * Verifica todas as instâncias supervisionadas
+   * Instâncias nunca pareadas ou desconectadas pelo usuário ficam de fora até o próximo pareamento
+   * @returns {Promise<Object>} - { checked, unhealthy }
+   */
+  async checkAll() {
+    const instances = await Instance.find({
+      lastConnection: { $ne: null },
+      'health.loggedOut': { $ne: true }
+    }).select('workspace instanceName serverUrl apiKey status health');
+
+    let unhealthy = 0;
+    for (let i = 0; i < instances.length; i += PROBE_CONCURRENCY) {
+      const batch = instances.slice(i, i + PROBE_CONCURRENCY);
+      const results = await Promise.all(batch.map(instance => this.check(instance).catch(error => {
+        logger.error(`Erro ao verificar a saúde da instância ${instance.instanceName}:`, error);
+        return true;
+      })));
+      unhealthy += results.filter(healthy => !healthy).length;
+    }
+
+    return { checked: instances.length, unhealthy };
+  }
+
+  /**
+   * Verifica uma instância e aplica o resultado
+   * @returns {Promise<Boolean>} - true se a instância está conectada
+   */
+  async check(instance) {
+    const startedAt = Date.now();
+    let state = null;
+    let error = null;
+
+    try {
+      const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey, {
+        timeout: config.instanceHealth.probeTimeoutMs
+      });
+      const response = await evolutionApi.connectionState(instance.instanceName);
+      state = response?.instance?.state || null;
+    } catch (probeError) {
+      error = probeError.message;
+    }
+
+    const latencyMs = Date.now() - startedAt;
+    const healthy = toInstanceStatus(state) === 'connected';
+
+    const action = healthy
+      ? await this.recordHealthy(instance, state)
+      : await this.recordFailure(instance, state, error);
+
+    await InstanceHealthCheck.create({
+      workspace: instance.workspace,
+      instance: instance._id,
+      healthy,
+      state,
+      latencyMs,
+      error: error || undefined,
+      action
+    });
+
+    return healthy;
+  }
+
+  async recordHealthy(instance, state) {
+    // Voltou sem passar pelo webhook: atualizar o status e avisar as telas
+    if (instance.status !== 'connected') {
+      await instanceConnectionService.applyState(instance.instanceName, { state });
+      logger.info(`Instância ${instance.instanceName} reconectada (verificação de saúde)`);
+    }
+
+    await Instance.updateOne({ _id: instance._id }, {
+      'health.lastCheckAt': new Date(),
+      'health.lastHealthyAt': new Date(),
+      'health.consecutiveFailures': 0,
+      'health.reconnectAttempts': 0,
+      'health.nextReconnectAt': null,
+      'health.outageNotifiedAt': null,
+      'health.lastError': null
+    });
+
+    return null;
+  }
+
+  async recordFailure(instance, state, error) {
+    const health = instance.health || {};
+    const failures = (health.consecutiveFailures || 0) + 1;
+    const now = new Date();
+
+    // Tirar a instância do pool até ela voltar (webhook ou próxima verificação)
+    if (instance.status !== 'disconnected') {
+      await instanceConnectionService.applyState(instance.instanceName, {
+        state: 'close',
+        statusReason: state || 'health_check_failed'
+      });
+    }
+
+    const update = {
+      'health.lastCheckAt': now,
+      'health.consecutiveFailures': failures,
+      'health.lastError': error || `Estado da conexão: ${state || 'desconhecido'}`
+    };
+
+    // Em "connecting" a Evolution já está reconectando; uma nova ação interromperia a tentativa
+    let action = null;
+    const isDue = !health.nextReconnectAt || health.nextReconnectAt <= now;
+    if (state !== 'connecting' && isDue) {
+      const attempt = (health.reconnectAttempts || 0) + 1;
+      action = attempt % config.instanceHealth.restartEvery === 0 ? 'restart' : 'connect';
+
+      await this.reconnect(instance, action);
+
+      update['health.reconnectAttempts'] = attempt;
+      update['health.nextReconnectAt'] = new Date(now.getTime() + this.getReconnectDelay(attempt));
+      update['health.lastAction'] = action;
+      update['health.lastActionAt'] = now;
+    }
+
+    await Instance.updateOne({ _id: instance._id }, update);
+
+    if (failures >= config.instanceHealth.failureThreshold) {
+      await this.handleOutage(instance, failures, update['health.lastError']);
+    }
+
+    return action;
+  }
+
+  async reconnect(instance, action) {
+    try {
+      const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey, {
+        timeout: config.instanceHealth.probeTimeoutMs
+      });
+
+      if (action === 'restart') {
+        await evolutionApi.restartInstance(instance.instanceName);
+      } else {
+        await evolutionApi.connectInstance(instance.instanceName);
+      }
+
+      logger.info(`Instância ${instance.instanceName}: ${action === 'restart' ? 'reinício' : 'reconexão'} solicitado pelo supervisor`);
+    } catch (error) {
+      logger.error(`Falha ao ${action === 'restart' ? 'reiniciar' : 'reconectar'} a instância ${instance.instanceName}:`, error);
+    }
+  }
+
+  /**
+   * Intervalo até a próxima tentativa de reconexão (dobra a cada tentativa, até o máximo)
+   */
+  getReconnectDelay(attempt) {
+    const { reconnectBaseDelayMs, reconnectMaxDelayMs } = config.instanceHealth;
+    return Math.min(reconnectBaseDelayMs * Math.pow(2, attempt - 1), reconnectMaxDelayMs);
+  }
+
+  /**
+   * Queda confirmada: pausa as campanhas que ficaram sem instância conectada e gera o
+   * alerta connection_lost (uma vez por queda)
+   */
+  async handleOutage(instance, failures, lastError) {
+    const claimed = await Instance.findOneAndUpdate(
+      { _id: instance._id, 'health.outageNotifiedAt': null },
+      { 'health.outageNotifiedAt': new Date() }
+    );
+    if (!claimed) return;
+
+    const pausedCampaigns = await this.pauseCampaigns(instance, 'connection_lost');
+
+    await alertService.createAlert(
+      'connection_lost',
+      'critical',
+      `Conexão perdida com a instância ${instance.instanceName} após ${failures} verificações com falha` +
+        (pausedCampaigns.length > 0 ? `; ${pausedCampaigns.length} campanha(s) pausada(s)` : ''),
+      {
+        consecutiveFailures: failures,
+        lastHealthyAt: instance.health?.lastHealthyAt,
+        lastError,
+        pausedCampaigns
+      },
+      {
+        type: 'instance',
+        id: instance._id,
+        name: instance.instanceName
+      },
+      instance.workspace
+    );
+
+    logger.warn(`Instância ${instance.instanceName} fora do ar; ${pausedCampaigns.length} campanha(s) pausada(s)`);
+  }
+
+  /**
+   * Pausa as campanhas em execução da instância que não têm outra instância do pool para continuar
+   * @param {Object} instance - Instância com problema
+   * @param {String} reason - Motivo publicado no evento campaign_paused
+   * @param {Function} [canTakeOver] - Indica se uma instância conectada do pool pode assumir os envios
+   * @returns {Promise<Array>} - Campanhas pausadas ({ id, name })
+   */
+  async pauseCampaigns(instance, reason, canTakeOver = () => true) {
+    const instanceId = instance._id.toString();
+    const campaigns = await Campaign.find({
+      workspace: instance.workspace,
+      status: 'running',
+      $or: [{ instanceId: instance._id }, { instancePool: instance._id }]
+    });
+
+    const pausedCampaigns = [];
+    for (const campaign of campaigns) {
+      // Campanhas com outra instância conectada no pool continuam enviando por ela
+      const healthy = await instancePoolService.getHealthyInstances(campaign, [instanceId]);
+      if (healthy.some(canTakeOver)) continue;
+
+      const paused = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'running' },
+        { status: 'paused', lastUpdated: Date.now() }
+      );
+      if (!paused) continue;
+
+      pausedCampaigns.push({ id: campaign._id, name: campaign.name });
+      await queueService.publishEventSafe({
+        type: 'campaign_paused',
+        workspace: campaign.workspace,
+        data: {
+          campaignId: campaign._id,
+          campaignName: campaign.name,
+          reason,
+          instanceId: instance._id,
+          instanceName: instance.instanceName
+        }
+      });
+    }
+
+    return pausedCampaigns;
+  }
+
+  /**
+   * Disponibilidade e histórico de verificações da instância
+   * @param {Object} instance - Instância (do workspace do usuário)
+   * @param {Number} hours - Janela do histórico por hora
+   */
+  async getHistory(instance, hours = 24) {
+    const now = Date.now();
+    const since = new Date(now - hours * 3600000);
+
+    const [last24h, last7d, hourly, incidents] = await Promise.all([
+      this.getUptime(instance._id, new Date(now - 24 * 3600000)),
+      this.getUptime(instance._id, new Date(now - 7 * 24 * 3600000)),
+      InstanceHealthCheck.aggregate([
+        { $match: { instance: new mongoose.Types.ObjectId(instance._id), checkedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%dT%H:00:00.000Z', date: '$checkedAt' } },
+            checks: { $sum: 1 },
+            healthy: { $sum: { $cond: ['$healthy', 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      InstanceHealthCheck.find({
+        instance: instance._id,
+        $or: [{ healthy: false }, { action: { $ne: null } }]
+      })
+        .sort({ checkedAt: -1 })
+        .limit(INCIDENT_LIMIT)
+    ]);
+
+    return {
+      status: instance.status,
+      health: instance.health,
+      uptime: { last24h, last7d },
+      hourly: hourly.map(bucket => ({
+        hour: bucket._id,
+        checks: bucket.checks,
+        healthy: bucket.healthy,
+        uptime: Math.round((bucket.healthy / bucket.checks) * 1000) / 10
+      })),
+      incidents
+    };
+  }
+
+  /**
+   * Percentual de verificações com a instância conectada desde a data informada
+   * @returns {Promise<Object>} - { checks, healthy, percent } (percent null sem verificações)
+   */
+  async getUptime(instanceId, since) {
+    const [result] = await InstanceHealthCheck.aggregate([
+      { $match: { instance: new mongoose.Types.ObjectId(instanceId), checkedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          checks: { $sum: 1 },
+          healthy: { $sum: { $cond: ['$healthy', 1, 0] } }
+        }
+      }
+    ]);
+
+    if (!result) return { checks: 0, healthy: 0, percent: null };
+
+    return {
+      checks: result.checks,
+      healthy: result.healthy,
+      percent: Math.round((result.healthy / result.checks) * 1000) / 10
+    };
+  }
+}
+
+module.exports = new InstanceHealthService();
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { Campaign, Instance, Message } = require('../models');
+const instanceWarmupService = require('./instanceWarmupService');
+const logger = require('../utils/logger');
+
+// Estratégias de distribuição de mensagens entre as instâncias de uma campanha
+const STRATEGIES = ['round_robin', 'weighted_quota', 'sticky'];
+
+class InstancePoolService {
+  constructor() {
+    this.strategies = STRATEGIES;
+  }
+
+  /**
+   * Retorna os IDs de todas as instâncias da campanha (principal + pool), sem duplicidade
+   * @param {Object} campaign - Campanha
+   * @returns {Array<String>}
+   */
+  getPoolIds(campaign) {
+    const ids = [campaign.instanceId, ...(campaign.instancePool || [])]
+      .filter(Boolean)
+      .map(id => (id._id || id).toString());
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Busca as instâncias conectadas do pool, em ordem estável
+   * @param {Object} campaign - Campanha
+   * @param {Array<String>} [excludeIds] - Instâncias a ignorar (ex.: falharam agora)
+   */
+  async getHealthyInstances(campaign, excludeIds = []) {
+    const ids = this.getPoolIds(campaign).filter(id => !excludeIds.includes(id));
+    if (ids.length === 0) return [];
+
+    const instances = await Instance.find({ _id: { $in: ids }, status: 'connected' });
+
+    // Manter a ordem do pool para que o round-robin e o sticky sejam previsíveis
+    return instances.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+  }
+
+  /**
+   * Calcula quantas mensagens a instância ainda pode enviar hoje
+   * As mensagens antigas guardam o nome da instância e as novas o ID, então ambos são considerados;
+   * instâncias em aquecimento usam o limite do dia do plano
+   */
+  async getRemainingDailyQuota(instance) {
+    const dailyLimit = instanceWarmupService.getEffectiveDailyLimit(instance);
+    if (!dailyLimit) return Infinity;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const sentToday = await Message.countDocuments({
+      instanceId: { $in: [instance._id.toString(), instance.instanceName] },
+      status: { $in: ['sent', 'delivered', 'read'] },
+      sentAt: { $gte: today }
+    });
+
+    return Math.max(0, dailyLimit - sentToday);
+  }
+
+  /**
+   * Soma a cota diária restante das instâncias conectadas da campanha
+   */
+  async getPoolRemainingDailyQuota(campaign) {
+    const instances = await this.getHealthyInstances(campaign);
+    let total = 0;
+
+    for (const instance of instances) {
+      total += await this.getRemainingDailyQuota(instance);
+    }
+
+    return total;
+  }
+
+  /**
+   * Escolhe a instância que enviará a mensagem, conforme a estratégia da campanha
+   * Instâncias desconectadas são ignoradas, o que redistribui automaticamente as
+   * mensagens restantes de uma instância que caiu no meio da campanha
+   * @param {Object} campaign - Campanha da mensagem
+   * @param {Object} message - Mensagem a ser enviada
+   * @param {Array<String>} [excludeIds] - Instâncias a ignorar nesta tentativa
+   * @returns {Object|null} - Instância escolhida ou null se nenhuma estiver disponível
+   */
+  async selectInstance(campaign, message, excludeIds = []) {
+    const healthy = await this.getHealthyInstances(campaign, excludeIds);
+    if (healthy.length === 0) return null;
+    if (healthy.length === 1) return healthy[0];
+
+    const strategy = STRATEGIES.includes(campaign.distributionStrategy)
+      ? campaign.distributionStrategy
+      : 'round_robin';
+
+    if (strategy === 'sticky') {
+      return this.selectSticky(campaign, message, healthy);
+    }
+
+    // Instâncias sem cota diária só recebem mensagens se todas estiverem esgotadas
+    const quotas = [];
+    for (const instance of healthy) {
+      quotas.push({ instance, remaining: await this.getRemainingDailyQuota(instance) });
+    }
+    const available = quotas.filter(item => item.remaining > 0);
+    const candidates = available.length > 0 ? available : quotas;
+
+    if (strategy === 'weighted_quota') {
+      return this.selectWeighted(candidates);
+    }
+
+    return this.selectRoundRobin(campaign, candidates.map(item => item.instance));
+  }
+
+  /**
+   * Round-robin com cursor atômico na campanha (funciona com vários workers)
+   */
+  async selectRoundRobin(campaign, instances) {
+    const updated = await Campaign.findByIdAndUpdate(
+      campaign._id,
+      { $inc: { distributionCursor: 1 } },
+      { new: true, projection: { distributionCursor: 1 } }
+    );
+
+    const cursor = updated ? updated.distributionCursor : 0;
+    return instances[cursor % instances.length];
+  }
+
+  /**
+   * Sorteio ponderado pela cota diária restante de cada instância
+   */
+  selectWeighted(candidates) {
+    const finite = candidates.map(item => ({
+      instance: item.instance,
+      weight: Number.isFinite(item.remaining) ? Math.max(item.remaining, 1) : 1000
+    }));
+
+    const totalWeight = finite.reduce((sum, item) => sum + item.weight, 0);
+    let random = Math.random() * totalWeight;
+
+    for (const item of finite) {
+      random -= item.weight;
+      if (random < 0) return item.instance;
+    }
+
+    return finite[finite.length - 1].instance;
+  }
+
+  /**
+   * Mantém o mesmo número para o mesmo contato; se a instância preferida
+   * estiver desconectada, escolhe outra de forma determinística
+   */
+  selectSticky(campaign, message, healthy) {
+    const contactId = (message.contactId?._id || message.contactId || message.contact?._id || '').toString();
+    const hash = parseInt(crypto.createHash('md5').update(contactId).digest('hex').substring(0, 8), 16);
+
+    const poolIds = this.getPoolIds(campaign);
+    const preferredId = poolIds[hash % poolIds.length];
+    const preferred = healthy.find(instance => instance._id.toString() === preferredId);
+
+    if (preferred) return preferred;
+
+    logger.info(`Instância preferida do contato ${contactId} indisponível, usando outra instância do pool`);
+    return healthy[hash % healthy.length];
+  }
+}
+
+module.exports = new InstancePoolService();
@@ -0,0 +1,320 @@
+const { Instance, Message, Contact } = require('../models');
+const instanceHealthService = require('./instanceHealthService');
+const instanceWarmupService = require('./instanceWarmupService');
+const alertService = require('./alertService');
+const queueService = require('./queueService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Falhas que indicam rejeição pelo WhatsApp (número inexistente, bloqueio ou recusa após o envio)
+const REJECTION_PATTERN = /not-whatsapp-user|blocked|rejeitado pelo WhatsApp/i;
+
+// Peso de cada fator na pontuação (soma 100)
+const WEIGHTS = {
+  rejections: 35,
+  optOuts: 25,
+  readRate: 20,
+  volume: 20
+};
+
+// Taxas que levam cada fator ao peso máximo
+const MAX_REJECTION_RATE = 0.1;
+const MAX_OPT_OUT_RATE = 0.05;
+// Leituras acima de SAFE_READ_RATE não pesam; em MIN_READ_RATE ou abaixo o fator é máximo
+const SAFE_READ_RATE = 0.5;
+const MIN_READ_RATE = 0.1;
+// Volume diário (em múltiplos do volume seguro para a idade do número) que leva o fator ao máximo
+const MAX_VOLUME_RATIO = 3;
+
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Limites reduzidos enquanto o risco estiver elevado, com os valores aceitos pelo modelo
+const REDUCED_LIMITS = [
+  { field: 'perMinute', min: 1, max: 250, defaultValue: 20 },
+  { field: 'perHour', min: 1, max: 5000, defaultValue: 1000 },
+  { field: 'dailyLimit', min: 50, max: 1000, defaultValue: 200 }
+];
+const BATCH_DELAY = { field: 'batchDelay', min: 1000, max: 60000, defaultValue: 10000 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Risco de banimento dos números: pontua as rejeições, os descadastros, a taxa de
+ * leitura e o volume de envios em relação à idade do número, e aplica as proteções
+ * automáticas (limites reduzidos, descanso forçado e pausa das campanhas)
+ */
+class InstanceRiskService {
+  /**
+   * Recalcula o risco das instâncias conectadas
+   * @returns {Promise<Object>} - { evaluated, elevated }
+   */
+  async evaluateAll() {
+    const instances = await Instance.find({ status: 'connected' })
+      .select('workspace instanceName status throttling risk warmup createdAt');
+
+    let elevated = 0;
+    for (const instance of instances) {
+      try {
+        const { level } = await this.evaluate(instance);
+        if (level !== 'low') elevated++;
+      } catch (error) {
+        logger.error(`Erro ao calcular o risco da instância ${instance.instanceName}:`, error);
+      }
+    }
+
+    return { evaluated: instances.length, elevated };
+  }
+
+  /**
+   * Calcula a pontuação da instância e aplica as proteções do nível atingido
+   * @returns {Promise<Object>} - { score, level, factors }
+   */
+  async evaluate(instance) {
+    const factors = await this.collectFactors(instance);
+    const score = this.calculateScore(factors);
+    const level = this.getLevel(score);
+    const previousLevel = instance.risk?.level || 'low';
+
+    const update = {
+      'risk.score': score,
+      'risk.level': level,
+      'risk.factors': factors,
+      'risk.evaluatedAt': new Date()
+    };
+    const actions = [];
+
+    if (level === 'low' && instance.risk?.originalThrottling) {
+      Object.assign(update, this.restoreThrottling(instance));
+      actions.push('throttling_restored');
+    } else if (level !== 'low' && !instance.risk?.originalThrottling) {
+      Object.assign(update, this.reduceThrottling(instance));
+      actions.push('throttling_reduced');
+    }
+
+    if (LEVELS.indexOf(level) >= LEVELS.indexOf('high') && !(instance.risk?.cooldownUntil > new Date())) {
+      const cooldownTime = instance.throttling?.cooldownTime || 3600000;
+      update['risk.cooldownUntil'] = new Date(Date.now() + cooldownTime);
+      actions.push('cooldown');
+    }
+
+    if (level !== 'critical' && instance.risk?.pausedAt) {
+      update['risk.pausedAt'] = null;
+    }
+
+    await Instance.updateOne({ _id: instance._id }, update);
+
+    let pausedCampaigns = [];
+    if (level === 'critical') {
+      pausedCampaigns = await this.pauseCampaigns(instance);
+      if (pausedCampaigns.length > 0) actions.push('campaigns_paused');
+    }
+
+    if (level !== previousLevel) {
+      await this.notifyLevelChange(instance, { score, level, previousLevel, factors, actions, pausedCampaigns });
+    }
+
+    // O aquecimento só avança com o risco baixo
+    await instanceWarmupService.review(instance, { score, level });
+
+    return { score, level, factors };
+  }
+
+  /**
+   * Dados da janela de avaliação usados na pontuação
+   */
+  async collectFactors(instance) {
+    const { windowHours, safeDailyVolumeBase, safeDailyVolumePerDay } = config.banRisk;
+    const now = Date.now();
+    const since = new Date(now - windowHours * 3600000);
+    const dayAgo = new Date(now - 24 * 3600000);
+
+    // As mensagens antigas guardam o nome da instância e as novas o ID
+    const instanceIds = [instance._id.toString(), instance.instanceName];
+
+    const [sentStats, rejections, optOuts] = await Promise.all([
+      Message.aggregate([
+        {
+          $match: {
+            instanceId: { $in: instanceIds },
+            sentAt: { $gte: since < dayAgo ? since : dayAgo }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            sent: { $sum: { $cond: [{ $gte: ['$sentAt', since] }, 1, 0] } },
+            delivered: {
+              $sum: { $cond: [{ $and: [{ $gte: ['$sentAt', since] }, { $in: ['$status', ['delivered', 'read']] }] }, 1, 0] }
+            },
+            read: {
+              $sum: { $cond: [{ $and: [{ $gte: ['$sentAt', since] }, { $eq: ['$status', 'read'] }] }, 1, 0] }
+            },
+            sentLast24h: { $sum: { $cond: [{ $gte: ['$sentAt', dayAgo] }, 1, 0] } }
+          }
+        }
+      ]),
+      Message.countDocuments({
+        instanceId: { $in: instanceIds },
+        status: 'failed',
+        failedAt: { $gte: since },
+        errorDetails: REJECTION_PATTERN
+      }),
+      Contact.countDocuments({
+        workspace: instance.workspace,
+        'optOutSource.instanceName': instance.instanceName,
+        optedOutAt: { $gte: since }
+      })
+    ]);
+
+    const stats = sentStats[0] || { sent: 0, delivered: 0, read: 0, sentLast24h: 0 };
+    const { minSample } = config.banRisk;
+    const attempts = stats.sent + rejections;
+
+    // O cadastro da instância é a referência da idade do número
+    const accountAgeDays = Math.max(0, Math.floor((now - new Date(instance.createdAt).getTime()) / 86400000));
+
+    return {
+      attempts,
+      rejections,
+      // Poucos envios são completados até a amostra mínima para não gerar taxas extremas
+      rejectionRate: round(rejections / Math.max(attempts, minSample)),
+      delivered: stats.delivered,
+      read: stats.read,
+      // Sem entregas suficientes a taxa de leitura não é considerada
+      readRate: stats.delivered >= minSample ? round(stats.read / stats.delivered) : null,
+      optOuts,
+      optOutRate: round(optOuts / Math.max(stats.sent, minSample)),
+      sentLast24h: stats.sentLast24h,
+      safeDailyVolume: safeDailyVolumeBase + safeDailyVolumePerDay * accountAgeDays,
+      accountAgeDays
+    };
+  }
+
+  /**
+   * Pontuação de 0 a 100 a partir dos fatores
+   */
+  calculateScore(factors) {
+    const rejections = clamp(factors.rejectionRate / MAX_REJECTION_RATE, 0, 1) * WEIGHTS.rejections;
+    const optOuts = clamp(factors.optOutRate / MAX_OPT_OUT_RATE, 0, 1) * WEIGHTS.optOuts;
+    const readRate = factors.readRate === null
+      ? 0
+      : clamp((SAFE_READ_RATE - factors.readRate) / (SAFE_READ_RATE - MIN_READ_RATE), 0, 1) * WEIGHTS.readRate;
+    const volumeRatio = factors.sentLast24h / factors.safeDailyVolume;
+    const volume = clamp((volumeRatio - 1) / (MAX_VOLUME_RATIO - 1), 0, 1) * WEIGHTS.volume;
+
+    return Math.round(rejections + optOuts + readRate + volume);
+  }
+
+  getLevel(score) {
+    const { reduceThrottlingAt, cooldownAt, pauseAt } = config.banRisk;
+    if (score >= pauseAt) return 'critical';
+    if (score >= cooldownAt) return 'high';
+    if (score >= reduceThrottlingAt) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Reduz os limites de envio e guarda os valores do usuário para restaurá-los depois
+   */
+  reduceThrottling(instance) {
+    const throttling = instance.throttling || {};
+    const factor = config.banRisk.throttlingFactor;
+    const original = {};
+    const update = {};
+
+    for (const limit of REDUCED_LIMITS) {
+      const value = throttling[limit.field] || limit.defaultValue;
+      original[limit.field] = value;
+      update[`throttling.${limit.field}`] = clamp(Math.floor(value * factor), limit.min, limit.max);
+    }
+
+    const batchDelay = throttling[BATCH_DELAY.field] || BATCH_DELAY.defaultValue;
+    original[BATCH_DELAY.field] = batchDelay;
+    update[`throttling.${BATCH_DELAY.field}`] = clamp(Math.ceil(batchDelay / factor), BATCH_DELAY.min, BATCH_DELAY.max);
+
+    update['risk.originalThrottling'] = original;
+
+    logger.warn(`Limites de envio da instância ${instance.instanceName} reduzidos por risco de banimento`);
+    return update;
+  }
+
+  restoreThrottling(instance) {
+    const update = { 'risk.originalThrottling': null };
+
+    for (const [field, value] of Object.entries(instance.risk.originalThrottling)) {
+      update[`throttling.${field}`] = value;
+    }
+
+    logger.info(`Limites de envio da instância ${instance.instanceName} restaurados`);
+    return update;
+  }
+
+  /**
+   * Pausa as campanhas da instância uma vez por episódio de risco crítico; campanhas
+   * com outra instância conectada fora do risco crítico continuam por ela
+   */
+  async pauseCampaigns(instance) {
+    const claimed = await Instance.findOneAndUpdate(
+      { _id: instance._id, 'risk.pausedAt': null },
+      { 'risk.pausedAt': new Date() }
+    );
+    if (!claimed) return [];
+
+    const pausedCampaigns = await instanceHealthService.pauseCampaigns(
+      instance,
+      'ban_risk',
+      other => other.risk?.level !== 'critical'
+    );
+
+    logger.warn(`Instância ${instance.instanceName} em risco crítico de banimento; ${pausedCampaigns.length} campanha(s) pausada(s)`);
+    return pausedCampaigns;
+  }
+
+  /**
+   * Avisa as telas abertas da mudança de nível e gera um alerta quando o risco sobe para alto ou crítico
+   */
+  async notifyLevelChange(instance, { score, level, previousLevel, factors, actions, pausedCampaigns }) {
+    await queueService.publishEventSafe({
+      type: 'instance_risk',
+      workspace: instance.workspace,
+      data: {
+        instanceId: instance._id,
+        instanceName: instance.instanceName,
+        score,
+        level,
+        previousLevel
+      }
+    });
+
+    const rising = LEVELS.indexOf(level) > LEVELS.indexOf(previousLevel);
+    if (!rising || LEVELS.indexOf(level) < LEVELS.indexOf('high')) return;
+
+    try {
+      await alertService.createAlert(
+        'ban_risk',
+        level === 'critical' ? 'critical' : 'warning',
+        `Risco ${level === 'critical' ? 'crítico' : 'alto'} de banimento na instância ${instance.instanceName} (pontuação ${score})` +
+          (pausedCampaigns.length > 0 ? `; ${pausedCampaigns.length} campanha(s) pausada(s)` : ''),
+        {
+          score,
+          previousLevel,
+          factors,
+          actions,
+          pausedCampaigns
+        },
+        {
+          type: 'instance',
+          id: instance._id,
+          name: instance.instanceName
+        },
+        instance.workspace
+      );
+    } catch (error) {
+      logger.error(`Erro ao criar alerta de risco da instância ${instance.instanceName}:`, error);
+    }
+  }
+}
+
+module.exports = new InstanceRiskService();
@@ -0,0 +1,320 @@
+const { Instance } = require('../models');
+const alertService = require('./alertService');
+const queueService = require('./queueService');
+const logger = require('../utils/logger');
+
+const CURVES = ['linear', 'exponential'];
+
+// Um plano não pode levar mais que isso para atingir a meta
+const MAX_PLAN_DAYS = 90;
+
+// Plano sugerido para números novos (dia 1: 20, dia 2: 40... até 200)
+const DEFAULT_PLAN = {
+  initialDailyLimit: 20,
+  targetDailyLimit: 200,
+  curve: 'linear',
+  dailyIncrease: 20,
+  growthRate: 0.5
+};
+
+const DAY_MS = 86400000;
+
+// Dias corridos entre duas datas no fuso local (o limite diário vira à meia-noite)
+const daysBetween = (from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(0, 0, 0, 0);
+  return Math.round((end.getTime() - start.getTime()) / DAY_MS);
+};
+
+/**
+ * Aquecimento de números novos: limite diário crescente por uma curva até a meta,
+ * aplicado pelo messageWorker e pausado automaticamente quando o risco de banimento sobe
+ */
+class InstanceWarmupService {
+  constructor() {
+    this.curves = CURVES;
+    this.defaultPlan = DEFAULT_PLAN;
+  }
+
+  /**
+   * Valida um plano de aquecimento
+   * @returns {Object} - { data } ou { error }
+   */
+  validate({ initialDailyLimit, targetDailyLimit, curve, dailyIncrease, growthRate } = {}) {
+    const data = {
+      initialDailyLimit: parseInt(initialDailyLimit ?? DEFAULT_PLAN.initialDailyLimit),
+      targetDailyLimit: parseInt(targetDailyLimit ?? DEFAULT_PLAN.targetDailyLimit),
+      curve: curve || DEFAULT_PLAN.curve
+    };
+
+    if (!Number.isInteger(data.initialDailyLimit) || data.initialDailyLimit < 1 || data.initialDailyLimit > 1000) {
+      return { error: 'O limite do primeiro dia deve estar entre 1 e 1000 mensagens' };
+    }
+
+    if (!Number.isInteger(data.targetDailyLimit) || data.targetDailyLimit <= data.initialDailyLimit || data.targetDailyLimit > 1000) {
+      return { error: 'A meta deve ser maior que o limite do primeiro dia e no máximo 1000 mensagens' };
+    }
+
+    if (!CURVES.includes(data.curve)) {
+      return { error: `Curva inválida. Use: ${CURVES.join(', ')}` };
+    }
+
+    if (data.curve === 'linear') {
+      data.dailyIncrease = parseInt(dailyIncrease ?? DEFAULT_PLAN.dailyIncrease);
+      if (!Number.isInteger(data.dailyIncrease) || data.dailyIncrease < 1) {
+        return { error: 'O acréscimo diário deve ser de ao menos 1 mensagem' };
+      }
+    } else {
+      data.growthRate = parseFloat(growthRate ?? DEFAULT_PLAN.growthRate);
+      if (!Number.isFinite(data.growthRate) || data.growthRate < 0.05 || data.growthRate > 2) {
+        return { error: 'O crescimento diário deve estar entre 5% e 200%' };
+      }
+    }
+
+    if (this.getSchedule(data).length > MAX_PLAN_DAYS) {
+      return { error: `O plano levaria mais de ${MAX_PLAN_DAYS} dias para atingir a meta` };
+    }
+
+    return { data };
+  }
+
+  /**
+   * Limite do plano em um dia (o primeiro dia é o 1)
+   */
+  getLimitForDay(plan, day) {
+    const steps = Math.max(0, day - 1);
+    const limit = plan.curve === 'exponential'
+      ? Math.round(plan.initialDailyLimit * Math.pow(1 + plan.growthRate, steps))
+      : plan.initialDailyLimit + plan.dailyIncrease * steps;
+
+    return Math.min(limit, plan.targetDailyLimit);
+  }
+
+  /**
+   * Limite de cada dia até a meta
+   * @returns {Array<Object>} - [{ day, dailyLimit }]
+   */
+  getSchedule(plan) {
+    const schedule = [];
+    for (let day = 1; day <= MAX_PLAN_DAYS + 1; day++) {
+      const dailyLimit = this.getLimitForDay(plan, day);
+      schedule.push({ day, dailyLimit });
+      if (dailyLimit >= plan.targetDailyLimit) break;
+    }
+    return schedule;
+  }
+
+  isActive(warmup) {
+    return Boolean(warmup?.enabled && warmup.startedAt && !warmup.completedAt);
+  }
+
+  /**
+   * Dia atual do plano; pausado, o plano fica no dia da pausa
+   */
+  getCurrentDay(warmup, now = new Date()) {
+    return daysBetween(warmup.startedAt, warmup.pausedAt || now) + 1;
+  }
+
+  /**
+   * Limite diário do aquecimento hoje, ou null sem plano em andamento
+   */
+  getDailyLimit(instance, now = new Date()) {
+    const warmup = instance.warmup;
+    if (!this.isActive(warmup)) return null;
+
+    return this.getLimitForDay(warmup, this.getCurrentDay(warmup, now));
+  }
+
+  /**
+   * Limite diário aplicado no envio: o menor entre o do aquecimento e o de throttling
+   * @returns {Number} - 0 quando não há limite
+   */
+  getEffectiveDailyLimit(instance, now = new Date()) {
+    const configured = instance.throttling?.dailyLimit || 0;
+    const warmupLimit = this.getDailyLimit(instance, now);
+    if (!warmupLimit) return configured;
+
+    return configured ? Math.min(configured, warmupLimit) : warmupLimit;
+  }
+
+  /**
+   * Andamento do plano exibido na tela de instâncias
+   * @returns {Object|null} - null sem plano
+   */
+  getProgress(instance, now = new Date()) {
+    const warmup = instance.warmup;
+    if (!warmup?.enabled || !warmup.startedAt) return null;
+
+    const totalDays = this.getSchedule(warmup).length;
+    const completed = Boolean(warmup.completedAt);
+    const day = completed ? totalDays : Math.min(this.getCurrentDay(warmup, now), totalDays);
+
+    return {
+      day,
+      totalDays,
+      dailyLimit: completed ? warmup.targetDailyLimit : this.getDailyLimit(instance, now),
+      targetDailyLimit: warmup.targetDailyLimit,
+      percent: completed ? 100 : Math.min(99, Math.round((day / totalDays) * 100)),
+      paused: Boolean(warmup.pausedAt),
+      pauseReason: warmup.pauseReason || null,
+      completed
+    };
+  }
+
+  /**
+   * Inicia ou altera o plano; um plano em andamento mantém o dia atual, salvo com restart
+   */
+  async savePlan(instance, data, { restart = false } = {}) {
+    const keepProgress = !restart && this.isActive(instance.warmup);
+
+    const update = {
+      'warmup.enabled': true,
+      'warmup.initialDailyLimit': data.initialDailyLimit,
+      'warmup.targetDailyLimit': data.targetDailyLimit,
+      'warmup.curve': data.curve,
+      'warmup.dailyIncrease': data.dailyIncrease ?? null,
+      'warmup.growthRate': data.growthRate ?? null
+    };
+
+    if (!keepProgress) {
+      Object.assign(update, {
+        'warmup.startedAt': new Date(),
+        'warmup.pausedAt': null,
+        'warmup.pauseReason': null,
+        'warmup.completedAt': null
+      });
+    }
+
+    const updated = await Instance.findByIdAndUpdate(instance._id, update, { new: true }).select('-apiKey');
+    logger.info(`Plano de aquecimento da instância ${instance.instanceName} ${keepProgress ? 'alterado' : 'iniciado'}`);
+    return updated;
+  }
+
+  /**
+   * Pausa o plano em andamento
+   * @returns {Promise<Object|null>} - Instância atualizada ou null se não havia plano em andamento
+   */
+  async pause(instance, reason = 'manual') {
+    const updated = await Instance.findOneAndUpdate(
+      { _id: instance._id, 'warmup.enabled': true, 'warmup.pausedAt': null, 'warmup.completedAt': null },
+      { 'warmup.pausedAt': new Date(), 'warmup.pauseReason': reason },
+      { new: true }
+    ).select('-apiKey');
+
+    if (updated) {
+      logger.info(`Aquecimento da instância ${instance.instanceName} pausado (${reason})`);
+      await this.publishChange(updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Retoma o plano do dia em que parou (os dias pausados não contam)
+   * @returns {Promise<Object>} - { instance } ou { error }
+   */
+  async resume(instance) {
+    const warmup = instance.warmup;
+    if (!this.isActive(warmup) || !warmup.pausedAt) {
+      return { error: 'O aquecimento desta instância não está pausado' };
+    }
+
+    if (instance.risk?.level && instance.risk.level !== 'low') {
+      return { error: 'O risco de banimento da instância ainda está elevado; aguarde ele baixar para retomar o aquecimento' };
+    }
+
+    const pausedDays = daysBetween(warmup.pausedAt, new Date());
+    const updated = await Instance.findByIdAndUpdate(
+      instance._id,
+      {
+        'warmup.startedAt': new Date(new Date(warmup.startedAt).getTime() + pausedDays * DAY_MS),
+        'warmup.pausedAt': null,
+        'warmup.pauseReason': null
+      },
+      { new: true }
+    ).select('-apiKey');
+
+    logger.info(`Aquecimento da instância ${instance.instanceName} retomado`);
+    await this.publishChange(updated);
+    return { instance: updated };
+  }
+
+  async cancel(instance) {
+    const updated = await Instance.findByIdAndUpdate(
+      instance._id,
+      { 'warmup.enabled': false, 'warmup.pausedAt': null, 'warmup.pauseReason': null },
+      { new: true }
+    ).select('-apiKey');
+
+    logger.info(`Aquecimento da instância ${instance.instanceName} cancelado`);
+    return updated;
+  }
+
+  /**
+   * Acompanha o plano a cada cálculo do risco: pausa quando o risco sobe e conclui ao atingir a meta
+   * @param {Object} instance - Instância (com warmup e workspace)
+   * @param {Object} risk - { score, level } recém-calculados
+   */
+  async review(instance, { score, level }) {
+    const warmup = instance.warmup;
+    if (!this.isActive(warmup) || warmup.pausedAt) return;
+
+    if (level !== 'low') {
+      const paused = await this.pause(instance, 'ban_risk');
+      if (!paused) return;
+
+      try {
+        await alertService.createAlert(
+          'ban_risk',
+          'warning',
+          `Aquecimento da instância ${instance.instanceName} pausado no dia ${this.getCurrentDay(paused.warmup)}: risco de banimento ${level === 'medium' ? 'moderado' : 'elevado'} (pontuação ${score})`,
+          {
+            score,
+            level,
+            dailyLimit: this.getDailyLimit(paused)
+          },
+          {
+            type: 'instance',
+            id: instance._id,
+            name: instance.instanceName
+          },
+          instance.workspace
+        );
+      } catch (error) {
+        logger.error(`Erro ao criar alerta de aquecimento da instância ${instance.instanceName}:`, error);
+      }
+      return;
+    }
+
+    if (this.getDailyLimit(instance) >= warmup.targetDailyLimit) {
+      const completed = await Instance.findOneAndUpdate(
+        { _id: instance._id, 'warmup.completedAt': null },
+        { 'warmup.completedAt': new Date() },
+        { new: true }
+      );
+      if (!completed) return;
+
+      logger.info(`Aquecimento da instância ${instance.instanceName} concluído (${warmup.targetDailyLimit} mensagens por dia)`);
+      await this.publishChange(completed);
+    }
+  }
+
+  /**
+   * Avisa as telas abertas da mudança no plano
+   */
+  async publishChange(instance) {
+    await queueService.publishEventSafe({
+      type: 'instance_warmup',
+      workspace: instance.workspace,
+      data: {
+        instanceId: instance._id,
+        instanceName: instance.instanceName,
+        progress: this.getProgress(instance)
+      }
+    });
+  }
+}
+
+module.exports = new InstanceWarmupService();
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Contact, Instance, Message, Template } = require('../models');
+const queueService = require('./queueService');
+const contactFieldService = require('./contactFieldService');
+const templateRenderer = require('../utils/templateRenderer');
+const logger = require('../utils/logger');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Busca por ID ou, se o valor não for um ObjectId, pelo campo informado (nome)
+const findByIdOrField = (Model, workspace, value, field) => {
+  const query = mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { [field]: value };
+  return Model.findOne({ ...query, workspace });
+};
+
+class MessageService {
+  /**
+   * Cria uma mensagem avulsa (transacional) e a envia pela fila prioritária do messageWorker,
+   * com o mesmo throttling e as mesmas retentativas das campanhas
+   * @param {ObjectId} workspace
+   * @param {Object} data - { phone | contactId, template (ID ou nome) | text, mediaUrl, mediaType,
+   *                        variables, instance (ID ou nome), idempotencyKey }
+   * @param {Object} [origin] - { apiKey } ou { user } que solicitou o envio
+   * @returns {Object} - { message, duplicate } ou { error, conflict }
+   */
+  async send(workspace, data, origin = {}) {
+    const { idempotencyKey } = data;
+
+    const validationError = this.validate(data);
+    if (validationError) {
+      return { error: validationError };
+    }
+
+    // Requisição repetida com a mesma chave: devolve a mensagem já criada
+    const requestHash = idempotencyKey ? this.hashRequest(data) : null;
+    if (idempotencyKey) {
+      const previous = await this.findByIdempotencyKey(workspace, idempotencyKey, requestHash);
+      if (previous) return previous;
+    }
+
+    const { message: draft, error } = await this.build(workspace, data);
+    if (error) {
+      return { error };
+    }
+
+    let message;
+    try {
+      message = await Message.create({
+        ...draft,
+        workspace,
+        source: 'transactional',
+        priority: 'high',
+        apiKey: origin.apiKey || null,
+        requestedBy: origin.user || null,
+        idempotencyKey: idempotencyKey || undefined,
+        idempotencyHash: requestHash || undefined,
+        status: 'queued',
+        retries: 0
+      });
+    } catch (createError) {
+      // Duas requisições simultâneas com a mesma chave: a segunda recebe a mensagem da primeira
+      if (createError.code === 11000 && idempotencyKey) {
+        const previous = await this.findByIdempotencyKey(workspace, idempotencyKey, requestHash);
+        if (previous) return previous;
+      }
+      throw createError;
+    }
+
+    const queued = await queueService.enqueueMessage(message);
+    if (!queued) {
+      await Message.findByIdAndUpdate(message._id, {
+        status: 'failed',
+        errorDetails: 'Não foi possível enfileirar a mensagem'
+      });
+      logger.error(`Mensagem avulsa ${message._id} não pôde ser enfileirada`);
+      return { error: 'Fila de mensagens indisponível. Tente novamente com outra chave de idempotência' };
+    }
+
+    logger.info(`Mensagem avulsa ${message._id} enfileirada na fila prioritária (instância ${draft.instanceId})`);
+
+    return { message, duplicate: false };
+  }
+
+  /**
+   * Validação dos dados da requisição (sem consultas ao banco)
+   * @returns {String|null} - Mensagem de erro
+   */
+  validate({ phone, contactId, template, text, mediaUrl, mediaType, variables, idempotencyKey }) {
+    if (!phone && !contactId) {
+      return 'Informe o telefone (phone) ou o ID do contato (contactId)';
+    }
+    if (template && (text || mediaUrl)) {
+      return 'Informe o template ou o conteúdo (text/mediaUrl), não ambos';
+    }
+    if (!template && !text && !mediaUrl) {
+      return 'Informe o template (ID ou nome), o texto (text) ou a mídia (mediaUrl)';
+    }
+    if (text !== undefined && typeof text !== 'string') {
+      return 'O texto deve ser uma string';
+    }
+    if (mediaUrl) {
+      if (!/^https?:\/\/[^\s/$.?#].[^\s]*$/.test(mediaUrl)) {
+        return 'mediaUrl deve ser uma URL http(s) válida';
+      }
+      if (!MEDIA_TYPES.includes(mediaType)) {
+        return `mediaType deve ser: ${MEDIA_TYPES.join(', ')}`;
+      }
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return 'As variáveis devem ser um objeto { nome: valor }';
+    }
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() ||
+        idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return `A chave de idempotência deve ser um texto de até ${MAX_IDEMPOTENCY_KEY_LENGTH} caracteres`;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve template, instância e contato e monta a mensagem (conteúdo já renderizado)
+   * @returns {Object} - { message } ou { error }
+   */
+  async build(workspace, { phone, contactId, template: templateRef, text, mediaUrl, mediaType, variables = {}, instance: instanceRef }) {
+    let content = text || '';
+    let media = { mediaUrl: mediaUrl || null, mediaType: mediaUrl ? mediaType : null };
+
+    if (templateRef) {
+      const template = await findByIdOrField(Template, workspace, templateRef, 'name');
+      if (!template) {
+        return { error: 'Template não encontrado' };
+      }
+      content = template.content;
+      media = {
+        mediaUrl: template.mediaUrl || null,
+        mediaType: template.mediaUrl && template.mediaType !== 'none' ? template.mediaType : null
+      };
+    }
+
+    // Sem instância informada, usa a primeira conectada do workspace
+    const instance = instanceRef
+      ? await findByIdOrField(Instance, workspace, instanceRef, 'instanceName')
+      : await Instance.findOne({ workspace, status: 'connected' }).sort({ createdAt: 1 });
+    if (!instance) {
+      return { error: instanceRef ? 'Instância não encontrada' : 'Nenhuma instância conectada no workspace' };
+    }
+
+    const { contact, error } = await this.resolveContact(workspace, { phone, contactId });
+    if (error) {
+      return { error };
+    }
+    if (contact.optedOut) {
+      return { error: 'O contato pediu descadastro (opt-out) e não recebe mensagens' };
+    }
+
+    // O texto livre também aceita a sintaxe dos templates ({{nome}}, {{codigo}}, spintax...)
+    const customFields = await contactFieldService.getKeys(workspace);
+    const missing = templateRenderer.findUnknownVariables(content, { variables, customFields });
+    if (missing.length > 0) {
+      return { error: `Variáveis sem valor: ${missing.join(', ')}` };
+    }
+
+    return {
+      message: {
+        contactId: contact._id,
+        content: templateRenderer.render(content, { contact, variables }),
+        ...media,
+        instanceId: instance._id.toString()
+      }
+    };
+  }
+
+  /**
+   * Mensagem já criada com a chave de idempotência
+   * @returns {Object|null} - { message, duplicate: true }, { error, conflict: true } ou null
+   */
+  async findByIdempotencyKey(workspace, idempotencyKey, requestHash) {
+    const message = await Message.findOne({ workspace, idempotencyKey }).select('+idempotencyHash');
+    if (!message) return null;
+
+    if (message.idempotencyHash !== requestHash) {
+      return { error: 'Esta chave de idempotência já foi usada com outros dados', conflict: true };
+    }
+
+    logger.info(`Requisição repetida com a chave de idempotência ${idempotencyKey}: mensagem ${message._id}`);
+    return { message, duplicate: true };
+  }
+
+  hashRequest({ phone, contactId, template, text, mediaUrl, mediaType, variables, instance }) {
+    const payload = JSON.stringify([phone, contactId, template, text, mediaUrl, mediaType, variables, instance]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Contato do workspace pelo ID ou telefone; telefones novos viram contatos
+   * @returns {Object} - { contact } ou { error }
+   */
+  async resolveContact(workspace, { phone, contactId }) {
+    if (contactId) {
+      if (!mongoose.Types.ObjectId.isValid(contactId)) {
+        return { error: 'ID do contato inválido' };
+      }
+      const contact = await Contact.findOne({ _id: contactId, workspace });
+      return contact ? { contact } : { error: 'Contato não encontrado' };
+    }
+
+    const fields = Contact.formatPhone(phone);
+    if (!/^\+[1-9]\d{1,14}$/.test(fields.phone)) {
+      return { error: `${phone} não é um número de telefone válido` };
+    }
+
+    const existing = await Contact.phoneExists(fields.phone, workspace);
+    if (existing) {
+      return { contact: existing };
+    }
+
+    const contact = await Contact.create({ workspace, ...fields });
+    logger.info(`Contato ${contact.phone} criado para envio avulso`);
+    return { contact };
+  }
+
+  /**
+   * Status de uma mensagem (avulsa ou de campanha) do workspace, no formato da API
+   * @returns {Object|null}
+   */
+  async getStatus(workspace, id) {
+    const message = await Message.findOne({ _id: id, workspace })
+      .populate('contactId', 'phone name');
+
+    if (!message) return null;
+
+    return {
+      id: message._id,
+      source: message.source,
+      campaignId: message.campaignId || null,
+      contact: message.contactId
+        ? { id: message.contactId._id, phone: message.contactId.phone, name: message.contactId.name }
+        : null,
+      status: message.status,
+      idempotencyKey: message.idempotencyKey || null,
+      errorDetails: message.errorDetails || null,
+      retries: message.retries,
+      createdAt: message.createdAt,
+      sentAt: message.sentAt || null,
+      deliveredAt: message.deliveredAt || null,
+      readAt: message.readAt || null
+    };
+  }
+}
+
+module.exports = new MessageService();
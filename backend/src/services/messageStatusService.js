@@ -0,0 +1,233 @@
+const { Message, Campaign, Instance, ConversationMessage } = require('../models');
+const queueService = require('./queueService');
+const logger = require('../utils/logger');
+
+// Ciclo de vida das mensagens enviadas; o status só pode avançar nesta ordem
+const STATUS_RANK = {
+  pending: 0,
+  queued: 1,
+  sending: 1,
+  scheduled_retry: 1,
+  sent: 2,
+  delivered: 3,
+  read: 4
+};
+
+// Códigos de confirmação do Baileys (WAMessageStatus) e seus nomes na API Evolution
+const ACK_STATUS_MAP = {
+  0: 'failed',
+  2: 'sent',
+  3: 'delivered',
+  4: 'read',
+  5: 'read',
+  error: 'failed',
+  server_ack: 'sent',
+  delivery_ack: 'delivered',
+  read: 'read',
+  played: 'read',
+  sent: 'sent',
+  delivered: 'delivered'
+};
+
+class MessageStatusService {
+  /**
+   * Converte o status recebido da API Evolution/Baileys para o ciclo de vida interno
+   * @param {String|Number} rawStatus - Ex.: "DELIVERY_ACK", "read", 3
+   * @returns {String|null} - sent, delivered, read, failed ou null se não for relevante
+   */
+  mapStatus(rawStatus) {
+    if (rawStatus === undefined || rawStatus === null) return null;
+
+    const key = typeof rawStatus === 'number'
+      ? rawStatus
+      : String(rawStatus).trim().toLowerCase();
+
+    return ACK_STATUS_MAP[key] || null;
+  }
+
+  /**
+   * Status que ainda podem avançar para o status informado
+   */
+  getPreviousStatuses(status) {
+    const rank = STATUS_RANK[status];
+    return Object.keys(STATUS_RANK).filter(current => STATUS_RANK[current] < rank);
+  }
+
+  /**
+   * Aplica uma confirmação de envio/entrega/leitura a uma mensagem de campanha
+   * A transição é atômica e nunca retrocede; os contadores da campanha e da
+   * instância só são incrementados por quem efetivamente realizou a transição
+   * @param {String} instanceName - Instância que reportou a atualização
+   * @param {String} messageId - ID da mensagem no WhatsApp
+   * @param {String|Number} rawStatus - Status recebido no webhook
+   * @param {Date} [timestamp] - Momento da atualização
+   * @returns {Object|null} - { from, to } se houve transição
+   */
+  async applyStatus(instanceName, messageId, rawStatus, timestamp = new Date()) {
+    const status = this.mapStatus(rawStatus);
+    if (!messageId || !status) return null;
+
+    await this.updateConversationMessage(instanceName, messageId, status);
+
+    if (status === 'failed') {
+      return this.applyFailure(instanceName, messageId, timestamp);
+    }
+
+    const update = { status };
+    if (status === 'sent') update.sentAt = timestamp;
+    if (status === 'delivered') update.deliveredAt = timestamp;
+    if (status === 'read') update.readAt = timestamp;
+
+    // Retorna o documento anterior para saber de qual status a mensagem partiu
+    const previous = await Message.findOneAndUpdate(
+      { messageId, status: { $in: this.getPreviousStatuses(status) } },
+      { $set: update },
+      { new: false }
+    ).populate('contactId', 'phone');
+
+    if (!previous) return null;
+
+    const fromRank = STATUS_RANK[previous.status];
+    const campaignInc = {};
+    const instanceInc = {};
+
+    // Lida sem confirmação de entrega prévia também conta como entregue
+    if (fromRank < STATUS_RANK.delivered && STATUS_RANK[status] >= STATUS_RANK.delivered) {
+      campaignInc['metrics.delivered'] = 1;
+      instanceInc['metrics.totalDelivered'] = 1;
+
+      if (status === 'read') {
+        await Message.updateOne(
+          { _id: previous._id, deliveredAt: { $exists: false } },
+          { $set: { deliveredAt: timestamp } }
+        );
+      }
+    }
+
+    if (status === 'read') {
+      campaignInc['metrics.read'] = 1;
+      instanceInc['metrics.totalRead'] = 1;
+    }
+
+    if (Object.keys(campaignInc).length > 0) {
+      // Mensagens avulsas (API) não têm campanha
+      await this.updateCampaignMetrics(previous.campaignId, campaignInc);
+      await Instance.updateOne({ instanceName }, { $inc: instanceInc });
+    }
+
+    logger.info(`Mensagem ${messageId}: ${previous.status} -> ${status}`);
+
+    // Enviada é publicada pelo messageWorker; aqui só entrega e leitura
+    if (status !== 'sent') {
+      await this.publishMessageEvent(`message_${status}`, previous, { instanceName, at: timestamp });
+    }
+
+    return { from: previous.status, to: status };
+  }
+
+  /**
+   * Marca como falha uma mensagem que o WhatsApp rejeitou após o envio
+   */
+  async applyFailure(instanceName, messageId, timestamp) {
+    const previous = await Message.findOneAndUpdate(
+      { messageId, status: 'sent' },
+      {
+        $set: {
+          status: 'failed',
+          errorDetails: `Envio rejeitado pelo WhatsApp em ${timestamp.toISOString()}`,
+          failedAt: timestamp
+        }
+      },
+      { new: false }
+    ).populate('contactId', 'phone');
+
+    if (!previous) return null;
+
+    await this.updateCampaignMetrics(previous.campaignId, { 'metrics.failed': 1, 'metrics.sent': -1 });
+    await Instance.updateOne(
+      { instanceName },
+      { $inc: { 'metrics.totalFailed': 1 } }
+    );
+
+    logger.warn(`Mensagem ${messageId} rejeitada pelo WhatsApp após o envio`);
+
+    await this.publishMessageEvent('message_failed', previous, {
+      instanceName,
+      error: 'Envio rejeitado pelo WhatsApp',
+      at: timestamp
+    });
+
+    return { from: previous.status, to: 'failed' };
+  }
+
+  /**
+   * Incrementa as métricas da campanha e publica os valores atualizados para o tempo real
+   * Mensagens avulsas (API) não têm campanha e são ignoradas
+   * @param {ObjectId} campaignId
+   * @param {Object} inc - Ex.: { 'metrics.sent': 1, 'metrics.pending': -1 }
+   */
+  async updateCampaignMetrics(campaignId, inc) {
+    if (!campaignId) return null;
+
+    const campaign = await Campaign.findByIdAndUpdate(campaignId, { $inc: inc }, { new: true })
+      .select('workspace status metrics');
+    if (!campaign) return null;
+
+    await queueService.publishEventSafe({
+      type: 'campaign_metrics',
+      workspace: campaign.workspace,
+      data: {
+        campaignId: campaign._id,
+        status: campaign.status,
+        metrics: campaign.metrics
+      }
+    });
+
+    return campaign;
+  }
+
+  /**
+   * Publica a mudança de status de uma mensagem (message_sent, message_delivered,
+   * message_read, message_failed) para os webhooks de saída
+   * @param {String} type - Tipo do evento
+   * @param {Object} message - Mensagem (contato populado ou em message.contact)
+   * @param {Object} [extra] - Dados adicionais do evento (instanceName, error...)
+   */
+  async publishMessageEvent(type, message, extra = {}) {
+    const contact = message.contact || message.contactId;
+
+    await queueService.publishEventSafe({
+      type,
+      workspace: message.workspace,
+      data: {
+        messageId: message._id,
+        whatsappMessageId: message.messageId || null,
+        source: message.source || 'campaign',
+        campaignId: message.campaignId?._id || message.campaignId || null,
+        contactId: contact?._id || contact || null,
+        phone: contact?.phone || null,
+        idempotencyKey: message.idempotencyKey || null,
+        status: type.replace('message_', ''),
+        ...extra
+      }
+    });
+  }
+
+  /**
+   * Mantém o status das mensagens da caixa de entrada sincronizado
+   */
+  async updateConversationMessage(instanceName, messageId, status) {
+    const previousStatuses = status === 'failed'
+      ? ['sent']
+      : ['sent', 'delivered', 'read'].filter(current => STATUS_RANK[current] < STATUS_RANK[status]);
+
+    if (previousStatuses.length === 0) return;
+
+    await ConversationMessage.updateOne(
+      { instanceName, messageId, direction: 'outbound', status: { $in: previousStatuses } },
+      { $set: { status } }
+    );
+  }
+}
+
+module.exports = new MessageStatusService();
@@ -0,0 +1,203 @@
+const { Contact, Message, Instance } = require('../models');
+const EvolutionApiService = require('./evolutionApiService');
+const queueService = require('./queueService');
+const messageStatusService = require('./messageStatusService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { extractMessageText, jidToPhone } = require('../utils/evolutionPayload');
+
+// Status de mensagens que ainda não foram enviadas e podem ser canceladas
+const CANCELABLE_STATUSES = ['pending', 'queued', 'scheduled_retry'];
+
+class OptOutService {
+  /**
+   * Normaliza um texto para comparação com as palavras-chave
+   * Remove acentos, pontuação e espaços extras
+   */
+  normalizeText(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Retorna a palavra-chave de descadastro correspondente ao texto, ou null
+   * A mensagem inteira precisa ser a palavra-chave para evitar falsos positivos
+   * (ex.: "não vou parar de comprar" não deve descadastrar o contato)
+   */
+  matchKeyword(text) {
+    const normalized = this.normalizeText(text);
+    if (!normalized) return null;
+
+    const keywords = config.optOut.keywords.map(keyword => this.normalizeText(keyword));
+    return keywords.find(keyword => keyword === normalized) || null;
+  }
+
+  /**
+   * Processa uma mensagem recebida e descadastra o contato se for uma palavra-chave
+   * @param {String} instanceName - Instância que recebeu a mensagem
+   * @param {Object} message - Mensagem no formato Baileys/Evolution
+   * @returns {Object|null} - Contato descadastrado ou null
+   */
+  async processInboundMessage(instanceName, message) {
+    try {
+      if (!config.optOut.enabled) return null;
+      if (!message?.key || message.key.fromMe) return null;
+
+      const phone = jidToPhone(message.key.remoteJid);
+      if (!phone) return null;
+
+      const keyword = this.matchKeyword(extractMessageText(message));
+      if (!keyword) return null;
+
+      // O contato é procurado no workspace da instância que recebeu a mensagem
+      const instance = await Instance.findOne({ instanceName }).select('workspace').lean();
+      if (!instance) return null;
+
+      const contact = await Contact.phoneExists(phone, instance.workspace);
+      if (!contact) {
+        logger.info(`Pedido de descadastro de ${phone} ignorado: contato não cadastrado`);
+        return null;
+      }
+
+      if (contact.optedOut) {
+        logger.info(`Contato ${contact._id} já estava descadastrado`);
+        return contact;
+      }
+
+      const campaignId = await this.findSourceCampaign(contact._id);
+      const updatedContact = await this.optOutContact(contact._id, {
+        campaignId,
+        instanceName,
+        keyword
+      });
+
+      await this.sendConfirmation(instanceName, phone);
+
+      return updatedContact;
+    } catch (error) {
+      logger.error('Erro ao processar pedido de descadastro:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Identifica a campanha mais recente que enviou mensagem ao contato
+   */
+  async findSourceCampaign(contactId) {
+    const lastMessage = await Message.findOne({
+      contactId,
+      status: { $in: ['sent', 'delivered', 'read'] }
+    })
+      .sort({ sentAt: -1 })
+      .select('campaignId');
+
+    return lastMessage ? lastMessage.campaignId : null;
+  }
+
+  /**
+   * Marca o contato como descadastrado e cancela as mensagens ainda não enviadas
+   * @param {String} contactId - ID do contato
+   * @param {Object} source - Origem do descadastro (campaignId, instanceName, keyword)
+   */
+  async optOutContact(contactId, source = {}) {
+    const contact = await Contact.findByIdAndUpdate(
+      contactId,
+      {
+        optedOut: true,
+        optedOutAt: new Date(),
+        optOutSource: source,
+        lastUpdated: Date.now()
+      },
+      { new: true }
+    );
+
+    logger.info(`Contato ${contactId} descadastrado (palavra-chave: ${source.keyword || 'manual'}, campanha: ${source.campaignId || 'N/A'})`);
+
+    // Cancelar mensagens pendentes do contato, campanha por campanha, para manter as métricas corretas
+    const campaignIds = await Message.distinct('campaignId', {
+      contactId,
+      status: { $in: CANCELABLE_STATUSES }
+    });
+
+    for (const campaignId of campaignIds.filter(Boolean)) {
+      const result = await Message.updateMany(
+        {
+          contactId,
+          campaignId,
+          status: { $in: CANCELABLE_STATUSES }
+        },
+        {
+          status: 'canceled',
+          errorDetails: 'Contato descadastrado (opt-out)',
+          scheduledRetryAt: null
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        await messageStatusService.updateCampaignMetrics(campaignId, { 'metrics.pending': -result.modifiedCount });
+      }
+    }
+
+    // Mensagens avulsas (API) não têm métricas de campanha
+    await Message.updateMany(
+      {
+        contactId,
+        source: 'transactional',
+        status: { $in: CANCELABLE_STATUSES }
+      },
+      {
+        status: 'canceled',
+        errorDetails: 'Contato descadastrado (opt-out)',
+        scheduledRetryAt: null
+      }
+    );
+
+    if (contact) {
+      await queueService.publishEventSafe({
+        type: 'contact_opted_out',
+        workspace: contact.workspace,
+        data: {
+          contactId: contact._id,
+          phone: contact.phone,
+          name: contact.name || null,
+          optedOutAt: contact.optedOutAt,
+          keyword: source.keyword || null,
+          campaignId: source.campaignId || null,
+          instanceName: source.instanceName || null
+        }
+      });
+    }
+
+    return contact;
+  }
+
+  /**
+   * Envia a mensagem de confirmação de descadastro ao contato
+   */
+  async sendConfirmation(instanceName, phone) {
+    const confirmationMessage = config.optOut.confirmationMessage;
+    if (!confirmationMessage) return;
+
+    try {
+      const instance = await Instance.findOne({ instanceName });
+      if (!instance) {
+        logger.warn(`Instância ${instanceName} não encontrada para enviar confirmação de descadastro`);
+        return;
+      }
+
+      const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
+      await evolutionApi.sendText(instance.instanceName, phone, confirmationMessage);
+
+      logger.info(`Confirmação de descadastro enviada para ${phone}`);
+    } catch (error) {
+      logger.error(`Erro ao enviar confirmação de descadastro para ${phone}:`, error);
+    }
+  }
+}
+
+module.exports = new OptOutService();
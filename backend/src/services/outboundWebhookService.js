@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const logger = require('../utils/logger');
+const destinationGuard = require('../utils/destinationGuard');
+const config = require('../config');
+const { WEBHOOK_EVENTS, INTERNAL_EVENT_MAP, TEST_EVENT } = require('../config/webhookEvents');
+
+const SECRET_PREFIX = 'whsec_';
+
+// Por quanto tempo o worker reaproveita a lista de webhooks de um workspace
+const SUBSCRIPTION_CACHE_TTL = 30000;
+
+// Uma tentativa "sending" mais antiga que isso foi interrompida (ex.: worker reiniciado)
+const STALE_LOCK_MS = 5 * 60000;
+
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Dados enviados para cada evento; por padrão, os dados do evento interno
+const FORMATTERS = {
+  new_alert: (alert) => ({
+    id: alert._id,
+    type: alert.type,
+    level: alert.level,
+    message: alert.message,
+    details: alert.details,
+    relatedTo: alert.relatedTo,
+    createdAt: alert.createdAt
+  })
+};
+
+class OutboundWebhookService {
+  constructor() {
+    this.subscriptionCache = new Map();
+  }
+
+  generateSecret() {
+    return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Valida os dados de um webhook
+   * @param {Object} data
+   * @param {Object} [options] - { partial: true } na edição (campos omitidos são mantidos)
+   * @returns {Promise<Object>} - { data } ou { error }
+   */
+  async validate({ name, url, events, active }, { partial = false } = {}) {
+    const data = {};
+
+    if (name !== undefined || !partial) {
+      if (!name || !String(name).trim()) {
+        return { error: 'Nome do webhook é obrigatório' };
+      }
+      data.name = String(name).trim();
+    }
+
+    if (url !== undefined || !partial) {
+      if (!url || !/^https?:\/\/[^\s/$.?#].[^\s]*$/.test(String(url).trim())) {
+        return { error: 'Informe uma URL http(s) válida' };
+      }
+      data.url = String(url).trim();
+
+      const destinationError = await this.checkDestination(data.url);
+      if (destinationError) {
+        return { error: destinationError };
+      }
+    }
+
+    if (events !== undefined || !partial) {
+      if (!Array.isArray(events) || events.length === 0) {
+        return { error: 'Selecione ao menos um evento' };
+      }
+      const invalidEvents = events.filter(event => !WEBHOOK_EVENTS[event]);
+      if (invalidEvents.length > 0) {
+        return { error: `Eventos inválidos: ${invalidEvents.join(', ')}` };
+      }
+      data.events = [...new Set(events)];
+    }
+
+    if (active !== undefined) {
+      data.active = Boolean(active);
+    }
+
+    return { data };
+  }
+
+  /**
+   * Recusa URLs que apontam para a rede interna do servidor (loopback, link-local,
+   * redes privadas), salvo quando liberado na configuração
+   * @returns {Promise<String|null>} - Mensagem de erro ou null
+   */
+  async checkDestination(url) {
+    if (config.outboundWebhooks.allowPrivateDestinations) return null;
+    return destinationGuard.checkDestination(url);
+  }
+
+  /**
+   * Cria um webhook; o segredo só é retornado aqui e na rotação
+   * @returns {Object} - { subscription, secret }
+   */
+  async create(workspace, data, createdBy) {
+    const secret = this.generateSecret();
+
+    const subscription = await WebhookSubscription.create({
+      ...data,
+      workspace,
+      secret,
+      createdBy
+    });
+
+    logger.info(`Webhook de saída ${subscription._id} criado no workspace ${workspace} (${subscription.url})`);
+
+    return { subscription, secret };
+  }
+
+  /**
+   * Gera um novo segredo; as próximas tentativas (inclusive as pendentes) usam o novo
+   * @returns {Object|null} - { subscription, secret }
+   */
+  async rotateSecret(workspace, id) {
+    const secret = this.generateSecret();
+
+    const subscription = await WebhookSubscription.findOneAndUpdate(
+      { _id: id, workspace },
+      { secret, lastUpdated: Date.now() },
+      { new: true }
+    );
+
+    return subscription ? { subscription, secret } : null;
+  }
+
+  /**
+   * Webhooks ativos do workspace que assinam o evento
+   */
+  async getSubscribers(workspace, event) {
+    const key = String(workspace);
+    const cached = this.subscriptionCache.get(key);
+
+    let subscriptions;
+    if (cached && cached.expiresAt > Date.now()) {
+      subscriptions = cached.subscriptions;
+    } else {
+      subscriptions = await WebhookSubscription.find({ workspace, active: true }).lean();
+      this.subscriptionCache.set(key, { subscriptions, expiresAt: Date.now() + SUBSCRIPTION_CACHE_TTL });
+    }
+
+    return subscriptions.filter(subscription => subscription.events.includes(event));
+  }
+
+  /**
+   * Corpo enviado ao webhook; o id do evento se repete nos reenvios para o destino
+   * poder descartar duplicidades
+   */
+  buildPayload(event, name) {
+    const format = FORMATTERS[event.type];
+
+    return {
+      id: event.id,
+      event: name,
+      createdAt: event.timestamp || new Date().toISOString(),
+      workspace: event.workspace,
+      data: format ? format(event.data || {}) : (event.data || {})
+    };
+  }
+
+  /**
+   * Cria as entregas de um evento interno e faz a primeira tentativa de cada uma
+   * @param {Object} event - Evento publicado por queueService.publishEvent
+   * @returns {Number} - Quantidade de entregas criadas
+   */
+  async dispatch(event) {
+    const name = INTERNAL_EVENT_MAP[event.type];
+
+    // Eventos sem workspace (alertas do sistema) não são enviados
+    if (!name || !event.workspace) return 0;
+
+    const subscriptions = await this.getSubscribers(event.workspace, name);
+    if (subscriptions.length === 0) return 0;
+
+    const payload = this.buildPayload(event, name);
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      workspace: event.workspace,
+      subscription: subscription._id,
+      eventId: payload.id,
+      event: name,
+      payload
+    })));
+
+    await Promise.all(deliveries.map(delivery => this.claimAndAttempt(delivery._id)));
+
+    return deliveries.length;
+  }
+
+  /**
+   * Tenta entregar as entregas pendentes cujo horário chegou
+   * @returns {Number} - Quantidade de tentativas realizadas
+   */
+  async processDue(limit = 50) {
+    // Tentativas interrompidas voltam para a fila
+    await WebhookDelivery.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'pending', lockedAt: null } }
+    );
+
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    let attempted = 0;
+    for (const { _id } of due) {
+      if (await this.claimAndAttempt(_id)) attempted++;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Reserva a entrega (evita que dois processos a enviem ao mesmo tempo) e faz a tentativa
+   * @returns {Boolean} - true se a tentativa foi feita por este processo
+   */
+  async claimAndAttempt(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending', lockedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!delivery) return false;
+
+    try {
+      await this.attempt(delivery);
+    } catch (error) {
+      logger.error(`Erro ao entregar webhook ${delivery._id}:`, error);
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id, status: 'sending' },
+        { $set: { status: 'pending', lockedAt: null } }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Envia a entrega assinada e registra o resultado; falhas são reagendadas com
+   * backoff exponencial até o limite de tentativas
+   */
+  async attempt(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    if (!subscription || !subscription.active) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: {
+          status: 'failed',
+          lockedAt: null,
+          responseMessage: subscription ? 'Webhook desativado' : 'Webhook removido'
+        }
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const start = Date.now();
+    const result = {};
+
+    try {
+      // O destino é conferido de novo no envio: o DNS pode ter mudado desde o cadastro
+      const destinationError = await this.checkDestination(subscription.url);
+      if (destinationError) {
+        throw new Error(destinationError);
+      }
+
+      const guardedAgents = config.outboundWebhooks.allowPrivateDestinations
+        ? {}
+        : { httpAgent: destinationGuard.httpAgent, httpsAgent: destinationGuard.httpsAgent };
+
+      const response = await axios.post(subscription.url, body, {
+        ...guardedAgents,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ZapStorm-Webhooks/1.0',
+          'X-ZapStorm-Event': delivery.event,
+          'X-ZapStorm-Delivery': delivery._id.toString(),
+          'X-ZapStorm-Timestamp': String(timestamp),
+          'X-ZapStorm-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: config.outboundWebhooks.timeoutMs,
+        // Redirecionamentos não são seguidos: poderiam levar a um destino interno
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+
+      result.success = response.status >= 200 && response.status < 300;
+      result.responseStatus = response.status;
+      result.responseMessage = String(response.data || '').substring(0, MAX_RESPONSE_LENGTH);
+    } catch (error) {
+      result.success = false;
+      result.responseStatus = null;
+      result.responseMessage = `Erro: ${error.message}`;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const update = {
+      attempts,
+      lockedAt: null,
+      responseStatus: result.responseStatus,
+      responseMessage: result.responseMessage,
+      processingTimeMs: Date.now() - start
+    };
+
+    if (result.success) {
+      update.status = 'success';
+      update.deliveredAt = new Date();
+    } else if (attempts >= config.outboundWebhooks.maxAttempts) {
+      update.status = 'failed';
+    } else {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+    await WebhookSubscription.updateOne({ _id: subscription._id }, {
+      $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: result.success ? 'success' : 'failed' }
+    });
+
+    if (result.success) {
+      logger.info(`Webhook ${delivery.event} entregue em ${subscription.url} (entrega ${delivery._id})`);
+    } else {
+      logger.warn(`Falha na tentativa ${attempts}/${config.outboundWebhooks.maxAttempts} do webhook ${delivery.event} para ${subscription.url}: ${result.responseStatus || result.responseMessage}`);
+    }
+  }
+
+  /**
+   * Assinatura HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo do webhook
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Intervalo até a próxima tentativa (30s, 1min, 2min... até o máximo), com variação de ±10%
+   */
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.outboundWebhooks;
+    const delay = Math.min(retryBaseDelayMs * Math.pow(2, attempts - 1), retryMaxDelayMs);
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+
+  /**
+   * Reenvia o mesmo evento em uma nova entrega, enviada pelo worker na próxima varredura
+   * @returns {Object} - { delivery } ou { error }
+   */
+  async replay(workspace, deliveryId) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, workspace });
+    if (!original) {
+      return { error: 'Entrega não encontrada' };
+    }
+
+    const subscription = await WebhookSubscription.findOne({ _id: original.subscription, workspace });
+    if (!subscription) {
+      return { error: 'O webhook desta entrega foi removido' };
+    }
+    if (!subscription.active) {
+      return { error: 'Ative o webhook antes de reenviar' };
+    }
+
+    const delivery = await WebhookDelivery.create({
+      workspace,
+      subscription: subscription._id,
+      eventId: original.eventId,
+      event: original.event,
+      payload: original.payload,
+      replayOf: original._id
+    });
+
+    logger.info(`Entrega ${original._id} reenviada como ${delivery._id}`);
+
+    return { delivery };
+  }
+
+  /**
+   * Cria uma entrega de teste (evento ping) para o webhook
+   * @returns {Object} - { delivery } ou { error }
+   */
+  async sendTest(workspace, id) {
+    const subscription = await WebhookSubscription.findOne({ _id: id, workspace });
+    if (!subscription) {
+      return { error: 'Webhook não encontrado' };
+    }
+    if (!subscription.active) {
+      return { error: 'Ative o webhook antes de testá-lo' };
+    }
+
+    const payload = this.buildPayload({
+      id: crypto.randomUUID(),
+      workspace,
+      data: { message: 'Evento de teste do ZapStorm', subscriptionId: subscription._id }
+    }, TEST_EVENT);
+
+    const delivery = await WebhookDelivery.create({
+      workspace,
+      subscription: subscription._id,
+      eventId: payload.id,
+      event: TEST_EVENT,
+      payload
+    });
+
+    return { delivery };
+  }
+}
+
+module.exports = new OutboundWebhookService();
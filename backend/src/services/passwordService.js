@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+const logger = require('../utils/logger');
+
+// Política de senha
+const MIN_PASSWORD_LENGTH = 8;
+
+// Bloqueio temporário após tentativas de login malsucedidas
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_TIME_MS = 15 * 60 * 1000;
+
+// Validade do link de redefinição de senha
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordService {
+  constructor() {
+    this.maxFailedAttempts = MAX_FAILED_ATTEMPTS;
+    this.lockTimeMs = LOCK_TIME_MS;
+  }
+
+  /**
+   * Verifica a força da senha
+   * @param {String} password
+   * @param {Object} user - { name, email } para impedir senhas baseadas nos dados do usuário
+   * @returns {String|null} - Mensagem de erro ou null se a senha for aceita
+   */
+  validateStrength(password, user = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`;
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+      return 'A senha deve conter letras maiúsculas, minúsculas e números';
+    }
+
+    const lowerPassword = password.toLowerCase();
+    const emailName = (user.email || '').split('@')[0].toLowerCase();
+    if (emailName.length >= 3 && lowerPassword.includes(emailName)) {
+      return 'A senha não pode conter o seu email';
+    }
+    const nameParts = (user.name || '').toLowerCase().split(/\s+/).filter(part => part.length >= 3);
+    if (nameParts.some(part => lowerPassword.includes(part))) {
+      return 'A senha não pode conter o seu nome';
+    }
+
+    return null;
+  }
+
+  /**
+   * Registra uma tentativa de login com senha incorreta e bloqueia o usuário ao atingir o limite
+   * @returns {Boolean} - true se o usuário ficou bloqueado
+   */
+  async registerFailedLogin(user) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+    if (!updated || updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) return false;
+
+    await User.findByIdAndUpdate(user._id, {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + LOCK_TIME_MS)
+    });
+    logger.warn(`Usuário ${user.email} bloqueado por ${LOCK_TIME_MS / 60000} minutos após ${MAX_FAILED_ATTEMPTS} tentativas de login`);
+    return true;
+  }
+
+  async registerSuccessfulLogin(user) {
+    await User.findByIdAndUpdate(user._id, {
+      failedLoginAttempts: 0,
+      lockUntil: null,
+      lastLogin: Date.now()
+    });
+  }
+
+  /**
+   * Minutos restantes do bloqueio (arredondado para cima)
+   */
+  getLockMinutes(user) {
+    return Math.max(1, Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000));
+  }
+
+  /**
+   * Gera um token de redefinição de senha; apenas o hash fica salvo no usuário
+   * @returns {Object} - { token, expiresAt }
+   */
+  async createResetToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+
+    await User.findByIdAndUpdate(user._id, {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Usuário dono de um token de redefinição ainda válido
+   */
+  async findUserByResetToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    return User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      active: true
+    }).select('+passwordResetToken +passwordResetExpires');
+  }
+
+  /**
+   * Link da tela de redefinição de senha no frontend
+   */
+  buildResetUrl(req, token) {
+    const baseUrl = process.env.FRONTEND_URL || req.get('origin') || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/$/, '')}/reset-password?token=${token}`;
+  }
+}
+
+module.exports = new PasswordService();
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const amqp = require('amqplib');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 class QueueService {
@@ -8,13 +10,28 @@ class QueueService {
     this.url = process.env.RABBITMQ_URI || 'amqp://localhost:5672';
     this.queues = {
       MESSAGES: 'zapstorm-messages',
+      // Mensagens avulsas (priority = high): consumidor próprio, sem esperar a fila das campanhas
+      PRIORITY: 'zapstorm-priority',
       RETRY: 'zapstorm-retry',
       FAILED: 'zapstorm-failed',
       EVENTS: 'zapstorm-events',
+      // Eventos que viram webhooks de saída (cópia de tudo que é publicado em EVENTS)
+      // (v2: a fila ganhou TTL e tamanho máximo; argumentos de uma fila existente não mudam)
+      OUTBOUND_WEBHOOKS: 'zapstorm-outbound-webhooks-v2',
       DLQ: 'zapstorm-dlq'  // Nova fila para mensagens mortas
     };
+    // Os eventos são publicados em um exchange fanout e cada interessado tem a sua fila
+    this.exchanges = {
+      EVENTS: 'zapstorm-events-fanout'
+    };
+    // Degraus das filas de atraso (ms). Cada fila tem um TTL fixo e, ao expirar,
+    // devolve a mensagem para a fila principal; atrasos maiores descem a escada
+    // em vários saltos até chegar no horário de entrega
+    this.delaySteps = [1000, 5000, 30000, 120000, 600000, 3600000, 21600000];
     this.isReconnecting = false;
     this.reconnectTimeout = null;
+    // Consumidores ativos por fila, para reiniciá-los quando o prefetch mudar
+    this.consumers = {};
     
     // Log da URL para depuração
     logger.info(`QueueService inicializado com URL: ${this.url}`);
@@ -34,6 +51,13 @@ class QueueService {
       deadLetterRoutingKey: this.queues.DLQ
     });
     
+    await this.channel.assertQueue(this.queues.PRIORITY, {
+      durable: true,
+      messageTtl: 3600000,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: this.queues.DLQ
+    });
+    
     await this.channel.assertQueue(this.queues.RETRY, {
       durable: true,
       messageTtl: 3600000 * 24,
@@ -48,11 +72,90 @@ class QueueService {
       deadLetterRoutingKey: this.queues.DLQ
     });
     
+    await this.channel.assertExchange(this.exchanges.EVENTS, 'fanout', {
+      durable: true
+    });
+    
     await this.channel.assertQueue(this.queues.EVENTS, {
       durable: true,
       deadLetterExchange: '',
       deadLetterRoutingKey: this.queues.DLQ
     });
+    await this.channel.bindQueue(this.queues.EVENTS, this.exchanges.EVENTS, '');
+    
+    // Recebe cópia de todos os eventos: com o worker parado, os mais antigos expiram ou
+    // são descartados (sem DLQ, que cresceria no lugar desta fila)
+    await this.channel.assertQueue(this.queues.OUTBOUND_WEBHOOKS, {
+      durable: true,
+      messageTtl: config.outboundWebhooks.queueTtlMs,
+      maxLength: config.outboundWebhooks.queueMaxLength
+    });
+    await this.channel.bindQueue(this.queues.OUTBOUND_WEBHOOKS, this.exchanges.EVENTS, '');
+    // Fila anterior, sem limites, que continuaria recebendo e acumulando eventos
+    await this.channel.deleteQueue('zapstorm-outbound-webhooks');
+
+    // Filas de atraso: sem consumidores, expiram de volta para a fila principal
+    for (const step of this.delaySteps) {
+      await this.channel.assertQueue(this.getDelayQueueName(step), {
+        durable: true,
+        messageTtl: step,
+        deadLetterExchange: '',
+        deadLetterRoutingKey: this.queues.MESSAGES
+      });
+    }
+  }
+
+  getDelayQueueName(step) {
+    return `zapstorm-delay-${step}`;
+  }
+
+  /**
+   * Escolhe o maior degrau que não ultrapassa o tempo restante
+   * @param {Number} remaining Tempo até a entrega (ms)
+   * @returns {Number|null} Degrau em ms ou null se a mensagem já pode ser entregue
+   */
+  getDelayStep(remaining) {
+    const steps = this.delaySteps.filter(step => step <= remaining);
+    return steps.length > 0 ? steps[steps.length - 1] : null;
+  }
+
+  /**
+   * Publica uma mensagem para ser entregue na fila principal em um horário futuro
+   * O horário fica no cabeçalho x-deliver-at e é conferido a cada salto
+   * @param {Object} message Mensagem a ser entregue
+   * @param {Number} deliverAt Timestamp (ms) de entrega
+   */
+  async scheduleDelivery(message, deliverAt) {
+    if (!this.channel) {
+      await this.connect();
+    }
+
+    const step = this.getDelayStep(deliverAt - Date.now());
+    const queue = step ? this.getDelayQueueName(step) : this.getMessageQueue(message);
+
+    return this.channel.sendToQueue(
+      queue,
+      Buffer.from(JSON.stringify(message)),
+      {
+        persistent: true,
+        contentType: 'application/json',
+        headers: { 'x-deliver-at': deliverAt }
+      }
+    );
+  }
+
+  /**
+   * Devolve para a escada de atraso uma mensagem que chegou antes do horário de entrega
+   * @returns {Boolean} true se a mensagem foi adiada
+   */
+  async deferIfEarly(msg, message) {
+    const deliverAt = Number(msg.properties.headers?.['x-deliver-at']);
+    if (!deliverAt || !this.getDelayStep(deliverAt - Date.now())) {
+      return false;
+    }
+
+    await this.scheduleDelivery(message, deliverAt);
+    return true;
   }
 
   async connect() {
@@ -110,6 +213,7 @@ class QueueService {
   handleDisconnect() {
     this.connection = null;
     this.channel = null;
+    this.consumers = {};
     
     if (this.reconnectTimeout) {
       clearTimeout(this.reconnectTimeout);
@@ -122,6 +226,11 @@ class QueueService {
     }, 5000);
   }
 
+  // Fila de entrega da mensagem conforme a prioridade
+  getMessageQueue(message) {
+    return message.priority === 'high' ? this.queues.PRIORITY : this.queues.MESSAGES;
+  }
+
   async enqueueMessage(message) {
     try {
       if (!this.channel) {
@@ -146,7 +255,7 @@ class QueueService {
       while (attempts < 3) {
         try {
           const result = this.channel.sendToQueue(
-            this.queues.MESSAGES,
+            this.getMessageQueue(message),
             Buffer.from(JSON.stringify(message)),
             {
               persistent: true,
@@ -193,19 +302,8 @@ class QueueService {
   }
 
   async enqueueRetry(message, delay = 300000) { // 5 minutos de delay por padrão
-    if (!this.channel) {
-      await this.connect();
-    }
-    
-    return this.channel.sendToQueue(
-      this.queues.RETRY,
-      Buffer.from(JSON.stringify(message)),
-      {
-        persistent: true,
-        contentType: 'application/json',
-        expiration: delay.toString() // Atraso em ms
-      }
-    );
+    logger.info(`Mensagem ${message._id} agendada para reentrega em ${Math.round(delay / 1000)}s`);
+    return this.scheduleDelivery(message, Date.now() + delay);
   }
 
   async enqueueFailed(message) {
@@ -223,14 +321,25 @@ class QueueService {
     );
   }
 
+  /**
+   * Publica um evento para todos os consumidores (alertas, webhooks de saída)
+   * @param {Object} event - { type, workspace, data }; id e timestamp são preenchidos se ausentes
+   */
   async publishEvent(event) {
     if (!this.channel) {
       await this.connect();
     }
     
-    return this.channel.sendToQueue(
-      this.queues.EVENTS,
-      Buffer.from(JSON.stringify(event)),
+    const payload = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+    
+    return this.channel.publish(
+      this.exchanges.EVENTS,
+      '',
+      Buffer.from(JSON.stringify(payload)),
       {
         persistent: true,
         contentType: 'application/json'
@@ -238,15 +347,62 @@ class QueueService {
     );
   }
 
+  /**
+   * Publica um evento sem interromper quem o gerou: falhas de publicação são apenas registradas
+   */
+  async publishEventSafe(event) {
+    try {
+      return await this.publishEvent(event);
+    } catch (error) {
+      logger.error(`Erro ao publicar evento ${event.type}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Define quantas mensagens não confirmadas cada consumidor recebe (processamento simultâneo)
+   * O prefetch só vale para consumidores novos, então os consumidores ativos são reiniciados
+   */
+  async setPrefetch(count) {
+    if (!this.channel) {
+      await this.connect();
+    }
+    
+    await this.channel.prefetch(count);
+    
+    for (const [queueName, consumer] of Object.entries(this.consumers)) {
+      await this.channel.cancel(consumer.consumerTag);
+      const { consumerTag } = await consumer.start();
+      consumer.consumerTag = consumerTag;
+      logger.info(`Consumidor da fila ${queueName} reiniciado com prefetch ${count}`);
+    }
+  }
+
+  async registerConsumer(queueName, start) {
+    const result = await start();
+    this.consumers[queueName] = { start, consumerTag: result.consumerTag };
+    return result;
+  }
+
   async consumeMessages(callback) {
     if (!this.channel) {
       await this.connect();
     }
     
-    return this.channel.consume(this.queues.MESSAGES, async (msg) => {
+    return this.registerConsumer(this.queues.MESSAGES, () => this.channel.consume(this.queues.MESSAGES, async (msg) => {
       if (msg) {
         try {
           const message = JSON.parse(msg.content.toString());
+          if (await this.deferIfEarly(msg, message)) {
+            this.channel.ack(msg);
+            return;
+          }
+          // A escada de atraso devolve tudo para esta fila; mensagens prioritárias voltam para a sua
+          if (message.priority === 'high') {
+            this.channel.sendToQueue(this.queues.PRIORITY, msg.content, { persistent: true, contentType: 'application/json' });
+            this.channel.ack(msg);
+            return;
+          }
           await callback(message);
           this.channel.ack(msg);
         } catch (error) {
@@ -254,15 +410,36 @@ class QueueService {
           this.channel.nack(msg, false, false);
         }
       }
-    });
+    }));
   }
 
+  async consumePriority(callback) {
+    if (!this.channel) {
+      await this.connect();
+    }
+    
+    return this.registerConsumer(this.queues.PRIORITY, () => this.channel.consume(this.queues.PRIORITY, async (msg) => {
+      if (msg) {
+        try {
+          const message = JSON.parse(msg.content.toString());
+          await callback(message);
+          this.channel.ack(msg);
+        } catch (error) {
+          logger.error('Erro ao processar mensagem prioritária:', error);
+          this.channel.nack(msg, false, false);
+        }
+      }
+    }));
+  }
+
+  // A fila de retry não recebe mais mensagens novas (ver enqueueRetry); o consumidor
+  // continua ativo para drenar o que foi publicado nela por versões anteriores
   async consumeRetry(callback) {
     if (!this.channel) {
       await this.connect();
     }
     
-    return this.channel.consume(this.queues.RETRY, async (msg) => {
+    return this.registerConsumer(this.queues.RETRY, () => this.channel.consume(this.queues.RETRY, async (msg) => {
       if (msg) {
         try {
           const message = JSON.parse(msg.content.toString());
@@ -273,7 +450,7 @@ class QueueService {
           this.channel.nack(msg, false, false);
         }
       }
-    });
+    }));
   }
 
   async consumeEvents(callback) {
@@ -295,6 +472,52 @@ class QueueService {
     });
   }
 
+  async consumeOutboundWebhooks(callback) {
+    if (!this.channel) {
+      await this.connect();
+    }
+    
+    return this.channel.consume(this.queues.OUTBOUND_WEBHOOKS, async (msg) => {
+      if (msg) {
+        try {
+          const event = JSON.parse(msg.content.toString());
+          await callback(event);
+          this.channel.ack(msg);
+        } catch (error) {
+          logger.error('Erro ao processar evento para webhooks de saída:', error);
+          this.channel.nack(msg, false, false);
+        }
+      }
+    });
+  }
+
+  /**
+   * Recebe uma cópia de todos os eventos em uma fila exclusiva deste processo: cada réplica
+   * da API tem a sua, que é removida quando a conexão fecha
+   */
+  async consumeBroadcast(callback) {
+    if (!this.channel) {
+      await this.connect();
+    }
+    
+    const { queue } = await this.channel.assertQueue('', {
+      exclusive: true,
+      autoDelete: true,
+      // Eventos de tempo real perdem o sentido se ficarem parados na fila
+      messageTtl: 60000
+    });
+    await this.channel.bindQueue(queue, this.exchanges.EVENTS, '');
+    
+    return this.channel.consume(queue, (msg) => {
+      if (!msg) return;
+      try {
+        callback(JSON.parse(msg.content.toString()));
+      } catch (error) {
+        logger.error('Erro ao processar evento de tempo real:', error);
+      }
+    }, { noAck: true });
+  }
+
   async close() {
     if (this.channel) {
       await this.channel.close();
@@ -368,14 +591,21 @@ class QueueService {
           };
           
           try {
-            const success = this.channel.sendToQueue(
-              this.queues.MESSAGES,
-              Buffer.from(JSON.stringify(payload)),
-              {
-                persistent: true,
-                messageId: messageId.toString()
-              }
-            );
+            // Mensagens reagendadas (período de silêncio, limite diário) vão para a escada de atraso
+            const deliverAt = message.status === 'scheduled_retry' && message.scheduledRetryAt
+              ? new Date(message.scheduledRetryAt).getTime()
+              : 0;
+            
+            const success = deliverAt > Date.now()
+              ? await this.scheduleDelivery(payload, deliverAt)
+              : this.channel.sendToQueue(
+                this.queues.MESSAGES,
+                Buffer.from(JSON.stringify(payload)),
+                {
+                  persistent: true,
+                  messageId: messageId.toString()
+                }
+              );
             
             if (!success) {
               logger.warn(`[queueService] Não foi possível enfileirar mensagem ${messageId} - buffer cheio?`);
@@ -0,0 +1,249 @@
+const { RateLimitBucket } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Janelas do token bucket e o campo de Instance.throttling que define a capacidade de cada uma
+const WINDOWS = [
+  { name: 'second', field: 'perSecond', windowMs: 1000 },
+  { name: 'minute', field: 'perMinute', windowMs: 60000 },
+  { name: 'hour', field: 'perHour', windowMs: 3600000 }
+];
+
+/**
+ * Armazena os buckets no MongoDB; a recarga e o consumo das fichas acontecem em
+ * uma única atualização atômica, usando o relógio do banco como referência
+ */
+class MongoRateLimitStore {
+  async take(key, { windows, dailyLimit, dayKey, minIntervalMs, priority }) {
+    const refill = {};
+    const hasTokens = [];
+    const consume = {};
+
+    for (const window of windows) {
+      const path = `tokens.${window.name}`;
+      const elapsed = { $subtract: ['$$NOW', { $ifNull: ['$refilledAt', '$$NOW'] }] };
+
+      refill[path] = {
+        $min: [
+          window.capacity,
+          { $add: [{ $ifNull: [`$${path}`, window.capacity] }, { $multiply: [elapsed, window.capacity / window.windowMs] }] }
+        ]
+      };
+      hasTokens.push({ $gte: [`$${path}`, window.required] });
+      consume[path] = { $cond: ['$granted', { $subtract: [`$${path}`, 1] }, `$${path}`] };
+    }
+
+    const pipeline = [
+      {
+        $set: {
+          ...refill,
+          refilledAt: '$$NOW',
+          dayCount: { $cond: [{ $eq: ['$dayKey', dayKey] }, { $ifNull: ['$dayCount', 0] }, 0] },
+          dayKey
+        }
+      },
+      {
+        $set: {
+          granted: {
+            $and: [
+              ...hasTokens,
+              dailyLimit ? { $lt: ['$dayCount', dailyLimit] } : true,
+              priority ? true : { $gte: ['$$NOW', { $ifNull: ['$nextSendAt', new Date(0)] }] }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          ...consume,
+          dayCount: { $cond: ['$granted', { $add: ['$dayCount', 1] }, '$dayCount'] },
+          nextSendAt: priority ? '$nextSendAt' : { $cond: ['$granted', { $add: ['$$NOW', minIntervalMs] }, '$nextSendAt'] }
+        }
+      }
+    ];
+
+    try {
+      return await RateLimitBucket.findOneAndUpdate({ key }, pipeline, { upsert: true, new: true }).lean();
+    } catch (error) {
+      // Dois workers criando o mesmo bucket ao mesmo tempo: o segundo apenas repete a operação
+      if (error.code === 11000) {
+        return RateLimitBucket.findOneAndUpdate({ key }, pipeline, { new: true }).lean();
+      }
+      throw error;
+    }
+  }
+
+  async reset(key) {
+    await RateLimitBucket.deleteOne({ key });
+  }
+}
+
+/**
+ * Armazena os buckets na memória do processo
+ * Útil em desenvolvimento ou com um único worker; não é compartilhado entre réplicas
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async take(key, { windows, dailyLimit, dayKey, minIntervalMs, priority }) {
+    const now = new Date();
+    const bucket = this.buckets.get(key) || { tokens: {}, refilledAt: now, dayKey, dayCount: 0 };
+    const elapsed = now - bucket.refilledAt;
+
+    for (const window of windows) {
+      const current = bucket.tokens[window.name] ?? window.capacity;
+      bucket.tokens[window.name] = Math.min(window.capacity, current + elapsed * window.capacity / window.windowMs);
+    }
+
+    bucket.refilledAt = now;
+    if (bucket.dayKey !== dayKey) {
+      bucket.dayKey = dayKey;
+      bucket.dayCount = 0;
+    }
+
+    bucket.granted = windows.every(window => bucket.tokens[window.name] >= window.required) &&
+      (!dailyLimit || bucket.dayCount < dailyLimit) &&
+      (priority || !bucket.nextSendAt || now >= bucket.nextSendAt);
+
+    if (bucket.granted) {
+      windows.forEach(window => { bucket.tokens[window.name] -= 1; });
+      bucket.dayCount += 1;
+      if (!priority) {
+        bucket.nextSendAt = new Date(now.getTime() + minIntervalMs);
+      }
+    }
+
+    this.buckets.set(key, bucket);
+
+    return { ...bucket, tokens: { ...bucket.tokens } };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+}
+
+class RateLimiterService {
+  constructor() {
+    this.stores = {
+      mongo: MongoRateLimitStore,
+      memory: MemoryRateLimitStore
+    };
+    this.store = null;
+  }
+
+  /**
+   * Substitui o armazenamento dos buckets (ex.: Redis)
+   * O objeto precisa implementar take(key, options) e reset(key)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  getStore() {
+    if (!this.store) {
+      const Store = this.stores[config.rateLimiter.store] || MongoRateLimitStore;
+      this.store = new Store();
+    }
+    return this.store;
+  }
+
+  /**
+   * Chave do bucket de uma instância
+   */
+  getKey(instance) {
+    return `instance:${instance._id}`;
+  }
+
+  /**
+   * Data local usada para zerar o limite diário à meia-noite
+   */
+  getDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Fichas de cada janela que os envios de campanha deixam para as mensagens prioritárias
+   */
+  getReserve(capacity) {
+    const reserve = Math.floor(capacity * (config.rateLimiter.priorityReserve || 0));
+    return Math.max(0, Math.min(reserve, capacity - 1));
+  }
+
+  /**
+   * Tenta consumir uma ficha de envio da instância
+   * Mensagens prioritárias podem usar a reserva de cada janela e não esperam o intervalo
+   * entre os envios de campanha (nem o adiam)
+   * @param {Object} instance - Instância com as configurações de throttling
+   * @param {Object} [options]
+   * @param {Number} [options.minIntervalMs] - Intervalo mínimo até o próximo envio da instância
+   * @param {Number} [options.dailyLimit] - Limite diário em vigor (ex.: do aquecimento); padrão throttling.dailyLimit
+   * @param {Boolean} [options.priority] - Mensagem da fila prioritária (avulsas com priority = high)
+   * @returns {Object} - { granted, reason, retryAfter } onde reason é 'rate_limit' ou 'daily_limit'
+   */
+  async acquire(instance, { minIntervalMs = 0, dailyLimit, priority = false } = {}) {
+    const throttling = instance.throttling || {};
+
+    const windows = WINDOWS
+      .map(window => ({ ...window, capacity: throttling[window.field] || config.throttling[window.field] }))
+      .filter(window => window.capacity > 0)
+      .map(window => ({ ...window, required: priority ? 1 : 1 + this.getReserve(window.capacity) }));
+
+    const options = {
+      windows,
+      dailyLimit: dailyLimit ?? (throttling.dailyLimit || 0),
+      dayKey: this.getDayKey(),
+      minIntervalMs: Math.max(0, Math.round(minIntervalMs)),
+      priority
+    };
+
+    const state = await this.getStore().take(this.getKey(instance), options);
+
+    if (state.granted) {
+      return { granted: true, reason: null, retryAfter: 0 };
+    }
+
+    if (options.dailyLimit && state.dayCount >= options.dailyLimit) {
+      const tomorrow = new Date();
+      tomorrow.setHours(24, 0, 0, 0);
+      return { granted: false, reason: 'daily_limit', retryAfter: tomorrow.getTime() - Date.now() };
+    }
+
+    return { granted: false, reason: 'rate_limit', retryAfter: this.getRetryAfter(state, windows, priority) };
+  }
+
+  /**
+   * Tempo até que todas as janelas tenham as fichas necessárias e o intervalo mínimo tenha passado
+   */
+  getRetryAfter(state, windows, priority = false) {
+    const now = new Date(state.refilledAt).getTime();
+    const waits = [!priority && state.nextSendAt ? new Date(state.nextSendAt).getTime() - now : 0];
+
+    for (const window of windows) {
+      const required = window.required || 1;
+      const tokens = state.tokens?.[window.name] ?? window.capacity;
+      if (tokens < required) {
+        waits.push(Math.ceil((required - tokens) * window.windowMs / window.capacity));
+      }
+    }
+
+    return Math.max(0, ...waits);
+  }
+
+  /**
+   * Zera os limites de uma instância (ex.: após alterar as configurações de throttling)
+   */
+  async reset(instance) {
+    try {
+      await this.getStore().reset(this.getKey(instance));
+    } catch (error) {
+      logger.error(`Erro ao zerar limitador da instância ${instance.instanceName}:`, error);
+    }
+  }
+}
+
+module.exports = new RateLimiterService();
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const queueService = require('./queueService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Comentário enviado periodicamente para proxies não encerrarem a conexão ociosa
+const HEARTBEAT_INTERVAL = 25000;
+
+// Métricas de campanha mudam a cada mensagem; cada campanha é enviada no máximo uma vez por intervalo
+const METRICS_FLUSH_INTERVAL = 1000;
+
+// Verifica se a assinatura dos eventos caiu junto com a conexão do RabbitMQ
+const SUBSCRIPTION_CHECK_INTERVAL = 5000;
+
+const campaignStatus = (status) => (data) => ({
+  campaignId: data.campaignId,
+  campaignName: data.campaignName,
+  status,
+  metrics: data.metrics
+});
+
+// Eventos internos repassados aos navegadores: nome no canal, permissão exigida e dados enviados
+const CLIENT_EVENTS = {
+  campaign_metrics: { name: 'campaign.metrics', permission: 'campaign:read' },
+  campaign_started: { name: 'campaign.status', permission: 'campaign:read', format: campaignStatus('running') },
+  campaign_completed: { name: 'campaign.status', permission: 'campaign:read', format: campaignStatus('completed') },
+  campaign_failed: { name: 'campaign.status', permission: 'campaign:read', format: campaignStatus('failed') },
+  campaign_paused: { name: 'campaign.status', permission: 'campaign:read', format: campaignStatus('paused') },
+  message_sent: { name: 'message.status', permission: 'campaign:read' },
+  message_delivered: { name: 'message.status', permission: 'campaign:read' },
+  message_read: { name: 'message.status', permission: 'campaign:read' },
+  message_failed: { name: 'message.status', permission: 'campaign:read' },
+  instance_status: { name: 'instance.status', permission: 'instance:read' },
+  instance_disconnected: {
+    name: 'instance.status',
+    permission: 'instance:read',
+    format: (data) => ({ ...data, status: 'disconnected' })
+  },
+  instance_risk: { name: 'instance.risk', permission: 'instance:read' },
+  instance_warmup: { name: 'instance.warmup', permission: 'instance:read' },
+  // O QR dá acesso à conta do WhatsApp: só vai para quem pode conectar instâncias
+  instance_qrcode: { name: 'instance.qrcode', permission: 'instance:connect' },
+  new_alert: { name: 'alert.created', permission: 'alert:read' }
+};
+
+class RealtimeService {
+  constructor() {
+    this.clients = new Map();
+    this.pendingMetrics = new Map();
+    this.subscribedChannel = null;
+    this.isSubscribing = false;
+    this.timers = [];
+  }
+
+  /**
+   * Abre o fluxo de eventos (Server-Sent Events) do usuário autenticado no workspace ativo
+   */
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Desativa o buffer do Nginx para os eventos chegarem na hora
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const id = crypto.randomUUID();
+    const client = {
+      res,
+      workspaceId: req.workspaceId ? req.workspaceId.toString() : null,
+      permissions: new Set(req.user.permissions),
+      isAdmin: req.user.role === 'admin',
+      closeTimer: setTimeout(() => res.end(), config.realtime.maxConnectionMs)
+    };
+    this.clients.set(id, client);
+
+    req.on('close', () => {
+      clearTimeout(client.closeTimer);
+      this.clients.delete(id);
+    });
+
+    this.send(client, 'ready', { workspaceId: client.workspaceId });
+    this.start();
+  }
+
+  /**
+   * Inicia a assinatura dos eventos e os intervalos (uma vez por processo)
+   */
+  start() {
+    if (this.timers.length > 0) return;
+
+    this.subscribe();
+
+    this.timers = [
+      setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL),
+      setInterval(() => this.flushMetrics(), METRICS_FLUSH_INTERVAL),
+      setInterval(() => this.subscribe(), SUBSCRIPTION_CHECK_INTERVAL)
+    ];
+    this.timers.forEach(timer => timer.unref());
+  }
+
+  /**
+   * Assina os eventos de todas as réplicas e workers; refeita quando o canal do RabbitMQ muda
+   */
+  async subscribe() {
+    if (this.isSubscribing) return;
+    if (this.subscribedChannel && this.subscribedChannel === queueService.channel) return;
+
+    this.isSubscribing = true;
+    try {
+      await queueService.consumeBroadcast(event => this.handleEvent(event));
+      this.subscribedChannel = queueService.channel;
+      logger.info('Canal de tempo real assinando os eventos do RabbitMQ');
+    } catch (error) {
+      logger.error('Erro ao assinar eventos de tempo real:', error);
+    } finally {
+      this.isSubscribing = false;
+    }
+  }
+
+  handleEvent(event) {
+    if (this.clients.size === 0) return;
+
+    const definition = CLIENT_EVENTS[event.type];
+    if (!definition) return;
+
+    const data = definition.format ? definition.format(event.data || {}) : (event.data || {});
+
+    // Métricas são agrupadas por campanha e enviadas no próximo intervalo
+    if (event.type === 'campaign_metrics') {
+      this.pendingMetrics.set(String(data.campaignId), { workspace: event.workspace, data });
+      return;
+    }
+
+    this.broadcast(event.workspace, definition, data);
+  }
+
+  flushMetrics() {
+    if (this.pendingMetrics.size === 0) return;
+
+    const pending = [...this.pendingMetrics.values()];
+    this.pendingMetrics.clear();
+
+    pending.forEach(({ workspace, data }) => this.broadcast(workspace, CLIENT_EVENTS.campaign_metrics, data));
+  }
+
+  /**
+   * Envia o evento aos clientes do workspace com a permissão exigida; eventos sem
+   * workspace (alertas do sistema) vão apenas para administradores
+   */
+  broadcast(workspace, { name, permission }, data) {
+    const workspaceId = workspace ? String(workspace) : null;
+
+    for (const client of this.clients.values()) {
+      if (workspaceId ? client.workspaceId !== workspaceId : !client.isAdmin) continue;
+      if (!client.permissions.has(permission)) continue;
+
+      this.send(client, name, data);
+    }
+  }
+
+  send(client, name, data) {
+    client.res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  heartbeat() {
+    for (const client of this.clients.values()) {
+      client.res.write(': ping\n\n');
+    }
+  }
+}
+
+module.exports = new RealtimeService();
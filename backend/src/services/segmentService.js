@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const { Segment, Contact, Message, Conversation, ConversationMessage } = require('../models');
+const contactFieldService = require('./contactFieldService');
+
+/**
+ * Regras de segmentação de contatos
+ *
+ * Um segmento é um grupo { operator: 'and' | 'or', rules: [...] } cujas regras podem ser
+ * outros grupos ou uma das condições abaixo:
+ *   { type: 'tag', operator: 'includes' | 'includes_all' | 'excludes', values: ['cliente'] }
+ *   { type: 'customField', field: 'cidade', operator: 'eq', value: 'Recife' }
+ *   { type: 'createdAt', from: '2024-01-01', to: '2024-12-31' }
+ *   { type: 'receivedCampaign', campaignId: '...', operator: 'received' | 'not_received' }
+ *   { type: 'repliedWithin', days: 7 }
+ *   { type: 'neverDelivered' }
+ *
+ * As regras nunca são repassadas ao MongoDB: o compilador monta a consulta apenas com
+ * campos e operadores conhecidos, o que impede injeção de operadores ($where, $expr...)
+ */
+
+const GROUP_OPERATORS = ['and', 'or'];
+const TAG_OPERATORS = ['includes', 'includes_all', 'excludes'];
+const CAMPAIGN_OPERATORS = ['received', 'not_received'];
+const RULE_TYPES = ['tag', 'customField', 'createdAt', 'receivedCampaign', 'repliedWithin', 'neverDelivered'];
+
+// Status em que a mensagem de campanha chegou a ser enviada ao contato
+const RECEIVED_STATUSES = ['sent', 'delivered', 'read'];
+
+const MAX_DEPTH = 4;
+const MAX_RULES = 50;
+const MAX_REPLY_DAYS = 365;
+
+const isGroup = (rule) => rule && typeof rule === 'object' && Array.isArray(rule.rules);
+
+// Datas só com dia (AAAA-MM-DD) valem até o fim do dia no limite superior
+const parseDate = (value, endOfDay = false) => {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+
+  const dayOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = dayOnly ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (dayOnly && endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+class SegmentService {
+  constructor() {
+    this.ruleTypes = RULE_TYPES;
+  }
+
+  /**
+   * Valida as regras e monta a consulta de contatos
+   * @param {Object} rules - Grupo raiz do segmento
+   * @param {Object} options
+   * @param {ObjectId} options.workspace - Workspace dos contatos; a consulta nunca sai dele
+   * @param {Array} [options.fields] - Campos personalizados (carregados do banco se omitido)
+   * @returns {Object} - { query, rules, errors } onde rules é a cópia saneada para gravar
+   */
+  async compile(rules, { workspace, fields } = {}) {
+    const errors = [];
+    const state = { count: 0, workspace, fields: fields || await contactFieldService.getFields(workspace) };
+
+    if (!isGroup(rules)) {
+      return { query: null, rules: null, errors: ['As regras do segmento devem ser um grupo com a lista "rules"'] };
+    }
+
+    const compiled = await this.compileGroup(rules, 1, state, errors);
+
+    if (state.count > MAX_RULES) {
+      errors.push(`O segmento pode ter no máximo ${MAX_RULES} regras`);
+    }
+
+    if (errors.length > 0) {
+      return { query: null, rules: null, errors };
+    }
+
+    return { query: { ...compiled.query, workspace }, rules: compiled.rules, errors };
+  }
+
+  async compileGroup(group, depth, state, errors) {
+    if (depth > MAX_DEPTH) {
+      errors.push(`Os grupos de regras podem ter no máximo ${MAX_DEPTH} níveis`);
+      return { query: {}, rules: null };
+    }
+
+    const operator = group.operator || 'and';
+    if (!GROUP_OPERATORS.includes(operator)) {
+      errors.push(`Operador de grupo inválido: ${operator}`);
+      return { query: {}, rules: null };
+    }
+
+    const queries = [];
+    const rules = [];
+    // Um subgrupo vazio aceita todos os contatos, o que torna um grupo "or" irrestrito
+    let matchesAll = false;
+
+    for (const rule of group.rules) {
+      const compiled = isGroup(rule)
+        ? await this.compileGroup(rule, depth + 1, state, errors)
+        : await this.compileRule(rule, state, errors);
+
+      if (compiled.rules) {
+        rules.push(compiled.rules);
+        if (Object.keys(compiled.query).length > 0) queries.push(compiled.query);
+        else matchesAll = true;
+      }
+    }
+
+    let query = {};
+    if (operator === 'or' && matchesAll) query = {};
+    else if (queries.length === 1) query = queries[0];
+    else if (queries.length > 1) query = { [`$${operator}`]: queries };
+
+    return { query, rules: { operator, rules } };
+  }
+
+  async compileRule(rule, state, errors) {
+    state.count += 1;
+
+    if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+      errors.push(`Tipo de regra inválido: ${rule && rule.type}`);
+      return { query: {}, rules: null };
+    }
+
+    switch (rule.type) {
+      case 'tag': {
+        const operator = rule.operator || 'includes';
+        const values = (Array.isArray(rule.values) ? rule.values : [rule.values])
+          .filter(value => typeof value === 'string' && value.trim())
+          .map(value => value.trim());
+
+        if (!TAG_OPERATORS.includes(operator)) {
+          errors.push(`Operador de tag inválido: ${operator}`);
+          return { query: {}, rules: null };
+        }
+        if (values.length === 0) {
+          errors.push('Informe ao menos uma tag na regra de tags');
+          return { query: {}, rules: null };
+        }
+
+        const mongoOperator = { includes: '$in', includes_all: '$all', excludes: '$nin' }[operator];
+        return {
+          query: { tags: { [mongoOperator]: values } },
+          rules: { type: 'tag', operator, values }
+        };
+      }
+
+      case 'customField': {
+        const operator = rule.operator || 'eq';
+        const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+        const primitive = values.every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value));
+
+        if (typeof rule.field !== 'string' || !contactFieldService.operators.includes(operator) || !primitive) {
+          errors.push(`Regra de campo personalizado inválida: ${rule.field} ${operator}`);
+          return { query: {}, rules: null };
+        }
+
+        const { filter, errors: fieldErrors } = contactFieldService.buildFilter(
+          { [rule.field]: { [operator]: rule.value } },
+          state.fields
+        );
+        if (fieldErrors.length > 0) {
+          errors.push(...fieldErrors);
+          return { query: {}, rules: null };
+        }
+
+        return {
+          query: filter,
+          rules: { type: 'customField', field: rule.field, operator, value: rule.value }
+        };
+      }
+
+      case 'createdAt': {
+        const from = rule.from ? parseDate(rule.from) : null;
+        const to = rule.to ? parseDate(rule.to, true) : null;
+
+        if ((rule.from && !from) || (rule.to && !to) || (!from && !to)) {
+          errors.push('Informe um período válido na regra de data de cadastro');
+          return { query: {}, rules: null };
+        }
+
+        const createdAt = {};
+        if (from) createdAt.$gte = from;
+        if (to) createdAt.$lte = to;
+
+        return {
+          query: { createdAt },
+          rules: { type: 'createdAt', from: rule.from || null, to: rule.to || null }
+        };
+      }
+
+      case 'receivedCampaign': {
+        const operator = rule.operator || 'received';
+        if (!CAMPAIGN_OPERATORS.includes(operator) || !mongoose.Types.ObjectId.isValid(rule.campaignId)) {
+          errors.push('Regra de campanha inválida');
+          return { query: {}, rules: null };
+        }
+
+        const contactIds = await Message.distinct('contactId', {
+          workspace: state.workspace,
+          campaignId: new mongoose.Types.ObjectId(String(rule.campaignId)),
+          status: { $in: RECEIVED_STATUSES }
+        });
+
+        return {
+          query: { _id: { [operator === 'received' ? '$in' : '$nin']: contactIds } },
+          rules: { type: 'receivedCampaign', campaignId: String(rule.campaignId), operator }
+        };
+      }
+
+      case 'repliedWithin': {
+        const days = Number(rule.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_REPLY_DAYS) {
+          errors.push(`Informe de 1 a ${MAX_REPLY_DAYS} dias na regra de respostas`);
+          return { query: {}, rules: null };
+        }
+
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const conversationIds = await ConversationMessage.distinct('conversationId', {
+          workspace: state.workspace,
+          direction: 'inbound',
+          timestamp: { $gte: since }
+        });
+        const contactIds = await Conversation.distinct('contactId', {
+          workspace: state.workspace,
+          _id: { $in: conversationIds },
+          contactId: { $ne: null }
+        });
+
+        return {
+          query: { _id: { $in: contactIds } },
+          rules: { type: 'repliedWithin', days }
+        };
+      }
+
+      case 'neverDelivered': {
+        // Contatos que nunca tiveram uma mensagem de campanha entregue ou lida
+        const contactIds = await Message.distinct('contactId', {
+          workspace: state.workspace,
+          status: { $in: ['delivered', 'read'] }
+        });
+
+        return {
+          query: { _id: { $nin: contactIds } },
+          rules: { type: 'neverDelivered' }
+        };
+      }
+
+      default:
+        return { query: {}, rules: null };
+    }
+  }
+
+  /**
+   * Conta os contatos aptos (não descadastrados) que atendem às regras
+   * @returns {Object} - { count, errors }
+   */
+  async count(rules, workspace) {
+    const { query, errors } = await this.compile(rules, { workspace });
+    if (errors.length > 0) return { count: 0, errors };
+
+    const count = await Contact.countDocuments(query).eligible();
+    return { count, errors };
+  }
+
+  /**
+   * Consulta de contatos de uma campanha: contatos selecionados, segmento salvo ou regras próprias
+   * @param {Object} campaign
+   * @returns {Object} - { query, errors }; query null quando a campanha não tem público definido
+   */
+  async getCampaignQuery(campaign) {
+    const workspace = campaign.workspace;
+
+    if (campaign.contacts && campaign.contacts.length > 0) {
+      return { query: { _id: { $in: campaign.contacts }, workspace }, errors: [] };
+    }
+
+    if (campaign.segmentId) {
+      const segment = await Segment.findOne({ _id: campaign.segmentId, workspace }).lean();
+      if (!segment) {
+        return { query: null, errors: ['Segmento da campanha não encontrado'] };
+      }
+
+      const { query, errors } = await this.compile(segment.rules, { workspace });
+      return { query, errors };
+    }
+
+    if (campaign.contactFilter && Object.keys(campaign.contactFilter).length > 0) {
+      const { query, errors } = await this.compile(campaign.contactFilter, { workspace });
+      return { query, errors };
+    }
+
+    return { query: null, errors: [] };
+  }
+}
+
+module.exports = new SegmentService();
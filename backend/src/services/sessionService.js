@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Validade do refresh token, renovada a cada rotação (sessão inativa por mais tempo expira)
+const REFRESH_TOKEN_TTL_MS = config.jwt.refreshTokenDays * 24 * 60 * 60 * 1000;
+
+// Abas do mesmo navegador podem renovar ao mesmo tempo com o token anterior;
+// dentro desta janela a reutilização é recusada sem encerrar a sessão
+const REUSE_GRACE_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getClientIp = (req) => req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || '';
+
+class SessionService {
+  /**
+   * Token de acesso de curta duração (tv = versão do token do usuário, sid = sessão)
+   */
+  signAccessToken(user, sessionId = null) {
+    const payload = { id: user._id, tv: user.tokenVersion || 0 };
+    if (sessionId) payload.sid = sessionId;
+
+    return jwt.sign(
+      payload,
+      process.env.JWT_SECRET || 'sua_chave_secreta',
+      { expiresIn: config.jwt.expiresIn }
+    );
+  }
+
+  /**
+   * Descrição do dispositivo a partir do User-Agent (ex.: "Chrome no Windows")
+   */
+  describeDevice(userAgent = '') {
+    const browsers = [
+      [/Edg\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'],
+      [/Safari\//, 'Safari']
+    ];
+    const systems = [
+      [/Windows/, 'Windows'],
+      [/Android/, 'Android'],
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/Linux/, 'Linux']
+    ];
+
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (browser && system) return `${browser[1]} no ${system[1]}`;
+    if (browser || system) return (browser || system)[1];
+    return userAgent ? userAgent.substring(0, 60) : 'Desconhecido';
+  }
+
+  /**
+   * Abre uma sessão após o login
+   * @returns {Object} - { token, refreshToken, session }
+   */
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip: getClientIp(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken,
+      session
+    };
+  }
+
+  /**
+   * Troca um refresh token válido por um novo par de tokens (o token usado deixa de valer)
+   * @returns {Object} - { token, refreshToken, user } ou { error }
+   */
+  async refresh(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return { error: 'Refresh token não fornecido' };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      await this.handleReuse(tokenHash);
+      return { error: 'Sessão inválida ou expirada' };
+    }
+
+    if (session.revokedAt || session.expiresAt <= now) {
+      return { error: 'Sessão inválida ou expirada' };
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.active) {
+      await this.revoke(session._id, 'deactivated');
+      return { error: 'Usuário desativado' };
+    }
+
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+    // Condição no hash atual garante que só uma renovação concorrente vence
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newRefreshToken),
+          previousTokenHash: tokenHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          ip: getClientIp(req),
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      return { error: 'Sessão inválida ou expirada' };
+    }
+
+    return {
+      token: this.signAccessToken(user, rotated._id),
+      refreshToken: newRefreshToken,
+      user
+    };
+  }
+
+  /**
+   * Token já rotacionado apresentado de novo: fora da janela de tolerância indica
+   * token vazado, então a sessão inteira é encerrada
+   */
+  async handleReuse(tokenHash) {
+    const session = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (!session) return;
+
+    if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS) return;
+
+    await this.revoke(session._id, 'token_reuse');
+    logger.warn(`Reutilização de refresh token detectada; sessão ${session._id} do usuário ${session.user} encerrada`);
+  }
+
+  /**
+   * Sessão ativa (usada pelo authMiddleware para revogação imediata)
+   */
+  async isActive(sessionId) {
+    const session = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(session);
+  }
+
+  async listActive(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Encerra uma sessão
+   * @param {String} userId - quando informado, a sessão precisa pertencer a este usuário
+   * @returns {Boolean} - true se havia uma sessão ativa
+   */
+  async revoke(sessionId, reason, userId = null) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.user = userId;
+
+    const result = await Session.updateOne(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount > 0;
+  }
+
+  async revokeByRefreshToken(refreshToken, reason) {
+    if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+    const result = await Session.updateOne(
+      { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Encerra todas as sessões do usuário, exceto opcionalmente a atual
+   * @returns {Number} - quantidade de sessões encerradas
+   */
+  async revokeAll(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const { ROLE_NAMES } = require('../config/permissions');
+const { Setting } = require('../models');
+const logger = require('../utils/logger');
+
+const SETTINGS_KEY = 'system';
+
+// Intervalo em que os workers releem as configurações do banco
+const RELOAD_INTERVAL_MS = 30000;
+
+// Campos numéricos editáveis e seus limites (mesmos do modelo Setting)
+const NUMBER_FIELDS = {
+  messageSendDelay: { min: 100, max: 60000, label: 'Atraso entre mensagens' },
+  defaultRetries: { min: 0, max: 10, label: 'Tentativas padrão' },
+  maxConcurrentMessages: { min: 1, max: 50, label: 'Mensagens simultâneas' },
+  cacheExpiration: { min: 60, max: 2592000, label: 'Tempo de expiração do cache' }
+};
+const BOOLEAN_FIELDS = ['notificationsEnabled', 'webhookEnabled'];
+const URL_FIELDS = { evolutionApiUrl: 'URL da Evolution API', webhookUrl: 'URL do Webhook' };
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Configurações do sistema com cache em memória
+ * Emite 'change' com (settings, anteriores) quando um recarregamento encontra valores novos
+ */
+class SettingsService extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = null;
+    this.reloadInterval = null;
+  }
+
+  getDefaults() {
+    return {
+      evolutionApiUrl: process.env.EVOLUTION_API_URL || '',
+      evolutionApiKey: process.env.EVOLUTION_API_TOKEN || '',
+      messageSendDelay: 1000,
+      defaultRetries: 3,
+      maxConcurrentMessages: 10,
+      notificationsEnabled: true,
+      webhookEnabled: false,
+      webhookUrl: '',
+      cacheExpiration: 86400,
+      twoFactorRequiredRoles: [],
+      lastUpdated: null
+    };
+  }
+
+  /**
+   * Lê as configurações do banco, completando com os padrões
+   */
+  async load() {
+    const defaults = this.getDefaults();
+    const stored = await Setting.findOne({ key: SETTINGS_KEY }).lean();
+
+    const settings = { ...defaults };
+    if (stored) {
+      for (const field of Object.keys(defaults)) {
+        if (stored[field] !== undefined && stored[field] !== null) settings[field] = stored[field];
+      }
+      // Credenciais em branco continuam usando as variáveis de ambiente
+      settings.evolutionApiUrl = stored.evolutionApiUrl || defaults.evolutionApiUrl;
+      settings.evolutionApiKey = stored.evolutionApiKey || defaults.evolutionApiKey;
+    }
+
+    const previous = this.settings;
+    this.settings = settings;
+
+    if (previous && String(previous.lastUpdated) !== String(settings.lastUpdated)) {
+      logger.info('Configurações do sistema recarregadas');
+      this.emit('change', settings, previous);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Configurações atuais (do cache; carrega na primeira chamada)
+   */
+  async get() {
+    if (!this.settings) {
+      try {
+        await this.load();
+      } catch (error) {
+        logger.error('Erro ao carregar configurações, usando padrões:', error);
+        return this.getDefaults();
+      }
+    }
+    return this.settings;
+  }
+
+  /**
+   * Recarrega periodicamente para que os workers apliquem alterações sem reiniciar
+   */
+  watch(intervalMs = RELOAD_INTERVAL_MS) {
+    if (this.reloadInterval) return;
+
+    this.reloadInterval = setInterval(() => {
+      this.load().catch(error => logger.error('Erro ao recarregar configurações:', error));
+    }, intervalMs);
+  }
+
+  stopWatching() {
+    if (this.reloadInterval) {
+      clearInterval(this.reloadInterval);
+      this.reloadInterval = null;
+    }
+  }
+
+  /**
+   * Valida uma atualização parcial vinda da API
+   * @returns {Object} - { values } com os campos aceitos ou { error }
+   */
+  validate(input = {}, current = this.getDefaults()) {
+    const values = {};
+
+    for (const [field, { min, max, label }] of Object.entries(NUMBER_FIELDS)) {
+      if (input[field] === undefined) continue;
+      const number = Number(input[field]);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${label} deve ser um número inteiro entre ${min} e ${max}` };
+      }
+      values[field] = number;
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (input[field] === undefined) continue;
+      if (typeof input[field] !== 'boolean') {
+        return { error: `O campo ${field} deve ser verdadeiro ou falso` };
+      }
+      values[field] = input[field];
+    }
+
+    for (const [field, label] of Object.entries(URL_FIELDS)) {
+      if (input[field] === undefined) continue;
+      const url = String(input[field] || '').trim();
+      if (url && !isHttpUrl(url)) {
+        return { error: `${label} inválida. Use um endereço http:// ou https://` };
+      }
+      values[field] = url;
+    }
+
+    if (input.twoFactorRequiredRoles !== undefined) {
+      const roles = input.twoFactorRequiredRoles;
+      if (!Array.isArray(roles) || roles.some(role => !ROLE_NAMES.includes(role))) {
+        return { error: `Papéis com 2FA obrigatório devem estar entre: ${ROLE_NAMES.join(', ')}` };
+      }
+      values.twoFactorRequiredRoles = [...new Set(roles)];
+    }
+
+    if (input.evolutionApiKey !== undefined) {
+      values.evolutionApiKey = String(input.evolutionApiKey || '').trim();
+    }
+
+    const webhookEnabled = values.webhookEnabled ?? current.webhookEnabled;
+    const webhookUrl = values.webhookUrl ?? current.webhookUrl;
+    if (webhookEnabled && !webhookUrl) {
+      return { error: 'Informe a URL do webhook para ativá-lo' };
+    }
+
+    return { values };
+  }
+
+  /**
+   * Salva as configurações e atualiza o cache deste processo
+   * Os demais processos aplicam a alteração no próximo recarregamento
+   */
+  async update(input, userId = null) {
+    const current = await this.load();
+    const { values, error } = this.validate(input, current);
+    if (error) return { error };
+
+    await Setting.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $set: { ...values, updatedBy: userId, lastUpdated: Date.now() } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return { settings: await this.load() };
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User } = require('../models');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+// TOTP (RFC 6238): códigos de 6 dígitos a cada 30 segundos, HMAC-SHA1
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Intervalos aceitos antes/depois do atual para tolerar diferença de relógio
+const TOTP_WINDOW = 1;
+
+const ISSUER = 'ZapStorm';
+const RECOVERY_CODE_COUNT = 10;
+
+// Validade do token entre a senha e o código no login
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Segredo base32 inválido');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Chave de criptografia dos segredos TOTP salvos no banco
+ */
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'sua_chave_secreta')
+  .digest();
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  /**
+   * Código TOTP de um intervalo
+   * @param {String} secret - segredo em base32
+   * @param {Number} step - número do intervalo de 30s desde a época Unix
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  }
+
+  /**
+   * Intervalo em que o código é válido (dentro da janela de tolerância) ou null
+   */
+  findMatchingStep(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = this.getCurrentStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+  }
+
+  /**
+   * Papéis que precisam de 2FA segundo as configurações do sistema
+   */
+  async isRequiredFor(user) {
+    const settings = await settingsService.get();
+    return (settings.twoFactorRequiredRoles || []).includes(user.role);
+  }
+
+  async findWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Gera um novo segredo pendente e o QR code para o aplicativo autenticador
+   * @returns {Object} - { secret, otpauthUrl, qrCode }
+   */
+  async startEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encrypt(secret) });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirma a ativação com um código do segredo pendente
+   * @returns {Object} - { recoveryCodes } ou { error }
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.findWithSecrets(userId);
+    if (!user || !user.twoFactor.pendingSecret) {
+      return { error: 'Inicie a ativação da autenticação em dois fatores' };
+    }
+
+    const step = this.findMatchingStep(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return { error: 'Código inválido. Verifique o horário do dispositivo e tente novamente' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => hashCode(normalizeRecoveryCode(recoveryCode)));
+    await user.save();
+
+    logger.info(`Autenticação em dois fatores ativada para ${user.email}`);
+    return { recoveryCodes };
+  }
+
+  /**
+   * Valida um código TOTP ou de recuperação de um usuário com 2FA ativo
+   * Códigos TOTP não podem ser reutilizados; códigos de recuperação valem uma única vez
+   * @returns {Object} - { valid, usedRecoveryCode }
+   */
+  async verify(userId, { code, recoveryCode }) {
+    const user = await this.findWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return { valid: false };
+    }
+
+    if (recoveryCode) {
+      const codeHash = hashCode(normalizeRecoveryCode(recoveryCode));
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+      );
+      if (result.modifiedCount === 0) return { valid: false };
+
+      logger.warn(`Código de recuperação de 2FA utilizado por ${user.email} (${user.twoFactor.recoveryCodes.length - 1} restantes)`);
+      return { valid: true, usedRecoveryCode: true };
+    }
+
+    const step = this.findMatchingStep(decrypt(user.twoFactor.secret), code);
+    if (step === null) return { valid: false };
+
+    // Condição no último intervalo usado impede que o mesmo código seja aceito duas vezes
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return { valid: result.modifiedCount > 0, usedRecoveryCode: false };
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.substring(0, 5)}-${code.substring(5)}`;
+    });
+  }
+
+  /**
+   * Substitui os códigos de recuperação (os anteriores deixam de valer)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(code => hashCode(normalizeRecoveryCode(code))) }
+    );
+    return recoveryCodes;
+  }
+
+  async countRecoveryCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user ? user.twoFactor.recoveryCodes.length : 0;
+  }
+
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null,
+        'twoFactor.enabledAt': null
+      }
+    );
+  }
+
+  /**
+   * Token temporário emitido após a senha correta, trocado pela sessão ao informar o código
+   */
+  signChallenge(user) {
+    return jwt.sign(
+      { id: user._id, tv: user.tokenVersion || 0, purpose: 'two_factor' },
+      process.env.JWT_SECRET || 'sua_chave_secreta',
+      { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * @returns {Object|null} - payload do desafio ou null se inválido/expirado
+   */
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'sua_chave_secreta');
+      return decoded.purpose === 'two_factor' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
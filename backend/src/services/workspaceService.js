@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const {
+  Workspace,
+  User,
+  Contact,
+  Template,
+  Campaign,
+  Message,
+  Instance,
+  Alert,
+  WebhookLog,
+  Conversation,
+  ConversationMessage,
+  ContactField,
+  Segment
+} = require('../models');
+const { ROLE_NAMES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Modelos cujos documentos pertencem a um workspace
+const SCOPED_MODELS = [Contact, Template, Campaign, Message, Instance, Conversation, ConversationMessage, ContactField, Segment];
+
+// Modelos em que a unicidade passou de global para por workspace (índices antigos precisam ser removidos)
+const PER_WORKSPACE_UNIQUE_MODELS = [Contact, Template, ContactField, Segment];
+
+const DEFAULT_WORKSPACE = { name: 'Padrão', slug: 'padrao' };
+
+// "Cliente Exemplo Ltda." -> "cliente-exemplo-ltda"
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 50);
+
+class WorkspaceService {
+  /**
+   * Workspace ativo da requisição e o papel do usuário nele
+   * @param {Object} user - Usuário autenticado
+   * @param {String} [requestedId] - Workspace pedido pelo cliente (cabeçalho X-Workspace-Id)
+   * @returns {Object} - { workspace, role } ou { error } quando o usuário não tem acesso ao workspace pedido
+   */
+  async resolve(user, requestedId) {
+    const isSystemAdmin = user.role === 'admin';
+    const memberships = user.workspaces || [];
+
+    let workspaceId = requestedId;
+    if (!workspaceId) {
+      const defaultIsMember = user.defaultWorkspace &&
+        (isSystemAdmin || memberships.some(item => String(item.workspace) === String(user.defaultWorkspace)));
+      workspaceId = defaultIsMember ? user.defaultWorkspace : memberships[0]?.workspace;
+    }
+
+    if (!workspaceId) {
+      if (!isSystemAdmin) return { workspace: null, role: null };
+      const first = await Workspace.findOne({ active: true }).sort({ createdAt: 1 });
+      return { workspace: first, role: first ? 'admin' : null };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(String(workspaceId))) {
+      return { error: 'Workspace inválido' };
+    }
+
+    const role = isSystemAdmin ? 'admin' : user.getWorkspaceRole(workspaceId);
+    if (!role) {
+      return { error: 'Você não tem acesso a este workspace' };
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace || (!workspace.active && !isSystemAdmin)) {
+      return { error: 'Workspace não encontrado ou desativado' };
+    }
+
+    return { workspace, role };
+  }
+
+  /**
+   * Workspaces que o usuário pode abrir, com o papel em cada um
+   */
+  async listForUser(user) {
+    if (user.role === 'admin') {
+      const workspaces = await Workspace.find().sort({ name: 1 }).lean();
+      return workspaces.map(workspace => ({ ...workspace, role: 'admin' }));
+    }
+
+    const roles = new Map((user.workspaces || []).map(item => [String(item.workspace), item.role]));
+    const workspaces = await Workspace.find({ _id: { $in: [...roles.keys()] }, active: true })
+      .sort({ name: 1 })
+      .lean();
+
+    return workspaces.map(workspace => ({ ...workspace, role: roles.get(String(workspace._id)) }));
+  }
+
+  /**
+   * Cria um workspace; o criador passa a ser administrador dele
+   * @returns {Object} - { workspace } ou { error }
+   */
+  async create({ name, slug, quotas }, creator) {
+    if (!name || !String(name).trim()) {
+      return { error: 'Nome do workspace é obrigatório' };
+    }
+
+    const finalSlug = slugify(slug || name);
+    if (!finalSlug) {
+      return { error: 'Identificador do workspace inválido' };
+    }
+    if (await Workspace.exists({ slug: finalSlug })) {
+      return { error: `Já existe um workspace com o identificador "${finalSlug}"` };
+    }
+
+    const workspace = await Workspace.create({
+      name: String(name).trim(),
+      slug: finalSlug,
+      ...(quotas?.maxInstances !== undefined && { quotas: { maxInstances: quotas.maxInstances } }),
+      createdBy: creator._id
+    });
+
+    await this.setMember(workspace._id, creator._id, 'admin');
+    logger.info(`Workspace ${workspace.slug} criado por ${creator.email}`);
+
+    return { workspace };
+  }
+
+  /**
+   * Adiciona o usuário ao workspace ou altera o seu papel nele
+   */
+  async setMember(workspaceId, userId, role) {
+    if (!ROLE_NAMES.includes(role)) {
+      throw new Error(`Papel inválido: ${role}`);
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, 'workspaces.workspace': workspaceId },
+      { $set: { 'workspaces.$.role': role } },
+      { new: true }
+    );
+    if (updated) return updated;
+
+    return User.findByIdAndUpdate(
+      userId,
+      { $push: { workspaces: { workspace: workspaceId, role } } },
+      { new: true }
+    );
+  }
+
+  async removeMember(workspaceId, userId) {
+    return User.findOneAndUpdate(
+      { _id: userId },
+      { $pull: { workspaces: { workspace: workspaceId } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Verifica se o workspace ainda pode criar instâncias
+   * @returns {Object} - { allowed, used, max }
+   */
+  async checkInstanceQuota(workspace) {
+    const max = workspace.quotas?.maxInstances ?? 0;
+    const used = await Instance.countDocuments({ workspace: workspace._id });
+
+    return { allowed: used < max, used, max };
+  }
+
+  /**
+   * Migração para workspaces: cria o workspace padrão e associa a ele os dados
+   * e usuários existentes antes da separação por workspace
+   */
+  async ensureDefaultWorkspace() {
+    let workspace = await Workspace.findOne().sort({ createdAt: 1 });
+    const created = !workspace;
+
+    if (created) {
+      workspace = await Workspace.create(DEFAULT_WORKSPACE);
+      logger.info(`Workspace padrão "${workspace.name}" criado`);
+    }
+
+    for (const Model of SCOPED_MODELS) {
+      const result = await Model.updateMany({ workspace: { $exists: false } }, { $set: { workspace: workspace._id } });
+      if (result.modifiedCount > 0) {
+        logger.info(`${result.modifiedCount} documento(s) de ${Model.modelName} associados ao workspace ${workspace.slug}`);
+      }
+    }
+
+    // Logs e alertas antigos eram visíveis a todos; passam a pertencer ao workspace padrão
+    await Alert.updateMany({ workspace: { $exists: false } }, { $set: { workspace: workspace._id } });
+    await WebhookLog.updateMany({ workspace: { $exists: false } }, { $set: { workspace: workspace._id } });
+
+    // Apenas na criação: depois disso, usuários sem workspace foram removidos de propósito
+    if (created) {
+      const users = await User.find({ 'workspaces.0': { $exists: false } });
+      for (const user of users) {
+        await this.setMember(workspace._id, user._id, user.role);
+      }
+      logger.info(`${users.length} usuário(s) adicionados ao workspace ${workspace.slug}`);
+    }
+
+    // Troca os índices únicos globais (telefone, nome...) pelos índices por workspace
+    for (const Model of PER_WORKSPACE_UNIQUE_MODELS) {
+      await Model.syncIndexes();
+    }
+
+    // O índice de scheduledRetryAt era TTL e apagava as mensagens reagendadas na hora da entrega
+    await Message.syncIndexes();
+
+    return workspace;
+  }
+}
+
+module.exports = new WorkspaceService();
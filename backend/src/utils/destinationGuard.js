@@ -0,0 +1,112 @@
+/**
+ * Proteção contra SSRF nas requisições que o servidor faz para URLs informadas
+ * pelos usuários (webhooks de saída): destinos de loopback, link-local e redes
+ * privadas são recusados, inclusive quando o nome resolve para eles no DNS
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const BLOCKED = new net.BlockList();
+
+// IPv4: "esta rede", privadas, CGNAT, loopback, link-local, benchmark, multicast e reservadas
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+
+// IPv6: não especificado, loopback, locais únicos, link-local e multicast
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Indica se o IP é de loopback, link-local ou de rede privada
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  if (family === 6) {
+    // IPv4 mapeado em IPv6 (::ffff:127.0.0.1) vale pelo endereço IPv4
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+    return BLOCKED.check(address, 'ipv6');
+  }
+
+  return BLOCKED.check(address, 'ipv4');
+}
+
+// Remove os colchetes de IPv6 literal em URLs (http://[::1]/)
+const getHostname = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Verifica se a URL aponta para um destino público, resolvendo o nome no DNS
+ * @returns {Promise<String|null>} - Mensagem de erro ou null se o destino é permitido
+ */
+async function checkDestination(url) {
+  let hostname;
+  try {
+    hostname = getHostname(url);
+  } catch (error) {
+    return 'URL inválida';
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(item => item.address);
+    } catch (error) {
+      return `Não foi possível resolver o endereço ${hostname}`;
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    return 'A URL não pode apontar para endereços locais ou de rede privada';
+  }
+
+  return null;
+}
+
+// Confere os endereços na hora da conexão, para que o DNS não troque o destino
+// entre a verificação e o envio
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(item => isPrivateAddress(item.address));
+    if (blocked) {
+      return callback(new Error(`Destino bloqueado: ${hostname} resolve para ${blocked.address}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup });
+const httpsAgent = new https.Agent({ lookup });
+
+module.exports = {
+  isPrivateAddress,
+  checkDestination,
+  httpAgent,
+  httpsAgent
+};
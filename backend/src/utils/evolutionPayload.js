@@ -0,0 +1,188 @@
+/**
+ * Funções auxiliares para interpretar payloads de webhook da API Evolution
+ * A API pode entregar eventos no formato Baileys (data.messages) ou no
+ * formato v2 (data.data como objeto ou array), por isso centralizamos aqui
+ */
+
+/**
+ * Extrai a lista de mensagens de um evento MESSAGES_UPSERT
+ * @param {Object} body - Corpo do webhook recebido
+ * @returns {Array} - Lista de mensagens (pode ser vazia)
+ */
+const extractUpsertMessages = (body) => {
+  if (!body) return [];
+
+  if (Array.isArray(body.messages)) return body.messages;
+  if (Array.isArray(body.data)) return body.data;
+  if (body.data && typeof body.data === 'object') {
+    if (Array.isArray(body.data.messages)) return body.data.messages;
+    if (body.data.key) return [body.data];
+  }
+
+  return [];
+};
+
+/**
+ * Extrai as atualizações de status de um evento MESSAGES_UPDATE ou SEND_MESSAGE
+ * Aceita o formato Baileys ({ key, update: { status } }) e o formato v2
+ * ({ keyId, status } ou { key, status })
+ * @param {Object} body - Corpo do webhook recebido
+ * @returns {Array} - Lista de { messageId, status, fromMe }
+ */
+const extractStatusUpdates = (body) => {
+  if (!body) return [];
+
+  let items = [];
+  if (Array.isArray(body.messages)) items = body.messages;
+  else if (Array.isArray(body.data)) items = body.data;
+  else if (body.data && typeof body.data === 'object') items = [body.data];
+
+  return items
+    .map(item => ({
+      messageId: item?.key?.id || item?.keyId || item?.messageId,
+      status: item?.update?.status ?? item?.status,
+      fromMe: item?.key?.fromMe ?? item?.fromMe
+    }))
+    .filter(item => item.messageId && item.status !== undefined && item.status !== null);
+};
+
+/**
+ * Extrai o texto de uma mensagem do WhatsApp
+ * @param {Object} message - Mensagem no formato Baileys/Evolution
+ * @returns {String} - Texto da mensagem ou legenda da mídia ('' se não houver)
+ */
+const extractMessageText = (message) => {
+  const content = message?.message;
+  if (!content) return '';
+
+  return content.conversation ||
+    content.extendedTextMessage?.text ||
+    content.imageMessage?.caption ||
+    content.videoMessage?.caption ||
+    content.documentMessage?.caption ||
+    content.buttonsResponseMessage?.selectedDisplayText ||
+    content.listResponseMessage?.title ||
+    '';
+};
+
+/**
+ * Descreve o conteúdo de uma mensagem para exibição na caixa de entrada
+ * @param {Object} message - Mensagem no formato Baileys/Evolution
+ * @returns {Object} - { content, messageType, mediaType }
+ */
+const describeMessage = (message) => {
+  const content = message?.message || {};
+  const messageType = message?.messageType || Object.keys(content)[0] || 'text';
+
+  if (content.conversation || content.extendedTextMessage?.text) {
+    return { content: extractMessageText(message), messageType, mediaType: null };
+  }
+  if (content.imageMessage) {
+    return { content: `[Imagem] ${content.imageMessage.caption || ''}`.trim(), messageType, mediaType: 'image' };
+  }
+  if (content.videoMessage) {
+    return { content: `[Vídeo] ${content.videoMessage.caption || ''}`.trim(), messageType, mediaType: 'video' };
+  }
+  if (content.audioMessage) {
+    return { content: '[Áudio]', messageType, mediaType: 'audio' };
+  }
+  if (content.documentMessage) {
+    return { content: `[Documento] ${content.documentMessage.fileName || ''}`.trim(), messageType, mediaType: 'document' };
+  }
+  if (content.contactMessage) {
+    return { content: '[Contato]', messageType, mediaType: null };
+  }
+  if (content.locationMessage) {
+    return { content: '[Localização]', messageType, mediaType: null };
+  }
+
+  const text = extractMessageText(message);
+  return { content: text || '[Conteúdo não reconhecido]', messageType, mediaType: null };
+};
+
+/**
+ * Converte um JID do WhatsApp (5511999999999@s.whatsapp.net) em telefone internacional
+ * @param {String} jid - Identificador do WhatsApp
+ * @returns {String|null} - Telefone no formato +5511999999999 ou null se não for um contato individual
+ */
+const jidToPhone = (jid) => {
+  if (!jid || typeof jid !== 'string') return null;
+
+  // Grupos e broadcasts não representam um contato individual
+  if (jid.endsWith('@g.us') || jid.endsWith('@broadcast')) return null;
+
+  const digits = jid.split('@')[0].split(':')[0].replace(/\D/g, '');
+  return digits ? `+${digits}` : null;
+};
+
+// Estados de conexão da Evolution/Baileys convertidos para o status da instância
+const CONNECTION_STATUS = {
+  open: 'connected',
+  connected: 'connected',
+  connecting: 'connecting',
+  close: 'disconnected',
+  closed: 'disconnected',
+  disconnected: 'disconnected',
+  refused: 'failed'
+};
+
+/**
+ * Converte o estado de conexão recebido da Evolution no status usado pela instância
+ * @param {String} state - Estado informado (open, connecting, close...)
+ * @returns {String|null} - connected, connecting, disconnected, failed ou null se desconhecido
+ */
+const toInstanceStatus = (state) => CONNECTION_STATUS[String(state || '').toLowerCase()] || null;
+
+/**
+ * Extrai os dados de um evento CONNECTION_UPDATE
+ * Aceita o formato antigo (connection.state) e o formato v2 (data.state)
+ * @param {Object} body - Corpo do webhook recebido
+ * @returns {Object|null} - { state, statusReason, owner, profileName, profilePictureUrl } ou null
+ */
+const extractConnectionUpdate = (body) => {
+  const update = body?.connection || body?.data;
+  if (!update || typeof update !== 'object' || !update.state) return null;
+
+  return {
+    state: update.state,
+    statusReason: update.statusReason,
+    owner: update.wuid || update.ownerJid,
+    profileName: update.profileName,
+    profilePictureUrl: update.profilePictureUrl || update.profilePicUrl
+  };
+};
+
+/**
+ * Extrai o QR code de um evento QRCODE_UPDATED
+ * Aceita o formato antigo (qrcode) e o formato v2 (data.qrcode)
+ * @param {Object} body - Corpo do webhook recebido
+ * @returns {Object|null} - { base64, code, pairingCode } ou null se não houver QR
+ */
+const extractQrCode = (body) => {
+  const qrcode = body?.qrcode || body?.data?.qrcode;
+  if (!qrcode) return null;
+
+  // Algumas versões enviam apenas a imagem em base64
+  if (typeof qrcode === 'string') {
+    return { base64: qrcode, code: null, pairingCode: null };
+  }
+
+  if (!qrcode.base64 && !qrcode.code) return null;
+
+  return {
+    base64: qrcode.base64 || null,
+    code: qrcode.code || null,
+    pairingCode: qrcode.pairingCode || null
+  };
+};
+
+module.exports = {
+  extractUpsertMessages,
+  extractStatusUpdates,
+  extractConnectionUpdate,
+  extractQrCode,
+  toInstanceStatus,
+  extractMessageText,
+  describeMessage,
+  jidToPhone
+};
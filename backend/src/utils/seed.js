@@ -3,6 +3,7 @@ const dotenv = require('dotenv');
 const path = require('path');
 const { 
   User, 
+  Workspace,
   Contact, 
   Template, 
   Instance
@@ -94,30 +95,37 @@ const seedData = async () => {
     await Contact.deleteMany({});
     await Template.deleteMany({});
     await Instance.deleteMany({});
+    await Workspace.deleteMany({});
     
     console.log('Dados existentes removidos');
     
+    // Criar workspace padrão
+    const workspace = await Workspace.create({ name: 'Padrão', slug: 'padrao' });
+    console.log('Workspace criado');
+    
     // Criar usuário admin
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(adminUser.password, salt);
     
     await User.create({
       ...adminUser,
-      password: hashedPassword
+      password: hashedPassword,
+      workspaces: [{ workspace: workspace._id, role: 'admin' }],
+      defaultWorkspace: workspace._id
     });
     
     console.log('Usuário admin criado');
     
     // Criar templates
-    await Template.insertMany(templates);
+    await Template.insertMany(templates.map(template => ({ ...template, workspace: workspace._id })));
     console.log('Templates criados');
     
     // Criar contatos
-    await Contact.insertMany(contacts);
+    await Contact.insertMany(contacts.map(contact => ({ ...contact, workspace: workspace._id })));
     console.log('Contatos criados');
     
     // Criar instância
-    await Instance.create(instance);
+    await Instance.create({ ...instance, workspace: workspace._id });
     console.log('Instância criada');
     
     console.log('Seed concluído com sucesso!');
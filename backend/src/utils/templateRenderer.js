@@ -0,0 +1,339 @@
+/**
+ * Renderizador de templates de mensagem
+ *
+ * Sintaxe suportada:
+ *   {{promo}}                      valor da campanha (variableValues)
+ *   {{contact.name}}, {{nome}}     campos do contato (nome/telefone/tags são atalhos)
+ *   {{contact.cidade}}, {{cidade}} campos personalizados do contato (ContactField)
+ *   {{nome|cliente}}               valor padrão quando a variável estiver vazia
+ *   {{vencimento:data}}            formatação pt-BR (data, data_hora, hora, data_extenso,
+ *                                  moeda, numero, maiusculo, minusculo, primeiro_nome)
+ *   {{#if promo}}...{{else}}...{{/if}}, {{#unless x}}...{{/unless}}
+ *   {{#each contact.tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+ *   {Olá|Oi|E aí}                  spintax: uma opção sorteada por destinatário
+ */
+
+const config = require('../config');
+
+// Atalhos em português para campos do contato
+const CONTACT_ALIASES = {
+  nome: 'name',
+  telefone: 'phone',
+  tags: 'tags'
+};
+
+// Campos do contato disponíveis em {{contact.campo}}
+const CONTACT_FIELDS = ['name', 'phone', 'tags', 'createdAt'];
+
+const FORMATTERS = {
+  data: value => formatDate(value, { day: '2-digit', month: '2-digit', year: 'numeric' }),
+  data_hora: value => formatDate(value, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }),
+  hora: value => formatDate(value, { hour: '2-digit', minute: '2-digit' }),
+  data_extenso: value => formatDate(value, { day: 'numeric', month: 'long', year: 'numeric' }),
+  moeda: value => formatNumber(value, { style: 'currency', currency: 'BRL' }),
+  numero: value => formatNumber(value, {}),
+  maiusculo: value => String(value).toUpperCase(),
+  minusculo: value => String(value).toLowerCase(),
+  primeiro_nome: value => String(value).trim().split(/\s+/)[0]
+};
+
+const TAG_REGEX = /\{\{\s*([^{}]+?)\s*\}\}/g;
+// Spintax: chaves simples com ao menos um "|", sem confundir com {{variáveis}}
+const SPINTAX_REGEX = /(?<!\{)\{([^{}]*\|[^{}]*)\}(?!\})/;
+
+// Datas sem horário ('2026-01-05' ou campos personalizados do tipo data) ficam à meia-noite UTC
+function isDateOnly(date) {
+  return date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+    date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+}
+
+function formatDate(value, options) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+
+  // No fuso configurado, a meia-noite UTC cairia no dia anterior
+  const timeZone = isDateOnly(date) ? 'UTC' : config.templates.timeZone;
+
+  return new Intl.DateTimeFormat('pt-BR', { timeZone, ...options }).format(date);
+}
+
+function formatNumber(value, options) {
+  // Aceita "1234.5" e também o formato brasileiro "1.234,50"
+  const text = String(value).trim();
+  const number = typeof value === 'number'
+    ? value
+    : Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+  if (isNaN(number)) return String(value);
+
+  // O Intl separa "R$" do valor com espaço inseparável, que não é bem exibido em todos os aparelhos
+  return new Intl.NumberFormat('pt-BR', options).format(number).replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Converte Map (variableValues do Mongoose) ou documento em objeto simples
+ */
+function toPlainObject(value) {
+  if (!value) return {};
+  if (value instanceof Map) return Object.fromEntries(value);
+  if (typeof value.toObject === 'function') return value.toObject();
+  return value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function getPath(source, path) {
+  return path.split('.').reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    if (current instanceof Map) return current.get(key);
+    return current[key];
+  }, source);
+}
+
+/**
+ * Interpreta o conteúdo de uma tag: "caminho:formato|padrão"
+ */
+function parseExpression(expression) {
+  const pipeIndex = expression.indexOf('|');
+  const main = pipeIndex >= 0 ? expression.slice(0, pipeIndex) : expression;
+  const fallback = pipeIndex >= 0 ? expression.slice(pipeIndex + 1).trim() : undefined;
+
+  const [path, format] = main.split(':').map(part => part.trim());
+
+  return { path, format: format || null, fallback };
+}
+
+/**
+ * Divide o template em texto, variáveis e blocos (#if, #unless, #each)
+ */
+function parse(template) {
+  const root = { type: 'root', children: [] };
+  // Cada nível guarda o bloco aberto e a lista que recebe os próximos nós ({{else}} troca para inverse)
+  const stack = [{ node: root, target: root.children }];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  TAG_REGEX.lastIndex = 0;
+
+  while ((match = TAG_REGEX.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      current().target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const tag = match[1];
+    const block = tag.match(/^#(if|unless|each)\s+(.+)$/);
+    const closing = tag.match(/^\/(if|unless|each)$/);
+
+    if (block) {
+      const node = { type: block[1], path: block[2].trim(), children: [], inverse: [] };
+      current().target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (tag === 'else' && stack.length > 1) {
+      current().target = current().node.inverse;
+    } else if (closing && stack.length > 1) {
+      stack.pop();
+    } else {
+      current().target.push({ type: 'variable', ...parseExpression(tag) });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    current().target.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Resolve uma variável no escopo atual
+ * Ordem: item do #each, contact.*, variáveis da campanha, atalhos e campos personalizados do contato
+ */
+function resolve(path, scope) {
+  if (path === 'this') return scope.item;
+  if (path.startsWith('@')) return scope.meta?.[path.slice(1)];
+  if (path.startsWith('this.')) return getPath(scope.item, path.slice(5));
+
+  if (scope.item && typeof scope.item === 'object') {
+    const value = getPath(scope.item, path);
+    if (value !== undefined) return value;
+  }
+
+  if (path.startsWith('contact.')) return getPath(scope.contact, path.slice(8));
+
+  const variable = getPath(scope.variables, path);
+  if (!isEmpty(variable)) return variable;
+
+  if (CONTACT_ALIASES[path]) return getPath(scope.contact, CONTACT_ALIASES[path]);
+
+  const customValue = getPath(scope.contact.customFields, path);
+  if (customValue !== undefined) return customValue;
+
+  return variable;
+}
+
+function renderNodes(nodes, scope) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      let value = resolve(node.path, scope);
+
+      if (isEmpty(value)) {
+        value = node.fallback !== undefined ? node.fallback : '';
+      } else if (node.format && FORMATTERS[node.format]) {
+        value = FORMATTERS[node.format](value);
+      } else if (Array.isArray(value)) {
+        value = value.join(', ');
+      }
+
+      output += String(value);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const value = resolve(node.path, scope);
+      const truthy = !isEmpty(value) && value !== false;
+      const show = node.type === 'if' ? truthy : !truthy;
+      output += renderNodes(show ? node.children : node.inverse, scope);
+    } else if (node.type === 'each') {
+      const list = resolve(node.path, scope);
+      if (!Array.isArray(list) || list.length === 0) {
+        output += renderNodes(node.inverse, scope);
+        continue;
+      }
+
+      list.forEach((item, index) => {
+        output += renderNodes(node.children, {
+          ...scope,
+          item,
+          meta: { index, first: index === 0, last: index === list.length - 1 }
+        });
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Sorteia as opções de spintax, das mais internas para as mais externas
+ * @param {String} text - Texto com spintax
+ * @param {Function} [random] - Gerador de números aleatórios (0 a 1)
+ */
+function applySpintax(text, random = Math.random) {
+  let result = text;
+  let match;
+
+  while ((match = result.match(SPINTAX_REGEX)) !== null) {
+    const options = match[1].split('|');
+    const choice = options[Math.floor(random() * options.length)];
+    result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+  }
+
+  return result;
+}
+
+/**
+ * Renderiza um template para um destinatário
+ * @param {String} template - Conteúdo do template
+ * @param {Object} context
+ * @param {Object} [context.contact] - Contato destinatário
+ * @param {Object|Map} [context.variables] - Valores das variáveis da campanha
+ * @param {Function} [context.random] - Gerador aleatório usado no spintax
+ * @returns {String}
+ */
+function render(template, { contact, variables, random } = {}) {
+  if (!template) return '';
+
+  const spun = applySpintax(template, random);
+  const plainContact = toPlainObject(contact);
+  const scope = {
+    // Campos personalizados também ficam acessíveis como {{contact.chave}}
+    contact: { ...toPlainObject(plainContact.customFields), ...plainContact },
+    variables: toPlainObject(variables)
+  };
+
+  return renderNodes(parse(spun).children, scope);
+}
+
+/**
+ * Lista as variáveis usadas no template, ignorando as de escopo de #each
+ * @returns {Array<Object>} - [{ path, required }] onde required indica que não há valor padrão
+ */
+function extractVariables(template) {
+  const found = new Map();
+
+  const walk = (nodes, insideEach) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+
+      const path = node.path;
+      const scoped = path === 'this' || path.startsWith('this.') || path.startsWith('@') ||
+        (insideEach && !path.startsWith('contact.'));
+
+      if (!scoped) {
+        const required = node.type === 'variable' && node.fallback === undefined;
+        const previous = found.get(path);
+        found.set(path, { path, required: required || Boolean(previous?.required) });
+      }
+
+      if (node.children) walk(node.children, insideEach || node.type === 'each');
+      if (node.inverse) walk(node.inverse, insideEach || node.type === 'each');
+    }
+  };
+
+  walk(parse(template || '').children, false);
+
+  return [...found.values()];
+}
+
+/**
+ * Variáveis que dependem de valores da campanha (não são campos do contato)
+ * @param {String} template - Conteúdo do template
+ * @param {Array<String>} [customFields] - Chaves dos campos personalizados de contato
+ */
+function getCampaignVariables(template, customFields = []) {
+  return extractVariables(template)
+    .map(variable => variable.path)
+    .filter(path => !path.startsWith('contact.') && !CONTACT_ALIASES[path] && !customFields.includes(path));
+}
+
+/**
+ * Variáveis que não podem ser resolvidas
+ * @param {String} template - Conteúdo do template
+ * @param {Object} [options]
+ * @param {Object|Map} [options.variables] - Valores da campanha; se omitido, só os campos do contato são verificados
+ * @param {Array<String>} [options.customFields] - Chaves dos campos personalizados de contato
+ * @returns {Array<String>}
+ */
+function findUnknownVariables(template, { variables, customFields = [] } = {}) {
+  const values = variables ? toPlainObject(variables) : null;
+  const contactFields = [...CONTACT_FIELDS, 'customFields', ...customFields];
+
+  return extractVariables(template)
+    .filter(variable => {
+      if (variable.path.startsWith('contact.')) {
+        return !contactFields.includes(variable.path.slice(8).split('.')[0]);
+      }
+      if (CONTACT_ALIASES[variable.path] || customFields.includes(variable.path)) return false;
+
+      // Sem valores de campanha (ex.: ao salvar o template) não há como validar
+      if (!values) return false;
+
+      return variable.required && isEmpty(getPath(values, variable.path));
+    })
+    .map(variable => variable.path);
+}
+
+module.exports = {
+  render,
+  applySpintax,
+  extractVariables,
+  getCampaignVariables,
+  findUnknownVariables,
+  CONTACT_FIELDS,
+  FORMATTERS
+};
@@ -4,10 +4,14 @@ const path = require('path');
 const logger = require('../utils/logger');
 const alertService = require('../services/alertService');
 const queueService = require('../services/queueService');
+const settingsService = require('../services/settingsService');
 
 // Carregar variáveis de ambiente
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
+// Os demais eventos (mensagens, contatos, instâncias) interessam apenas aos webhooks de saída
+const ALERT_EVENT_TYPES = ['campaign_completed', 'campaign_failed', 'campaign_started', 'alert_notification'];
+
 class AlertWorker {
   constructor() {
     this.checkAlertsInterval = null;
@@ -32,11 +36,9 @@ class AlertWorker {
   async checkAllAlerts() {
     try {
       // Verificar falhas de campanhas
+      // (quedas de instâncias são alertadas pelo supervisor de saúde, instanceHealthWorker)
       await alertService.checkCampaignFailures();
       
-      // Verificar problemas de conexão
-      await alertService.checkInstanceConnections();
-      
       logger.info('Verificação de alertas concluída');
     } catch (error) {
       logger.error('Erro ao verificar alertas:', error);
@@ -51,9 +53,16 @@ class AlertWorker {
 
     this.isProcessingNotification = true;
     try {
+      const { notificationsEnabled } = await settingsService.get();
       const unnotifiedAlerts = await alertService.getUnnotifiedAlerts();
       
       for (const alert of unnotifiedAlerts) {
+        // Com notificações desativadas os alertas são apenas marcados, para não acumularem
+        if (!notificationsEnabled) {
+          await alertService.markAsNotified(alert._id);
+          continue;
+        }
+        
         // Evitar loops de notificação
         if (this.processedEventIds.has(alert._id.toString())) {
           logger.warn(`Alerta ${alert._id} já processado, evitando loop`);
@@ -90,6 +99,10 @@ class AlertWorker {
   }
 
   async processEvent(event) {
+    if (!ALERT_EVENT_TYPES.includes(event.type)) {
+      return;
+    }
+    
     try {
       logger.info(`Processando evento: ${event.type}`);
       
@@ -110,12 +123,8 @@ class AlertWorker {
           await alertService.checkCampaignStart(event.data);
           break;
         case 'alert_notification':
-          if (!this.isProcessingNotification) {
-            await alertService.processNotification(event.data);
-          }
+          await alertService.processNotification(event.data);
           break;
-        default:
-          logger.warn(`Tipo de evento desconhecido: ${event.type}`);
       }
       
       if (event.id) {
@@ -131,6 +140,7 @@ class AlertWorker {
   async start() {
     try {
       await queueService.connect();
+      settingsService.watch();
       logger.info('Worker de alertas iniciado');
       
       // Consumir eventos da fila
@@ -160,6 +170,7 @@ class AlertWorker {
     if (this.processNotificationsInterval) {
       clearInterval(this.processNotificationsInterval);
     }
+    settingsService.stopWatching();
     
     // Fechar conexões
     await queueService.close();
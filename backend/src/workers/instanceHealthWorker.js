@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const queueService = require('../services/queueService');
+const instanceHealthService = require('../services/instanceHealthService');
+const instanceRiskService = require('../services/instanceRiskService');
+
+// Carregar variáveis de ambiente
+dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+
+class InstanceHealthWorker {
+  constructor() {
+    this.checkInterval = null;
+    this.riskInterval = null;
+    this.isChecking = false;
+    this.isEvaluatingRisk = false;
+  }
+
+  async init() {
+    try {
+      // Conexão com MongoDB
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zapstorm');
+      logger.info('Supervisor de saúde das instâncias conectado ao MongoDB');
+
+      await this.start();
+    } catch (err) {
+      logger.error('Erro ao inicializar supervisor de saúde das instâncias:', err);
+      process.exit(1);
+    }
+  }
+
+  async checkAll() {
+    if (this.isChecking) {
+      logger.warn('Verificação de saúde das instâncias ainda em andamento, pulando...');
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const { checked, unhealthy } = await instanceHealthService.checkAll();
+      logger.info(`Saúde das instâncias verificada: ${checked} instância(s), ${unhealthy} com problema`);
+    } catch (error) {
+      logger.error('Erro na verificação de saúde das instâncias:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async evaluateRisk() {
+    if (this.isEvaluatingRisk) {
+      logger.warn('Cálculo do risco de banimento ainda em andamento, pulando...');
+      return;
+    }
+
+    this.isEvaluatingRisk = true;
+    try {
+      const { evaluated, elevated } = await instanceRiskService.evaluateAll();
+      logger.info(`Risco de banimento calculado: ${evaluated} instância(s), ${elevated} com risco elevado`);
+    } catch (error) {
+      logger.error('Erro no cálculo do risco de banimento:', error);
+    } finally {
+      this.isEvaluatingRisk = false;
+    }
+  }
+
+  async start() {
+    try {
+      // Necessário para publicar as mudanças de status e de risco, pausas de campanha e alertas
+      await queueService.connect();
+      logger.info('Supervisor de saúde das instâncias iniciado');
+
+      await this.checkAll();
+      this.checkInterval = setInterval(() => this.checkAll(), config.instanceHealth.probeIntervalMs);
+
+      await this.evaluateRisk();
+      this.riskInterval = setInterval(() => this.evaluateRisk(), config.banRisk.intervalMs);
+    } catch (error) {
+      logger.error('Erro ao iniciar supervisor de saúde das instâncias:', error);
+      process.exit(1);
+    }
+  }
+
+  async stop() {
+    logger.info('Parando supervisor de saúde das instâncias...');
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+
+    if (this.riskInterval) {
+      clearInterval(this.riskInterval);
+    }
+
+    await queueService.close();
+    await mongoose.connection.close();
+
+    logger.info('Supervisor de saúde das instâncias parado com sucesso');
+  }
+}
+
+const worker = new InstanceHealthWorker();
+
+// Gerenciamento de processo
+process.on('SIGTERM', async () => {
+  logger.info('Supervisor de saúde das instâncias recebeu SIGTERM, encerrando graciosamente...');
+  await worker.stop();
+  process.exit(0);
+});
+
+process.on('SIGINT', async () => {
+  logger.info('Supervisor de saúde das instâncias recebeu SIGINT, encerrando graciosamente...');
+  await worker.stop();
+  process.exit(0);
+});
+
+// Iniciar worker
+worker.init();
@@ -21,6 +21,13 @@ logger.info('==========================================');
 // Modelos
 const { Message, Campaign, Contact, Template, Instance } = require('../models');
 const EvolutionApiService = require('../services/evolutionApiService');
+const conversationService = require('../services/conversationService');
+const messageStatusService = require('../services/messageStatusService');
+const instancePoolService = require('../services/instancePoolService');
+const instanceWarmupService = require('../services/instanceWarmupService');
+const rateLimiterService = require('../services/rateLimiterService');
+const settingsService = require('../services/settingsService');
+const config = require('../config');
 
 // Conexão com MongoDB
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zapstorm')
@@ -30,16 +37,12 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zapstorm')
     process.exit(1);
   });
 
-// Variáveis para controle de throttling global
-let lastMessageProcessedTime = 0;
-let processingLock = false;
-
 // Função para processar mensagem de texto
 async function processTextMessage(message, instance, evolutionApi) {
   try {
     // Atualizar status da mensagem para 'enviando'
     await Message.findByIdAndUpdate(message._id, {
-      status: 'queued',
+      status: 'sending',
       retries: message.retries + 1
     });
     
@@ -61,15 +64,20 @@ async function processTextMessage(message, instance, evolutionApi) {
       });
       
       // Atualizar métricas da campanha
-      await Campaign.findByIdAndUpdate(message.campaignId, {
-        $inc: { 'metrics.sent': 1, 'metrics.pending': -1 }
-      });
+      await incrementCampaignMetrics(message.campaignId, { 'metrics.sent': 1, 'metrics.pending': -1 });
       
       // Atualizar métricas da instância
       await Instance.findOneAndUpdate({ instanceName: instance.instanceName }, {
         $inc: { 'metrics.totalSent': 1 }
       });
       
+      await recordConversation(message, instance, response);
+      
+      await messageStatusService.publishMessageEvent('message_sent', message, {
+        instanceName: instance.instanceName,
+        whatsappMessageId: response.key?.id || null
+      });
+      
       await checkAndCompleteCampaignIfNeeded(message.campaignId);
       
       return true;
@@ -80,9 +88,11 @@ async function processTextMessage(message, instance, evolutionApi) {
     logger.error(`Erro ao enviar mensagem ${message._id}:`, error);
     
     // Verificar se é um erro recuperável ou não
+    const { defaultRetries } = await settingsService.get();
+    const maxRetries = instance.throttling?.maxRetries ?? defaultRetries;
     const isRecoverable = !error.message.includes('not-whatsapp-user') && 
                           !error.message.includes('blocked') &&
-                          message.retries < 3;
+                          message.retries < maxRetries;
     
     if (isRecoverable) {
       // Agendar reenvio
@@ -101,19 +111,23 @@ async function processTextMessage(message, instance, evolutionApi) {
       // Falha permanente
       await Message.findByIdAndUpdate(message._id, {
         status: 'failed',
-        errorDetails: error.message
+        errorDetails: error.message,
+        failedAt: new Date()
       });
       
       // Atualizar métricas da campanha
-      await Campaign.findByIdAndUpdate(message.campaignId, {
-        $inc: { 'metrics.failed': 1, 'metrics.pending': -1 }
-      });
+      await incrementCampaignMetrics(message.campaignId, { 'metrics.failed': 1, 'metrics.pending': -1 });
       
       // Atualizar métricas da instância
       await Instance.findOneAndUpdate({ instanceName: instance.instanceName }, {
         $inc: { 'metrics.totalFailed': 1 }
       });
       
+      await messageStatusService.publishMessageEvent('message_failed', message, {
+        instanceName: instance.instanceName,
+        error: error.message
+      });
+      
       // Enfileirar na fila de falhas
       logger.warn(`Mensagem ${message._id} enviada para DLQ (falha definitiva)`);
       await queueService.enqueueFailed(message);
@@ -142,8 +156,9 @@ async function processMediaMessage(message, instance, evolutionApi) {
     logger.info(`[messageWorker] Aplicando delay adicional para mídia: ${mediaDelay}ms (fator: ${mediaDelayMultiplier}x)`);
     await new Promise(resolve => setTimeout(resolve, mediaDelay));
     
-    // Verificar limite diário (se configurado)
-    if (instance.throttling?.dailyLimit) {
+    // Verificar limite diário (se configurado ou em aquecimento)
+    const dailyLimit = instanceWarmupService.getEffectiveDailyLimit(instance);
+    if (dailyLimit) {
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       
@@ -153,17 +168,17 @@ async function processMediaMessage(message, instance, evolutionApi) {
       // Contar mensagens enviadas hoje para esta instância
       const dailySentCount = await Message.countDocuments({
         instanceId: instance._id,
-        status: 'sent',
+        status: { $in: ['sent', 'delivered', 'read'] },
         sentAt: { $gte: today, $lt: tomorrow }
       });
       
-      if (dailySentCount >= instance.throttling.dailyLimit) {
-        logger.warn(`[messageWorker] Limite diário de ${instance.throttling.dailyLimit} mensagens atingido para instância ${instance.instanceName}`);
-        throw new Error(`Limite diário de mensagens atingido (${dailySentCount}/${instance.throttling.dailyLimit})`);
+      if (dailySentCount >= dailyLimit) {
+        logger.warn(`[messageWorker] Limite diário de ${dailyLimit} mensagens atingido para instância ${instance.instanceName}`);
+        throw new Error(`Limite diário de mensagens atingido (${dailySentCount}/${dailyLimit})`);
       }
       
       // Log para monitoramento
-      logger.info(`[messageWorker] Contagem diária: ${dailySentCount}/${instance.throttling.dailyLimit}`);
+      logger.info(`[messageWorker] Contagem diária: ${dailySentCount}/${dailyLimit}`);
     }
     
     logger.info(`Tentando enviar mensagem de mídia (${mediaType}) para ${phone}, URL: ${mediaUrl}`);
@@ -193,9 +208,7 @@ async function processMediaMessage(message, instance, evolutionApi) {
       });
       
       // Atualizar métricas da campanha
-      await Campaign.findByIdAndUpdate(message.campaignId, {
-        $inc: { 'metrics.sent': 1, 'metrics.pending': -1 }
-      });
+      await incrementCampaignMetrics(message.campaignId, { 'metrics.sent': 1, 'metrics.pending': -1 });
       
       // Atualizar métricas da instância
       await Instance.findOneAndUpdate({ instanceName: instance.instanceName }, {
@@ -204,6 +217,13 @@ async function processMediaMessage(message, instance, evolutionApi) {
       
       logger.info(`Mensagem ${message._id} enviada com sucesso para ${phone}`);
       
+      await recordConversation(message, instance, response);
+      
+      await messageStatusService.publishMessageEvent('message_sent', message, {
+        instanceName: instance.instanceName,
+        whatsappMessageId: response.key?.id || null
+      });
+      
       await checkAndCompleteCampaignIfNeeded(message.campaignId);
       
       return true;
@@ -223,7 +243,8 @@ async function processMediaMessage(message, instance, evolutionApi) {
     
     // Verificar número de tentativas
     const retries = (message.retries || 0) + 1;
-    const maxRetries = instance.throttling?.maxRetries || 3;
+    const { defaultRetries } = await settingsService.get();
+    const maxRetries = instance.throttling?.maxRetries ?? defaultRetries;
     
     if (isTemporaryError && retries < maxRetries) {
       // Calcular delay para nova tentativa com backoff exponencial
@@ -246,21 +267,25 @@ async function processMediaMessage(message, instance, evolutionApi) {
       await Message.findByIdAndUpdate(message._id, {
         status: 'failed',
         retries,
-        errorDetails: error.message
+        errorDetails: error.message,
+        failedAt: new Date()
       });
       
       logger.error(`Falha definitiva ao enviar mensagem ${message._id}: ${error.message}`);
       
       // Atualizar métricas da campanha
-      await Campaign.findByIdAndUpdate(message.campaignId, {
-        $inc: { 'metrics.failed': 1, 'metrics.pending': -1 }
-      });
+      await incrementCampaignMetrics(message.campaignId, { 'metrics.failed': 1, 'metrics.pending': -1 });
       
       // Atualizar métricas da instância
       await Instance.findOneAndUpdate({ instanceName: instance.instanceName }, {
         $inc: { 'metrics.totalFailed': 1 }
       });
       
+      await messageStatusService.publishMessageEvent('message_failed', message, {
+        instanceName: instance.instanceName,
+        error: error.message
+      });
+      
       // Enfileirar na fila de falhas
       logger.warn(`Mensagem ${message._id} enviada para DLQ (falha definitiva)`);
       await queueService.enqueueFailed(message);
@@ -274,9 +299,21 @@ async function processMediaMessage(message, instance, evolutionApi) {
 
 // Processador principal de mensagens
 async function processMessage(message) {
+  let claimed = false;
   try {
-    // Aplicar throttling global
-    await applyThrottling(message);
+    // Uma mensagem reagendada pode chegar mais de uma vez (escada de atraso + varredura)
+    if (await isAlreadyFinished(message)) {
+      return true;
+    }
+    
+    // Não enviar para contatos que pediram descadastro depois do enfileiramento
+    if (await skipIfOptedOut(message)) {
+      return true;
+    }
+    
+    if (await holdIfCampaignPaused(message)) {
+      return true;
+    }
     
     logger.info(`[messageWorker] Recebida mensagem para processamento - ID: ${message._id}`);
     console.log(`[messageWorker] Recebida mensagem para processamento - ID: ${message._id}`);
@@ -298,43 +335,52 @@ async function processMessage(message) {
       logger.info(`[messageWorker] Dados da mensagem recuperados: contato=${message.contact?.phone}, campanha=${message.campaignId?._id}`);
     }
     
-    // Buscar a campanha se não estiver nos dados da mensagem
-    if (!message.instanceId) {
-      logger.info(`[messageWorker] Buscando dados da campanha ${message.campaignId}`);
-      const campaign = await Campaign.findById(message.campaignId);
-      if (!campaign) {
-        logger.error(`[messageWorker] Campanha não encontrada: ${message.campaignId}`);
-        return false;
-      }
-      message.instanceId = campaign.instanceId;
-      logger.info(`[messageWorker] ID da instância obtido: ${message.instanceId}`);
-    }
-    
-    // Buscar instância
-    const instance = await Instance.findById(message.instanceId);
-    if (!instance) {
-      logger.error(`Instância não encontrada: ${message.instanceId}`);
+    // Buscar a campanha para conhecer o pool de instâncias e a estratégia de distribuição;
+    // mensagens avulsas (sem campanha) usam apenas a instância escolhida na criação
+    const campaign = !message.campaignId
+      ? { instanceId: message.instanceId }
+      : message.campaignId?.instanceId
+        ? message.campaignId
+        : await Campaign.findById(message.campaignId);
+    if (!campaign) {
+      logger.error(`[messageWorker] Campanha não encontrada: ${message.campaignId}`);
       return false;
     }
     
-    // Verificar estado da conexão
-    const evolutionApi = new EvolutionApiService(instance.serverUrl, instance.apiKey);
-    const connectionState = await evolutionApi.connectionState(instance.instanceName);
-    
-    if (!connectionState || connectionState.instance.state !== 'open') {
-      logger.error(`Instância ${instance.instanceName} não está conectada`);
+    // Escolher a instância no momento do envio; instâncias desconectadas são substituídas
+    const selection = await resolveSendingInstance(campaign, message);
+    if (!selection) {
+      logger.error(`[messageWorker] Nenhuma instância conectada para ${campaign._id ? `a campanha ${campaign._id}` : `a mensagem avulsa ${message._id}`}`);
       
-      // Tentar reconectar e falhar se não for possível
-      try {
-        await evolutionApi.connectInstance(instance.instanceName);
-        logger.info(`Reconexão de instância ${instance.instanceName} iniciada`);
-      } catch (error) {
-        logger.error(`Falha ao reconectar instância ${instance.instanceName}:`, error);
-        
-        // Enfileirar para retry após 5 minutos
+      // Enfileirar para retry após 5 minutos (a não ser que outra cópia já esteja em envio)
+      const rescheduled = await Message.updateOne(
+        { _id: message._id, status: { $in: ['pending', 'queued', 'scheduled_retry'] } },
+        { status: 'scheduled_retry', scheduledRetryAt: new Date(Date.now() + 300000) }
+      );
+      if (rescheduled.modifiedCount > 0) {
         await queueService.enqueueRetry(message, 300000);
-        return false;
       }
+      return false;
+    }
+    
+    const { instance, evolutionApi } = selection;
+    
+    // Só reivindica depois de resolver campanha e instância, que podem encerrar sem envio
+    claimed = await claimDelivery(message);
+    if (!claimed) {
+      return true;
+    }
+    
+    if (String(message.instanceId) !== instance._id.toString()) {
+      logger.info(`[messageWorker] Mensagem ${message._id} atribuída à instância ${instance.instanceName}`);
+      await Message.findByIdAndUpdate(message._id, { instanceId: instance._id.toString() });
+    }
+    message.instanceId = instance._id.toString();
+    
+    // Aplicar throttling da instância escolhida (pode reagendar a mensagem)
+    const canProceed = await applyThrottling(message);
+    if (!canProceed) {
+      return false;
     }
     
     // Log detalhado para diagnóstico
@@ -353,6 +399,10 @@ async function processMessage(message) {
           status: 'failed',
           errorDetails: 'Mensagem sem conteúdo textual válido'
         });
+        await messageStatusService.publishMessageEvent('message_failed', message, {
+          instanceName: instance.instanceName,
+          error: 'Mensagem sem conteúdo textual válido'
+        });
         return false;
       }
       
@@ -363,37 +413,48 @@ async function processMessage(message) {
   } catch (error) {
     logger.error(`[messageWorker] Erro ao processar mensagem ${message._id || 'desconhecida'}:`, error);
     logger.error(`[messageWorker] Stack trace: ${error.stack}`);
+    if (claimed) {
+      await releaseDelivery(message);
+    }
     return false;
-  } finally {
-    // Liberar o lock de processamento
-    processingLock = false;
   }
 }
 
 /**
  * Aplica throttling baseado nas configurações da instância
+ * Os limites são controlados por um token bucket compartilhado por instância,
+ * então instâncias diferentes enviam em paralelo e várias réplicas do worker
+ * respeitam os mesmos limites
  * @param {Object} message Mensagem a ser processada
  */
 async function applyThrottling(message) {
-  // Aguardar se outra mensagem estiver em processamento
-  while (processingLock) {
-    logger.debug(`[messageWorker] Aguardando lock de processamento para mensagem ${message._id}`);
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
-  
-  // Adquirir lock
-  processingLock = true;
-  
   try {
     // Buscar instância e suas configurações de throttling se o ID da instância estiver disponível
-    let delay = 3000; // Delay padrão (3 segundos)
+    const { messageSendDelay } = await settingsService.get();
+    let delay = messageSendDelay; // Delay padrão (Configurações do sistema)
     let instance = null;
     
     if (message.instanceId) {
       instance = await Instance.findById(message.instanceId);
+
+      // Descanso forçado pelo risco de banimento do número (instanceRiskService)
+      if (instance?.risk?.cooldownUntil > new Date()) {
+        const cooldownEnd = instance.risk.cooldownUntil;
+
+        logger.info(`[messageWorker] Instância ${instance.instanceName} em descanso por risco de banimento (pontuação ${instance.risk.score}). Mensagem ${message._id} reagendada para ${cooldownEnd.toISOString()}`);
+
+        await Message.findByIdAndUpdate(message._id, {
+          status: 'scheduled_retry',
+          scheduledRetryAt: cooldownEnd
+        });
+
+        await queueService.enqueueRetry(message, cooldownEnd.getTime() - Date.now());
+        return false;
+      }
+
       if (instance && instance.throttling) {
         // Usar batchDelay como tempo mínimo entre mensagens individuais
-        delay = instance.throttling.batchDelay / instance.throttling.perBatch || 3000;
+        delay = instance.throttling.batchDelay / instance.throttling.perBatch || messageSendDelay;
         logger.debug(`[messageWorker] Usando delay de ${delay}ms baseado nas configurações da instância ${instance.instanceName}`);
         
         // Verificar se está em período de "quiet hours" (horas de silêncio)
@@ -431,8 +492,7 @@ async function applyThrottling(message) {
             // Enfileirar para retry após o período de silêncio
             await queueService.enqueueRetry(message, waitTimeMs);
             
-            // Liberar o lock e encerrar o processamento atual
-            processingLock = false;
+            // Encerrar o processamento atual
             return false;
           }
         }
@@ -446,7 +506,7 @@ async function applyThrottling(message) {
           const oneHourAgo = new Date(Date.now() - 3600000);
           const recentMessageCount = await Message.countDocuments({
             instanceId: instance._id,
-            status: 'sent',
+            status: { $in: ['sent', 'delivered', 'read'] },
             sentAt: { $gte: oneHourAgo }
           });
           
@@ -464,55 +524,13 @@ async function applyThrottling(message) {
             // Enfileirar para retry após o período de cooldown
             await queueService.enqueueRetry(message, cooldownTime);
             
-            // Liberar o lock e encerrar o processamento atual
-            processingLock = false;
+            // Encerrar o processamento atual
             return false;
           } else {
             logger.debug(`[messageWorker] Contagem de cooldown: ${recentMessageCount}/${threshold}`);
           }
         }
         
-        // Verificar limite diário se configurado
-        if (instance.throttling.dailyLimit) {
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          
-          const tomorrow = new Date(today);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          
-          // Contar mensagens enviadas hoje para esta instância
-          const dailySentCount = await Message.countDocuments({
-            instanceId: instance._id,
-            status: 'sent',
-            sentAt: { $gte: today, $lt: tomorrow }
-          });
-          
-          if (dailySentCount >= instance.throttling.dailyLimit) {
-            logger.warn(`[messageWorker] Limite diário de ${instance.throttling.dailyLimit} mensagens atingido para instância ${instance.instanceName}`);
-            
-            // Reagendar para o dia seguinte
-            const tomorrowStart = new Date(tomorrow.getTime() + 8 * 3600000); // 8h da manhã do dia seguinte
-            
-            await Message.findByIdAndUpdate(message._id, {
-              status: 'scheduled_retry',
-              scheduledRetryAt: tomorrowStart,
-              errorDetails: `Limite diário de ${instance.throttling.dailyLimit} mensagens atingido`
-            });
-            
-            // Calcular o delay até amanhã
-            const delayUntilTomorrow = tomorrowStart.getTime() - Date.now();
-            
-            // Enfileirar para retry no dia seguinte
-            await queueService.enqueueRetry(message, delayUntilTomorrow);
-            
-            // Liberar o lock e encerrar o processamento atual
-            processingLock = false;
-            return false;
-          }
-          
-          logger.debug(`[messageWorker] Contagem diária: ${dailySentCount}/${instance.throttling.dailyLimit}`);
-        }
-        
         // Aplicar variação aleatória ao delay se configurado
         if (instance.throttling.randomizeDelay) {
           const minVar = instance.throttling.minDelayVariation || 0.8;
@@ -526,21 +544,57 @@ async function applyThrottling(message) {
       }
     }
     
-    // Calcular quanto tempo esperar baseado na última mensagem processada
-    const now = Date.now();
-    const elapsed = now - lastMessageProcessedTime;
-    
-    if (elapsed < delay) {
-      const waitTime = delay - elapsed;
-      logger.info(`[messageWorker] Throttling: aguardando ${waitTime}ms antes de processar a mensagem ${message._id}`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    if (!instance) {
+      return true;
     }
     
-    // Atualizar timestamp da última mensagem processada
-    lastMessageProcessedTime = Date.now();
+    // Instâncias em aquecimento seguem o limite diário do dia do plano
+    const dailyLimit = instanceWarmupService.getEffectiveDailyLimit(instance);
     
-    // Tudo ok para prosseguir
-    return true;
+    // Consumir uma ficha do limitador da instância, aguardando esperas curtas
+    while (true) {
+      const result = await rateLimiterService.acquire(instance, {
+        minIntervalMs: delay,
+        dailyLimit,
+        priority: message.priority === 'high'
+      });
+      
+      if (result.granted) {
+        return true;
+      }
+      
+      if (result.reason === 'daily_limit') {
+        logger.warn(`[messageWorker] Limite diário de ${dailyLimit} mensagens atingido para instância ${instance.instanceName}`);
+        
+        // Reagendar para as 8h da manhã do dia seguinte
+        const tomorrowStart = new Date(Date.now() + result.retryAfter + 8 * 3600000);
+        
+        await Message.findByIdAndUpdate(message._id, {
+          status: 'scheduled_retry',
+          scheduledRetryAt: tomorrowStart,
+          errorDetails: `Limite diário de ${dailyLimit} mensagens atingido`
+        });
+        
+        // Enfileirar para retry no dia seguinte
+        await queueService.enqueueRetry(message, tomorrowStart.getTime() - Date.now());
+        return false;
+      }
+      
+      if (result.retryAfter > config.rateLimiter.maxWaitMs) {
+        logger.info(`[messageWorker] Limite de envio da instância ${instance.instanceName} atingido. Mensagem ${message._id} reagendada em ${Math.round(result.retryAfter / 1000)}s`);
+        
+        await Message.findByIdAndUpdate(message._id, {
+          status: 'scheduled_retry',
+          scheduledRetryAt: new Date(Date.now() + result.retryAfter)
+        });
+        
+        await queueService.enqueueRetry(message, result.retryAfter);
+        return false;
+      }
+      
+      logger.debug(`[messageWorker] Throttling: aguardando ${result.retryAfter}ms antes de processar a mensagem ${message._id}`);
+      await new Promise(resolve => setTimeout(resolve, result.retryAfter));
+    }
   } catch (error) {
     logger.error(`[messageWorker] Erro ao aplicar throttling:`, error);
     // Continue mesmo com erro no throttling
@@ -548,6 +602,9 @@ async function applyThrottling(message) {
   }
 }
 
+// Tolerância antes da varredura assumir que uma retentativa agendada se perdeu
+const RETRY_SWEEP_GRACE_MS = 5 * 60 * 1000;
+
 // Iniciar consumo de mensagens
 let retryInterval = null;
 let messageCheckInterval = null;
@@ -557,32 +614,58 @@ async function startWorker() {
     await queueService.connect();
     logger.info('[messageWorker] Conexão com serviço de filas estabelecida com sucesso');
     
+    // Mensagens processadas simultaneamente seguem as configurações do sistema e
+    // são reajustadas quando o valor muda, sem reiniciar o worker
+    const settings = await settingsService.get();
+    await queueService.setPrefetch(settings.maxConcurrentMessages);
+    settingsService.watch();
+    settingsService.on('change', async (current, previous) => {
+      if (current.maxConcurrentMessages === previous.maxConcurrentMessages) return;
+      try {
+        await queueService.setPrefetch(current.maxConcurrentMessages);
+        logger.info(`[messageWorker] Mensagens simultâneas alteradas para ${current.maxConcurrentMessages}`);
+      } catch (error) {
+        logger.error('[messageWorker] Erro ao aplicar novo limite de mensagens simultâneas:', error);
+      }
+    });
+    
     // Consumir da fila principal
     logger.info('[messageWorker] Iniciando consumo da fila principal de mensagens...');
     await queueService.consumeMessages(processMessage);
     logger.info('[messageWorker] Consumidor da fila de mensagens iniciado com sucesso');
     
+    // Consumir da fila prioritária (mensagens avulsas), em paralelo às campanhas
+    logger.info('[messageWorker] Iniciando consumo da fila prioritária...');
+    await queueService.consumePriority(processMessage);
+    logger.info('[messageWorker] Consumidor da fila prioritária iniciado com sucesso');
+    
     // Consumir da fila de retentativas
     logger.info('[messageWorker] Iniciando consumo da fila de retentativas...');
     await queueService.consumeRetry(processMessage);
     logger.info('[messageWorker] Consumidor da fila de retentativas iniciado com sucesso');
     
-    // Verificar mensagens que foram agendadas para reenvio
+    // Rede de segurança: as retentativas são entregues pela escada de atraso do RabbitMQ;
+    // aqui só re-enfileiramos as que passaram do horário sem serem processadas (ex.: fila perdida)
     retryInterval = setInterval(async () => {
       try {
+        const overdueLimit = new Date(Date.now() - RETRY_SWEEP_GRACE_MS);
         const retryMessages = await Message.find({
           status: 'scheduled_retry',
-          scheduledRetryAt: { $lte: new Date() }
+          scheduledRetryAt: { $lte: overdueLimit }
         }).limit(50);
         
-        logger.info(`[messageWorker] Verificando mensagens agendadas para retry: ${retryMessages.length} encontradas`);
+        logger.info(`[messageWorker] Verificando mensagens agendadas para retry: ${retryMessages.length} atrasadas`);
         
         for (const message of retryMessages) {
+          // Reivindicar a mensagem de forma atômica para não duplicar entre réplicas do worker;
+          // se a cópia da escada ainda chegar, claimDelivery garante um único envio
+          const claimed = await Message.findOneAndUpdate(
+            { _id: message._id, status: 'scheduled_retry', scheduledRetryAt: { $lte: overdueLimit } },
+            { scheduledRetryAt: null, status: 'queued' }
+          );
+          if (!claimed) continue;
+          
           await queueService.enqueueMessage(message);
-          await Message.findByIdAndUpdate(message._id, {
-            scheduledRetryAt: null,
-            status: 'queued'
-          });
           logger.info(`[messageWorker] Mensagem ${message._id} re-enfileirada para retry`);
         }
       } catch (error) {
@@ -641,6 +724,7 @@ process.on('SIGTERM', async () => {
   logger.info('Worker de mensagens recebeu SIGTERM, encerrando graciosamente...');
   if (retryInterval) clearInterval(retryInterval);
   if (messageCheckInterval) clearInterval(messageCheckInterval);
+  settingsService.stopWatching();
   await queueService.close();
   process.exit(0);
 });
@@ -649,6 +733,7 @@ process.on('SIGINT', async () => {
   logger.info('Worker de mensagens recebeu SIGINT, encerrando graciosamente...');
   if (retryInterval) clearInterval(retryInterval);
   if (messageCheckInterval) clearInterval(messageCheckInterval);
+  settingsService.stopWatching();
   await queueService.close();
   process.exit(0);
 });
@@ -656,16 +741,139 @@ process.on('SIGINT', async () => {
 // Iniciar worker
 startWorker();
 
+// Registra a mensagem enviada na conversa do contato (caixa de entrada)
+async function recordConversation(message, instance, response) {
+  await conversationService.recordOutbound(instance.instanceName, {
+    phone: message.contact.phone,
+    remoteJid: response?.key?.remoteJid,
+    contactId: message.contact._id,
+    messageId: response?.key?.id,
+    content: message.content,
+    mediaUrl: message.mediaUrl,
+    mediaType: message.mediaType || null,
+    campaignId: message.campaignId?._id || message.campaignId
+  });
+}
+
+// Escolhe a instância que enviará a mensagem entre as conectadas do pool da campanha;
+// a conexão é verificada pelo supervisor de saúde (instanceHealthWorker), não a cada envio
+async function resolveSendingInstance(campaign, message) {
+  const instance = await instancePoolService.selectInstance(campaign, message);
+  if (!instance) return null;
+  
+  return { instance, evolutionApi: new EvolutionApiService(instance.serverUrl, instance.apiKey) };
+}
+
+// Campanha pausada (pelo usuário ou pelo supervisor de saúde): a mensagem volta a
+// pendente e é enfileirada novamente quando a campanha for retomada
+async function holdIfCampaignPaused(message) {
+  const campaignId = message.campaignId?._id || message.campaignId;
+  if (!campaignId) return false;
+  
+  const paused = await Campaign.exists({ _id: campaignId, status: 'paused' });
+  if (!paused) return false;
+  
+  await Message.updateOne(
+    { _id: message._id, status: { $in: ['pending', 'queued', 'scheduled_retry'] } },
+    { status: 'pending', scheduledRetryAt: null }
+  );
+  
+  logger.info(`[messageWorker] Mensagem ${message._id} aguardando a retomada da campanha ${campaignId}`);
+  return true;
+}
+
+// Verifica se a mensagem já foi enviada, falhou definitivamente ou foi cancelada
+async function isAlreadyFinished(message) {
+  const current = await Message.findById(message._id).select('status');
+  if (!current) return false;
+  
+  if (['sent', 'delivered', 'read', 'failed', 'canceled'].includes(current.status)) {
+    logger.info(`[messageWorker] Mensagem ${message._id} já finalizada (${current.status}), ignorando entrega duplicada`);
+    return true;
+  }
+  
+  return false;
+}
+
+// Passa a mensagem para 'sending' de forma atômica; outra cópia dela (escada de atraso +
+// varredura de retentativas) que já esteja em envio ou tenha terminado não é enviada de novo
+async function claimDelivery(message) {
+  const claimed = await Message.findOneAndUpdate(
+    { _id: message._id, status: { $in: ['pending', 'queued', 'scheduled_retry'] } },
+    { status: 'sending', scheduledRetryAt: null }
+  );
+  if (claimed) return true;
+  
+  logger.info(`[messageWorker] Mensagem ${message._id} já está em envio por outra entrega, ignorando cópia duplicada`);
+  return false;
+}
+
+// Devolve para retentativa uma mensagem reivindicada cujo processamento falhou sem
+// tratamento; a varredura de retentativas a re-enfileira depois da tolerância
+async function releaseDelivery(message) {
+  try {
+    await Message.updateOne(
+      { _id: message._id, status: 'sending' },
+      { status: 'scheduled_retry', scheduledRetryAt: new Date() }
+    );
+  } catch (error) {
+    logger.error(`[messageWorker] Erro ao liberar a mensagem ${message._id} para retentativa:`, error);
+  }
+}
+
+// Cancela a mensagem se o contato estiver descadastrado (opt-out)
+async function skipIfOptedOut(message) {
+  const contactId = message.contactId?._id || message.contactId || message.contact?._id;
+  if (!contactId) return false;
+  
+  const optedOut = await Contact.exists({ _id: contactId, optedOut: true });
+  if (!optedOut) return false;
+  
+  // Só decrementar as métricas se a mensagem ainda não tiver sido cancelada pelo serviço de opt-out
+  const canceled = await Message.findOneAndUpdate(
+    { _id: message._id, status: { $ne: 'canceled' } },
+    { status: 'canceled', errorDetails: 'Contato descadastrado (opt-out)' }
+  );
+  
+  if (canceled) {
+    await incrementCampaignMetrics(canceled.campaignId, { 'metrics.pending': -1 });
+    await checkAndCompleteCampaignIfNeeded(canceled.campaignId);
+  }
+  
+  logger.info(`[messageWorker] Mensagem ${message._id} ignorada: contato ${contactId} descadastrado`);
+  return true;
+}
+
+// Atualiza as métricas da campanha; mensagens avulsas (sem campanha) são ignoradas
+async function incrementCampaignMetrics(campaignId, inc) {
+  await messageStatusService.updateCampaignMetrics(campaignId?._id || campaignId, inc);
+}
+
 // Função utilitária para finalizar campanha immediate ou scheduled
 async function checkAndCompleteCampaignIfNeeded(campaignId) {
   const campaign = await Campaign.findById(campaignId);
   if (campaign && ['immediate', 'scheduled'].includes(campaign.schedule.type)) {
     if (campaign.metrics.pending === 0 && campaign.status === 'running') {
-      await Campaign.findByIdAndUpdate(campaignId, {
-        status: 'completed',
-        lastUpdated: Date.now()
+      // Condicional: com várias mensagens finalizando ao mesmo tempo, só uma conclui a campanha;
+      // um teste A/B com contatos aguardando o envio do vencedor ainda não terminou
+      const completed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'running', 'abTest.remainingContacts.0': { $exists: false } },
+        { status: 'completed', lastUpdated: Date.now() },
+        { new: true }
+      );
+      if (!completed) return;
+      
+      logger.info(`Campanha ${campaign.schedule.type} ${campaign._id} concluída automaticamente pelo worker de mensagens.`);
+      
+      await queueService.publishEventSafe({
+        type: 'campaign_completed',
+        workspace: completed.workspace,
+        data: {
+          campaignId: completed._id,
+          campaignName: completed.name,
+          metrics: completed.metrics
+        }
       });
-      logger.info(`Campanha ${campaign.schedule.type} ${campaignId} concluída automaticamente pelo worker de mensagens.`);
     }
   }
 } 
\ No newline at end of file
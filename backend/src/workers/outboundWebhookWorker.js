@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const logger = require('../utils/logger');
+const queueService = require('../services/queueService');
+const outboundWebhookService = require('../services/outboundWebhookService');
+
+// Carregar variáveis de ambiente
+dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+
+// Intervalo da varredura de novas tentativas, reenvios e testes
+const RETRY_SWEEP_INTERVAL = 10000;
+
+class OutboundWebhookWorker {
+  constructor() {
+    this.retryInterval = null;
+    this.isSweeping = false;
+  }
+
+  async init() {
+    try {
+      // Conexão com MongoDB
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zapstorm');
+      logger.info('Worker de webhooks de saída conectado ao MongoDB');
+
+      await this.start();
+    } catch (err) {
+      logger.error('Erro ao inicializar worker de webhooks de saída:', err);
+      process.exit(1);
+    }
+  }
+
+  async processEvent(event) {
+    try {
+      const count = await outboundWebhookService.dispatch(event);
+      if (count > 0) {
+        logger.info(`Evento ${event.type} (${event.id}) enviado para ${count} webhook(s)`);
+      }
+    } catch (error) {
+      logger.error(`Erro ao enviar evento ${event.type} para os webhooks:`, error);
+    }
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+
+    this.isSweeping = true;
+    try {
+      const attempted = await outboundWebhookService.processDue();
+      if (attempted > 0) {
+        logger.info(`${attempted} entrega(s) de webhook processada(s) na varredura`);
+      }
+    } catch (error) {
+      logger.error('Erro na varredura de entregas de webhook:', error);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  async start() {
+    try {
+      await queueService.connect();
+      logger.info('Worker de webhooks de saída iniciado');
+
+      await queueService.consumeOutboundWebhooks(this.processEvent.bind(this));
+      logger.info('Consumidor de eventos para webhooks de saída iniciado');
+
+      this.retryInterval = setInterval(() => this.sweep(), RETRY_SWEEP_INTERVAL);
+    } catch (error) {
+      logger.error('Erro ao iniciar worker de webhooks de saída:', error);
+      process.exit(1);
+    }
+  }
+
+  async stop() {
+    logger.info('Parando worker de webhooks de saída...');
+
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+    }
+
+    await queueService.close();
+    await mongoose.connection.close();
+
+    logger.info('Worker de webhooks de saída parado com sucesso');
+  }
+}
+
+const worker = new OutboundWebhookWorker();
+
+// Gerenciamento de processo
+process.on('SIGTERM', async () => {
+  logger.info('Worker de webhooks de saída recebeu SIGTERM, encerrando graciosamente...');
+  await worker.stop();
+  process.exit(0);
+});
+
+process.on('SIGINT', async () => {
+  logger.info('Worker de webhooks de saída recebeu SIGINT, encerrando graciosamente...');
+  await worker.stop();
+  process.exit(0);
+});
+
+// Iniciar worker
+worker.init();
@@ -3,6 +3,12 @@ const dotenv = require('dotenv');
 const path = require('path');
 const logger = require('../utils/logger');
 const queueService = require('../services/queueService');
+const instancePoolService = require('../services/instancePoolService');
+const templateRenderer = require('../utils/templateRenderer');
+const contactFieldService = require('../services/contactFieldService');
+const segmentService = require('../services/segmentService');
+const abTestService = require('../services/abTestService');
+const settingsService = require('../services/settingsService');
 
 // Log de inicialização explícito para garantir que apareça no console do Docker
 console.log("========================================================");
@@ -72,18 +78,45 @@ const processScheduledCampaigns = async () => {
     
     // Buscar campanhas recorrentes
     await processRecurringCampaigns();
+    
+    // Enviar a variante vencedora dos testes A/B cuja janela terminou
+    await processAbTestWinners();
   } catch (error) {
     logger.error('Erro ao processar campanhas agendadas:', error);
   }
 };
 
+// Escolher e enviar a variante vencedora dos testes A/B
+const processAbTestWinners = async () => {
+  try {
+    const campaigns = await Campaign.find({
+      'abTest.enabled': true,
+      'abTest.winnerVariant': null,
+      'abTest.testEndsAt': { $lte: new Date() },
+      'abTest.remainingContacts.0': { $exists: true },
+      status: { $nin: ['paused', 'canceled', 'failed'] }
+    });
+    
+    for (const campaign of campaigns) {
+      const winner = await abTestService.sendWinner(campaign);
+      if (winner) {
+        logger.info(`Variante vencedora ${winner} enviada para a campanha ${campaign._id}`);
+      }
+    }
+  } catch (error) {
+    logger.error('Erro ao processar vencedores de testes A/B:', error);
+  }
+};
+
 // Verificar campanhas concluídas
 const checkCompletedCampaigns = async () => {
   try {
     // Buscar campanhas em execução que podem ter sido concluídas
+    // Campanhas com teste A/B só terminam depois do envio da variante vencedora
     const runningCampaigns = await Campaign.find({
       status: 'running',
-      'metrics.pending': 0
+      'metrics.pending': 0,
+      'abTest.remainingContacts.0': { $exists: false }
     });
     
     logger.info(`Verificando campanhas concluídas: ${runningCampaigns.length} campanhas encontradas`);
@@ -92,17 +125,20 @@ const checkCompletedCampaigns = async () => {
     for (const campaign of runningCampaigns) {
       logger.info(`Campanha ${campaign._id} concluída - todas as mensagens processadas`);
       
-      await Campaign.findByIdAndUpdate(
-        campaign._id,
+      // Condicional: o worker de mensagens também conclui campanhas e o evento deve sair uma vez só
+      const updated = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'running' },
         {
           status: 'completed',
           lastUpdated: Date.now()
         }
       );
+      if (!updated) continue;
       
       // Publicar evento de conclusão da campanha
       await queueService.publishEvent({
         type: 'campaign_completed',
+        workspace: campaign.workspace,
         data: {
           campaignId: campaign._id,
           campaignName: campaign.name,
@@ -116,23 +152,27 @@ const checkCompletedCampaigns = async () => {
       status: 'running',
       'metrics.pending': 0,
       'metrics.failed': { $gt: 0 },
-      'metrics.sent': 0
+      'metrics.sent': 0,
+      'abTest.remainingContacts.0': { $exists: false }
     });
     
     for (const campaign of failedCampaigns) {
       logger.info(`Campanha ${campaign._id} falhou - todas as mensagens resultaram em erro`);
       
-      await Campaign.findByIdAndUpdate(
-        campaign._id,
+      // Condicional, como na conclusão acima
+      const updated = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'running' },
         {
           status: 'failed',
           lastUpdated: Date.now()
         }
       );
+      if (!updated) continue;
       
       // Publicar evento de falha da campanha
       await queueService.publishEvent({
         type: 'campaign_failed',
+        workspace: campaign.workspace,
         data: {
           campaignId: campaign._id,
           campaignName: campaign.name,
@@ -217,27 +257,26 @@ const startCampaign = async (campaign) => {
     
     logger.info(`Template encontrado: ${template.name}, ID: ${template._id}`);
     
-    // Obter contatos
-    let contacts;
+    // Obter contatos (selecionados, do segmento ou das regras da campanha)
+    const audience = await segmentService.getCampaignQuery(campaign);
     
-    if (campaign.contacts && campaign.contacts.length > 0) {
-      // Buscar contatos específicos
-      contacts = await Contact.find({
-        _id: { $in: campaign.contacts }
-      }).session(session);
-      
-      logger.info(`Buscando ${campaign.contacts.length} contatos específicos. Encontrados: ${contacts.length}`);
-    } else if (campaign.contactFilter && Object.keys(campaign.contactFilter).length > 0) {
-      // Aplicar filtro
-      contacts = await Contact.find(campaign.contactFilter).session(session);
-      logger.info(`Buscando contatos por filtro. Encontrados: ${contacts ? contacts.length : 0}`);
-    } else {
+    if (audience.errors.length > 0) {
+      logger.error(`Público inválido para campanha ${campaign._id}: ${audience.errors.join('; ')}`);
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+    
+    if (!audience.query) {
       logger.error(`Nenhum contato selecionado para campanha ${campaign._id}`);
       await session.abortTransaction();
       session.endSession();
       return;
     }
     
+    const contacts = await Contact.find(audience.query).eligible().session(session);
+    logger.info(`Buscando contatos da campanha ${campaign._id}. Encontrados: ${contacts.length}`);
+    
     if (!contacts || contacts.length === 0) {
       logger.warn(`Nenhum contato encontrado para campanha ${campaign._id}`);
       await session.abortTransaction();
@@ -247,58 +286,64 @@ const startCampaign = async (campaign) => {
     
     // Verificar instância
     logger.info(`Buscando instância com ID: ${campaign.instanceId}`);
-    const instance = await Instance.findById(campaign.instanceId).session(session);
+    const primaryInstance = await Instance.findById(campaign.instanceId).session(session);
     
-    if (!instance) {
+    if (!primaryInstance) {
       logger.error(`Instância não encontrada para campanha ${campaign._id}, ID da instância: ${campaign.instanceId}`);
       await session.abortTransaction();
       session.endSession();
       return;
     }
     
-    logger.info(`Instância encontrada: ${instance.instanceName}, Status: ${instance.status}`);
+    logger.info(`Instância encontrada: ${primaryInstance.instanceName}, Status: ${primaryInstance.status}`);
     
-    // Verificar se a instância está conectada
-    if (instance.status !== 'connected') {
-      logger.error(`Instância ${instance.instanceName} não está conectada para campanha ${campaign._id}`);
+    // Verificar se ao menos uma instância da campanha (principal ou do pool) está conectada
+    const healthyInstances = await instancePoolService.getHealthyInstances(campaign);
+    if (healthyInstances.length === 0) {
+      logger.error(`Nenhuma instância conectada para campanha ${campaign._id}`);
       await session.abortTransaction();
       session.endSession();
       return;
     }
     
+    // As configurações de throttling seguem a instância principal, ou a primeira conectada do pool
+    const instance = primaryInstance.status === 'connected' ? primaryInstance : healthyInstances[0];
+    
     // Criar mensagens para cada contato
     const messages = [];
     const variableValues = campaign.variableValues || {};
     
-    logger.info(`Preparando ${contacts.length} mensagens para a campanha ${campaign._id}`);
+    const customFieldKeys = await contactFieldService.getKeys(campaign.workspace);
+    const templatesToCheck = campaign.abTest?.enabled
+      ? [...(await abTestService.getVariantTemplates(campaign)).values()].filter(Boolean)
+      : [template];
+    const unknownVariables = [...new Set(templatesToCheck.flatMap(current => templateRenderer.findUnknownVariables(current.content, {
+      variables: variableValues,
+      customFields: customFieldKeys
+    })))];
+    if (unknownVariables.length > 0) {
+      logger.warn(`Campanha ${campaign._id} iniciada com variáveis sem valor no template: ${unknownVariables.join(', ')}`);
+    }
     
-    for (const contact of contacts) {
-      // Criar conteúdo personalizado substituindo variáveis
-      let content = template.content;
-      
-      // Substituir variáveis no template
-      if (template.variables && template.variables.length > 0) {
-        for (const variable of template.variables) {
-          const value = variableValues[variable] || '';
-          const regex = new RegExp(`\\{\\{${variable}\\}\\}`, 'g');
-          content = content.replace(regex, value);
-        }
-      }
-      
-      // Substituir nome do contato se existir
-      if (contact.name) {
-        content = content.replace(/\{\{nome\}\}/g, contact.name);
-      }
+    // Em testes A/B cada contato recebe o template da sua variante; o restante aguarda o vencedor
+    const { assignments, remaining } = await abTestService.assignTemplates(campaign, contacts, template);
+    logger.info(`Preparando ${assignments.length} mensagens para a campanha ${campaign._id}`);
+    
+    for (const { contact, template: contactTemplate, variant } of assignments) {
+      // Criar conteúdo personalizado (variáveis, campos do contato e spintax)
+      const content = templateRenderer.render(contactTemplate.content, { contact, variables: variableValues });
       
       // Criar mensagem
       const message = new Message({
+        workspace: campaign.workspace,
         campaignId: campaign._id,
         contactId: contact._id,
         status: 'pending',
         content,
-        mediaUrl: template.mediaUrl || null,
-        mediaType: template.mediaType || 'none',
-        instanceId: instance.instanceName,
+        mediaUrl: contactTemplate.mediaUrl || null,
+        mediaType: contactTemplate.mediaType || 'none',
+        variant,
+        instanceId: instance._id.toString(),
         retries: 0
       });
       
@@ -316,8 +361,9 @@ const startCampaign = async (campaign) => {
       campaign._id,
       {
         status: 'running',
-        'metrics.total': contacts.length,
-        'metrics.pending': contacts.length,
+        'metrics.total': messages.length,
+        'metrics.pending': messages.length,
+        ...abTestService.getStartUpdate(campaign, remaining),
         lastUpdated: Date.now()
       },
       { session }
@@ -332,8 +378,10 @@ const startCampaign = async (campaign) => {
     logger.info(`Transação MongoDB finalizada com sucesso para campanha ${campaign._id}`);
     
     // Enfileirar mensagens para envio em lotes para evitar sobrecarga
+    // Sem throttling na instância, o intervalo entre lotes segue o atraso padrão das Configurações
+    const { messageSendDelay } = await settingsService.get();
     const batchSize = instance.throttling?.perBatch || 50;
-    const batchDelay = instance.throttling?.batchDelay || 5000; // 5 segundos entre lotes
+    const batchDelay = instance.throttling?.batchDelay || messageSendDelay * batchSize;
     
     logger.info(`Configuração de throttling: batchSize=${batchSize}, batchDelay=${batchDelay}ms`);
     
@@ -367,6 +415,10 @@ const startCampaign = async (campaign) => {
           message.status = 'scheduled_retry';
           message.scheduledRetryAt = waitUntil;
         }
+        await Message.updateMany(
+          { _id: { $in: messages.map(message => message._id) } },
+          { status: 'scheduled_retry', scheduledRetryAt: waitUntil }
+        );
         
         // Atualizar o status da campanha
         await Campaign.findByIdAndUpdate(
@@ -389,19 +441,12 @@ const startCampaign = async (campaign) => {
       const tomorrow = new Date(today);
       tomorrow.setDate(tomorrow.getDate() + 1);
       
-      // Contar mensagens enviadas hoje para esta instância
-      const dailySentCount = await Message.countDocuments({
-        instanceId: instance._id,
-        status: 'sent',
-        sentAt: { $gte: today, $lt: tomorrow }
-      });
-      
-      // Verificar quantas mensagens ainda podemos enviar hoje
-      const remainingDaily = Math.max(0, instance.throttling.dailyLimit - dailySentCount);
+      // Verificar quantas mensagens ainda podemos enviar hoje, somando a cota de todas as instâncias do pool
+      const remainingDaily = await instancePoolService.getPoolRemainingDailyQuota(campaign);
       
       if (remainingDaily === 0) {
         // Reagendar toda a campanha para amanhã
-        logger.warn(`Limite diário de ${instance.throttling.dailyLimit} mensagens atingido. Campanha ${campaign._id} será reagendada para amanhã.`);
+        logger.warn(`Limite diário das instâncias da campanha ${campaign._id} atingido. Campanha será reagendada para amanhã.`);
         
         // Definir para 8h da manhã seguinte
         const tomorrowStart = new Date(tomorrow.getTime() + 8 * 3600000);
@@ -411,6 +456,10 @@ const startCampaign = async (campaign) => {
           message.status = 'scheduled_retry';
           message.scheduledRetryAt = tomorrowStart;
         }
+        await Message.updateMany(
+          { _id: { $in: messages.map(message => message._id) } },
+          { status: 'scheduled_retry', scheduledRetryAt: tomorrowStart }
+        );
         
         // Atualizar o status da campanha
         await Campaign.findByIdAndUpdate(
@@ -438,6 +487,10 @@ const startCampaign = async (campaign) => {
           message.status = 'scheduled_retry';
           message.scheduledRetryAt = tomorrowStart;
         }
+        await Message.updateMany(
+          { _id: { $in: messagesTomorrow.map(message => message._id) } },
+          { status: 'scheduled_retry', scheduledRetryAt: tomorrowStart }
+        );
         
         logger.info(`${messagesTodayCount} mensagens serão enviadas hoje e ${messagesTomorrow.length} amanhã às ${tomorrowStart.toLocaleTimeString()}`);
       }
@@ -460,8 +513,10 @@ const startCampaign = async (campaign) => {
       // Registrar evento de início de campanha
       await queueService.publishEvent({
         type: 'campaign_started',
+        workspace: campaign.workspace,
         data: {
           campaignId: campaign._id,
+          campaignName: campaign.name,
           totalMessages: contacts.length,
           batches: queueResult.batches
         }
@@ -489,6 +544,7 @@ const startCampaign = async (campaign) => {
     // Registrar evento de falha
     await queueService.publishEvent({
       type: 'campaign_start_failed',
+      workspace: campaign.workspace,
       data: {
         campaignId: campaign._id,
         error: error.message
@@ -503,6 +559,7 @@ let completedCampaignsInterval = null;
 const startScheduler = async () => {
   try {
     await queueService.connect();
+    settingsService.watch();
     logger.info('Scheduler de campanhas iniciado');
     // Executar imediatamente
     await processScheduledCampaigns();
@@ -521,6 +578,7 @@ process.on('SIGTERM', async () => {
   logger.info('Scheduler recebeu SIGTERM, encerrando graciosamente...');
   if (scheduledCampaignsInterval) clearInterval(scheduledCampaignsInterval);
   if (completedCampaignsInterval) clearInterval(completedCampaignsInterval);
+  settingsService.stopWatching();
   await queueService.close();
   await mongoose.connection.close();
   process.exit(0);
@@ -530,6 +588,7 @@ process.on('SIGINT', async () => {
   logger.info('Scheduler recebeu SIGINT, encerrando graciosamente...');
   if (scheduledCampaignsInterval) clearInterval(scheduledCampaignsInterval);
   if (completedCampaignsInterval) clearInterval(completedCampaignsInterval);
+  settingsService.stopWatching();
   await queueService.close();
   await mongoose.connection.close();
   process.exit(0);
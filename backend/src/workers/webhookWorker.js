@@ -6,6 +6,11 @@
 const logger = require('../utils/logger');
 const { connectToDatabase } = require('../config/database');
 const webhookQueueService = require('../services/webhookQueueService');
+const optOutService = require('../services/optOutService');
+const conversationService = require('../services/conversationService');
+const messageStatusService = require('../services/messageStatusService');
+const instanceConnectionService = require('../services/instanceConnectionService');
+const { extractUpsertMessages, extractStatusUpdates } = require('../utils/evolutionPayload');
 const mongoose = require('mongoose');
 
 // Importação direta de modelos individuais para garantir que estão carregados
@@ -48,30 +53,7 @@ const initializeDatabase = async () => {
 const functions = {
   handleConnectionUpdate: async (instanceName, data) => {
     try {
-      if (!data.connection) return;
-      
-      const status = data.connection.state || 'UNKNOWN';
-      
-      // Atualizar status da instância
-      await updateInstanceStatus(instanceName, status);
-      
-      // Criar alerta para certos status
-      if (['DISCONNECTED', 'CONNECTED'].includes(status)) {
-        try {
-          await Alert.create({
-            type: status === 'CONNECTED' ? 'success' : 'warning',
-            title: status === 'CONNECTED' ? 'Instância Conectada' : 'Instância Desconectada',
-            message: `A instância ${instanceName} está ${status === 'CONNECTED' ? 'online' : 'offline'}`,
-            source: 'whatsapp',
-            sourceId: instanceName,
-            read: false
-          });
-        } catch (alertError) {
-          logger.error('Erro ao criar alerta de conexão:', alertError);
-        }
-      }
-      
-      logger.info(`Status da instância ${instanceName} atualizado para ${status}`);
+      await instanceConnectionService.applyConnectionUpdate(instanceName, data);
     } catch (error) {
       logger.error('Erro ao processar CONNECTION_UPDATE:', error);
     }
@@ -79,29 +61,7 @@ const functions = {
   
   handleQrCodeUpdated: async (instanceName, data) => {
     try {
-      if (!data.qrcode) return;
-      
-      // Atualizar QR code na instância
-      await Instance.findOneAndUpdate(
-        { instanceName },
-        { 
-          qrcode: data.qrcode,
-          status: 'WAITING_FOR_SCAN',
-          lastUpdated: new Date()
-        }
-      );
-      
-      // Criar alerta para notificar sobre o novo QR code
-      await Alert.create({
-        type: 'info',
-        title: 'QR Code Atualizado',
-        message: `Novo QR code disponível para instância ${instanceName}`,
-        source: 'whatsapp',
-        sourceId: instanceName,
-        read: false
-      });
-      
-      logger.info(`QR code atualizado para instância ${instanceName}`);
+      await instanceConnectionService.publishQrCode(instanceName, data);
     } catch (error) {
       logger.error('Erro ao processar QRCODE_UPDATED:', error);
     }
@@ -111,16 +71,17 @@ const functions = {
     try {
       logger.info(`Processando mensagens para instância ${instanceName}`);
       
-      // Validar dados
-      if (!data.messages || !Array.isArray(data.messages)) {
+      // Validar dados (formato Baileys ou v2)
+      const messages = extractUpsertMessages(data);
+      if (messages.length === 0) {
         logger.warn('Evento messages.upsert recebido sem mensagens válidas');
         return;
       }
       
-      logger.info(`Recebidas ${data.messages.length} mensagens para processar`);
+      logger.info(`Recebidas ${messages.length} mensagens para processar`);
       
       // Processar cada mensagem recebida
-      for (const message of data.messages) {
+      for (const message of messages) {
         // Verificar se temos dados suficientes
         if (!message || !message.key) {
           logger.warn('Mensagem sem dados suficientes, ignorando');
@@ -137,10 +98,15 @@ const functions = {
           continue;
         }
         
-        logger.info(`Mensagem de ${message.key.remoteJid} processada com sucesso`);
+        // Registrar a mensagem na conversa do contato (caixa de entrada)
+        await conversationService.saveWebhookMessage(instanceName, message);
+        
+        // Verificar se a resposta do contato é um pedido de descadastro
+        if (!message.key.fromMe) {
+          await optOutService.processInboundMessage(instanceName, message);
+        }
         
-        // Aqui você pode implementar lógica adicional se necessário
-        // Como salvar as mensagens no banco de dados ou notificar usuários
+        logger.info(`Mensagem de ${message.key.remoteJid} processada com sucesso`);
       }
     } catch (error) {
       logger.error('Erro ao processar messages.upsert:', error);
@@ -149,36 +115,23 @@ const functions = {
   
   handleMessagesUpdate: async (instanceName, data) => {
     try {
-      if (!data.messages || !Array.isArray(data.messages)) {
+      const updates = extractStatusUpdates(data);
+      if (updates.length === 0) {
         logger.warn('Evento MESSAGES_UPDATE recebido sem mensagens válidas');
         return;
       }
       
-      logger.info(`Processando ${data.messages.length} atualizações de mensagens para instância ${instanceName}`);
+      logger.info(`Processando ${updates.length} atualizações de mensagens para instância ${instanceName}`);
       
-      // Processar cada atualização de mensagem
-      for (const update of data.messages) {
-        if (!update.key?.id) {
-          logger.warn('Atualização de mensagem sem ID, ignorando');
-          continue;
-        }
+      // Processar cada atualização de mensagem (somente avança o status, nunca retrocede)
+      for (const update of updates) {
+        // Confirmações de mensagens recebidas não alteram mensagens de campanha
+        if (update.fromMe === false) continue;
         
-        const status = determineMessageStatus(update);
-        logger.info(`Atualizando mensagem ${update.key.id} para status: ${status}`);
+        const transition = await messageStatusService.applyStatus(instanceName, update.messageId, update.status);
         
-        // Atualizar status da mensagem
-        const result = await Message.findOneAndUpdate(
-          { messageId: update.key.id },
-          {
-            status: status,
-            lastUpdated: new Date()
-          }
-        );
-        
-        if (result) {
-          logger.info(`Mensagem ${update.key.id} atualizada com sucesso para status ${status}`);
-        } else {
-          logger.warn(`Mensagem ${update.key.id} não encontrada no banco de dados`);
+        if (!transition) {
+          logger.debug(`Mensagem ${update.messageId} sem transição para status ${update.status}`);
         }
       }
     } catch (error) {
@@ -210,16 +163,12 @@ const functions = {
   
   handleSendMessage: async (instanceName, data) => {
     try {
-      if (!data.status || !data.key?.id) return;
+      const updates = extractStatusUpdates(data);
       
       // Atualizar status da mensagem enviada
-      await Message.findOneAndUpdate(
-        { messageId: data.key.id },
-        {
-          status: data.status,
-          lastUpdated: new Date()
-        }
-      );
+      for (const update of updates) {
+        await messageStatusService.applyStatus(instanceName, update.messageId, update.status);
+      }
     } catch (error) {
       logger.error('Erro ao processar SEND_MESSAGE:', error);
     }
@@ -308,29 +257,6 @@ const functions = {
   }
 };
 
-// Funções auxiliares importadas do webhookController
-const updateInstanceStatus = async (instanceName, status) => {
-  try {
-    if (!instanceName) {
-      logger.warn('Nome da instância não fornecido para atualização de status');
-      return;
-    }
-    
-    await Instance.findOneAndUpdate(
-      { instanceName },
-      { 
-        status,
-        lastUpdated: new Date()
-      },
-      { upsert: false, new: true }
-    );
-    
-    logger.info(`Status da instância ${instanceName} atualizado para ${status}`);
-  } catch (error) {
-    logger.error(`Erro ao atualizar status da instância ${instanceName}:`, error);
-  }
-};
-
 const determineMessageType = (message) => {
   if (!message.message) return 'unknown';
   
@@ -346,128 +272,6 @@ const determineMessageType = (message) => {
   return 'unknown';
 };
 
-const determineMessageStatus = (update) => {
-  // Verificar status direto no objeto
-  if (update.status) return update.status.toLowerCase();
-  
-  // Verificar no objeto update
-  if (update.update?.status) return update.update.status.toLowerCase();
-  
-  // Verificar em message.status
-  if (update.message?.status) return update.message.status.toLowerCase();
-  
-  // Status baseado nos campos disponíveis
-  if (update.key?.fromMe === false) return 'received';
-  
-  // Se nenhum status for encontrado
-  return 'unknown';
-};
-
-const upsertContact = async (instanceName, contactData) => {
-  try {
-    const { id, name, pushName, number } = contactData;
-    
-    if (!id || !number) {
-      return null;
-    }
-    
-    // Normalizar número
-    const normalizedPhone = number.startsWith('+') ? number : `+${number}`;
-    
-    const contact = await Contact.findOneAndUpdate(
-      { whatsappId: id },
-      { 
-        name: name || pushName || 'Sem nome',
-        phone: normalizedPhone,
-        instanceName,
-        lastUpdated: new Date()
-      },
-      { upsert: true, new: true }
-    );
-    
-    return contact;
-  } catch (error) {
-    logger.error('Erro ao processar contato:', error);
-    return null;
-  }
-};
-
-const saveMessage = async (instanceName, messageData) => {
-  try {
-    const { 
-      key,
-      pushName,
-      message,
-      messageType,
-      messageTimestamp,
-      fromMe,
-      chatId,
-      senderJid,
-    } = messageData;
-    
-    if (!key?.id || !chatId) {
-      return null;
-    }
-    
-    // Identificar número do remetente/destinatário
-    const phoneNumber = chatId.includes('@g.us') 
-      ? senderJid.split('@')[0] 
-      : chatId.split('@')[0];
-    
-    // Obter ou criar contato
-    const contact = await upsertContact(instanceName, {
-      id: senderJid || chatId,
-      name: pushName,
-      number: phoneNumber
-    });
-    
-    // Extrair conteúdo da mensagem com base no tipo
-    let messageContent = '';
-    
-    if (message?.conversation) {
-      messageContent = message.conversation;
-    } else if (message?.extendedTextMessage?.text) {
-      messageContent = message.extendedTextMessage.text;
-    } else if (message?.imageMessage?.caption) {
-      messageContent = `[Imagem] ${message.imageMessage.caption}`;
-    } else if (message?.videoMessage?.caption) {
-      messageContent = `[Vídeo] ${message.videoMessage.caption}`;
-    } else if (message?.audioMessage) {
-      messageContent = '[Áudio]';
-    } else if (message?.documentMessage) {
-      messageContent = `[Documento] ${message.documentMessage.fileName || ''}`;
-    } else if (message?.contactMessage) {
-      messageContent = '[Contato]';
-    } else if (message?.locationMessage) {
-      messageContent = '[Localização]';
-    } else {
-      messageContent = '[Conteúdo não reconhecido]';
-    }
-    
-    // Salvar mensagem no banco de dados
-    const savedMessage = await Message.findOneAndUpdate(
-      { messageId: key.id },
-      {
-        messageId: key.id,
-        instanceName,
-        contactId: contact?._id,
-        remoteJid: chatId,
-        fromMe: !!fromMe,
-        content: messageContent,
-        messageType: messageType || 'text',
-        timestamp: messageTimestamp ? new Date(messageTimestamp * 1000) : new Date(),
-        status: 'received'
-      },
-      { upsert: true, new: true }
-    );
-    
-    return savedMessage;
-  } catch (error) {
-    logger.error('Erro ao salvar mensagem:', error);
-    return null;
-  }
-};
-
 /**
  * Processa um evento de webhook
  */
@@ -484,8 +288,12 @@ const processWebhookEvent = async (data) => {
       return false;
     }
     
+    // O log pertence ao workspace da instância
+    const instance = await Instance.findOne({ instanceName }).select('workspace').lean();
+
     // Iniciar o log do webhook
     const webhookLog = {
+      workspace: instance ? instance.workspace : null,
       instanceName,
       event,
       payload: body,
@@ -0,0 +1,31 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const contactFieldService = require('../src/services/contactFieldService');
+
+const field = { key: 'aniversario', label: 'Aniversário', type: 'date' };
+const cast = raw => contactFieldService.castValue(field, raw).value;
+
+describe('contactFieldService - campos de data', () => {
+  it('grava qualquer formato aceito à meia-noite UTC do dia informado', () => {
+    const expected = new Date(Date.UTC(2026, 0, 5)).toISOString();
+
+    assert.equal(cast('05/01/2026').toISOString(), expected);
+    assert.equal(cast('5/1/2026').toISOString(), expected);
+    assert.equal(cast('2026-01-05').toISOString(), expected);
+    assert.equal(cast('2026-01-05T22:30:00-03:00').toISOString(), expected);
+    assert.equal(cast(new Date(Date.UTC(2026, 0, 5, 15))).toISOString(), expected);
+  });
+
+  it('recusa datas inválidas', () => {
+    const { error } = contactFieldService.castValue(field, '31-31-2026x');
+
+    assert.match(error, /não é uma data válida/);
+  });
+
+  it('exporta a data no mesmo dia em que foi gravada', () => {
+    assert.equal(contactFieldService.formatValue(field, cast('05/01/2026')), '05/01/2026');
+    assert.equal(contactFieldService.formatValue(field, '2026-01-05T00:00:00.000Z'), '05/01/2026');
+  });
+});
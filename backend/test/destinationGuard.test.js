@@ -0,0 +1,43 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isPrivateAddress, checkDestination, httpAgent } = require('../src/utils/destinationGuard');
+
+describe('destinationGuard', () => {
+  it('reconhece endereços de loopback, link-local e redes privadas', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '200.147.67.142', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it('recusa URLs com destino interno, inclusive por nome', async () => {
+    for (const url of ['http://127.0.0.1:3000/hook', 'http://169.254.169.254/latest/meta-data', 'https://[::1]/hook', 'http://localhost:5000/hook']) {
+      assert.match(await checkDestination(url), /endereços locais ou de rede privada/, url);
+    }
+  });
+
+  it('aceita URLs com IP público', async () => {
+    assert.equal(await checkDestination('https://8.8.8.8/hook'), null);
+  });
+
+  it('bloqueia a conexão quando o nome resolve para um endereço interno', async () => {
+    const server = http.createServer((req, res) => res.end('ok'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      await assert.rejects(
+        axios.get(`http://localhost:${port}/`, { httpAgent, proxy: false }),
+        /Destino bloqueado/
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
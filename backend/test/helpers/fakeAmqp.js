@@ -0,0 +1,106 @@
+/**
+ * Canal do amqplib em memória para os testes: guarda as filas declaradas e as
+ * mensagens publicadas e simula a expiração por TTL com dead-letter, como o RabbitMQ
+ */
+class FakeChannel {
+  constructor() {
+    this.queues = {};
+    this.consumers = {};
+    this.acked = [];
+    this.nacked = [];
+    this.nextTag = 1;
+  }
+
+  getQueue(name) {
+    if (!this.queues[name]) {
+      this.queues[name] = { options: {}, messages: [] };
+    }
+    return this.queues[name];
+  }
+
+  async assertQueue(name, options = {}) {
+    const queue = this.getQueue(name);
+    queue.options = { ...options, ...queue.options };
+    return { queue: name, messageCount: queue.messages.length, consumerCount: 0 };
+  }
+
+  async deleteQueue(name) {
+    const messageCount = this.queues[name]?.messages.length || 0;
+    delete this.queues[name];
+    return { messageCount };
+  }
+
+  async assertExchange(name) {
+    return { exchange: name };
+  }
+
+  async bindQueue() {
+    return {};
+  }
+
+  sendToQueue(name, content, options = {}) {
+    const { headers = {}, ...properties } = options;
+    this.getQueue(name).messages.push({
+      content: Buffer.from(content),
+      fields: { routingKey: name, deliveryTag: this.nextTag++ },
+      properties: { ...properties, headers: { ...headers } }
+    });
+    return true;
+  }
+
+  async consume(name, handler) {
+    this.consumers[name] = handler;
+    return { consumerTag: `ctag-${name}` };
+  }
+
+  ack(msg) {
+    this.acked.push(msg);
+  }
+
+  nack(msg, allUpTo, requeue) {
+    this.nacked.push({ msg, requeue });
+  }
+
+  /**
+   * Mensagens paradas na fila, com o conteúdo já convertido de JSON
+   */
+  peek(name) {
+    return this.getQueue(name).messages.map(msg => ({
+      body: JSON.parse(msg.content.toString()),
+      headers: msg.properties.headers,
+      properties: msg.properties
+    }));
+  }
+
+  /**
+   * Expira a primeira mensagem da fila e a entrega para a fila de dead-letter
+   */
+  expire(name) {
+    const queue = this.getQueue(name);
+    const msg = queue.messages.shift();
+    if (!msg) throw new Error(`Fila ${name} vazia`);
+
+    const target = queue.options.deadLetterRoutingKey;
+    if (!target) throw new Error(`Fila ${name} sem dead-letter`);
+
+    msg.fields = { routingKey: target, deliveryTag: this.nextTag++ };
+    this.getQueue(target).messages.push(msg);
+    return target;
+  }
+
+  /**
+   * Entrega a primeira mensagem da fila para o consumidor registrado
+   */
+  async deliver(name) {
+    const handler = this.consumers[name];
+    if (!handler) throw new Error(`Fila ${name} sem consumidor`);
+
+    const msg = this.getQueue(name).messages.shift();
+    if (!msg) throw new Error(`Fila ${name} vazia`);
+
+    await handler(msg);
+    return msg;
+  }
+}
+
+module.exports = { FakeChannel };
@@ -0,0 +1,205 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const queueService = require('../src/services/queueService');
+const { FakeChannel } = require('./helpers/fakeAmqp');
+
+const MINUTE = 60000;
+const HOUR = 3600000;
+
+const { MESSAGES, PRIORITY } = queueService.queues;
+const delayQueue = step => queueService.getDelayQueueName(step);
+
+describe('queueService - escada de atraso', () => {
+  let channel;
+  let now;
+
+  beforeEach(async () => {
+    now = Date.UTC(2026, 0, 5, 12, 0, 0);
+    mock.method(Date, 'now', () => now);
+
+    channel = new FakeChannel();
+    queueService.channel = channel;
+    await queueService.setupQueues();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    queueService.channel = null;
+    queueService.consumers = {};
+  });
+
+  describe('setupQueues', () => {
+    it('limita a fila dos webhooks de saída e remove a fila antiga sem limites', async () => {
+      channel.getQueue('zapstorm-outbound-webhooks');
+      await queueService.setupQueues();
+
+      const { options } = channel.getQueue(queueService.queues.OUTBOUND_WEBHOOKS);
+      assert.ok(options.messageTtl > 0);
+      assert.ok(options.maxLength > 0);
+      assert.equal(options.deadLetterExchange, undefined);
+      assert.equal(channel.queues['zapstorm-outbound-webhooks'], undefined);
+    });
+  });
+
+  describe('getDelayStep', () => {
+    it('escolhe o maior degrau que não ultrapassa o tempo restante', () => {
+      assert.equal(queueService.getDelayStep(1000), 1000);
+      assert.equal(queueService.getDelayStep(4999), 1000);
+      assert.equal(queueService.getDelayStep(45000), 30000);
+      assert.equal(queueService.getDelayStep(2 * HOUR), HOUR);
+      assert.equal(queueService.getDelayStep(48 * HOUR), 6 * HOUR);
+    });
+
+    it('não escolhe degrau quando a mensagem já pode ser entregue', () => {
+      assert.equal(queueService.getDelayStep(999), null);
+      assert.equal(queueService.getDelayStep(0), null);
+      assert.equal(queueService.getDelayStep(-5000), null);
+    });
+  });
+
+  describe('scheduleDelivery', () => {
+    it('publica no degrau escolhido com o horário de entrega no cabeçalho', async () => {
+      const deliverAt = now + 3 * MINUTE;
+      await queueService.scheduleDelivery({ _id: 'm1' }, deliverAt);
+
+      const [queued] = channel.peek(delayQueue(120000));
+      assert.deepEqual(queued.body, { _id: 'm1' });
+      assert.equal(queued.headers['x-deliver-at'], deliverAt);
+      assert.equal(queued.properties.persistent, true);
+    });
+
+    it('publica direto na fila da mensagem quando o horário já passou', async () => {
+      await queueService.scheduleDelivery({ _id: 'm1' }, now - 1000);
+      await queueService.scheduleDelivery({ _id: 'm2', priority: 'high' }, now);
+
+      assert.deepEqual(channel.peek(MESSAGES).map(m => m.body._id), ['m1']);
+      assert.deepEqual(channel.peek(PRIORITY).map(m => m.body._id), ['m2']);
+    });
+  });
+
+  describe('consumeMessages', () => {
+    let delivered;
+
+    beforeEach(async () => {
+      delivered = [];
+      await queueService.consumeMessages(async message => {
+        delivered.push(message);
+      });
+    });
+
+    it('desce a escada em vários saltos quando o atraso passa do maior degrau', async () => {
+      const deliverAt = now + 7 * HOUR + 35 * MINUTE;
+      await queueService.scheduleDelivery({ _id: 'm1' }, deliverAt);
+
+      // Cada salto espera o TTL do degrau, volta para a fila principal e é adiado de novo
+      const hops = [];
+      let step = queueService.delaySteps.find(s => channel.peek(delayQueue(s)).length > 0);
+      while (step) {
+        hops.push(step);
+        now += step;
+        assert.equal(channel.expire(delayQueue(step)), MESSAGES);
+        await channel.deliver(MESSAGES);
+        step = queueService.delaySteps.find(s => channel.peek(delayQueue(s)).length > 0);
+      }
+
+      assert.deepEqual(hops, [6 * HOUR, HOUR, 600000, 600000, 600000, 120000, 120000, 30000, 30000]);
+      assert.equal(now, deliverAt);
+      assert.deepEqual(delivered.map(m => m._id), ['m1']);
+      assert.equal(channel.nacked.length, 0);
+    });
+
+    it('devolve para a escada pelo cabeçalho x-deliver-at a mensagem que chega antes da hora', async () => {
+      const deliverAt = now + 10 * MINUTE + 20000;
+      channel.sendToQueue(MESSAGES, Buffer.from(JSON.stringify({ _id: 'm1' })), {
+        headers: { 'x-deliver-at': deliverAt }
+      });
+
+      const msg = await channel.deliver(MESSAGES);
+
+      assert.equal(delivered.length, 0);
+      assert.deepEqual(channel.acked, [msg]);
+      const [deferred] = channel.peek(delayQueue(600000));
+      assert.deepEqual(deferred.body, { _id: 'm1' });
+      assert.equal(deferred.headers['x-deliver-at'], deliverAt);
+    });
+
+    it('entrega a mensagem que chega com menos de um degrau de antecedência', async () => {
+      channel.sendToQueue(MESSAGES, Buffer.from(JSON.stringify({ _id: 'm1' })), {
+        headers: { 'x-deliver-at': now + 500 }
+      });
+
+      await channel.deliver(MESSAGES);
+
+      assert.deepEqual(delivered.map(m => m._id), ['m1']);
+      assert.equal(channel.peek(MESSAGES).length, 0);
+    });
+
+    it('devolve para a fila prioritária a mensagem prioritária que volta da escada', async () => {
+      const deliverAt = now + 5000;
+      await queueService.scheduleDelivery({ _id: 'm1', priority: 'high' }, deliverAt);
+
+      now = deliverAt;
+      channel.expire(delayQueue(5000));
+      const msg = await channel.deliver(MESSAGES);
+
+      assert.equal(delivered.length, 0);
+      assert.deepEqual(channel.acked, [msg]);
+      assert.deepEqual(channel.peek(PRIORITY).map(m => m.body), [{ _id: 'm1', priority: 'high' }]);
+    });
+
+    it('descarta sem reenfileirar a mensagem que falha no processamento', async () => {
+      queueService.consumers = {};
+      await queueService.consumeMessages(async () => {
+        throw new Error('falha no envio');
+      });
+      channel.sendToQueue(MESSAGES, Buffer.from(JSON.stringify({ _id: 'm1' })));
+
+      const msg = await channel.deliver(MESSAGES);
+
+      assert.deepEqual(channel.nacked, [{ msg, requeue: false }]);
+    });
+  });
+
+  describe('enqueueMessageBatch', () => {
+    const buildMessage = (id, fields = {}) => ({
+      _id: id,
+      contactId: `contact-${id}`,
+      campaignId: 'campaign-1',
+      content: 'Olá',
+      instanceId: 'instance-1',
+      status: 'pending',
+      ...fields
+    });
+
+    it('manda pela escada as mensagens reagendadas por período de silêncio e limite diário', async () => {
+      const quietHoursEnd = now + 8 * HOUR;
+      const nextDay = now + 12 * HOUR + 30 * MINUTE;
+
+      await queueService.enqueueMessageBatch([
+        buildMessage('m1'),
+        buildMessage('m2', { status: 'scheduled_retry', scheduledRetryAt: new Date(quietHoursEnd) }),
+        buildMessage('m3', { status: 'scheduled_retry', scheduledRetryAt: new Date(nextDay) })
+      ], { delay: 0 });
+
+      assert.deepEqual(channel.peek(MESSAGES).map(m => m.body._id), ['m1']);
+      assert.equal(channel.peek(MESSAGES)[0].properties.messageId, 'm1');
+
+      const ladder = channel.peek(delayQueue(6 * HOUR));
+      assert.deepEqual(ladder.map(m => m.body._id), ['m2', 'm3']);
+      assert.deepEqual(ladder.map(m => m.headers['x-deliver-at']), [quietHoursEnd, nextDay]);
+    });
+
+    it('manda para a fila principal o reagendamento que já venceu', async () => {
+      await queueService.enqueueMessageBatch([
+        buildMessage('m1', { status: 'scheduled_retry', scheduledRetryAt: new Date(now - MINUTE) })
+      ], { delay: 0 });
+
+      assert.deepEqual(channel.peek(MESSAGES).map(m => m.body._id), ['m1']);
+      for (const step of queueService.delaySteps) {
+        assert.equal(channel.peek(delayQueue(step)).length, 0);
+      }
+    });
+  });
+});
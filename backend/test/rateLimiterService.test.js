@@ -0,0 +1,65 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimiterService = require('../src/services/rateLimiterService');
+
+const instance = {
+  _id: 'instance-1',
+  instanceName: 'principal',
+  throttling: { perSecond: 30, perMinute: 10, perHour: 1000, dailyLimit: 0 }
+};
+
+describe('rateLimiterService - fila prioritária', () => {
+  beforeEach(() => {
+    rateLimiterService.setStore(new rateLimiterService.stores.memory());
+  });
+
+  afterEach(() => {
+    rateLimiterService.setStore(null);
+  });
+
+  it('envia a mensagem prioritária na frente dos envios de campanha que esgotaram a janela', async () => {
+    // Campanha com envios enfileirados: consome tudo o que a janela libera
+    let bulkGranted = 0;
+    let bulk;
+    while ((bulk = await rateLimiterService.acquire(instance)).granted) {
+      bulkGranted++;
+    }
+
+    // 20% do limite por minuto (2 de 10) fica reservado para as prioritárias
+    assert.equal(bulkGranted, 8);
+    assert.equal(bulk.reason, 'rate_limit');
+    assert.ok(bulk.retryAfter > 0);
+
+    const priority = await rateLimiterService.acquire(instance, { priority: true });
+    assert.equal(priority.granted, true);
+
+    // A campanha continua esperando a janela recarregar
+    assert.equal((await rateLimiterService.acquire(instance)).granted, false);
+  });
+
+  it('não espera o intervalo entre os envios de campanha nem o adia', async () => {
+    const first = await rateLimiterService.acquire(instance, { minIntervalMs: 60000 });
+    assert.equal(first.granted, true);
+
+    const nextBulk = await rateLimiterService.acquire(instance, { minIntervalMs: 60000 });
+    assert.equal(nextBulk.granted, false);
+    assert.ok(nextBulk.retryAfter > 59000);
+
+    const priority = await rateLimiterService.acquire(instance, { minIntervalMs: 60000, priority: true });
+    assert.equal(priority.granted, true);
+
+    const afterPriority = await rateLimiterService.acquire(instance, { minIntervalMs: 60000 });
+    assert.ok(afterPriority.retryAfter <= nextBulk.retryAfter);
+  });
+
+  it('respeita o limite da janela também para as prioritárias', async () => {
+    let granted = 0;
+    while ((await rateLimiterService.acquire(instance, { priority: true })).granted) {
+      granted++;
+    }
+
+    assert.equal(granted, 10);
+  });
+});
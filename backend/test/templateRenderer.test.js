@@ -0,0 +1,27 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('../src/utils/templateRenderer');
+
+describe('templateRenderer - formatação de datas', () => {
+  it('formata no mesmo dia uma data sem horário', () => {
+    const output = render('Vence em {{vencimento:data}}', { variables: { vencimento: '2026-01-05' } });
+
+    assert.equal(output, 'Vence em 05/01/2026');
+  });
+
+  it('formata no mesmo dia um campo personalizado do tipo data (meia-noite UTC)', () => {
+    const contact = { name: 'Ana', customFields: { aniversario: new Date(Date.UTC(2026, 0, 5)) } };
+
+    assert.equal(render('{{aniversario:data}}', { contact }), '05/01/2026');
+    assert.equal(render('{{aniversario:data_extenso}}', { contact }), '5 de janeiro de 2026');
+  });
+
+  it('formata horários no fuso configurado', () => {
+    const variables = { agendamento: '2026-01-05T02:30:00.000Z' };
+
+    assert.equal(render('{{agendamento:data_hora}}', { variables }), '04/01/2026, 23:30');
+    assert.equal(render('{{agendamento:hora}}', { variables }), '23:30');
+  });
+});
@@ -17,6 +17,7 @@ import {
   Menu,
   MenuItem,
   Tooltip,
+  Select,
   useTheme
 } from '@mui/material';
 import { useNavigate, useLocation } from 'react-router-dom';
@@ -32,7 +33,14 @@ import LogoutIcon from '@mui/icons-material/Logout';
 import Brightness4Icon from '@mui/icons-material/Brightness4';
 import Brightness7Icon from '@mui/icons-material/Brightness7';
 import WebhookIcon from '@mui/icons-material/Webhook';
+import ForumIcon from '@mui/icons-material/Forum';
+import FilterAltIcon from '@mui/icons-material/FilterAlt';
+import BusinessIcon from '@mui/icons-material/Business';
+import HistoryIcon from '@mui/icons-material/History';
+import VpnKeyIcon from '@mui/icons-material/VpnKey';
+import CallMadeIcon from '@mui/icons-material/CallMade';
 import { useAuth } from '../../contexts/AuthContext';
+import { Permission } from '../../utils/permissions';
 import { useThemeContext } from '../../App';
 import LogoImage from '../../assets/images/logo.png';
 
@@ -45,7 +53,7 @@ interface MainLayoutProps {
 export default function MainLayout({ children }: MainLayoutProps) {
   const theme = useTheme();
   const { mode, toggleColorMode } = useThemeContext();
-  const { user, signOut } = useAuth();
+  const { user, workspace, workspaces, switchWorkspace, signOut, can } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [open, setOpen] = useState(true);
@@ -78,15 +86,23 @@ export default function MainLayout({ children }: MainLayoutProps) {
     navigate('/login');
   };
 
-  const menuItems = [
-    { text: 'Dashboard', icon: <DashboardIcon />, path: '/dashboard' },
-    { text: 'Contatos', icon: <PeopleIcon />, path: '/contacts' },
-    { text: 'Campanhas', icon: <CampaignIcon />, path: '/campaigns' },
-    { text: 'Templates', icon: <DescriptionIcon />, path: '/templates' },
-    { text: 'Instâncias', icon: <PhoneAndroidIcon />, path: '/instances' },
-    { text: 'Logs de Webhook', icon: <WebhookIcon />, path: '/webhook-logs' },
-    { text: 'Configurações', icon: <SettingsIcon />, path: '/settings' },
+  // Cada item aparece somente para quem tem a permissão de leitura da tela
+  const allMenuItems: { text: string; icon: React.ReactNode; path: string; permission: Permission }[] = [
+    { text: 'Dashboard', icon: <DashboardIcon />, path: '/dashboard', permission: 'dashboard:read' },
+    { text: 'Contatos', icon: <PeopleIcon />, path: '/contacts', permission: 'contact:read' },
+    { text: 'Segmentos', icon: <FilterAltIcon />, path: '/segments', permission: 'segment:read' },
+    { text: 'Caixa de Entrada', icon: <ForumIcon />, path: '/inbox', permission: 'conversation:read' },
+    { text: 'Campanhas', icon: <CampaignIcon />, path: '/campaigns', permission: 'campaign:read' },
+    { text: 'Templates', icon: <DescriptionIcon />, path: '/templates', permission: 'template:read' },
+    { text: 'Instâncias', icon: <PhoneAndroidIcon />, path: '/instances', permission: 'instance:read' },
+    { text: 'Logs de Webhook', icon: <WebhookIcon />, path: '/webhook-logs', permission: 'webhook_log:read' },
+    { text: 'Auditoria', icon: <HistoryIcon />, path: '/audit', permission: 'audit:read' },
+    { text: 'Workspace', icon: <BusinessIcon />, path: '/workspace', permission: 'member:manage' },
+    { text: 'Chaves de API', icon: <VpnKeyIcon />, path: '/api-keys', permission: 'api_key:manage' },
+    { text: 'Webhooks de Saída', icon: <CallMadeIcon />, path: '/outbound-webhooks', permission: 'webhook:manage' },
+    { text: 'Configurações', icon: <SettingsIcon />, path: '/settings', permission: 'settings:manage' },
   ];
+  const menuItems = allMenuItems.filter(item => can(item.permission));
 
   const getInitials = (name: string) => {
     if (!name) return 'U';
@@ -140,6 +156,28 @@ export default function MainLayout({ children }: MainLayoutProps) {
             </Typography>
           </Box>
           
+          {workspaces.length > 1 ? (
+            <Tooltip title="Workspace">
+              <Select
+                variant="standard"
+                disableUnderline
+                value={workspace?.id || ''}
+                onChange={(e) => switchWorkspace(e.target.value)}
+                sx={{ mr: 2, color: 'inherit', '& .MuiSvgIcon-root': { color: 'inherit' } }}
+              >
+                {workspaces.map(item => (
+                  <MenuItem key={item.id} value={item.id}>
+                    {item.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </Tooltip>
+          ) : workspace && (
+            <Typography variant="body2" sx={{ mr: 2 }}>
+              {workspace.name}
+            </Typography>
+          )}
+          
           <Tooltip title={mode === 'light' ? 'Modo Escuro' : 'Modo Claro'}>
             <IconButton 
               color="inherit" 
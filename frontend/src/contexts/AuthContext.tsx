@@ -1,19 +1,61 @@
-import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import api from '../services/api';
+import { Permission } from '../utils/permissions';
 
 interface User {
   id: string;
   name: string;
   email: string;
   role: string;
+  permissions?: Permission[];
+}
+
+// Workspace (cliente) e o papel do usuário nele
+interface Workspace {
+  id: string;
+  name: string;
+  slug: string;
+  role: string;
+}
+
+interface SignInResult {
+  // Senha correta, mas a conta usa 2FA: chamar verifyTwoFactor com o challengeToken
+  twoFactorRequired: boolean;
+  challengeToken?: string;
+  // O papel exige 2FA e o usuário ainda não ativou
+  twoFactorSetupRequired?: boolean;
+  recoveryCodesRemaining?: number;
+}
+
+interface TwoFactorCredentials {
+  challengeToken: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
+interface SessionResponse {
+  token: string;
+  refreshToken: string;
+  user: User;
+  workspace?: Workspace | null;
+  twoFactorSetupRequired?: boolean;
+  recoveryCodesRemaining?: number;
 }
 
 interface AuthContextData {
   user: User | null;
+  // Workspace ativo e os demais que o usuário pode abrir
+  workspace: Workspace | null;
+  workspaces: Workspace[];
   isAuthenticated: boolean;
   loading: boolean;
-  signIn: (credentials: { email: string; password: string }) => Promise<void>;
+  signIn: (credentials: { email: string; password: string }) => Promise<SignInResult>;
+  verifyTwoFactor: (credentials: TwoFactorCredentials) => Promise<SignInResult>;
   signOut: () => void;
+  updateToken: (token: string) => void;
+  switchWorkspace: (workspaceId: string) => void;
+  // O papel do usuário concede a permissão (usado para esconder ações na interface)
+  can: (permission: Permission) => boolean;
 }
 
 interface AuthProviderProps {
@@ -24,8 +66,30 @@ const AuthContext = createContext<AuthContextData>({} as AuthContextData);
 
 export function AuthProvider({ children }: AuthProviderProps) {
   const [user, setUser] = useState<User | null>(null);
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
   const [loading, setLoading] = useState(true);
 
+  // Atualizar papel, permissões e workspaces, que podem ter mudado desde o login
+  const loadProfile = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/profile');
+      const { _id, name, email, role, permissions } = response.data.user;
+      const refreshedUser = { id: _id, name, email, role, permissions };
+      localStorage.setItem('@ZapStorm:user', JSON.stringify(refreshedUser));
+      setUser(refreshedUser);
+      setWorkspace(response.data.workspace);
+      setWorkspaces(response.data.workspaces.map((item: Workspace & { _id: string }) => ({
+        id: item._id,
+        name: item.name,
+        slug: item.slug,
+        role: item.role
+      })));
+    } catch (error) {
+      console.error('Erro ao atualizar dados do usuário:', error);
+    }
+  }, []);
+
   useEffect(() => {
     async function loadStorageData() {
       const storedToken = localStorage.getItem('@ZapStorm:token');
@@ -34,13 +98,30 @@ export function AuthProvider({ children }: AuthProviderProps) {
       if (storedToken && storedUser) {
         api.defaults.headers.common['Authorization'] = `Bearer ${storedToken}`;
         setUser(JSON.parse(storedUser));
+        await loadProfile();
       }
 
       setLoading(false);
     }
 
     loadStorageData();
-  }, []);
+  }, [loadProfile]);
+
+  function startSession({ token, refreshToken, user, workspace, twoFactorSetupRequired, recoveryCodesRemaining }: SessionResponse): SignInResult {
+    localStorage.setItem('@ZapStorm:token', token);
+    localStorage.setItem('@ZapStorm:refreshToken', refreshToken);
+    localStorage.setItem('@ZapStorm:user', JSON.stringify(user));
+
+    if (token) {
+      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    }
+    
+    setUser(user);
+    setWorkspace(workspace || null);
+    loadProfile();
+
+    return { twoFactorRequired: false, twoFactorSetupRequired, recoveryCodesRemaining };
+  }
 
   async function signIn({ email, password }: { email: string; password: string }) {
     try {
@@ -49,26 +130,54 @@ export function AuthProvider({ children }: AuthProviderProps) {
         password,
       });
 
-      const { token, user } = response.data;
-
-      localStorage.setItem('@ZapStorm:token', token);
-      localStorage.setItem('@ZapStorm:user', JSON.stringify(user));
-
-      if (token) {
-        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (response.data.twoFactorRequired) {
+        return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
       }
-      
-      setUser(user);
+
+      return startSession(response.data);
     } catch (error) {
       console.error('Erro ao fazer login:', error);
       throw error;
     }
   }
 
+  async function verifyTwoFactor(credentials: TwoFactorCredentials) {
+    const response = await api.post('/auth/login/2fa', credentials);
+    return startSession(response.data);
+  }
+
+  // Troca o token da sessão atual (ex.: após alterar a senha, que revoga os tokens anteriores)
+  function updateToken(token: string) {
+    localStorage.setItem('@ZapStorm:token', token);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  }
+
+  // As telas carregam os dados do workspace ao montar: recarregar a aplicação no novo workspace
+  function switchWorkspace(workspaceId: string) {
+    localStorage.setItem('@ZapStorm:workspace', workspaceId);
+    window.location.reload();
+  }
+
+  function can(permission: Permission) {
+    return Boolean(user?.permissions?.includes(permission));
+  }
+
   function signOut() {
+    // Encerrar a sessão no servidor; a saída local não depende da resposta
+    const refreshToken = localStorage.getItem('@ZapStorm:refreshToken');
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch(error => {
+        console.error('Erro ao encerrar sessão:', error);
+      });
+    }
+
     localStorage.removeItem('@ZapStorm:token');
+    localStorage.removeItem('@ZapStorm:refreshToken');
     localStorage.removeItem('@ZapStorm:user');
+    localStorage.removeItem('@ZapStorm:workspace');
     setUser(null);
+    setWorkspace(null);
+    setWorkspaces([]);
     
     delete api.defaults.headers.common['Authorization'];
   }
@@ -77,10 +186,16 @@ export function AuthProvider({ children }: AuthProviderProps) {
     <AuthContext.Provider
       value={{
         user,
+        workspace,
+        workspaces,
         isAuthenticated: !!user,
         loading,
         signIn,
+        verifyTwoFactor,
         signOut,
+        updateToken,
+        switchWorkspace,
+        can,
       }}
     >
       {children}
@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Chip,
+  InputAdornment
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import BlockIcon from '@mui/icons-material/Block';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+interface ApiKey {
+  _id: string;
+  name: string;
+  prefix: string;
+  scopes: string[];
+  rateLimit: number;
+  createdBy?: {
+    name?: string;
+  };
+  lastUsedAt: string | null;
+  lastUsedIp: string;
+  usageCount: number;
+  expiresAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+interface Scope {
+  scope: string;
+  description: string;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+const emptyForm = { name: '', scopes: [] as string[], rateLimit: 60, expiresAt: '' };
+
+const ApiKeys: React.FC = () => {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [scopes, setScopes] = useState<Scope[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success' as 'success' | 'error' | 'info' | 'warning'
+  });
+
+  const showMessage = (message: string, severity: 'success' | 'error' = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [keysResponse, scopesResponse] = await Promise.all([
+        api.get('/api-keys'),
+        api.get('/api-keys/scopes')
+      ]);
+      setApiKeys(keysResponse.data.data);
+      setScopes(scopesResponse.data.data);
+    } catch (error) {
+      console.error('Erro ao carregar chaves de API:', error);
+      setSnackbar({
+        open: true,
+        message: getErrorMessage(error, 'Erro ao carregar chaves de API'),
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleToggleScope = (scope: string) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async () => {
+    try {
+      const response = await api.post('/api-keys', {
+        name: form.name,
+        scopes: form.scopes,
+        rateLimit: form.rateLimit,
+        expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null
+      });
+      setCreatedKey(response.data.data.key);
+      setForm(emptyForm);
+      loadData();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao criar chave de API'), 'error');
+    }
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setCreatedKey(null);
+    setForm(emptyForm);
+  };
+
+  const handleCopy = async () => {
+    if (!createdKey) return;
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      showMessage('Chave copiada');
+    } catch {
+      showMessage('Não foi possível copiar. Selecione e copie manualmente', 'error');
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!window.confirm(`Revogar a chave "${apiKey.name}"? Os sistemas que a usam deixarão de ter acesso.`)) return;
+    try {
+      await api.delete(`/api-keys/${apiKey._id}`);
+      showMessage('Chave revogada');
+      loadData();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao revogar chave'), 'error');
+    }
+  };
+
+  const formatDate = (dateString: string | null) => {
+    if (!dateString) return '—';
+    return new Intl.DateTimeFormat('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(new Date(dateString));
+  };
+
+  const getStatus = (apiKey: ApiKey) => {
+    if (apiKey.revokedAt) return <Chip label="Revogada" size="small" color="default" />;
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      return <Chip label="Expirada" size="small" color="warning" />;
+    }
+    return <Chip label="Ativa" size="small" color="success" />;
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Chaves de API
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)}>
+          Nova Chave
+        </Button>
+      </Box>
+
+      <Alert severity="info" sx={{ mb: 3 }}>
+        As chaves dão acesso à API pública em <code>/api/v1</code> neste workspace. Envie a chave no
+        cabeçalho <code>X-Api-Key</code>.
+      </Alert>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Nome</TableCell>
+              <TableCell>Chave</TableCell>
+              <TableCell>Escopos</TableCell>
+              <TableCell>Limite</TableCell>
+              <TableCell>Último uso</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Ações</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {apiKeys.map(apiKey => (
+              <TableRow key={apiKey._id}>
+                <TableCell>
+                  {apiKey.name}
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    Criada em {formatDate(apiKey.createdAt)}{apiKey.createdBy?.name && ` por ${apiKey.createdBy.name}`}
+                  </Typography>
+                </TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{apiKey.prefix}…</TableCell>
+                <TableCell>
+                  {apiKey.scopes.map(scope => (
+                    <Chip key={scope} label={scope} size="small" variant="outlined" sx={{ mr: 0.5, mb: 0.5 }} />
+                  ))}
+                </TableCell>
+                <TableCell>{apiKey.rateLimit}/min</TableCell>
+                <TableCell>
+                  {formatDate(apiKey.lastUsedAt)}
+                  {apiKey.lastUsedAt && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      {apiKey.lastUsedIp} · {apiKey.usageCount} requisições
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{getStatus(apiKey)}</TableCell>
+                <TableCell align="right">
+                  {!apiKey.revokedAt && (
+                    <Tooltip title="Revogar">
+                      <IconButton color="error" onClick={() => handleRevoke(apiKey)}>
+                        <BlockIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+            {apiKeys.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  Nenhuma chave de API criada
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>{createdKey ? 'Chave criada' : 'Nova Chave de API'}</DialogTitle>
+        <DialogContent>
+          {createdKey ? (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Copie a chave agora. Por segurança, ela não será exibida novamente.
+              </Alert>
+              <TextField
+                fullWidth
+                value={createdKey}
+                InputProps={{
+                  readOnly: true,
+                  sx: { fontFamily: 'monospace' },
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton onClick={handleCopy} edge="end">
+                        <ContentCopyIcon />
+                      </IconButton>
+                    </InputAdornment>
+                  )
+                }}
+              />
+            </>
+          ) : (
+            <>
+              <TextField
+                label="Nome"
+                fullWidth
+                margin="normal"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                helperText="Identifique o sistema que usará a chave (ex.: CRM)"
+              />
+              <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                Escopos
+              </Typography>
+              <FormGroup>
+                {scopes.map(({ scope, description }) => (
+                  <FormControlLabel
+                    key={scope}
+                    control={
+                      <Checkbox
+                        checked={form.scopes.includes(scope)}
+                        onChange={() => handleToggleScope(scope)}
+                      />
+                    }
+                    label={`${description} (${scope})`}
+                  />
+                ))}
+              </FormGroup>
+              <TextField
+                label="Limite de requisições por minuto"
+                type="number"
+                fullWidth
+                margin="normal"
+                value={form.rateLimit}
+                onChange={(e) => setForm(prev => ({ ...prev, rateLimit: Number(e.target.value) }))}
+                inputProps={{ min: 1 }}
+              />
+              <TextField
+                label="Expira em"
+                type="date"
+                fullWidth
+                margin="normal"
+                value={form.expiresAt}
+                onChange={(e) => setForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+                InputLabelProps={{ shrink: true }}
+                helperText="Opcional: sem data, a chave vale até ser revogada"
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {createdKey ? (
+            <Button variant="contained" onClick={handleCloseDialog}>
+              Concluir
+            </Button>
+          ) : (
+            <>
+              <Button onClick={handleCloseDialog}>Cancelar</Button>
+              <Button
+                variant="contained"
+                onClick={handleCreate}
+                disabled={!form.name.trim() || form.scopes.length === 0}
+              >
+                Criar
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,385 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Stack,
+  Chip,
+  IconButton,
+  Tooltip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Snackbar,
+  SelectChangeEvent
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import api from '../../services/api';
+
+type AuditValue = string | number | boolean | null | AuditValue[] | { [key: string]: AuditValue };
+
+interface AuditLog {
+  _id: string;
+  actor: {
+    id?: string;
+    name?: string;
+    email?: string;
+    role?: string;
+  };
+  action: string;
+  target: {
+    type: string;
+    id?: string | null;
+    name?: string;
+  };
+  changes: {
+    before: Record<string, AuditValue> | null;
+    after: Record<string, AuditValue> | null;
+  };
+  details: Record<string, AuditValue> | null;
+  ip: string;
+  userAgent: string;
+  createdAt: string;
+}
+
+const TARGET_LABELS: Record<string, string> = {
+  campaign: 'Campanha',
+  contact: 'Contato',
+  instance: 'Instância',
+  template: 'Template',
+  user: 'Usuário',
+  webhook: 'Webhook',
+  api_key: 'Chave de API'
+};
+
+const formatValue = (value: AuditValue | undefined) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const Audit: React.FC = () => {
+  const [logs, setLogs] = useState<AuditLog[]>([]);
+  const [actions, setActions] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [totalLogs, setTotalLogs] = useState(0);
+  const [selectedLog, setSelectedLog] = useState<AuditLog | null>(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [filters, setFilters] = useState({
+    action: '',
+    targetType: '',
+    actor: '',
+    from: '',
+    to: ''
+  });
+
+  // Datas do filtro cobrem o dia inteiro
+  const getFilterParams = useCallback(() => ({
+    action: filters.action || undefined,
+    targetType: filters.targetType || undefined,
+    actor: filters.actor || undefined,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined
+  }), [filters]);
+
+  const loadLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/audit', {
+        params: {
+          ...getFilterParams(),
+          page: page + 1,
+          limit: rowsPerPage
+        }
+      });
+
+      if (response.data.success) {
+        setLogs(response.data.data.logs);
+        setTotalLogs(response.data.data.pagination.total);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar auditoria:', error);
+      setErrorMessage('Erro ao carregar o log de auditoria');
+    } finally {
+      setLoading(false);
+    }
+  }, [getFilterParams, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  useEffect(() => {
+    api.get('/audit/actions')
+      .then(response => setActions(response.data.data))
+      .catch(error => console.error('Erro ao carregar ações de auditoria:', error));
+  }, []);
+
+  const handleFilterChange = (field: keyof typeof filters) => (
+    event: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement> | SelectChangeEvent
+  ) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: event.target.value
+    }));
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await api.get('/audit/export', {
+        params: getFilterParams(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `auditoria_${new Date().toISOString().split('T')[0]}.csv`);
+      document.body.appendChild(link);
+      link.click();
+
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(link);
+    } catch (error) {
+      console.error('Erro ao exportar auditoria:', error);
+      setErrorMessage('Nenhum registro para exportar com os filtros atuais');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Intl.DateTimeFormat('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).format(new Date(dateString));
+  };
+
+  const changedFields = selectedLog
+    ? [...new Set([
+        ...Object.keys(selectedLog.changes?.before || {}),
+        ...Object.keys(selectedLog.changes?.after || {})
+      ])]
+    : [];
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4">Auditoria</Typography>
+        <Box>
+          <Button
+            variant="outlined"
+            startIcon={<FileDownloadIcon />}
+            onClick={handleExport}
+            disabled={exporting || totalLogs === 0}
+            sx={{ mr: 1 }}
+          >
+            {exporting ? 'Exportando...' : 'Exportar CSV'}
+          </Button>
+          <Tooltip title="Atualizar">
+            <IconButton onClick={() => loadLogs()}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Paper sx={{ mb: 2, p: 2 }}>
+        <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Ação</InputLabel>
+            <Select value={filters.action} label="Ação" onChange={handleFilterChange('action')}>
+              <MenuItem value="">Todas</MenuItem>
+              {actions.map(action => (
+                <MenuItem key={action} value={action}>{action}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Recurso</InputLabel>
+            <Select value={filters.targetType} label="Recurso" onChange={handleFilterChange('targetType')}>
+              <MenuItem value="">Todos</MenuItem>
+              {Object.entries(TARGET_LABELS).map(([type, label]) => (
+                <MenuItem key={type} value={type}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Usuário"
+            size="small"
+            value={filters.actor}
+            onChange={handleFilterChange('actor')}
+            placeholder="Nome ou email"
+          />
+          <TextField
+            label="De"
+            type="date"
+            size="small"
+            value={filters.from}
+            onChange={handleFilterChange('from')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Até"
+            type="date"
+            size="small"
+            value={filters.to}
+            onChange={handleFilterChange('to')}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Stack>
+      </Paper>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Data/Hora</TableCell>
+              <TableCell>Usuário</TableCell>
+              <TableCell>Ação</TableCell>
+              <TableCell>Recurso</TableCell>
+              <TableCell>IP</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : logs.length > 0 ? (
+              logs.map((log) => (
+                <TableRow key={log._id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelectedLog(log)}>
+                  <TableCell>{formatDate(log.createdAt)}</TableCell>
+                  <TableCell>
+                    {log.actor?.name || '—'}
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      {log.actor?.email}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={log.action} size="small" />
+                  </TableCell>
+                  <TableCell>
+                    {TARGET_LABELS[log.target.type] || log.target.type}
+                    {log.target.name && `: ${log.target.name}`}
+                  </TableCell>
+                  <TableCell>{log.ip}</TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  Nenhum registro encontrado
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          rowsPerPageOptions={[10, 25, 50, 100]}
+          component="div"
+          count={totalLogs}
+          rowsPerPage={rowsPerPage}
+          page={page}
+          onPageChange={(_event, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          labelRowsPerPage="Linhas por página"
+          labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </TableContainer>
+
+      <Dialog open={Boolean(selectedLog)} onClose={() => setSelectedLog(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selectedLog?.action}</DialogTitle>
+        <DialogContent dividers>
+          {selectedLog && (
+            <>
+              <Typography variant="body2" gutterBottom>
+                <strong>Usuário:</strong> {selectedLog.actor?.name} ({selectedLog.actor?.email}) — {selectedLog.actor?.role}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Recurso:</strong> {TARGET_LABELS[selectedLog.target.type] || selectedLog.target.type}
+                {selectedLog.target.name && ` — ${selectedLog.target.name}`}
+                {selectedLog.target.id && ` (${selectedLog.target.id})`}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Origem:</strong> {selectedLog.ip} — {selectedLog.userAgent}
+              </Typography>
+
+              {changedFields.length > 0 && (
+                <Table size="small" sx={{ mt: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Campo</TableCell>
+                      <TableCell>Antes</TableCell>
+                      <TableCell>Depois</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {changedFields.map(field => (
+                      <TableRow key={field}>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{field}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>
+                          {formatValue(selectedLog.changes?.before?.[field])}
+                        </TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>
+                          {formatValue(selectedLog.changes?.after?.[field])}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+
+              {selectedLog.details && (
+                <Box component="pre" sx={{ mt: 2, p: 1, bgcolor: 'action.hover', borderRadius: 1, overflow: 'auto' }}>
+                  {JSON.stringify(selectedLog.details, null, 2)}
+                </Box>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedLog(null)}>Fechar</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar open={Boolean(errorMessage)} autoHideDuration={6000} onClose={() => setErrorMessage('')}>
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Audit;
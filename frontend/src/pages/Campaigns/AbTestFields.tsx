@@ -0,0 +1,180 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  FormControlLabel,
+  FormHelperText,
+  Switch,
+  Typography,
+  GridLegacy as Grid,
+  InputAdornment
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  AbTestConfig,
+  AbTestMetric,
+  AbTestVariant,
+  VARIANT_NAMES,
+  abTestMetricLabels,
+  splitEvenly,
+  getAbTestError
+} from './abTest';
+
+type AbTestFieldsProps = {
+  value: AbTestConfig;
+  onChange: (value: AbTestConfig) => void;
+  templates: { _id: string; name: string }[];
+};
+
+// Variantes de template e seleção automática da vencedora no formulário de campanha
+const AbTestFields: React.FC<AbTestFieldsProps> = ({ value, onChange, templates }) => {
+  const error = getAbTestError(value);
+
+  const updateVariant = (index: number, changes: Partial<AbTestVariant>) => {
+    onChange({
+      ...value,
+      variants: value.variants.map((variant, current) => current === index ? { ...variant, ...changes } : variant)
+    });
+  };
+
+  const updateWinnerSelection = (changes: Partial<AbTestConfig['winnerSelection']>) => {
+    onChange({ ...value, winnerSelection: { ...value.winnerSelection, ...changes } });
+  };
+
+  return (
+    <Box>
+      <FormControlLabel
+        control={<Switch checked={value.enabled} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} />}
+        label="Teste A/B entre templates"
+      />
+
+      {value.enabled && (
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          {value.variants.map((variant, index) => (
+            <React.Fragment key={index}>
+              <Grid item xs={8} sm={8}>
+                <FormControl fullWidth size="small" required>
+                  <InputLabel>{`Variante ${VARIANT_NAMES[index]}`}</InputLabel>
+                  <Select
+                    value={variant.templateId}
+                    label={`Variante ${VARIANT_NAMES[index]}`}
+                    onChange={(e) => updateVariant(index, { templateId: e.target.value })}
+                  >
+                    {templates.map(template => (
+                      <MenuItem key={template._id} value={template._id}>{template.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={3} sm={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Público"
+                  value={variant.percentage}
+                  onChange={(e) => updateVariant(index, { percentage: parseInt(e.target.value) || 0 })}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  inputProps={{ min: 1, max: 99 }}
+                />
+              </Grid>
+              <Grid item xs={1} sm={1} display="flex" alignItems="center">
+                {value.variants.length > 2 && (
+                  <IconButton
+                    size="small"
+                    color="error"
+                    onClick={() => onChange({ ...value, variants: splitEvenly(value.variants.filter((_, current) => current !== index)) })}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                )}
+              </Grid>
+            </React.Fragment>
+          ))}
+
+          <Grid item xs={12}>
+            {value.variants.length < VARIANT_NAMES.length && (
+              <Button
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => onChange({ ...value, variants: splitEvenly([...value.variants, { templateId: '', percentage: 0 }]) })}
+              >
+                Variante
+              </Button>
+            )}
+            {error && <FormHelperText error>{error}</FormHelperText>}
+          </Grid>
+
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={value.winnerSelection.enabled}
+                  onChange={(e) => updateWinnerSelection({ enabled: e.target.checked })}
+                />
+              }
+              label="Escolher a vencedora automaticamente"
+            />
+            <Typography variant="body2" color="text.secondary">
+              {value.winnerSelection.enabled
+                ? 'Uma parcela do público recebe as variantes; ao fim da janela de teste, a variante com melhor desempenho é enviada ao restante.'
+                : 'Todo o público é dividido entre as variantes conforme os percentuais.'}
+            </Typography>
+          </Grid>
+
+          {value.winnerSelection.enabled && (
+            <>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Parcela de teste"
+                  value={value.winnerSelection.testPercentage}
+                  onChange={(e) => updateWinnerSelection({ testPercentage: parseInt(e.target.value) || 0 })}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  inputProps={{ min: 5, max: 95 }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Janela de teste"
+                  value={value.winnerSelection.testWindowHours}
+                  onChange={(e) => updateWinnerSelection({ testWindowHours: parseInt(e.target.value) || 0 })}
+                  InputProps={{ endAdornment: <InputAdornment position="end">horas</InputAdornment> }}
+                  inputProps={{ min: 1, max: 168 }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Métrica</InputLabel>
+                  <Select
+                    value={value.winnerSelection.metric}
+                    label="Métrica"
+                    onChange={(e) => updateWinnerSelection({ metric: e.target.value as AbTestMetric })}
+                  >
+                    {Object.entries(abTestMetricLabels).map(([metric, label]) => (
+                      <MenuItem key={metric} value={metric}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            </>
+          )}
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default AbTestFields;
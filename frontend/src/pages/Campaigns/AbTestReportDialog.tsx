@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Alert,
+  Box,
+  CircularProgress
+} from '@mui/material';
+import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
+import api from '../../services/api';
+import { AbTestReport, abTestMetricLabels } from './abTest';
+
+type AbTestReportDialogProps = {
+  campaignId: string | null;
+  onClose: () => void;
+};
+
+// Desempenho de cada variante do teste A/B de uma campanha
+const AbTestReportDialog: React.FC<AbTestReportDialogProps> = ({ campaignId, onClose }) => {
+  const [report, setReport] = useState<AbTestReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!campaignId) return;
+
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await api.get(`/campaigns/${campaignId}/report`);
+        setReport(response.data.data.abTest);
+      } catch (err) {
+        setReport(null);
+        setError('Erro ao carregar relatório do teste A/B');
+        console.error('Erro ao carregar relatório do teste A/B:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReport();
+  }, [campaignId]);
+
+  const metric = report?.winnerSelection?.metric;
+
+  return (
+    <Dialog open={Boolean(campaignId)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Resultado do Teste A/B</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : report ? (
+          <>
+            {report.winnerSelection?.enabled && (
+              <Alert severity={report.winnerVariant ? 'success' : 'info'} sx={{ mb: 2 }}>
+                {report.winnerVariant
+                  ? `Variante ${report.winnerVariant} venceu por ${abTestMetricLabels[report.winnerSelection.metric].toLowerCase()} em ${new Date(report.winnerSelectedAt || '').toLocaleString()}.`
+                  : `A vencedora (${abTestMetricLabels[report.winnerSelection.metric].toLowerCase()}) será escolhida ${report.testEndsAt ? `em ${new Date(report.testEndsAt).toLocaleString()}` : 'quando a campanha for iniciada'} e enviada a ${report.awaitingWinner} contato(s).`}
+              </Alert>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Variante</TableCell>
+                  <TableCell align="right">Mensagens</TableCell>
+                  <TableCell align="right">Enviadas</TableCell>
+                  <TableCell align="right">Entregues</TableCell>
+                  <TableCell align="right">Lidas</TableCell>
+                  <TableCell align="right">Respostas</TableCell>
+                  <TableCell align="right">Falhas</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.variants.map(variant => (
+                  <TableRow key={variant.name}>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={`${variant.name} (${variant.percentage}%)`}
+                        color={report.winnerVariant === variant.name ? 'success' : 'default'}
+                        icon={report.winnerVariant === variant.name ? <EmojiEventsIcon /> : undefined}
+                      />
+                    </TableCell>
+                    <TableCell align="right">{variant.total}</TableCell>
+                    <TableCell align="right">{variant.sent}</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: metric === 'delivery_rate' ? 'bold' : undefined }}>
+                      {`${variant.delivered} (${variant.deliveryRate}%)`}
+                    </TableCell>
+                    <TableCell align="right" sx={{ fontWeight: metric === 'read_rate' ? 'bold' : undefined }}>
+                      {`${variant.read} (${variant.readRate}%)`}
+                    </TableCell>
+                    <TableCell align="right" sx={{ fontWeight: metric === 'reply_rate' ? 'bold' : undefined }}>
+                      {`${variant.replied} (${variant.replyRate}%)`}
+                    </TableCell>
+                    <TableCell align="right">{variant.failed}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        ) : (
+          <Alert severity="info">Esta campanha não possui teste A/B.</Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fechar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AbTestReportDialog;
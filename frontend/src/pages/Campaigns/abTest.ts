@@ -0,0 +1,88 @@
+// Configuração de teste A/B aceita pela API (ver backend/src/services/abTestService.js)
+
+export type AbTestMetric = 'delivery_rate' | 'read_rate' | 'reply_rate';
+
+export type AbTestVariant = {
+  name?: string;
+  templateId: string;
+  percentage: number;
+};
+
+export type AbTestConfig = {
+  enabled: boolean;
+  variants: AbTestVariant[];
+  winnerSelection: {
+    enabled: boolean;
+    testPercentage: number;
+    testWindowHours: number;
+    metric: AbTestMetric;
+  };
+};
+
+export type VariantReport = {
+  name: string;
+  templateId: string;
+  percentage: number;
+  total: number;
+  sent: number;
+  delivered: number;
+  read: number;
+  failed: number;
+  replied: number;
+  deliveryRate: string;
+  readRate: string;
+  replyRate: string;
+};
+
+export type AbTestReport = {
+  winnerSelection: AbTestConfig['winnerSelection'];
+  testEndsAt: string | null;
+  winnerVariant: string | null;
+  winnerSelectedAt: string | null;
+  awaitingWinner: number;
+  variants: VariantReport[];
+};
+
+export const VARIANT_NAMES = ['A', 'B', 'C'];
+
+export const abTestMetricLabels: Record<AbTestMetric, string> = {
+  delivery_rate: 'Taxa de entrega',
+  read_rate: 'Taxa de leitura',
+  reply_rate: 'Taxa de resposta'
+};
+
+export const createAbTestConfig = (): AbTestConfig => ({
+  enabled: false,
+  variants: [
+    { templateId: '', percentage: 50 },
+    { templateId: '', percentage: 50 }
+  ],
+  winnerSelection: {
+    enabled: false,
+    testPercentage: 20,
+    testWindowHours: 4,
+    metric: 'read_rate'
+  }
+});
+
+// Redistribui os percentuais igualmente; a última variante fica com o resto da divisão
+export const splitEvenly = (variants: AbTestVariant[]): AbTestVariant[] => {
+  const share = Math.floor(100 / variants.length);
+  return variants.map((variant, index) => ({
+    ...variant,
+    percentage: index === variants.length - 1 ? 100 - share * (variants.length - 1) : share
+  }));
+};
+
+export const getAbTestError = (abTest: AbTestConfig): string | null => {
+  if (!abTest.enabled) return null;
+
+  const templateIds = abTest.variants.map(variant => variant.templateId);
+  if (templateIds.some(id => !id)) return 'Selecione o template de cada variante';
+  if (new Set(templateIds).size !== templateIds.length) return 'Cada variante deve usar um template diferente';
+
+  const total = abTest.variants.reduce((sum, variant) => sum + variant.percentage, 0);
+  if (total !== 100) return `Os percentuais das variantes somam ${total}% (devem somar 100%)`;
+
+  return null;
+};
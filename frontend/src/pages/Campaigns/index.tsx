@@ -20,6 +20,7 @@ import {
   FormControl,
   InputLabel,
   Select,
+  FormHelperText,
   MenuItem,
   GridLegacy as Grid,
   CircularProgress,
@@ -33,7 +34,8 @@ import {
   ListItemButton,
   Pagination,
   FormControlLabel,
-  Tooltip
+  Tooltip,
+  LinearProgress
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
@@ -43,7 +45,14 @@ import PauseIcon from '@mui/icons-material/Pause';
 import StopIcon from '@mui/icons-material/Stop';
 import ReplayIcon from '@mui/icons-material/Replay';
 import SearchIcon from '@mui/icons-material/Search';
+import ScienceIcon from '@mui/icons-material/Science';
 import api from '../../services/api';
+import { useRealtime } from '../../services/realtime';
+import { useAuth } from '../../contexts/AuthContext';
+import AbTestFields from './AbTestFields';
+import AbTestReportDialog from './AbTestReportDialog';
+import { AbTestConfig, createAbTestConfig, getAbTestError } from './abTest';
+import { isAxiosError } from 'axios';
 import Snackbar from '@mui/material/Snackbar';
 import MuiAlert, { AlertColor } from '@mui/material/Alert';
 
@@ -81,6 +90,8 @@ interface Campaign {
     name: string;
   };
   instanceId: string;
+  instancePool?: string[];
+  distributionStrategy?: 'round_robin' | 'weighted_quota' | 'sticky';
   status: 'draft' | 'queued' | 'running' | 'paused' | 'completed' | 'failed' | 'canceled';
   schedule: {
     type: string;
@@ -91,11 +102,14 @@ interface Campaign {
     recurrenceDays?: number[];
   };
   contacts?: string[];
+  segmentId?: string | null;
+  abTest?: AbTestConfig & { winnerVariant?: string | null };
   createdAt: string;
   metrics: {
     total: number;
     sent: number;
     delivered: number;
+    read?: number;
     failed: number;
     pending: number;
   };
@@ -112,11 +126,25 @@ type Instance = {
   status: string;
 };
 
+type Segment = {
+  _id: string;
+  name: string;
+  contactCount: number;
+};
+
+const distributionStrategyLabels: Record<string, string> = {
+  round_robin: 'Alternada (round-robin)',
+  weighted_quota: 'Ponderada pela cota diária restante',
+  sticky: 'Fixa por contato'
+};
+
 const Campaigns: React.FC = () => {
+  const { can } = useAuth();
   const [campaigns, setCampaigns] = useState<Campaign[]>([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
   const [templates, setTemplates] = useState<Template[]>([]);
+  const [segments, setSegments] = useState<Segment[]>([]);
   const [instances, setInstances] = useState<Instance[]>([]);
   const [contacts, setContacts] = useState<Contact[]>([]);
   const [contactsLoading, setContactsLoading] = useState(false);
@@ -128,14 +156,20 @@ const Campaigns: React.FC = () => {
     name: '',
     templateId: '',
     instanceId: '',
+    instancePool: [] as string[],
+    distributionStrategy: 'round_robin',
     scheduleType: 'immediate',
     startAt: '',
     endAt: '',
+    audienceType: 'contacts',
     contacts: [] as string[],
+    segmentId: '',
     recurrencePattern: 'daily',
     recurrenceTime: '09:00',
     recurrenceDays: [] as number[],
   });
+  const [abTest, setAbTest] = useState<AbTestConfig>(createAbTestConfig());
+  const [reportCampaignId, setReportCampaignId] = useState<string | null>(null);
   const [snackbar, setSnackbar] = useState<{ open: boolean; message: string; severity: AlertColor }>({ open: false, message: '', severity: 'success' });
   const [contactDialogOpen, setContactDialogOpen] = useState(false);
   const [contactSearch, setContactSearch] = useState('');
@@ -147,6 +181,7 @@ const Campaigns: React.FC = () => {
     loadCampaigns();
     loadTemplates();
     loadInstances();
+    loadSegments();
     loadContactsFirstPage();
   }, []);
 
@@ -160,6 +195,20 @@ const Campaigns: React.FC = () => {
     }
   }, [contactSearch, contacts]);
 
+  // Métricas e status chegam pelo canal de tempo real enquanto a campanha é enviada
+  useRealtime(['campaign.metrics', 'campaign.status'], ({ data }) => {
+    const update = data as { campaignId: string; status?: Campaign['status']; metrics?: Campaign['metrics'] };
+    setCampaigns(current => current.map(campaign => (
+      campaign._id === update.campaignId
+        ? {
+          ...campaign,
+          status: update.status || campaign.status,
+          metrics: update.metrics ? { ...campaign.metrics, ...update.metrics } : campaign.metrics
+        }
+        : campaign
+    )));
+  });
+
   const loadCampaigns = async () => {
     try {
       setLoading(true);
@@ -183,6 +232,15 @@ const Campaigns: React.FC = () => {
     }
   };
 
+  const loadSegments = async () => {
+    try {
+      const response = await api.get('/segments');
+      setSegments(response.data.data);
+    } catch (error) {
+      console.error('Erro ao carregar segmentos:', error);
+    }
+  };
+
   const loadInstances = async () => {
     try {
       const response = await api.get('/instances');
@@ -254,28 +312,42 @@ const Campaigns: React.FC = () => {
         name: campaign.name || '',
         templateId: campaign.templateId && campaign.templateId._id ? campaign.templateId._id : '',
         instanceId: campaign.instanceId || '',
+        instancePool: campaign.instancePool || [],
+        distributionStrategy: campaign.distributionStrategy || 'round_robin',
         scheduleType: campaign.schedule?.type || 'immediate',
         startAt: campaign.schedule?.startAt || '',
         endAt: campaign.schedule?.endAt || '',
+        audienceType: campaign.segmentId ? 'segment' : 'contacts',
         contacts: campaign.contacts || [],
+        segmentId: campaign.segmentId || '',
         recurrencePattern: campaign.schedule?.recurrencePattern || 'daily',
         recurrenceTime: campaign.schedule?.recurrenceTime || '09:00',
         recurrenceDays: campaign.schedule?.recurrenceDays || [],
       });
+      setAbTest(campaign.abTest?.enabled ? {
+        enabled: true,
+        variants: campaign.abTest.variants.map(({ templateId, percentage }) => ({ templateId, percentage })),
+        winnerSelection: campaign.abTest.winnerSelection
+      } : createAbTestConfig());
     } else {
       setSelectedCampaign(null);
       setFormData({
         name: '',
         templateId: '',
         instanceId: '',
+        instancePool: [],
+        distributionStrategy: 'round_robin',
         scheduleType: 'immediate',
         startAt: '',
         endAt: '',
+        audienceType: 'contacts',
         contacts: [],
+        segmentId: '',
         recurrencePattern: 'daily',
         recurrenceTime: '09:00',
         recurrenceDays: [],
       });
+      setAbTest(createAbTestConfig());
     }
     setFilteredContacts(contacts);
     setOpenDialog(true);
@@ -302,6 +374,14 @@ const Campaigns: React.FC = () => {
     });
   };
 
+  const handleInstancePoolChange = (event: SelectChangeEvent<string[]>) => {
+    const value = event.target.value;
+    setFormData(prev => ({
+      ...prev,
+      instancePool: typeof value === 'string' ? value.split(',') : value
+    }));
+  };
+
   const handleRecurrenceDaysChange = (event: SelectChangeEvent<number[]>) => {
     setFormData(prev => ({
       ...prev,
@@ -313,8 +393,11 @@ const Campaigns: React.FC = () => {
     try {
       const payload = {
         name: formData.name,
-        templateId: formData.templateId,
+        // Em testes A/B o template principal é o da variante A
+        templateId: abTest.enabled ? abTest.variants[0].templateId : formData.templateId,
         instanceId: formData.instanceId,
+        instancePool: formData.instancePool.filter(id => id !== formData.instanceId),
+        distributionStrategy: formData.distributionStrategy,
         schedule: {
           type: formData.scheduleType,
           startAt: formData.startAt || undefined,
@@ -323,7 +406,9 @@ const Campaigns: React.FC = () => {
           recurrenceTime: formData.scheduleType === 'recurring' ? formData.recurrenceTime : undefined,
           recurrenceDays: formData.scheduleType === 'recurring' && formData.recurrencePattern === 'weekly' ? formData.recurrenceDays : undefined
         },
-        contacts: formData.contacts,
+        contacts: formData.audienceType === 'contacts' ? formData.contacts : [],
+        segmentId: formData.audienceType === 'segment' ? formData.segmentId : null,
+        abTest: abTest.enabled ? abTest : { enabled: false },
       };
 
       console.log('Enviando payload para o backend:', payload);
@@ -338,7 +423,10 @@ const Campaigns: React.FC = () => {
       handleCloseDialog();
       loadCampaigns();
     } catch (error) {
-      setSnackbar({ open: true, message: 'Erro ao salvar campanha', severity: 'error' });
+      const message = isAxiosError(error) && error.response?.data?.message
+        ? error.response.data.message
+        : 'Erro ao salvar campanha';
+      setSnackbar({ open: true, message, severity: 'error' });
       console.error('Erro ao salvar campanha:', error);
     }
   };
@@ -376,7 +464,11 @@ const Campaigns: React.FC = () => {
       setSnackbar({ open: true, message: 'Ação realizada com sucesso!', severity: 'success' });
       loadCampaigns();
     } catch (error) {
-      setSnackbar({ open: true, message: 'Erro ao executar ação', severity: 'error' });
+      // Exibe o motivo retornado pela API (ex.: variáveis do template sem valor)
+      const message = isAxiosError(error) && error.response?.data?.message
+        ? error.response.data.message
+        : 'Erro ao executar ação';
+      setSnackbar({ open: true, message, severity: 'error' });
       console.error('Erro ao executar ação:', error);
     }
   };
@@ -444,14 +536,16 @@ const Campaigns: React.FC = () => {
     <Box p={3}>
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
         <Typography variant="h4">Campanhas</Typography>
-        <Button 
-          variant="contained" 
-          color="primary" 
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Nova Campanha
-        </Button>
+        {can('campaign:manage') && (
+          <Button 
+            variant="contained" 
+            color="primary" 
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog()}
+          >
+            Nova Campanha
+          </Button>
+        )}
       </Box>
 
       {loading ? (
@@ -530,23 +624,39 @@ const Campaigns: React.FC = () => {
                     </TableCell>
                     <TableCell>
                       {campaign.metrics && campaign.metrics.total > 0 ? (
-                        `${campaign.metrics.sent || 0}/${campaign.metrics.total} (${Math.round(((campaign.metrics.sent || 0) / campaign.metrics.total) * 100)}%)`
+                        <>
+                          {`${campaign.metrics.sent || 0}/${campaign.metrics.total} (${Math.round(((campaign.metrics.sent || 0) / campaign.metrics.total) * 100)}%)`}
+                          {campaign.status === 'running' && (
+                            <LinearProgress
+                              variant="determinate"
+                              value={Math.min(100, ((campaign.metrics.sent || 0) + (campaign.metrics.failed || 0)) / campaign.metrics.total * 100)}
+                              sx={{ my: 0.5 }}
+                            />
+                          )}
+                          {campaign.metrics.sent > 0 && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {`${campaign.metrics.delivered || 0} entregues • ${campaign.metrics.read || 0} lidas`}
+                            </Typography>
+                          )}
+                        </>
                       ) : (
                         'N/A'
                       )}
                     </TableCell>
                     <TableCell>{campaign.createdAt ? new Date(campaign.createdAt).toLocaleString() : 'Data não disponível'}</TableCell>
                     <TableCell align="center">
-                      <IconButton 
-                        color="primary" 
-                        size="small" 
-                        onClick={() => handleOpenDialog(campaign)}
-                        disabled={campaign.status !== 'draft' && campaign.status !== 'paused'}
-                      >
-                        <EditIcon fontSize="small" />
-                      </IconButton>
+                      {can('campaign:manage') && (
+                        <IconButton 
+                          color="primary" 
+                          size="small" 
+                          onClick={() => handleOpenDialog(campaign)}
+                          disabled={campaign.status !== 'draft' && campaign.status !== 'paused'}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      )}
                       
-                      {campaign.status === 'draft' && (
+                      {can('campaign:start') && campaign.status === 'draft' && (
                         <IconButton 
                           color="primary" 
                           size="small"
@@ -556,7 +666,7 @@ const Campaigns: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      {campaign.status === 'running' && (
+                      {can('campaign:start') && campaign.status === 'running' && (
                         <IconButton 
                           color="warning" 
                           size="small"
@@ -566,7 +676,7 @@ const Campaigns: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      {campaign.status === 'paused' && (
+                      {can('campaign:start') && campaign.status === 'paused' && (
                         <IconButton 
                           color="success" 
                           size="small"
@@ -576,7 +686,7 @@ const Campaigns: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      {['running', 'paused', 'queued'].includes(campaign.status) && (
+                      {can('campaign:start') && ['running', 'paused', 'queued'].includes(campaign.status) && (
                         <IconButton 
                           color="error" 
                           size="small"
@@ -586,7 +696,19 @@ const Campaigns: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      {campaign.status === 'completed' && campaign.metrics.failed > 0 && (
+                      {campaign.abTest?.enabled && (
+                        <Tooltip title="Resultado do teste A/B">
+                          <IconButton 
+                            color="info" 
+                            size="small"
+                            onClick={() => setReportCampaignId(campaign._id)}
+                          >
+                            <ScienceIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      
+                      {can('campaign:start') && campaign.status === 'completed' && campaign.metrics.failed > 0 && (
                         <IconButton 
                           color="warning" 
                           size="small"
@@ -596,14 +718,16 @@ const Campaigns: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      <IconButton 
-                        color="error" 
-                        size="small"
-                        onClick={() => confirmDelete(campaign)}
-                        disabled={campaign.status === 'running'}
-                      >
-                        <DeleteIcon fontSize="small" />
-                      </IconButton>
+                      {can('campaign:manage') && (
+                        <IconButton 
+                          color="error" 
+                          size="small"
+                          onClick={() => confirmDelete(campaign)}
+                          disabled={campaign.status === 'running'}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -639,9 +763,10 @@ const Campaigns: React.FC = () => {
                 <InputLabel>Template</InputLabel>
                 <Select
                   name="templateId"
-                  value={formData.templateId}
+                  value={abTest.enabled ? abTest.variants[0].templateId : formData.templateId}
                   onChange={handleSelectChange}
                   label="Template"
+                  disabled={abTest.enabled}
                 >
                   {templates.map(template => (
                     <MenuItem key={template._id} value={template._id}>
@@ -649,6 +774,7 @@ const Campaigns: React.FC = () => {
                     </MenuItem>
                   ))}
                 </Select>
+                {abTest.enabled && <FormHelperText>Definido pelas variantes do teste A/B</FormHelperText>}
               </FormControl>
             </Grid>
             
@@ -674,56 +800,137 @@ const Campaigns: React.FC = () => {
               </FormControl>
             </Grid>
             
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>Instâncias adicionais</InputLabel>
+                <Select
+                  multiple
+                  value={formData.instancePool.filter(id => id !== formData.instanceId)}
+                  onChange={handleInstancePoolChange}
+                  label="Instâncias adicionais"
+                  renderValue={(selected: string[]) => (
+                    selected
+                      .map(id => instances.find(instance => instance._id === id)?.instanceName || id)
+                      .join(', ')
+                  )}
+                >
+                  {instances
+                    .filter(instance => instance._id !== formData.instanceId)
+                    .map(instance => (
+                      <MenuItem key={instance._id} value={instance._id}>
+                        {instance.instanceName} {instance.status !== 'connected' ? '(Desconectada)' : ''}
+                      </MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth disabled={formData.instancePool.filter(id => id !== formData.instanceId).length === 0}>
+                <InputLabel>Distribuição entre instâncias</InputLabel>
+                <Select
+                  name="distributionStrategy"
+                  value={formData.distributionStrategy}
+                  onChange={handleSelectChange}
+                  label="Distribuição entre instâncias"
+                >
+                  {Object.entries(distributionStrategyLabels).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            
             <Grid item xs={12}>
-              <FormControl fullWidth required>
-                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                  <Typography variant="subtitle1" fontWeight="medium">Contatos Selecionados ({formData.contacts.length})</Typography>
-                  <Button 
-                    variant="outlined" 
-                    size="small" 
-                    onClick={handleContactDialogOpen}
-                    startIcon={<AddIcon />}
+              <AbTestFields value={abTest} onChange={setAbTest} templates={templates} />
+            </Grid>
+            
+            <Grid item xs={12} sm={formData.audienceType === 'segment' ? 6 : 12}>
+              <FormControl fullWidth>
+                <InputLabel>Público</InputLabel>
+                <Select
+                  name="audienceType"
+                  value={formData.audienceType}
+                  onChange={handleSelectChange}
+                  label="Público"
+                >
+                  <MenuItem value="contacts">Contatos selecionados</MenuItem>
+                  <MenuItem value="segment">Segmento salvo</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            
+            {formData.audienceType === 'segment' ? (
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth required>
+                  <InputLabel>Segmento</InputLabel>
+                  <Select
+                    name="segmentId"
+                    value={formData.segmentId}
+                    onChange={handleSelectChange}
+                    label="Segmento"
                   >
-                    Gerenciar Contatos
-                  </Button>
-                </Box>
-                
-                {formData.contacts.length > 0 ? (
-                  <Box sx={{ 
-                    display: 'flex', 
-                    flexWrap: 'wrap', 
-                    gap: 0.5, 
-                    p: 1, 
-                    border: '1px solid rgba(0, 0, 0, 0.23)', 
-                    borderRadius: 1,
-                    minHeight: '56px'
-                  }}>
-                    {formData.contacts.map((contactId) => {
-                      const contact = contacts.find(c => c._id === contactId);
-                      return contact ? (
-                        <Chip 
-                          key={contactId} 
-                          label={contact.name} 
-                          onDelete={() => handleContactToggle(contactId)}
-                          size="small"
-                        />
-                      ) : null;
-                    })}
+                    {segments.map(segment => (
+                      <MenuItem key={segment._id} value={segment._id}>
+                        {segment.name} ({segment.contactCount} contatos)
+                      </MenuItem>
+                    ))}
+                  </Select>
+                  <FormHelperText>Os contatos do segmento são avaliados quando a campanha é iniciada</FormHelperText>
+                </FormControl>
+              </Grid>
+            ) : (
+              <Grid item xs={12}>
+                <FormControl fullWidth required>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="subtitle1" fontWeight="medium">Contatos Selecionados ({formData.contacts.length})</Typography>
+                    <Button 
+                      variant="outlined" 
+                      size="small" 
+                      onClick={handleContactDialogOpen}
+                      startIcon={<AddIcon />}
+                    >
+                      Gerenciar Contatos
+                    </Button>
                   </Box>
+                  
+                  {formData.contacts.length > 0 ? (
+                    <Box sx={{ 
+                      display: 'flex', 
+                      flexWrap: 'wrap', 
+                      gap: 0.5, 
+                      p: 1, 
+                      border: '1px solid rgba(0, 0, 0, 0.23)', 
+                      borderRadius: 1,
+                      minHeight: '56px'
+                    }}>
+                      {formData.contacts.map((contactId) => {
+                        const contact = contacts.find(c => c._id === contactId);
+                        return contact ? (
+                          <Chip 
+                            key={contactId} 
+                            label={contact.name} 
+                            onDelete={() => handleContactToggle(contactId)}
+                            size="small"
+                          />
+                        ) : null;
+                      })}
+                    </Box>
                 ) : (
-                  <Box sx={{ 
-                    p: 2, 
-                    border: '1px solid rgba(0, 0, 0, 0.23)', 
-                    borderRadius: 1,
-                    display: 'flex',
-                    justifyContent: 'center',
-                    color: 'text.secondary'
-                  }}>
-                    Nenhum contato selecionado
-                  </Box>
-                )}
-              </FormControl>
-            </Grid>
+                    <Box sx={{ 
+                      p: 2, 
+                      border: '1px solid rgba(0, 0, 0, 0.23)', 
+                      borderRadius: 1,
+                      display: 'flex',
+                      justifyContent: 'center',
+                      color: 'text.secondary'
+                    }}>
+                      Nenhum contato selecionado
+                    </Box>
+                  )}
+                </FormControl>
+              </Grid>
+            )}
             
             <Grid item xs={12} sm={6}>
               <FormControl fullWidth>
@@ -833,7 +1040,11 @@ const Campaigns: React.FC = () => {
             onClick={handleSubmit} 
             variant="contained" 
             color="primary"
-            disabled={!formData.name || !formData.templateId || !formData.instanceId || formData.contacts.length === 0}
+            disabled={
+              !formData.name || !formData.instanceId ||
+              (abTest.enabled ? Boolean(getAbTestError(abTest)) : !formData.templateId) ||
+              (formData.audienceType === 'segment' ? !formData.segmentId : formData.contacts.length === 0)
+            }
           >
             Salvar
           </Button>
@@ -960,6 +1171,8 @@ const Campaigns: React.FC = () => {
         </DialogActions>
       </Dialog>
 
+      <AbTestReportDialog campaignId={reportCampaignId} onClose={() => setReportCampaignId(null)} />
+
       <Dialog open={deleteConfirmOpen} onClose={() => setDeleteConfirmOpen(false)}>
         <DialogTitle>Confirmar Exclusão</DialogTitle>
         <DialogContent>
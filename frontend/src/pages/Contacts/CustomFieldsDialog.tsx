@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  GridLegacy as Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Typography,
+  Alert
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+export type ContactFieldType = 'string' | 'number' | 'date' | 'boolean' | 'enum';
+
+export type ContactField = {
+  _id: string;
+  key: string;
+  label: string;
+  type: ContactFieldType;
+  options: string[];
+  required: boolean;
+};
+
+const contactFieldTypeLabels: Record<ContactFieldType, string> = {
+  string: 'Texto',
+  number: 'Número',
+  date: 'Data',
+  boolean: 'Sim/Não',
+  enum: 'Lista de opções'
+};
+
+type CustomFieldsDialogProps = {
+  open: boolean;
+  fields: ContactField[];
+  onClose: () => void;
+  onChanged: () => void;
+};
+
+const emptyForm = {
+  key: '',
+  label: '',
+  type: 'string' as ContactFieldType,
+  options: '',
+  required: false
+};
+
+// Gera uma chave a partir do nome do campo (ex.: "Data de vencimento" -> "data_de_vencimento")
+const slugify = (text: string) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .replace(/^[^a-z]+/, '')
+  .substring(0, 40);
+
+const CustomFieldsDialog: React.FC<CustomFieldsDialogProps> = ({ open, fields, onClose, onChanged }) => {
+  const [editingField, setEditingField] = useState<ContactField | null>(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setEditingField(null);
+    setFormData(emptyForm);
+    setError('');
+  };
+
+  const handleEdit = (field: ContactField) => {
+    setEditingField(field);
+    setFormData({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      options: field.options.join(', '),
+      required: field.required
+    });
+    setError('');
+  };
+
+  const handleLabelChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const label = e.target.value;
+    setFormData(prev => ({
+      ...prev,
+      label,
+      // A chave acompanha o nome apenas na criação
+      key: editingField ? prev.key : slugify(label)
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+
+      const payload = {
+        key: formData.key,
+        label: formData.label,
+        type: formData.type,
+        options: formData.options.split(',').map(option => option.trim()).filter(Boolean),
+        required: formData.required
+      };
+
+      if (editingField) {
+        await api.put(`/contact-fields/${editingField._id}`, payload);
+      } else {
+        await api.post('/contact-fields', payload);
+      }
+
+      resetForm();
+      onChanged();
+    } catch (err) {
+      setError(isAxiosError(err) && err.response?.data?.message
+        ? err.response.data.message
+        : 'Erro ao salvar campo');
+      console.error('Erro ao salvar campo personalizado:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (field: ContactField) => {
+    if (!window.confirm(`Excluir o campo "${field.label}"? Os valores gravados nos contatos também serão removidos.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/contact-fields/${field._id}`);
+      if (editingField?._id === field._id) resetForm();
+      onChanged();
+    } catch (err) {
+      setError('Erro ao excluir campo');
+      console.error('Erro ao excluir campo personalizado:', err);
+    }
+  };
+
+  const handleClose = () => {
+    resetForm();
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Campos Personalizados</DialogTitle>
+      <DialogContent>
+        {fields.length > 0 ? (
+          <List dense>
+            {fields.map(field => (
+              <ListItem key={field._id} divider>
+                <ListItemText
+                  primary={`${field.label}${field.required ? ' *' : ''}`}
+                  secondary={`{{${field.key}}} • ${contactFieldTypeLabels[field.type]}${field.type === 'enum' ? `: ${field.options.join(', ')}` : ''}`}
+                />
+                <ListItemSecondaryAction>
+                  <IconButton size="small" color="primary" onClick={() => handleEdit(field)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" color="error" onClick={() => handleDelete(field)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Nenhum campo personalizado cadastrado.
+          </Typography>
+        )}
+
+        <Box mt={2}>
+          <Typography variant="subtitle2" gutterBottom>
+            {editingField ? `Editar "${editingField.label}"` : 'Novo campo'}
+          </Typography>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nome"
+                value={formData.label}
+                onChange={handleLabelChange}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Chave"
+                value={formData.key}
+                onChange={(e) => setFormData({ ...formData, key: e.target.value })}
+                disabled={Boolean(editingField)}
+                helperText="Usada nos templates e na importação CSV"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Tipo</InputLabel>
+                <Select
+                  value={formData.type}
+                  label="Tipo"
+                  onChange={(e) => setFormData({ ...formData, type: e.target.value as ContactFieldType })}
+                >
+                  {Object.entries(contactFieldTypeLabels).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={formData.required}
+                    onChange={(e) => setFormData({ ...formData, required: e.target.checked })}
+                  />
+                }
+                label="Obrigatório"
+              />
+            </Grid>
+            {formData.type === 'enum' && (
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Opções"
+                  value={formData.options}
+                  onChange={(e) => setFormData({ ...formData, options: e.target.value })}
+                  helperText="Separe as opções por vírgula. Ex: ouro, prata, bronze"
+                />
+              </Grid>
+            )}
+          </Grid>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {editingField && <Button onClick={resetForm}>Cancelar edição</Button>}
+        <Button onClick={handleClose}>Fechar</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || !formData.label || !formData.key || (formData.type === 'enum' && !formData.options.trim())}
+        >
+          {editingField ? 'Salvar campo' : 'Adicionar campo'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CustomFieldsDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Button,
@@ -30,7 +30,11 @@ import {
   List,
   ListItem,
   ListItemText,
-  ListItemSecondaryAction
+  ListItemSecondaryAction,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
@@ -39,8 +43,12 @@ import SearchIcon from '@mui/icons-material/Search';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
 import DownloadIcon from '@mui/icons-material/Download';
 import FindReplaceIcon from '@mui/icons-material/FindReplace';
+import TuneIcon from '@mui/icons-material/Tune';
+import { isAxiosError } from 'axios';
 import api from '../../services/api';
 import MuiAlert from '@mui/material/Alert';
+import { useAuth } from '../../contexts/AuthContext';
+import CustomFieldsDialog, { ContactField } from './CustomFieldsDialog';
 
 type Contact = {
   _id: string;
@@ -48,11 +56,31 @@ type Contact = {
   phone: string;
   email?: string;
   tags?: string[];
+  optedOut?: boolean;
+  optedOutAt?: string;
+  customFields?: Record<string, unknown>;
   createdAt: string;
   lastUpdated: string;
 };
 
+// Converte o valor gravado no contato para o formato usado nos campos do formulário
+const toInputValue = (field: ContactField, value: unknown): string => {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'date') return String(value).substring(0, 10);
+  return String(value);
+};
+
+const formatCustomValue = (field: ContactField, value: unknown): string => {
+  if (field.type === 'date') {
+    const date = new Date(String(value));
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+  }
+  if (field.type === 'boolean') return value ? 'Sim' : 'Não';
+  return String(value);
+};
+
 const Contacts: React.FC = () => {
+  const { can } = useAuth();
   const [contacts, setContacts] = useState<Contact[]>([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -94,14 +122,41 @@ const Contacts: React.FC = () => {
   const [duplicates, setDuplicates] = useState<{ [key: string]: Contact[] }>({});
   const [removingDuplicates, setRemovingDuplicates] = useState(false);
 
+  // Estados para campos personalizados
+  const [contactFields, setContactFields] = useState<ContactField[]>([]);
+  const [customValues, setCustomValues] = useState<Record<string, string>>({});
+  const [fieldsDialogOpen, setFieldsDialogOpen] = useState(false);
+  const [fieldFilter, setFieldFilter] = useState({ key: '', value: '' });
+
+  const loadContactFields = useCallback(async () => {
+    try {
+      const response = await api.get('/contact-fields');
+      setContactFields(response.data.data);
+    } catch (error) {
+      console.error('Erro ao carregar campos personalizados:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadContactFields();
+  }, [loadContactFields]);
+
   useEffect(() => {
     loadContacts();
-  }, [page, rowsPerPage, searchTerm, sortField, sortOrder]);
+  }, [page, rowsPerPage, searchTerm, sortField, sortOrder, fieldFilter]);
 
   // Limpar seleções quando mudar de página ou filtro
   useEffect(() => {
     setSelectedContacts([]);
-  }, [page, rowsPerPage, searchTerm]);
+  }, [page, rowsPerPage, searchTerm, fieldFilter]);
+
+  // Critério do filtro por campo personalizado no formato aceito pela API
+  const getCustomFieldCriteria = (): Record<string, string | Record<string, string>> | undefined => {
+    const field = contactFields.find(current => current.key === fieldFilter.key);
+    if (!field || !fieldFilter.value) return undefined;
+
+    return { [field.key]: field.type === 'string' ? { contains: fieldFilter.value } : fieldFilter.value };
+  };
 
   const loadContacts = async () => {
     try {
@@ -112,13 +167,17 @@ const Contacts: React.FC = () => {
           limit: rowsPerPage,
           search: searchTerm || undefined,
           sortField,
-          sortOrder
+          sortOrder,
+          customFields: getCustomFieldCriteria()
         }
       });
       setContacts(response.data.data);
       setTotalContacts(response.data.total);
     } catch (error) {
-      setSnackbar({ open: true, message: 'Erro ao carregar contatos', severity: 'error' });
+      const message = isAxiosError(error) && error.response?.data?.message
+        ? error.response.data.message
+        : 'Erro ao carregar contatos';
+      setSnackbar({ open: true, message, severity: 'error' });
       console.error('Erro ao carregar contatos:', error);
     } finally {
       setLoading(false);
@@ -134,6 +193,9 @@ const Contacts: React.FC = () => {
         email: contact.email || '',
         tags: contact.tags?.join(', ') || ''
       });
+      setCustomValues(Object.fromEntries(
+        contactFields.map(field => [field.key, toInputValue(field, contact.customFields?.[field.key])])
+      ));
     } else {
       setSelectedContact(null);
       setFormData({
@@ -142,6 +204,7 @@ const Contacts: React.FC = () => {
         email: '',
         tags: ''
       });
+      setCustomValues({});
     }
     setOpenDialog(true);
   };
@@ -159,6 +222,20 @@ const Contacts: React.FC = () => {
     });
   };
 
+  const handleCustomValueChange = (key: string, value: string) => {
+    setCustomValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleFieldFilterChange = (key: string) => {
+    setFieldFilter({ key, value: '' });
+    setPage(0);
+  };
+
+  const handleFieldFilterValueChange = (value: string) => {
+    setFieldFilter(prev => ({ ...prev, value }));
+    setPage(0);
+  };
+
   const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setSearchTerm(e.target.value);
     setPage(0);
@@ -181,7 +258,11 @@ const Contacts: React.FC = () => {
         name: formData.name,
         phone: formattedPhone,
         email: formData.email || undefined,
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : []
+        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : [],
+        // Valores vazios são enviados como null para remover o campo do contato
+        customFields: Object.fromEntries(
+          contactFields.map(field => [field.key, customValues[field.key] || null])
+        )
       };
 
       if (selectedContact) {
@@ -195,7 +276,10 @@ const Contacts: React.FC = () => {
       handleCloseDialog();
       loadContacts();
     } catch (error) {
-      setSnackbar({ open: true, message: 'Erro ao salvar contato. Verifique se o número já está cadastrado ou se está no formato correto.', severity: 'error' });
+      const message = isAxiosError(error) && error.response?.data?.message
+        ? error.response.data.message
+        : 'Erro ao salvar contato. Verifique se o número já está cadastrado ou se está no formato correto.';
+      setSnackbar({ open: true, message, severity: 'error' });
       console.error('Erro ao salvar contato:', error);
     }
   };
@@ -262,6 +346,15 @@ const Contacts: React.FC = () => {
       if (searchTerm) params.append('search', searchTerm);
       params.append('sortField', sortField);
       params.append('sortOrder', sortOrder);
+
+      const criteria = getCustomFieldCriteria();
+      Object.entries(criteria || {}).forEach(([key, value]) => {
+        if (typeof value === 'string') {
+          params.append(`customFields[${key}]`, value);
+        } else {
+          Object.entries(value).forEach(([operator, operand]) => params.append(`customFields[${key}][${operator}]`, operand));
+        }
+      });
       
       // Fazer requisição para o endpoint de exportação com os parâmetros de filtro
       const response = await api.get(`/contacts/export?${params.toString()}`, {
@@ -337,6 +430,49 @@ const Contacts: React.FC = () => {
 
   const isSelected = (id: string) => selectedContacts.indexOf(id) !== -1;
 
+  // Campo de formulário de acordo com o tipo do campo personalizado
+  const renderCustomFieldInput = (
+    field: ContactField,
+    value: string,
+    onChange: (value: string) => void,
+    options: { label?: string; size?: 'small' | 'medium'; required?: boolean } = {}
+  ) => {
+    const label = options.label ?? field.label;
+
+    if (field.type === 'boolean' || field.type === 'enum') {
+      const choices = field.type === 'boolean'
+        ? [{ value: 'true', label: 'Sim' }, { value: 'false', label: 'Não' }]
+        : field.options.map(option => ({ value: option, label: option }));
+
+      return (
+        <FormControl fullWidth size={options.size} required={options.required}>
+          <InputLabel>{label}</InputLabel>
+          <Select value={value} label={label} onChange={(e) => onChange(e.target.value)}>
+            <MenuItem value="">
+              <em>Não informado</em>
+            </MenuItem>
+            {choices.map(choice => (
+              <MenuItem key={choice.value} value={choice.value}>{choice.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+
+    return (
+      <TextField
+        fullWidth
+        size={options.size}
+        label={label}
+        type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required={options.required}
+        InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+      />
+    );
+  };
+
   const handleChangePage = (_: unknown, newPage: number) => {
     setPage(newPage);
   };
@@ -409,14 +545,18 @@ const Contacts: React.FC = () => {
           continue;
         }
         
-        const [name, phone] = parts;
+        const [name, phone, ...extraColumns] = parts;
         
         try {
           const payload = {
             name: name.trim(),
             phone: formatPhoneForImport(phone.trim()),
             email: undefined,
-            tags: []
+            tags: [],
+            // Colunas após o telefone seguem a ordem dos campos personalizados
+            customFields: Object.fromEntries(
+              contactFields.map((field, index) => [field.key, extraColumns[index]?.trim() || null])
+            )
           };
           
           await api.post('/contacts', payload);
@@ -545,47 +685,66 @@ const Contacts: React.FC = () => {
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
         <Typography variant="h4">Contatos</Typography>
         <Box>
-          <Button 
-            variant="outlined" 
-            color="primary" 
-            startIcon={<FindReplaceIcon />}
-            onClick={findDuplicates}
-            disabled={duplicatesLoading}
-            sx={{ mr: 1 }}
-          >
-            {duplicatesLoading ? 'Buscando...' : 'Verificar Duplicados'}
-          </Button>
-          <Button 
-            variant="outlined" 
-            color="primary" 
-            startIcon={<DownloadIcon />}
-            onClick={handleExport}
-            disabled={exportLoading || contacts.length === 0}
-            sx={{ mr: 1 }}
-          >
-            {exportLoading ? 'Exportando...' : 'Exportar Contatos'}
-          </Button>
-          <Button 
-            variant="outlined" 
-            color="primary" 
-            startIcon={<UploadFileIcon />}
-            onClick={handleOpenImportDialog}
-            sx={{ mr: 1 }}
-          >
-            Importar Contatos
-          </Button>
-          <Button 
-            variant="contained" 
-            color="primary" 
-            startIcon={<AddIcon />}
-            onClick={() => handleOpenDialog()}
-          >
-            Novo Contato
-          </Button>
+          {can('contact:delete') && (
+            <Button 
+              variant="outlined" 
+              color="primary" 
+              startIcon={<FindReplaceIcon />}
+              onClick={findDuplicates}
+              disabled={duplicatesLoading}
+              sx={{ mr: 1 }}
+            >
+              {duplicatesLoading ? 'Buscando...' : 'Verificar Duplicados'}
+            </Button>
+          )}
+          {can('contact_field:manage') && (
+            <Button
+              variant="outlined"
+              color="primary"
+              startIcon={<TuneIcon />}
+              onClick={() => setFieldsDialogOpen(true)}
+              sx={{ mr: 1 }}
+            >
+              Campos Personalizados
+            </Button>
+          )}
+          {can('contact:export') && (
+            <Button 
+              variant="outlined" 
+              color="primary" 
+              startIcon={<DownloadIcon />}
+              onClick={handleExport}
+              disabled={exportLoading || contacts.length === 0}
+              sx={{ mr: 1 }}
+            >
+              {exportLoading ? 'Exportando...' : 'Exportar Contatos'}
+            </Button>
+          )}
+          {can('contact:manage') && (
+            <>
+              <Button 
+                variant="outlined" 
+                color="primary" 
+                startIcon={<UploadFileIcon />}
+                onClick={handleOpenImportDialog}
+                sx={{ mr: 1 }}
+              >
+                Importar Contatos
+              </Button>
+              <Button 
+                variant="contained" 
+                color="primary" 
+                startIcon={<AddIcon />}
+                onClick={() => handleOpenDialog()}
+              >
+                Novo Contato
+              </Button>
+            </>
+          )}
         </Box>
       </Box>
 
-      <Box mb={3}>
+      <Box mb={3} display="flex" gap={2}>
         <TextField
           fullWidth
           variant="outlined"
@@ -600,10 +759,34 @@ const Contacts: React.FC = () => {
             ),
           }}
         />
+        {contactFields.length > 0 && (
+          <>
+            <FormControl sx={{ minWidth: 200 }}>
+              <InputLabel>Filtrar por campo</InputLabel>
+              <Select
+                value={fieldFilter.key}
+                label="Filtrar por campo"
+                onChange={(e) => handleFieldFilterChange(e.target.value)}
+              >
+                <MenuItem value="">
+                  <em>Nenhum</em>
+                </MenuItem>
+                {contactFields.map(field => (
+                  <MenuItem key={field.key} value={field.key}>{field.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {contactFields.filter(field => field.key === fieldFilter.key).map(field => (
+              <Box key={field.key} sx={{ minWidth: 200 }}>
+                {renderCustomFieldInput(field, fieldFilter.value, handleFieldFilterValueChange, { label: 'Valor' })}
+              </Box>
+            ))}
+          </>
+        )}
       </Box>
 
       {/* Botão de exclusão múltipla */}
-      {selectedContacts.length > 0 && (
+      {can('contact:delete') && selectedContacts.length > 0 && (
         <Box mb={2}>
           <Button
             variant="contained"
@@ -653,6 +836,7 @@ const Contacts: React.FC = () => {
                   </TableCell>
                   <TableCell>Email</TableCell>
                   <TableCell>Tags</TableCell>
+                  {contactFields.length > 0 && <TableCell>Campos</TableCell>}
                   <TableCell>
                     <TableSortLabel
                       active={sortField === 'createdAt'}
@@ -682,7 +866,14 @@ const Contacts: React.FC = () => {
                         <TableCell padding="checkbox">
                           <Checkbox checked={isItemSelected} />
                         </TableCell>
-                      <TableCell>{contact.name}</TableCell>
+                      <TableCell>
+                        {contact.name}
+                        {contact.optedOut && (
+                          <Tooltip title={contact.optedOutAt ? `Descadastrado em ${new Date(contact.optedOutAt).toLocaleString()}` : 'Descadastrado'}>
+                            <Chip label="Descadastrado" color="warning" size="small" sx={{ ml: 1 }} />
+                          </Tooltip>
+                        )}
+                      </TableCell>
                       <TableCell>{formatPhoneNumber(contact.phone)}</TableCell>
                       <TableCell>{contact.email || '-'}</TableCell>
                         <TableCell>
@@ -694,39 +885,59 @@ const Contacts: React.FC = () => {
                             </Box>
                           ) : '-'}
                         </TableCell>
+                        {contactFields.length > 0 && (
+                          <TableCell>
+                            <Box display="flex" flexWrap="wrap" gap={0.5}>
+                              {contactFields
+                                .filter(field => contact.customFields?.[field.key] !== undefined && contact.customFields?.[field.key] !== null)
+                                .map(field => (
+                                  <Chip
+                                    key={field.key}
+                                    label={`${field.label}: ${formatCustomValue(field, contact.customFields?.[field.key])}`}
+                                    size="small"
+                                    variant="outlined"
+                                  />
+                                ))}
+                            </Box>
+                          </TableCell>
+                        )}
                       <TableCell>{new Date(contact.createdAt).toLocaleString()}</TableCell>
                       <TableCell align="center">
+                        {can('contact:manage') && (
                           <Tooltip title="Editar">
-                        <IconButton 
-                          color="primary" 
-                          size="small" 
+                            <IconButton 
+                              color="primary" 
+                              size="small" 
                               onClick={(e) => {
                                 e.stopPropagation();
                                 handleOpenDialog(contact);
                               }}
-                        >
-                          <EditIcon fontSize="small" />
-                        </IconButton>
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
                           </Tooltip>
+                        )}
+                        {can('contact:delete') && (
                           <Tooltip title="Excluir">
-                        <IconButton 
-                          color="error" 
-                          size="small"
+                            <IconButton 
+                              color="error" 
+                              size="small"
                               onClick={(e) => {
                                 e.stopPropagation();
                                 confirmDelete(contact);
                               }}
-                        >
-                          <DeleteIcon fontSize="small" />
-                        </IconButton>
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
                           </Tooltip>
+                        )}
                       </TableCell>
                     </TableRow>
                     );
                   })
                 ) : (
                   <TableRow>
-                    <TableCell colSpan={8} align="center">
+                    <TableCell colSpan={contactFields.length > 0 ? 9 : 8} align="center">
                       Nenhum contato encontrado
                     </TableCell>
                   </TableRow>
@@ -799,6 +1010,17 @@ const Contacts: React.FC = () => {
                 helperText="Separe as tags por vírgula. Ex: cliente, ativo, prospect"
               />
             </Grid>
+
+            {contactFields.map(field => (
+              <Grid item xs={12} sm={6} key={field.key}>
+                {renderCustomFieldInput(
+                  field,
+                  customValues[field.key] || '',
+                  (value) => handleCustomValueChange(field.key, value),
+                  { required: field.required }
+                )}
+              </Grid>
+            ))}
           </Grid>
         </DialogContent>
         <DialogActions>
@@ -807,7 +1029,7 @@ const Contacts: React.FC = () => {
             onClick={handleSubmit} 
             variant="contained" 
             color="primary"
-            disabled={!formData.name || !formData.phone}
+            disabled={!formData.name || !formData.phone || contactFields.some(field => field.required && !customValues[field.key])}
           >
             Salvar
           </Button>
@@ -847,6 +1069,11 @@ const Contacts: React.FC = () => {
           <Typography variant="body1" gutterBottom>
             Cole sua lista de contatos abaixo, um por linha, no formato "Nome;Telefone"
           </Typography>
+          {contactFields.length > 0 && (
+            <Typography variant="body2" color="text.secondary">
+              Campos personalizados podem ser informados nas colunas seguintes, nesta ordem: {contactFields.map(field => field.label).join(';')}
+            </Typography>
+          )}
           <TextField
             fullWidth
             multiline
@@ -947,6 +1174,16 @@ const Contacts: React.FC = () => {
         </DialogActions>
       </Dialog>
 
+      <CustomFieldsDialog
+        open={fieldsDialogOpen}
+        fields={contactFields}
+        onClose={() => setFieldsDialogOpen(false)}
+        onChanged={() => {
+          loadContactFields();
+          loadContacts();
+        }}
+      />
+
       {/* Snackbar para feedback visual */}
       <Snackbar
         open={snackbar.open}
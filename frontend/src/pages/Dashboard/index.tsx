@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   Box, 
   Typography, 
@@ -18,6 +18,7 @@ import {
 } from '@mui/icons-material';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import api from '../../services/api';
+import { useRealtime } from '../../services/realtime';
 
 // Interface atualizada conforme dados retornados pela API
 interface DashboardData {
@@ -47,45 +48,66 @@ interface DashboardData {
   }[];
 }
 
+// Intervalo mínimo entre atualizações do dashboard disparadas por eventos
+const DASHBOARD_REFRESH_DELAY = 5000;
+
 export default function Dashboard() {
   const [data, setData] = useState<DashboardData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [recentCampaigns, setRecentCampaigns] = useState<any[]>([]);
 
-  useEffect(() => {
-    async function loadDashboard() {
-      try {
-        setLoading(true);
-        // Carregar estatísticas do dashboard
-        const statsResponse = await api.get('/dashboard/stats');
-        
-        if (statsResponse.data && statsResponse.data.success) {
-          setData(statsResponse.data.data);
-        } else {
-          throw new Error('Formato de resposta inválido');
-        }
-        
-        // Carregar campanhas recentes
-        const campaignsResponse = await api.get('/dashboard/recent-campaigns');
-        if (campaignsResponse.data && campaignsResponse.data.success) {
-          setRecentCampaigns(campaignsResponse.data.data);
-        }
-        
-        setError(null);
-      } catch (err: any) {
-        console.error('Erro ao carregar dados do dashboard:', err);
+  const refreshTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  // Na atualização silenciosa os dados atuais continuam na tela até a nova resposta
+  const loadDashboard = useCallback(async (silent = false) => {
+    try {
+      if (!silent) setLoading(true);
+      // Carregar estatísticas do dashboard
+      const statsResponse = await api.get('/dashboard/stats');
+      
+      if (statsResponse.data && statsResponse.data.success) {
+        setData(statsResponse.data.data);
+      } else {
+        throw new Error('Formato de resposta inválido');
+      }
+      
+      // Carregar campanhas recentes
+      const campaignsResponse = await api.get('/dashboard/recent-campaigns');
+      if (campaignsResponse.data && campaignsResponse.data.success) {
+        setRecentCampaigns(campaignsResponse.data.data);
+      }
+      
+      setError(null);
+    } catch (err: any) {
+      console.error('Erro ao carregar dados do dashboard:', err);
+      if (!silent) {
         setError(
           err.response?.data?.message || 
           'Erro ao carregar as estatísticas do dashboard.'
         );
-      } finally {
-        setLoading(false);
       }
+    } finally {
+      if (!silent) setLoading(false);
     }
+  }, []);
 
+  useEffect(() => {
     loadDashboard();
-  }, []);
+
+    return () => {
+      if (refreshTimer.current) clearTimeout(refreshTimer.current);
+    };
+  }, [loadDashboard]);
+
+  // Eventos em tempo real agendam uma única atualização silenciosa a cada intervalo
+  useRealtime(['campaign.metrics', 'campaign.status', 'instance.status'], () => {
+    if (refreshTimer.current) return;
+    refreshTimer.current = setTimeout(() => {
+      refreshTimer.current = null;
+      loadDashboard(true);
+    }, DASHBOARD_REFRESH_DELAY);
+  });
 
   // Formatar dados do gráfico
   const formatChartData = () => {
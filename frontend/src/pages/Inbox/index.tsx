@@ -0,0 +1,417 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListItemAvatar,
+  Avatar,
+  Badge,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Tooltip,
+  Button,
+  Chip,
+  CircularProgress,
+  Divider,
+  FormControlLabel,
+  Switch,
+  Snackbar,
+  Alert
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import SendIcon from '@mui/icons-material/Send';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface Conversation {
+  _id: string;
+  instanceName: string;
+  remoteJid: string;
+  phone: string;
+  pushName?: string;
+  contactId?: {
+    _id: string;
+    name?: string;
+    phone: string;
+    optedOut?: boolean;
+  } | null;
+  lastMessageAt: string;
+  lastMessagePreview?: string;
+  lastMessageFromMe: boolean;
+  unreadCount: number;
+}
+
+interface ConversationMessage {
+  _id: string;
+  direction: 'inbound' | 'outbound';
+  content: string;
+  mediaUrl?: string;
+  mediaType?: string | null;
+  status: string;
+  timestamp: string;
+  sentBy?: { _id: string; name: string } | null;
+  campaignId?: { _id: string; name: string } | null;
+}
+
+// Intervalo de atualização automática da caixa de entrada
+const REFRESH_INTERVAL = 15000;
+const MESSAGES_PAGE_SIZE = 50;
+
+const getConversationName = (conversation: Conversation) =>
+  conversation.contactId?.name || conversation.pushName || conversation.phone;
+
+const formatTime = (dateString: string) => {
+  const date = new Date(dateString);
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return new Intl.DateTimeFormat('pt-BR', isToday
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }
+  ).format(date);
+};
+
+const Inbox: React.FC = () => {
+  const { can } = useAuth();
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [loadingConversations, setLoadingConversations] = useState(true);
+  const [search, setSearch] = useState('');
+  const [onlyUnread, setOnlyUnread] = useState(false);
+  const [selected, setSelected] = useState<Conversation | null>(null);
+  const [messages, setMessages] = useState<ConversationMessage[]>([]);
+  const [loadingMessages, setLoadingMessages] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const messagesEndRef = useRef<HTMLDivElement | null>(null);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await api.get('/conversations', {
+        params: {
+          search: search || undefined,
+          unread: onlyUnread ? 'true' : undefined,
+          limit: 100
+        }
+      });
+
+      if (response.data.success) {
+        setConversations(response.data.data.conversations);
+      }
+    } catch (err) {
+      console.error('Erro ao carregar conversas:', err);
+    } finally {
+      setLoadingConversations(false);
+    }
+  }, [search, onlyUnread]);
+
+  // Carrega a página mais recente de mensagens (a API retorna da mais nova para a mais antiga)
+  const loadMessages = useCallback(async (conversationId: string) => {
+    try {
+      const response = await api.get(`/conversations/${conversationId}/messages`, {
+        params: { limit: MESSAGES_PAGE_SIZE }
+      });
+
+      if (response.data.success) {
+        setMessages([...response.data.data.messages].reverse());
+        setHasMore(response.data.data.hasMore);
+      }
+    } catch (err) {
+      console.error('Erro ao carregar mensagens:', err);
+    }
+  }, []);
+
+  const loadOlderMessages = async () => {
+    if (!selected || messages.length === 0) return;
+
+    try {
+      setLoadingMessages(true);
+      const response = await api.get(`/conversations/${selected._id}/messages`, {
+        params: { limit: MESSAGES_PAGE_SIZE, before: messages[0].timestamp }
+      });
+
+      if (response.data.success) {
+        setMessages(prev => [...[...response.data.data.messages].reverse(), ...prev]);
+        setHasMore(response.data.data.hasMore);
+      }
+    } catch (err) {
+      console.error('Erro ao carregar mensagens anteriores:', err);
+    } finally {
+      setLoadingMessages(false);
+    }
+  };
+
+  useEffect(() => {
+    loadConversations();
+    const interval = setInterval(loadConversations, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [loadConversations]);
+
+  useEffect(() => {
+    if (!selected) return;
+
+    const interval = setInterval(() => loadMessages(selected._id), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [selected, loadMessages]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleSelectConversation = async (conversation: Conversation) => {
+    setSelected(conversation);
+    setMessages([]);
+    setReply('');
+    setLoadingMessages(true);
+    await loadMessages(conversation._id);
+    setLoadingMessages(false);
+
+    if (conversation.unreadCount > 0) {
+      try {
+        await api.post(`/conversations/${conversation._id}/read`);
+        setConversations(prev =>
+          prev.map(c => (c._id === conversation._id ? { ...c, unreadCount: 0 } : c))
+        );
+      } catch (err) {
+        console.error('Erro ao marcar conversa como lida:', err);
+      }
+    }
+  };
+
+  const handleSendReply = async () => {
+    if (!selected || !reply.trim()) return;
+
+    try {
+      setSending(true);
+      await api.post(`/conversations/${selected._id}/messages`, { content: reply });
+      setReply('');
+      await loadMessages(selected._id);
+      await loadConversations();
+    } catch (err) {
+      setError(
+        (isAxiosError(err) && err.response?.data?.message) || 'Erro ao enviar mensagem'
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleReplyKeyDown = (event: React.KeyboardEvent) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      handleSendReply();
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4">Caixa de Entrada</Typography>
+        <Tooltip title="Atualizar">
+          <IconButton onClick={() => loadConversations()}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Box display="flex" gap={2} sx={{ height: 'calc(100vh - 200px)', minHeight: 400 }}>
+        {/* Lista de conversas */}
+        <Paper sx={{ width: 360, display: 'flex', flexDirection: 'column' }}>
+          <Box p={2}>
+            <TextField
+              fullWidth
+              size="small"
+              placeholder="Buscar por nome ou telefone"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                )
+              }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={onlyUnread}
+                  onChange={(e) => setOnlyUnread(e.target.checked)}
+                />
+              }
+              label="Somente não lidas"
+            />
+          </Box>
+          <Divider />
+          <Box sx={{ flex: 1, overflowY: 'auto' }}>
+            {loadingConversations ? (
+              <Box display="flex" justifyContent="center" p={3}>
+                <CircularProgress size={24} />
+              </Box>
+            ) : conversations.length === 0 ? (
+              <Typography color="text.secondary" align="center" p={3}>
+                Nenhuma conversa encontrada
+              </Typography>
+            ) : (
+              <List disablePadding>
+                {conversations.map((conversation) => (
+                  <ListItemButton
+                    key={conversation._id}
+                    selected={selected?._id === conversation._id}
+                    onClick={() => handleSelectConversation(conversation)}
+                  >
+                    <ListItemAvatar>
+                      <Badge badgeContent={conversation.unreadCount} color="primary">
+                        <Avatar>{getConversationName(conversation).charAt(0).toUpperCase()}</Avatar>
+                      </Badge>
+                    </ListItemAvatar>
+                    <ListItemText
+                      primary={
+                        <Box display="flex" justifyContent="space-between" gap={1}>
+                          <Typography variant="subtitle2" noWrap>
+                            {getConversationName(conversation)}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                            {formatTime(conversation.lastMessageAt)}
+                          </Typography>
+                        </Box>
+                      }
+                      secondary={
+                        <Typography variant="body2" color="text.secondary" noWrap>
+                          {conversation.lastMessageFromMe ? 'Você: ' : ''}
+                          {conversation.lastMessagePreview || ''}
+                        </Typography>
+                      }
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Box>
+        </Paper>
+
+        {/* Mensagens da conversa selecionada */}
+        <Paper sx={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
+          {!selected ? (
+            <Box display="flex" alignItems="center" justifyContent="center" flex={1}>
+              <Typography color="text.secondary">
+                Selecione uma conversa para visualizar as mensagens
+              </Typography>
+            </Box>
+          ) : (
+            <>
+              <Box p={2} display="flex" alignItems="center" gap={1}>
+                <Box flex={1}>
+                  <Typography variant="h6">{getConversationName(selected)}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {selected.phone} · {selected.instanceName}
+                  </Typography>
+                </Box>
+                {selected.contactId?.optedOut && (
+                  <Chip label="Descadastrado" color="warning" size="small" />
+                )}
+              </Box>
+              <Divider />
+
+              <Box sx={{ flex: 1, overflowY: 'auto', p: 2 }}>
+                {hasMore && (
+                  <Box display="flex" justifyContent="center" mb={2}>
+                    <Button size="small" onClick={loadOlderMessages} disabled={loadingMessages}>
+                      Carregar mensagens anteriores
+                    </Button>
+                  </Box>
+                )}
+                {loadingMessages && messages.length === 0 ? (
+                  <Box display="flex" justifyContent="center" p={3}>
+                    <CircularProgress size={24} />
+                  </Box>
+                ) : (
+                  messages.map((message) => {
+                    const outbound = message.direction === 'outbound';
+                    return (
+                      <Box
+                        key={message._id}
+                        display="flex"
+                        justifyContent={outbound ? 'flex-end' : 'flex-start'}
+                        mb={1}
+                      >
+                        <Paper
+                          variant="outlined"
+                          sx={{
+                            p: 1.5,
+                            maxWidth: '70%',
+                            bgcolor: outbound ? 'primary.main' : 'background.default',
+                            color: outbound ? 'primary.contrastText' : 'text.primary'
+                          }}
+                        >
+                          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                            {message.content}
+                          </Typography>
+                          <Typography variant="caption" sx={{ display: 'block', opacity: 0.7, mt: 0.5 }}>
+                            {formatTime(message.timestamp)}
+                            {message.campaignId ? ` · Campanha: ${message.campaignId.name}` : ''}
+                            {message.sentBy ? ` · ${message.sentBy.name}` : ''}
+                          </Typography>
+                        </Paper>
+                      </Box>
+                    );
+                  })
+                )}
+                <div ref={messagesEndRef} />
+              </Box>
+
+              {can('conversation:reply') && (
+                <>
+                  <Divider />
+                  <Box p={2} display="flex" gap={1} alignItems="flex-end">
+                    <TextField
+                      fullWidth
+                      multiline
+                      maxRows={4}
+                      size="small"
+                      placeholder="Digite sua resposta"
+                      value={reply}
+                      onChange={(e) => setReply(e.target.value)}
+                      onKeyDown={handleReplyKeyDown}
+                      disabled={sending}
+                    />
+                    <Tooltip title="Enviar">
+                      <span>
+                        <IconButton
+                          color="primary"
+                          onClick={handleSendReply}
+                          disabled={sending || !reply.trim()}
+                        >
+                          {sending ? <CircularProgress size={20} /> : <SendIcon />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Box>
+                </>
+              )}
+            </>
+          )}
+        </Paper>
+      </Box>
+
+      <Snackbar
+        open={!!error}
+        autoHideDuration={6000}
+        onClose={() => setError(null)}
+      >
+        <Alert severity="error" onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Inbox;
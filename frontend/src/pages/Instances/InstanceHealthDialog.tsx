@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  GridLegacy as Grid,
+  Paper
+} from '@mui/material';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+type Uptime = {
+  checks: number;
+  healthy: number;
+  percent: number | null;
+};
+
+type HealthCheck = {
+  _id: string;
+  healthy: boolean;
+  state: string | null;
+  latencyMs?: number;
+  error?: string;
+  action: 'connect' | 'restart' | null;
+  checkedAt: string;
+};
+
+type InstanceHealth = {
+  instanceName: string;
+  status: string;
+  health?: {
+    lastCheckAt?: string;
+    lastHealthyAt?: string;
+    consecutiveFailures?: number;
+    reconnectAttempts?: number;
+    nextReconnectAt?: string | null;
+    lastAction?: 'connect' | 'restart' | null;
+    lastActionAt?: string;
+    lastError?: string | null;
+    loggedOut?: boolean;
+    outageNotifiedAt?: string | null;
+  };
+  uptime: {
+    last24h: Uptime;
+    last7d: Uptime;
+  };
+  hourly: {
+    hour: string;
+    checks: number;
+    healthy: number;
+    uptime: number;
+  }[];
+  incidents: HealthCheck[];
+};
+
+type InstanceHealthDialogProps = {
+  instance: { _id: string; instanceName: string } | null;
+  onClose: () => void;
+};
+
+const actionLabels: Record<string, string> = {
+  connect: 'Reconexão',
+  restart: 'Reinício'
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatUptime = (uptime: Uptime) => (uptime.percent === null ? '—' : `${uptime.percent}%`);
+
+const uptimeColor = (percent: number) => {
+  if (percent >= 99) return 'success.main';
+  if (percent >= 90) return 'warning.main';
+  return 'error.main';
+};
+
+// Disponibilidade da instância medida pelo supervisor de saúde, com as últimas quedas
+const InstanceHealthDialog: React.FC<InstanceHealthDialogProps> = ({ instance, onClose }) => {
+  const [data, setData] = useState<InstanceHealth | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!instance) {
+      setData(null);
+      return;
+    }
+
+    const loadHealth = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await api.get(`/instances/${instance._id}/health`, { params: { hours: 24 } });
+        setData(response.data.data);
+      } catch (err) {
+        console.error('Erro ao carregar saúde da instância:', err);
+        setError(getErrorMessage(err, 'Erro ao carregar a saúde da instância'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHealth();
+  }, [instance]);
+
+  const health = data?.health;
+
+  return (
+    <Dialog open={Boolean(instance)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Saúde da instância {instance?.instanceName}</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box display="flex" justifyContent="center" my={4}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : data && (
+          <>
+            {health?.loggedOut && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                A sessão foi encerrada; a reconexão automática volta após um novo pareamento pelo QR code.
+              </Alert>
+            )}
+            {!health?.loggedOut && (health?.consecutiveFailures || 0) > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {`${health?.consecutiveFailures} verificação(ões) seguida(s) com falha. `}
+                {health?.nextReconnectAt && `Próxima tentativa de reconexão: ${formatDate(health.nextReconnectAt)}.`}
+              </Alert>
+            )}
+
+            <Grid container spacing={2} mb={3}>
+              <Grid item xs={6} sm={3}>
+                <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">Disponibilidade 24h</Typography>
+                  <Typography variant="h5">{formatUptime(data.uptime.last24h)}</Typography>
+                </Paper>
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">Disponibilidade 7 dias</Typography>
+                  <Typography variant="h5">{formatUptime(data.uptime.last7d)}</Typography>
+                </Paper>
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">Última verificação</Typography>
+                  <Typography variant="body2">{formatDate(health?.lastCheckAt)}</Typography>
+                </Paper>
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">Última vez conectada</Typography>
+                  <Typography variant="body2">{formatDate(health?.lastHealthyAt)}</Typography>
+                </Paper>
+              </Grid>
+            </Grid>
+
+            <Typography variant="subtitle2" gutterBottom>Últimas 24 horas</Typography>
+            {data.hourly.length > 0 ? (
+              <Box display="flex" gap={0.5} mb={3}>
+                {data.hourly.map(bucket => (
+                  <Tooltip
+                    key={bucket.hour}
+                    title={`${new Date(bucket.hour).toLocaleString()}: ${bucket.uptime}% (${bucket.healthy}/${bucket.checks} verificações)`}
+                  >
+                    <Box flex={1} height={28} borderRadius={0.5} bgcolor={uptimeColor(bucket.uptime)} />
+                  </Tooltip>
+                ))}
+              </Box>
+            ) : (
+              <Typography variant="body2" color="text.secondary" mb={3}>
+                Nenhuma verificação registrada no período.
+              </Typography>
+            )}
+
+            <Typography variant="subtitle2" gutterBottom>Falhas e ações de recuperação</Typography>
+            {data.incidents.length > 0 ? (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Data</TableCell>
+                    <TableCell>Estado</TableCell>
+                    <TableCell>Detalhe</TableCell>
+                    <TableCell>Ação</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {data.incidents.map(check => (
+                    <TableRow key={check._id}>
+                      <TableCell>{formatDate(check.checkedAt)}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={check.healthy ? 'Conectada' : (check.state || 'Sem resposta')}
+                          color={check.healthy ? 'success' : 'error'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>{check.error || '—'}</TableCell>
+                      <TableCell>{check.action ? actionLabels[check.action] : '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Nenhuma falha registrada.
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fechar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InstanceHealthDialog;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  Tabs,
+  Tab,
+  TextField
+} from '@mui/material';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import { useRealtime } from '../../services/realtime';
+
+// O WhatsApp troca o QR a cada ~20s; sem um novo QR neste prazo ele é considerado expirado
+const QR_CODE_TTL_MS = 45000;
+
+// Novos QR codes pedidos automaticamente antes de exigir uma ação do usuário
+const MAX_AUTO_REFRESHES = 3;
+
+type PairingData = {
+  base64: string | null;
+  code: string | null;
+  pairingCode: string | null;
+};
+
+export type ConnectedProfile = {
+  instanceId: string;
+  profileName?: string;
+  profilePictureUrl?: string;
+};
+
+type QrCodeDialogProps = {
+  instance: { _id: string; instanceName: string } | null;
+  onClose: () => void;
+  onConnected: (profile: ConnectedProfile) => void;
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+// A Evolution responde com o QR em base64 e, quando recebe o número, com o código de pareamento
+const toPairingData = (data: Partial<PairingData> | null | undefined): PairingData | null => {
+  if (!data || (!data.base64 && !data.pairingCode)) return null;
+  return {
+    base64: data.base64 || null,
+    code: data.code || null,
+    pairingCode: data.pairingCode || null
+  };
+};
+
+// Pareamento do WhatsApp: QR code e código de pareamento chegam pelo canal de tempo real
+const QrCodeDialog: React.FC<QrCodeDialogProps> = ({ instance, onClose, onConnected }) => {
+  const [mode, setMode] = useState<'qrcode' | 'pairing'>('qrcode');
+  const [phone, setPhone] = useState('');
+  const [pairing, setPairing] = useState<PairingData | null>(null);
+  const [expiresAt, setExpiresAt] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [autoRefreshes, setAutoRefreshes] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const requestId = useRef(0);
+
+  const instanceId = instance?._id;
+
+  const applyPairing = (data: PairingData) => {
+    setPairing(data);
+    setExpiresAt(Date.now() + QR_CODE_TTL_MS);
+    setError(null);
+  };
+
+  const requestConnection = useCallback(async (number?: string) => {
+    if (!instanceId) return;
+
+    const current = ++requestId.current;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.post(`/instances/${instanceId}/connect`, number ? { number } : {});
+      if (current !== requestId.current) return;
+
+      // Sem QR na resposta, ele chega em seguida pelo evento QRCODE_UPDATED
+      const data = toPairingData(response.data.data);
+      if (data) {
+        setPairing(data);
+      }
+      setExpiresAt(Date.now() + QR_CODE_TTL_MS);
+    } catch (err) {
+      if (current !== requestId.current) return;
+      console.error('Erro ao conectar instância:', err);
+      setError(getErrorMessage(err, 'Erro ao gerar o QR code'));
+    } finally {
+      if (current === requestId.current) setLoading(false);
+    }
+  }, [instanceId]);
+
+  // Cada abertura começa um novo pareamento por QR code
+  useEffect(() => {
+    requestId.current++;
+    setMode('qrcode');
+    setPhone('');
+    setPairing(null);
+    setExpiresAt(0);
+    setAutoRefreshes(0);
+    setError(null);
+
+    if (instanceId) {
+      requestConnection();
+    }
+  }, [instanceId, requestConnection]);
+
+  useEffect(() => {
+    if (!instanceId) return;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [instanceId]);
+
+  const isExpired = expiresAt > 0 && now >= expiresAt;
+  const showQrCode = Boolean(pairing?.base64) && !isExpired;
+
+  // QR expirado sem atualização da Evolution: pedir outro algumas vezes antes de exigir o clique
+  useEffect(() => {
+    if (!isExpired || loading || mode !== 'qrcode' || autoRefreshes >= MAX_AUTO_REFRESHES) return;
+
+    setAutoRefreshes(count => count + 1);
+    requestConnection();
+  }, [isExpired, loading, mode, autoRefreshes, requestConnection]);
+
+  useRealtime(['instance.qrcode', 'instance.status'], ({ event, data }) => {
+    if (!instanceId || data.instanceId !== instanceId) return;
+
+    if (event === 'instance.qrcode') {
+      const next = toPairingData(data as Partial<PairingData>);
+      if (next) applyPairing(next);
+      return;
+    }
+
+    if (data.status === 'connected') {
+      onConnected(data as ConnectedProfile);
+    }
+  });
+
+  const handleModeChange = (_event: React.SyntheticEvent, value: 'qrcode' | 'pairing') => {
+    setMode(value);
+    setError(null);
+    if (value === 'qrcode' && !pairing?.base64) {
+      requestConnection();
+    }
+  };
+
+  const handleRefresh = () => {
+    setAutoRefreshes(0);
+    requestConnection(mode === 'pairing' ? phone : undefined);
+  };
+
+  const secondsLeft = Math.max(0, Math.ceil((expiresAt - now) / 1000));
+
+  return (
+    <Dialog open={Boolean(instance)} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Conectar WhatsApp</DialogTitle>
+      <DialogContent>
+        <Tabs value={mode} onChange={handleModeChange} variant="fullWidth" sx={{ mb: 2 }}>
+          <Tab value="qrcode" label="QR code" />
+          <Tab value="pairing" label="Código de pareamento" />
+        </Tabs>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {mode === 'qrcode' ? (
+          <Box display="flex" flexDirection="column" alignItems="center">
+            <Typography variant="body1" gutterBottom textAlign="center">
+              Escaneie o QR code com seu WhatsApp para conectar a instância "{instance?.instanceName}"
+            </Typography>
+
+            {showQrCode ? (
+              <Box mt={2} p={1} bgcolor="#FFFFFF">
+                <img
+                  src={pairing?.base64 || ''}
+                  alt="QR Code"
+                  style={{ width: '100%', maxWidth: 300 }}
+                />
+              </Box>
+            ) : loading || (!isExpired && !error) ? (
+              <Box display="flex" justifyContent="center" my={4}>
+                <CircularProgress />
+              </Box>
+            ) : (
+              <Box display="flex" flexDirection="column" alignItems="center" my={4} gap={2}>
+                <Typography color="text.secondary">
+                  {error ? 'Não foi possível gerar o QR code.' : 'O QR code expirou.'}
+                </Typography>
+                <Button variant="contained" onClick={handleRefresh}>Gerar novo QR code</Button>
+              </Box>
+            )}
+
+            {showQrCode && (
+              <Typography variant="caption" color="text.secondary" mt={2} textAlign="center">
+                {`O QR code é atualizado automaticamente (expira em ${secondsLeft}s). Esta janela fecha sozinha quando a conexão for concluída.`}
+              </Typography>
+            )}
+          </Box>
+        ) : (
+          <Box display="flex" flexDirection="column" gap={2}>
+            <Typography variant="body2" color="text.secondary">
+              Informe o número do WhatsApp que será conectado. No celular, abra Aparelhos conectados &gt;
+              Conectar um aparelho &gt; Conectar com número de telefone e digite o código exibido.
+            </Typography>
+
+            <Box display="flex" gap={1} alignItems="flex-start">
+              <TextField
+                label="Número com DDI e DDD"
+                placeholder="5511999999999"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                size="small"
+                fullWidth
+              />
+              <Button
+                variant="contained"
+                onClick={handleRefresh}
+                disabled={loading || phone.replace(/\D/g, '').length < 10}
+              >
+                Gerar código
+              </Button>
+            </Box>
+
+            {loading ? (
+              <Box display="flex" justifyContent="center" my={2}>
+                <CircularProgress />
+              </Box>
+            ) : pairing?.pairingCode && (
+              <Box textAlign="center" my={2}>
+                <Typography variant="h4" sx={{ fontFamily: 'monospace', letterSpacing: 4 }}>
+                  {pairing.pairingCode}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Esta janela fecha sozinha quando a conexão for concluída.
+                </Typography>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fechar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QrCodeDialog;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+
+export type InstanceRisk = {
+  score: number;
+  level: 'low' | 'medium' | 'high' | 'critical';
+  factors?: {
+    attempts?: number;
+    rejections?: number;
+    rejectionRate?: number;
+    delivered?: number;
+    read?: number;
+    readRate?: number | null;
+    optOuts?: number;
+    optOutRate?: number;
+    sentLast24h?: number;
+    safeDailyVolume?: number;
+    accountAgeDays?: number;
+  };
+  evaluatedAt?: string;
+  originalThrottling?: Record<string, number> | null;
+  cooldownUntil?: string | null;
+};
+
+const riskLabels = {
+  low: 'Baixo',
+  medium: 'Moderado',
+  high: 'Alto',
+  critical: 'Crítico'
+};
+
+const riskColors = {
+  low: 'success',
+  medium: 'info',
+  high: 'warning',
+  critical: 'error'
+} as const;
+
+const formatRate = (rate?: number | null) =>
+  rate === null || rate === undefined ? '—' : `${Math.round(rate * 1000) / 10}%`;
+
+// Pontuação de risco de banimento do número, com os fatores e as proteções ativas no tooltip
+const RiskChip: React.FC<{ risk?: InstanceRisk }> = ({ risk }) => {
+  if (!risk?.evaluatedAt) {
+    return <Typography variant="caption" color="text.secondary">Não avaliado</Typography>;
+  }
+
+  const factors = risk.factors || {};
+  const inCooldown = Boolean(risk.cooldownUntil && new Date(risk.cooldownUntil) > new Date());
+
+  const details = (
+    <Box>
+      <Typography variant="caption" display="block">
+        {`Rejeições: ${factors.rejections ?? 0} (${formatRate(factors.rejectionRate)})`}
+      </Typography>
+      <Typography variant="caption" display="block">
+        {`Descadastros: ${factors.optOuts ?? 0} (${formatRate(factors.optOutRate)})`}
+      </Typography>
+      <Typography variant="caption" display="block">
+        {`Leitura das entregues: ${formatRate(factors.readRate)}`}
+      </Typography>
+      <Typography variant="caption" display="block">
+        {`Envios em 24h: ${factors.sentLast24h ?? 0} de ${factors.safeDailyVolume ?? '—'} seguros (número com ${factors.accountAgeDays ?? 0} dia(s))`}
+      </Typography>
+      {risk.originalThrottling && (
+        <Typography variant="caption" display="block" mt={1}>
+          Limites de envio reduzidos automaticamente.
+        </Typography>
+      )}
+      {inCooldown && (
+        <Typography variant="caption" display="block">
+          {`Envios em descanso até ${new Date(risk.cooldownUntil as string).toLocaleString()}.`}
+        </Typography>
+      )}
+      <Typography variant="caption" display="block" mt={1}>
+        {`Calculado em ${new Date(risk.evaluatedAt).toLocaleString()}`}
+      </Typography>
+    </Box>
+  );
+
+  return (
+    <Tooltip title={details}>
+      <Chip
+        label={`${riskLabels[risk.level]} · ${risk.score}`}
+        color={riskColors[risk.level]}
+        variant={risk.level === 'low' ? 'outlined' : 'filled'}
+        size="small"
+      />
+    </Tooltip>
+  );
+};
+
+export default RiskChip;
@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  LinearProgress,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Chip,
+  GridLegacy as Grid
+} from '@mui/material';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+type Curve = 'linear' | 'exponential';
+
+type WarmupPlan = {
+  initialDailyLimit: number;
+  targetDailyLimit: number;
+  curve: Curve;
+  dailyIncrease?: number | null;
+  growthRate?: number | null;
+};
+
+export type WarmupProgress = {
+  day: number;
+  totalDays: number;
+  dailyLimit: number | null;
+  targetDailyLimit: number;
+  percent: number;
+  paused: boolean;
+  pauseReason: 'manual' | 'ban_risk' | null;
+  completed: boolean;
+};
+
+type WarmupData = {
+  instanceName: string;
+  plan: (WarmupPlan & { startedAt: string; completedAt?: string | null }) | null;
+  defaultPlan: WarmupPlan;
+  progress: WarmupProgress | null;
+  configuredDailyLimit: number | null;
+  effectiveDailyLimit: number;
+};
+
+type WarmupDialogProps = {
+  instance: { _id: string; instanceName: string } | null;
+  onClose: () => void;
+  onChanged: () => void;
+};
+
+// Prévia do plano com o mesmo cálculo do backend (instanceWarmupService)
+const MAX_PLAN_DAYS = 90;
+
+const getSchedule = (plan: WarmupPlan) => {
+  const schedule: number[] = [];
+  for (let day = 1; day <= MAX_PLAN_DAYS + 1; day++) {
+    const steps = day - 1;
+    const limit = plan.curve === 'exponential'
+      ? Math.round(plan.initialDailyLimit * Math.pow(1 + (plan.growthRate || 0), steps))
+      : plan.initialDailyLimit + (plan.dailyIncrease || 0) * steps;
+    schedule.push(Math.min(limit, plan.targetDailyLimit));
+    if (limit >= plan.targetDailyLimit) break;
+  }
+  return schedule;
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+// Plano de aquecimento do número: limite diário crescente até a meta
+const WarmupDialog: React.FC<WarmupDialogProps> = ({ instance, onClose, onChanged }) => {
+  const [data, setData] = useState<WarmupData | null>(null);
+  const [form, setForm] = useState<WarmupPlan | null>(null);
+  const [restart, setRestart] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const instanceId = instance?._id;
+
+  const loadWarmup = useCallback(async () => {
+    if (!instanceId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get(`/instances/${instanceId}/warmup`);
+      const warmup: WarmupData = response.data.data;
+      const plan = warmup.plan || warmup.defaultPlan;
+      setData(warmup);
+      setForm({
+        initialDailyLimit: plan.initialDailyLimit,
+        targetDailyLimit: plan.targetDailyLimit,
+        curve: plan.curve,
+        dailyIncrease: plan.dailyIncrease ?? warmup.defaultPlan.dailyIncrease,
+        growthRate: plan.growthRate ?? warmup.defaultPlan.growthRate
+      });
+    } catch (err) {
+      console.error('Erro ao carregar aquecimento da instância:', err);
+      setError(getErrorMessage(err, 'Erro ao carregar o aquecimento da instância'));
+    } finally {
+      setLoading(false);
+    }
+  }, [instanceId]);
+
+  useEffect(() => {
+    setData(null);
+    setForm(null);
+    setRestart(false);
+    loadWarmup();
+  }, [loadWarmup]);
+
+  const runAction = async (action: () => Promise<unknown>, fallback: string) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await loadWarmup();
+      onChanged();
+    } catch (err) {
+      console.error(fallback, err);
+      setError(getErrorMessage(err, fallback));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!form) return;
+    runAction(
+      () => api.put(`/instances/${instanceId}/warmup`, {
+        initialDailyLimit: form.initialDailyLimit,
+        targetDailyLimit: form.targetDailyLimit,
+        curve: form.curve,
+        dailyIncrease: form.curve === 'linear' ? form.dailyIncrease : undefined,
+        growthRate: form.curve === 'exponential' ? form.growthRate : undefined,
+        restart
+      }),
+      'Erro ao salvar o plano de aquecimento'
+    );
+  };
+
+  const updateForm = (field: keyof WarmupPlan, value: string) => {
+    if (!form) return;
+    setForm({ ...form, [field]: field === 'curve' ? value : Number(value) });
+  };
+
+  const progress = data?.progress;
+  const active = Boolean(progress && !progress.completed);
+  const schedule = form ? getSchedule(form) : [];
+
+  return (
+    <Dialog open={Boolean(instance)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Aquecimento da instância {instance?.instanceName}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading && !data ? (
+          <Box display="flex" justifyContent="center" my={4}>
+            <CircularProgress />
+          </Box>
+        ) : data && form && (
+          <>
+            {progress && (
+              <Box mb={3}>
+                {progress.paused && (
+                  <Alert
+                    severity={progress.pauseReason === 'ban_risk' ? 'warning' : 'info'}
+                    sx={{ mb: 2 }}
+                    action={
+                      <Button color="inherit" size="small" disabled={saving} onClick={() => runAction(
+                        () => api.post(`/instances/${instanceId}/warmup/resume`),
+                        'Erro ao retomar o aquecimento'
+                      )}>
+                        Retomar
+                      </Button>
+                    }
+                  >
+                    {progress.pauseReason === 'ban_risk'
+                      ? 'Aquecimento pausado automaticamente porque o risco de banimento subiu. O limite fica no valor do dia da pausa.'
+                      : 'Aquecimento pausado. O limite fica no valor do dia da pausa.'}
+                  </Alert>
+                )}
+
+                <Box display="flex" justifyContent="space-between" mb={1}>
+                  <Typography variant="subtitle2">
+                    {progress.completed
+                      ? `Aquecimento concluído: ${progress.targetDailyLimit} mensagens por dia`
+                      : `Dia ${progress.day} de ${progress.totalDays}: até ${progress.dailyLimit} mensagens hoje`}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">{progress.percent}%</Typography>
+                </Box>
+                <LinearProgress
+                  variant="determinate"
+                  value={progress.percent}
+                  color={progress.completed ? 'success' : progress.paused ? 'warning' : 'primary'}
+                  sx={{ height: 8, borderRadius: 4 }}
+                />
+                {active && data.configuredDailyLimit !== null && data.effectiveDailyLimit < (progress.dailyLimit || 0) && (
+                  <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+                    {`O limite diário da instância (${data.effectiveDailyLimit}) é menor que o do plano e prevalece.`}
+                  </Typography>
+                )}
+              </Box>
+            )}
+
+            <Typography variant="subtitle2" gutterBottom>
+              {active ? 'Plano' : 'Novo plano'}
+            </Typography>
+            <Grid container spacing={2} mb={2}>
+              <Grid item xs={6} sm={3}>
+                <TextField
+                  label="Primeiro dia"
+                  type="number"
+                  value={form.initialDailyLimit}
+                  onChange={(e) => updateForm('initialDailyLimit', e.target.value)}
+                  size="small"
+                  fullWidth
+                />
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <TextField
+                  label="Meta diária"
+                  type="number"
+                  value={form.targetDailyLimit}
+                  onChange={(e) => updateForm('targetDailyLimit', e.target.value)}
+                  size="small"
+                  fullWidth
+                />
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <TextField
+                  select
+                  label="Curva"
+                  value={form.curve}
+                  onChange={(e) => updateForm('curve', e.target.value)}
+                  size="small"
+                  fullWidth
+                >
+                  <MenuItem value="linear">Linear</MenuItem>
+                  <MenuItem value="exponential">Exponencial</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                {form.curve === 'linear' ? (
+                  <TextField
+                    label="Acréscimo por dia"
+                    type="number"
+                    value={form.dailyIncrease ?? ''}
+                    onChange={(e) => updateForm('dailyIncrease', e.target.value)}
+                    size="small"
+                    fullWidth
+                  />
+                ) : (
+                  <TextField
+                    label="Crescimento por dia (%)"
+                    type="number"
+                    value={Math.round((form.growthRate || 0) * 100)}
+                    onChange={(e) => updateForm('growthRate', String(Number(e.target.value) / 100))}
+                    size="small"
+                    fullWidth
+                  />
+                )}
+              </Grid>
+            </Grid>
+
+            <Typography variant="caption" color="text.secondary" display="block" gutterBottom>
+              {schedule.length > MAX_PLAN_DAYS
+                ? `O plano levaria mais de ${MAX_PLAN_DAYS} dias para atingir a meta.`
+                : `Limite de cada dia (${schedule.length} dias até a meta):`}
+            </Typography>
+            <Box display="flex" flexWrap="wrap" gap={0.5}>
+              {schedule.slice(0, MAX_PLAN_DAYS).map((limit, index) => (
+                <Chip
+                  key={index}
+                  label={`Dia ${index + 1}: ${limit}`}
+                  size="small"
+                  color={active && progress?.day === index + 1 ? 'primary' : 'default'}
+                  variant={active && progress?.day === index + 1 ? 'filled' : 'outlined'}
+                />
+              ))}
+            </Box>
+
+            {active && (
+              <FormControlLabel
+                sx={{ mt: 2 }}
+                control={<Checkbox checked={restart} onChange={(e) => setRestart(e.target.checked)} />}
+                label="Recomeçar do dia 1"
+              />
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {progress && (
+          <Button color="error" disabled={saving} onClick={() => runAction(
+            () => api.delete(`/instances/${instanceId}/warmup`),
+            'Erro ao encerrar o aquecimento'
+          )}>
+            Encerrar aquecimento
+          </Button>
+        )}
+        {active && !progress?.paused && (
+          <Button disabled={saving} onClick={() => runAction(
+            () => api.post(`/instances/${instanceId}/warmup/pause`),
+            'Erro ao pausar o aquecimento'
+          )}>
+            Pausar
+          </Button>
+        )}
+        <Box flex={1} />
+        <Button onClick={onClose}>Fechar</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !form}>
+          {active ? 'Salvar plano' : 'Iniciar aquecimento'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WarmupDialog;
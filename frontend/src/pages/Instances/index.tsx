@@ -20,7 +20,8 @@ import {
   Chip,
   Avatar,
   Snackbar,
-  Alert
+  Alert,
+  LinearProgress
 } from '@mui/material';
 import SyncIcon from '@mui/icons-material/Sync';
 import DeleteIcon from '@mui/icons-material/Delete';
@@ -28,19 +29,27 @@ import QrCode2Icon from '@mui/icons-material/QrCode2';
 import LogoutIcon from '@mui/icons-material/Logout';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
+import MonitorHeartIcon from '@mui/icons-material/MonitorHeart';
+import LocalFireDepartmentIcon from '@mui/icons-material/LocalFireDepartment';
 import api from '../../services/api';
+import { useRealtime } from '../../services/realtime';
+import { useAuth } from '../../contexts/AuthContext';
 import WebhookConfig from '../../components/WebhookConfig';
-
-// Definição do tipo para setTimeout/setInterval
-type TimeoutType = ReturnType<typeof setTimeout>;
+import QrCodeDialog, { ConnectedProfile } from './QrCodeDialog';
+import InstanceHealthDialog from './InstanceHealthDialog';
+import RiskChip, { InstanceRisk } from './RiskChip';
+import WarmupDialog, { WarmupProgress } from './WarmupDialog';
 
 type Instance = {
   _id: string;
   instanceName: string;
   status: 'disconnected' | 'connected' | 'connecting' | 'error';
-  qrcode?: string;
   lastConnection?: string;
   phone?: string;
+  profileName?: string;
+  profilePictureUrl?: string;
+  risk?: InstanceRisk;
+  warmupProgress?: WarmupProgress | null;
   createdAt: string;
 };
 
@@ -59,16 +68,18 @@ const statusLabels = {
 };
 
 const Instances: React.FC = () => {
+  const { can } = useAuth();
   const [instances, setInstances] = useState<Instance[]>([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
-  const [qrCodeDialogOpen, setQrCodeDialogOpen] = useState(false);
+  const [qrCodeInstance, setQrCodeInstance] = useState<Instance | null>(null);
+  const [healthInstance, setHealthInstance] = useState<Instance | null>(null);
+  const [warmupInstance, setWarmupInstance] = useState<Instance | null>(null);
   const [selectedInstance, setSelectedInstance] = useState<Instance | null>(null);
   const [formData, setFormData] = useState({
     instanceName: ''
   });
-  const [pollingInstance, setPollingInstance] = useState<string | null>(null);
   const [refreshing, setRefreshing] = useState<Record<string, boolean>>({});
   const [syncLoading, setSyncLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({
@@ -87,22 +98,10 @@ const Instances: React.FC = () => {
     return () => clearInterval(interval);
   }, []);
 
-  useEffect(() => {
-    // Polling para verificar status de conexão quando mostrar QR code
-    let pollingInterval: TimeoutType | null = null;
-    
-    if (pollingInstance) {
-      pollingInterval = setInterval(() => {
-        checkInstanceState(pollingInstance);
-      }, 5000);
-    }
-    
-    return () => {
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
-      }
-    };
-  }, [pollingInstance]);
+  // Mudanças de conexão, de risco e do aquecimento chegam pelo canal de tempo real sem esperar o próximo ciclo
+  useRealtime(['instance.status', 'instance.risk', 'instance.warmup'], () => {
+    loadInstances(false);
+  });
 
   const loadInstances = async (showLoading = true) => {
     try {
@@ -194,25 +193,9 @@ const Instances: React.FC = () => {
     setDeleteConfirmOpen(true);
   };
 
-  const handleConnect = async (instance: Instance) => {
-    try {
-      setRefreshing(prev => ({ ...prev, [instance._id]: true }));
-      const response = await api.post(`/instances/${instance._id}/connect`);
-      
-      if (response.data.success) {
-        setSelectedInstance(instance);
-        setQrCodeDialogOpen(true);
-        setPollingInstance(instance._id);
-        
-        // Atualizar a instância para obter o QR code
-        loadInstanceDetails(instance._id);
-      }
-    } catch (error) {
-      console.error('Erro ao conectar instância:', error);
-      showSnackbar('Erro ao conectar instância', 'error');
-    } finally {
-      setRefreshing(prev => ({ ...prev, [instance._id]: false }));
-    }
+  // O diálogo gera o QR code e acompanha o pareamento pelo canal de tempo real
+  const handleConnect = (instance: Instance) => {
+    setQrCodeInstance(instance);
   };
 
   const handleDisconnect = async (instance: Instance) => {
@@ -243,66 +226,35 @@ const Instances: React.FC = () => {
     }
   };
 
-  const loadInstanceDetails = async (instanceId: string) => {
-    try {
-      const response = await api.get(`/instances/${instanceId}`);
-      if (response.data.success) {
-        // Atualizar a instância selecionada com o QR code
-        setSelectedInstance(response.data.data);
-        
-        // Atualizar também na lista
-        setInstances(prev => 
-          prev.map(inst => 
-            inst._id === instanceId ? response.data.data : inst
-          )
-        );
-      }
-    } catch (error) {
-      console.error('Erro ao carregar detalhes da instância:', error);
-    }
-  };
-
-  const checkInstanceState = async (instanceId: string) => {
-    try {
-      const response = await api.get(`/instances/${instanceId}/state`);
-      if (response.data.success) {
-        const status = response.data.data.status;
-        
-        // Se conectado, atualizar e fechar o diálogo
-        if (status === 'connected') {
-          loadInstances();
-          setQrCodeDialogOpen(false);
-          setPollingInstance(null);
-          showSnackbar('Instância conectada com sucesso', 'success');
-        } else if (status === 'disconnected') {
-          // Se desconectado, atualizar QR code
-          loadInstanceDetails(instanceId);
-        }
-      }
-    } catch (error) {
-      console.error('Erro ao verificar estado da instância:', error);
-    }
+  const handleQrCodeClose = () => {
+    setQrCodeInstance(null);
+    loadInstances(false);
   };
 
-  const handleQrCodeClose = () => {
-    setQrCodeDialogOpen(false);
-    setPollingInstance(null);
-    loadInstances();
+  const handleConnected = (profile: ConnectedProfile) => {
+    setQrCodeInstance(null);
+    loadInstances(false);
+    showSnackbar(
+      profile.profileName ? `WhatsApp de ${profile.profileName} conectado com sucesso` : 'Instância conectada com sucesso',
+      'success'
+    );
   };
 
   return (
     <Box p={3}>
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
         <Typography variant="h4">Instâncias WhatsApp</Typography>
-        <Button 
-          variant="contained" 
-          color="primary" 
-          startIcon={<SyncIcon />}
-          onClick={handleSyncInstances}
-          disabled={syncLoading}
-        >
-          {syncLoading ? 'Sincronizando...' : 'Sincronizar Instâncias'}
-        </Button>
+        {can('instance:manage') && (
+          <Button 
+            variant="contained" 
+            color="primary" 
+            startIcon={<SyncIcon />}
+            onClick={handleSyncInstances}
+            disabled={syncLoading}
+          >
+            {syncLoading ? 'Sincronizando...' : 'Sincronizar Instâncias'}
+          </Button>
+        )}
       </Box>
 
       {loading ? (
@@ -316,6 +268,8 @@ const Instances: React.FC = () => {
               <TableRow>
                 <TableCell>Nome</TableCell>
                 <TableCell>Status</TableCell>
+                <TableCell>Risco de banimento</TableCell>
+                <TableCell>Aquecimento</TableCell>
                 <TableCell>Telefone</TableCell>
                 <TableCell>Última Conexão</TableCell>
                 <TableCell>Criado em</TableCell>
@@ -328,10 +282,20 @@ const Instances: React.FC = () => {
                   <TableRow key={instance._id}>
                     <TableCell>
                       <Box display="flex" alignItems="center">
-                        <Avatar sx={{ width: 30, height: 30, mr: 1, bgcolor: 'primary.main' }}>
+                        <Avatar
+                          src={instance.profilePictureUrl || undefined}
+                          sx={{ width: 30, height: 30, mr: 1, bgcolor: 'primary.main' }}
+                        >
                           <PhoneAndroidIcon fontSize="small" />
                         </Avatar>
-                        {instance.instanceName}
+                        <Box>
+                          {instance.instanceName}
+                          {instance.profileName && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {instance.profileName}
+                            </Typography>
+                          )}
+                        </Box>
                       </Box>
                     </TableCell>
                     <TableCell>
@@ -341,6 +305,27 @@ const Instances: React.FC = () => {
                         size="small" 
                       />
                     </TableCell>
+                    <TableCell>
+                      <RiskChip risk={instance.risk} />
+                    </TableCell>
+                    <TableCell sx={{ minWidth: 140 }}>
+                      {instance.warmupProgress ? (
+                        <Box>
+                          <LinearProgress
+                            variant="determinate"
+                            value={instance.warmupProgress.percent}
+                            color={instance.warmupProgress.completed
+                              ? 'success'
+                              : instance.warmupProgress.paused ? 'warning' : 'primary'}
+                          />
+                          <Typography variant="caption" color="text.secondary">
+                            {instance.warmupProgress.completed
+                              ? 'Concluído'
+                              : `Dia ${instance.warmupProgress.day}/${instance.warmupProgress.totalDays} · ${instance.warmupProgress.dailyLimit}/dia${instance.warmupProgress.paused ? ' · pausado' : ''}`}
+                          </Typography>
+                        </Box>
+                      ) : '-'}
+                    </TableCell>
                     <TableCell>{instance.phone || '-'}</TableCell>
                     <TableCell>
                       {instance.lastConnection 
@@ -349,7 +334,7 @@ const Instances: React.FC = () => {
                     </TableCell>
                     <TableCell>{new Date(instance.createdAt).toLocaleString()}</TableCell>
                     <TableCell align="center">
-                      {instance.status !== 'connected' && (
+                      {can('instance:connect') && instance.status !== 'connected' && (
                         <IconButton 
                           color="primary" 
                           size="small" 
@@ -365,7 +350,7 @@ const Instances: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      {instance.status === 'connected' && (
+                      {can('instance:connect') && instance.status === 'connected' && (
                         <IconButton 
                           color="warning" 
                           size="small"
@@ -381,41 +366,65 @@ const Instances: React.FC = () => {
                         </IconButton>
                       )}
                       
-                      <IconButton 
-                        color="info" 
+                      <IconButton
                         size="small"
-                        onClick={() => handleRestart(instance)}
-                        disabled={refreshing[instance._id]}
-                        title="Reiniciar"
+                        onClick={() => setHealthInstance(instance)}
+                        title="Saúde da conexão"
                       >
-                        {refreshing[instance._id] ? (
-                          <CircularProgress size={20} />
-                        ) : (
-                          <RefreshIcon fontSize="small" />
-                        )}
+                        <MonitorHeartIcon fontSize="small" />
                       </IconButton>
                       
-                      <WebhookConfig
-                        instanceId={instance._id}
-                        instanceName={instance.instanceName}
-                        onSuccess={loadInstances}
-                      />
+                      {can('instance:manage') && (
+                        <IconButton
+                          size="small"
+                          onClick={() => setWarmupInstance(instance)}
+                          title="Aquecimento do número"
+                        >
+                          <LocalFireDepartmentIcon fontSize="small" />
+                        </IconButton>
+                      )}
                       
-                      <IconButton 
-                        color="error" 
-                        size="small"
-                        onClick={() => confirmDelete(instance)}
-                        disabled={instance.status === 'connected' || refreshing[instance._id]}
-                        title="Excluir"
-                      >
-                        <DeleteIcon fontSize="small" />
-                      </IconButton>
+                      {can('instance:connect') && (
+                        <IconButton 
+                          color="info" 
+                          size="small"
+                          onClick={() => handleRestart(instance)}
+                          disabled={refreshing[instance._id]}
+                          title="Reiniciar"
+                        >
+                          {refreshing[instance._id] ? (
+                            <CircularProgress size={20} />
+                          ) : (
+                            <RefreshIcon fontSize="small" />
+                          )}
+                        </IconButton>
+                      )}
+                      
+                      {can('instance:manage') && (
+                        <>
+                          <WebhookConfig
+                            instanceId={instance._id}
+                            instanceName={instance.instanceName}
+                            onSuccess={loadInstances}
+                          />
+                          
+                          <IconButton 
+                            color="error" 
+                            size="small"
+                            onClick={() => confirmDelete(instance)}
+                            disabled={instance.status === 'connected' || refreshing[instance._id]}
+                            title="Excluir"
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
               ) : (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={8} align="center">
                     Nenhuma instância encontrada
                   </TableCell>
                 </TableRow>
@@ -470,37 +479,22 @@ const Instances: React.FC = () => {
       </Dialog>
 
       {/* Diálogo do QR Code */}
-      <Dialog open={qrCodeDialogOpen} onClose={handleQrCodeClose} maxWidth="sm" fullWidth>
-        <DialogTitle>Conectar WhatsApp</DialogTitle>
-        <DialogContent>
-          <Box display="flex" flexDirection="column" alignItems="center" mt={2}>
-            <Typography variant="body1" gutterBottom textAlign="center">
-              Escaneie o QR code com seu WhatsApp para conectar a instância "{selectedInstance?.instanceName}"
-            </Typography>
-            
-            {selectedInstance?.qrcode ? (
-              <Box mt={2} p={1} bgcolor="#FFFFFF">
-                <img 
-                  src={selectedInstance.qrcode} 
-                  alt="QR Code" 
-                  style={{ width: '100%', maxWidth: 300 }} 
-                />
-              </Box>
-            ) : (
-              <Box display="flex" justifyContent="center" my={4}>
-                <CircularProgress />
-              </Box>
-            )}
-            
-            <Typography variant="caption" color="text.secondary" mt={2} textAlign="center">
-              O QR code é válido por 60 segundos. Se expirar, feche este diálogo e tente novamente.
-            </Typography>
-          </Box>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={handleQrCodeClose}>Fechar</Button>
-        </DialogActions>
-      </Dialog>
+      <QrCodeDialog
+        instance={qrCodeInstance}
+        onClose={handleQrCodeClose}
+        onConnected={handleConnected}
+      />
+
+      <InstanceHealthDialog
+        instance={healthInstance}
+        onClose={() => setHealthInstance(null)}
+      />
+
+      <WarmupDialog
+        instance={warmupInstance}
+        onClose={() => setWarmupInstance(null)}
+        onChanged={() => loadInstances(false)}
+      />
 
       {/* Snackbar para mensagens */}
       <Snackbar 
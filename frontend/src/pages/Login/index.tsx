@@ -8,11 +8,12 @@ import {
   Alert,
   Link as MuiLink,
 } from '@mui/material';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { Send as SendIcon } from '@mui/icons-material';
 import { useFormik } from 'formik';
 import * as yup from 'yup';
+import { isAxiosError } from 'axios';
 import LogoImage from '../../assets/images/logo.png';
 
 const validationSchema = yup.object({
@@ -26,10 +27,22 @@ const validationSchema = yup.object({
     .required('Senha é obrigatória'),
 });
 
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
 export default function Login() {
-  const { signIn } = useAuth();
+  const { signIn, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
   const [error, setError] = useState<string | null>(null);
+  // Segunda etapa (2FA): token do desafio recebido após a senha correta
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+
+  const goToApp = (twoFactorSetupRequired?: boolean) => {
+    navigate(twoFactorSetupRequired ? '/profile' : '/dashboard');
+  };
 
   const formik = useFormik({
     initialValues: {
@@ -40,8 +53,12 @@ export default function Login() {
     onSubmit: async (values) => {
       try {
         setError(null);
-        await signIn({ email: values.email, password: values.password });
-        navigate('/dashboard');
+        const result = await signIn({ email: values.email, password: values.password });
+        if (result.twoFactorRequired && result.challengeToken) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
+        goToApp(result.twoFactorSetupRequired);
       } catch (err: any) {
         setError(
           err.response?.data?.message || 
@@ -51,6 +68,36 @@ export default function Login() {
     },
   });
 
+  const handleVerifyTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) return;
+
+    try {
+      setVerifying(true);
+      setError(null);
+      const result = await verifyTwoFactor(
+        useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code }
+      );
+      goToApp(result.twoFactorSetupRequired);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Erro ao verificar o código'));
+      setCode('');
+      // Desafio expirado: voltar à etapa de email e senha
+      if (isAxiosError(err) && err.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED') {
+        setChallengeToken(null);
+      }
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
   return (
     <Box
       sx={{
@@ -96,49 +143,95 @@ export default function Login() {
           </Alert>
         )}
 
-        <Box component="form" onSubmit={formik.handleSubmit}>
-          <TextField
-            margin="normal"
-            fullWidth
-            id="email"
-            label="Email"
-            name="email"
-            autoComplete="email"
-            autoFocus
-            value={formik.values.email}
-            onChange={formik.handleChange}
-            error={formik.touched.email && Boolean(formik.errors.email)}
-            helperText={formik.touched.email && formik.errors.email}
-          />
-          <TextField
-            margin="normal"
-            fullWidth
-            name="password"
-            label="Senha"
-            type="password"
-            id="password"
-            autoComplete="current-password"
-            value={formik.values.password}
-            onChange={formik.handleChange}
-            error={formik.touched.password && Boolean(formik.errors.password)}
-            helperText={formik.touched.password && formik.errors.password}
-          />
-          <Button
-            type="submit"
-            fullWidth
-            variant="contained"
-            sx={{ mt: 3, mb: 2, py: 1.5 }}
-            endIcon={<SendIcon />}
-            disabled={formik.isSubmitting}
-          >
-            {formik.isSubmitting ? 'Entrando...' : 'Entrar'}
-          </Button>
-          <Box sx={{ mt: 2, textAlign: 'center' }}>
-            <MuiLink href="#" variant="body2">
-              Esqueceu a senha?
-            </MuiLink>
+        {challengeToken ? (
+          <Box component="form" onSubmit={handleVerifyTwoFactor}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {useRecoveryCode
+                ? 'Digite um dos seus códigos de recuperação.'
+                : 'Digite o código de 6 dígitos do seu aplicativo autenticador.'}
+            </Typography>
+            <TextField
+              margin="normal"
+              fullWidth
+              label={useRecoveryCode ? 'Código de recuperação' : 'Código de verificação'}
+              autoComplete="one-time-code"
+              autoFocus
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+            />
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2, py: 1.5 }}
+              endIcon={<SendIcon />}
+              disabled={verifying || !code}
+            >
+              {verifying ? 'Verificando...' : 'Verificar'}
+            </Button>
+            <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+              <MuiLink component="button" type="button" variant="body2" onClick={handleBackToPassword}>
+                Voltar
+              </MuiLink>
+              <MuiLink
+                component="button"
+                type="button"
+                variant="body2"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Usar aplicativo autenticador' : 'Usar código de recuperação'}
+              </MuiLink>
+            </Box>
           </Box>
-        </Box>
+        ) : (
+          <Box component="form" onSubmit={formik.handleSubmit}>
+            <TextField
+              margin="normal"
+              fullWidth
+              id="email"
+              label="Email"
+              name="email"
+              autoComplete="email"
+              autoFocus
+              value={formik.values.email}
+              onChange={formik.handleChange}
+              error={formik.touched.email && Boolean(formik.errors.email)}
+              helperText={formik.touched.email && formik.errors.email}
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              name="password"
+              label="Senha"
+              type="password"
+              id="password"
+              autoComplete="current-password"
+              value={formik.values.password}
+              onChange={formik.handleChange}
+              error={formik.touched.password && Boolean(formik.errors.password)}
+              helperText={formik.touched.password && formik.errors.password}
+            />
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2, py: 1.5 }}
+              endIcon={<SendIcon />}
+              disabled={formik.isSubmitting}
+            >
+              {formik.isSubmitting ? 'Entrando...' : 'Entrar'}
+            </Button>
+            <Box sx={{ mt: 2, textAlign: 'center' }}>
+              <MuiLink component={RouterLink} to="/reset-password" variant="body2">
+                Esqueceu a senha?
+              </MuiLink>
+            </Box>
+          </Box>
+        )}
       </Paper>
     </Box>
   );
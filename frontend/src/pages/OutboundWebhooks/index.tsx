@@ -0,0 +1,678 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Switch,
+  Chip,
+  Stack,
+  InputAdornment,
+  SelectChangeEvent
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SendIcon from '@mui/icons-material/Send';
+import KeyIcon from '@mui/icons-material/Key';
+import ReplayIcon from '@mui/icons-material/Replay';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+interface Subscription {
+  _id: string;
+  name: string;
+  url: string;
+  events: string[];
+  active: boolean;
+  lastDeliveryAt: string | null;
+  lastDeliveryStatus: 'success' | 'failed' | null;
+  createdAt: string;
+}
+
+interface Delivery {
+  _id: string;
+  subscription: { _id: string; name: string; url: string } | null;
+  eventId: string;
+  event: string;
+  status: 'pending' | 'sending' | 'success' | 'failed';
+  payload: unknown;
+  attempts: number;
+  nextAttemptAt: string;
+  responseStatus?: number | null;
+  responseMessage?: string;
+  processingTimeMs?: number;
+  deliveredAt: string | null;
+  replayOf: string | null;
+  createdAt: string;
+}
+
+interface WebhookEvent {
+  event: string;
+  description: string;
+}
+
+const STATUS_CHIPS: Record<Delivery['status'], { label: string; color: 'default' | 'info' | 'success' | 'error' }> = {
+  pending: { label: 'Pendente', color: 'default' },
+  sending: { label: 'Enviando', color: 'info' },
+  success: { label: 'Entregue', color: 'success' },
+  failed: { label: 'Falhou', color: 'error' }
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+const emptyForm = { name: '', url: '', events: [] as string[], active: true };
+
+const formatDate = (dateString: string | null) => {
+  if (!dateString) return '—';
+  return new Intl.DateTimeFormat('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).format(new Date(dateString));
+};
+
+const OutboundWebhooks: React.FC = () => {
+  const [subscriptions, setSubscriptions] = useState<Subscription[]>([]);
+  const [events, setEvents] = useState<WebhookEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [deliveries, setDeliveries] = useState<Delivery[]>([]);
+  const [loadingDeliveries, setLoadingDeliveries] = useState(true);
+  const [totalDeliveries, setTotalDeliveries] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [filters, setFilters] = useState({ subscription: '', event: '', status: '' });
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState<Subscription | null>(null);
+  const [form, setForm] = useState(emptyForm);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [selectedDelivery, setSelectedDelivery] = useState<Delivery | null>(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success' as 'success' | 'error' | 'info' | 'warning'
+  });
+
+  const showMessage = (message: string, severity: 'success' | 'error' = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [subscriptionsResponse, eventsResponse] = await Promise.all([
+        api.get('/outbound-webhooks'),
+        api.get('/outbound-webhooks/events')
+      ]);
+      setSubscriptions(subscriptionsResponse.data.data);
+      setEvents(eventsResponse.data.data);
+    } catch (error) {
+      console.error('Erro ao carregar webhooks de saída:', error);
+      setSnackbar({
+        open: true,
+        message: getErrorMessage(error, 'Erro ao carregar webhooks'),
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setLoadingDeliveries(true);
+      const response = await api.get('/outbound-webhooks/deliveries', {
+        params: {
+          subscription: filters.subscription || undefined,
+          event: filters.event || undefined,
+          status: filters.status || undefined,
+          page: page + 1,
+          limit: rowsPerPage
+        }
+      });
+      setDeliveries(response.data.data.deliveries);
+      setTotalDeliveries(response.data.data.pagination.total);
+    } catch (error) {
+      console.error('Erro ao carregar entregas:', error);
+    } finally {
+      setLoadingDeliveries(false);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const handleFilterChange = (field: keyof typeof filters) => (event: SelectChangeEvent) => {
+    setFilters(prev => ({ ...prev, [field]: event.target.value }));
+    setPage(0);
+  };
+
+  const handleOpenCreate = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setDialogOpen(true);
+  };
+
+  const handleOpenEdit = (subscription: Subscription) => {
+    setEditing(subscription);
+    setForm({
+      name: subscription.name,
+      url: subscription.url,
+      events: subscription.events,
+      active: subscription.active
+    });
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setEditing(null);
+    setForm(emptyForm);
+  };
+
+  const handleToggleEvent = (event: string) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(item => item !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      if (editing) {
+        await api.put(`/outbound-webhooks/${editing._id}`, form);
+        showMessage('Webhook atualizado');
+      } else {
+        const response = await api.post('/outbound-webhooks', form);
+        setSecret(response.data.data.secret);
+      }
+      handleCloseDialog();
+      loadSubscriptions();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao salvar webhook'), 'error');
+    }
+  };
+
+  const handleToggleActive = async (subscription: Subscription) => {
+    try {
+      await api.put(`/outbound-webhooks/${subscription._id}`, { active: !subscription.active });
+      loadSubscriptions();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao atualizar webhook'), 'error');
+    }
+  };
+
+  const handleDelete = async (subscription: Subscription) => {
+    if (!window.confirm(`Excluir o webhook "${subscription.name}" e o seu histórico de entregas?`)) return;
+    try {
+      await api.delete(`/outbound-webhooks/${subscription._id}`);
+      showMessage('Webhook excluído');
+      loadSubscriptions();
+      loadDeliveries();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao excluir webhook'), 'error');
+    }
+  };
+
+  const handleRotateSecret = async (subscription: Subscription) => {
+    if (!window.confirm(`Gerar um novo segredo para "${subscription.name}"? O segredo atual deixa de valer imediatamente.`)) return;
+    try {
+      const response = await api.post(`/outbound-webhooks/${subscription._id}/rotate-secret`);
+      setSecret(response.data.data.secret);
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao gerar novo segredo'), 'error');
+    }
+  };
+
+  const handleTest = async (subscription: Subscription) => {
+    try {
+      const response = await api.post(`/outbound-webhooks/${subscription._id}/test`);
+      showMessage(response.data.message);
+      loadDeliveries();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao testar webhook'), 'error');
+    }
+  };
+
+  const handleReplay = async (delivery: Delivery) => {
+    try {
+      const response = await api.post(`/outbound-webhooks/deliveries/${delivery._id}/replay`);
+      showMessage(response.data.message);
+      setSelectedDelivery(null);
+      loadDeliveries();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao reenviar entrega'), 'error');
+    }
+  };
+
+  const handleCopySecret = async () => {
+    if (!secret) return;
+    try {
+      await navigator.clipboard.writeText(secret);
+      showMessage('Segredo copiado');
+    } catch {
+      showMessage('Não foi possível copiar. Selecione e copie manualmente', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Webhooks de Saída
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleOpenCreate}>
+          Novo Webhook
+        </Button>
+      </Box>
+
+      <Alert severity="info" sx={{ mb: 3 }}>
+        Cada entrega é um POST JSON assinado: o cabeçalho <code>X-ZapStorm-Signature</code> traz
+        {' '}<code>sha256=</code> seguido do HMAC-SHA256 de <code>{'<X-ZapStorm-Timestamp>.<corpo>'}</code> com
+        o segredo do webhook. Respostas fora da faixa 2xx são reenviadas com intervalos crescentes.
+      </Alert>
+
+      <TableContainer component={Paper} sx={{ mb: 4 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Nome</TableCell>
+              <TableCell>Eventos</TableCell>
+              <TableCell>Última entrega</TableCell>
+              <TableCell>Ativo</TableCell>
+              <TableCell align="right">Ações</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {subscriptions.map(subscription => (
+              <TableRow key={subscription._id}>
+                <TableCell>
+                  {subscription.name}
+                  <Typography variant="caption" display="block" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                    {subscription.url}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {subscription.events.map(event => (
+                    <Chip key={event} label={event} size="small" variant="outlined" sx={{ mr: 0.5, mb: 0.5 }} />
+                  ))}
+                </TableCell>
+                <TableCell>
+                  {formatDate(subscription.lastDeliveryAt)}
+                  {subscription.lastDeliveryStatus && (
+                    <Chip
+                      label={subscription.lastDeliveryStatus === 'success' ? 'Entregue' : 'Falhou'}
+                      size="small"
+                      color={subscription.lastDeliveryStatus === 'success' ? 'success' : 'error'}
+                      sx={{ ml: 1 }}
+                    />
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Switch checked={subscription.active} onChange={() => handleToggleActive(subscription)} />
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Enviar evento de teste">
+                    <span>
+                      <IconButton onClick={() => handleTest(subscription)} disabled={!subscription.active}>
+                        <SendIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Editar">
+                    <IconButton onClick={() => handleOpenEdit(subscription)}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Gerar novo segredo">
+                    <IconButton onClick={() => handleRotateSecret(subscription)}>
+                      <KeyIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Excluir">
+                    <IconButton color="error" onClick={() => handleDelete(subscription)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+            {subscriptions.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  Nenhum webhook de saída cadastrado
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5">Entregas</Typography>
+        <Tooltip title="Atualizar">
+          <IconButton onClick={() => loadDeliveries()}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Paper sx={{ mb: 2, p: 2 }}>
+        <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Webhook</InputLabel>
+            <Select value={filters.subscription} label="Webhook" onChange={handleFilterChange('subscription')}>
+              <MenuItem value="">Todos</MenuItem>
+              {subscriptions.map(subscription => (
+                <MenuItem key={subscription._id} value={subscription._id}>{subscription.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Evento</InputLabel>
+            <Select value={filters.event} label="Evento" onChange={handleFilterChange('event')}>
+              <MenuItem value="">Todos</MenuItem>
+              {events.map(({ event }) => (
+                <MenuItem key={event} value={event}>{event}</MenuItem>
+              ))}
+              <MenuItem value="ping">ping</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Status</InputLabel>
+            <Select value={filters.status} label="Status" onChange={handleFilterChange('status')}>
+              <MenuItem value="">Todos</MenuItem>
+              {Object.entries(STATUS_CHIPS).map(([status, { label }]) => (
+                <MenuItem key={status} value={status}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Stack>
+      </Paper>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Data/Hora</TableCell>
+              <TableCell>Webhook</TableCell>
+              <TableCell>Evento</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Tentativas</TableCell>
+              <TableCell>Resposta</TableCell>
+              <TableCell align="right">Ações</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loadingDeliveries ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : deliveries.length > 0 ? (
+              deliveries.map(delivery => (
+                <TableRow key={delivery._id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelectedDelivery(delivery)}>
+                  <TableCell>{formatDate(delivery.createdAt)}</TableCell>
+                  <TableCell>{delivery.subscription?.name || '—'}</TableCell>
+                  <TableCell>
+                    <Chip label={delivery.event} size="small" variant="outlined" />
+                    {delivery.replayOf && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Reenvio
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={STATUS_CHIPS[delivery.status].label}
+                      size="small"
+                      color={STATUS_CHIPS[delivery.status].color}
+                    />
+                    {delivery.status === 'pending' && delivery.attempts > 0 && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Próxima: {formatDate(delivery.nextAttemptAt)}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{delivery.attempts}</TableCell>
+                  <TableCell>
+                    {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.responseMessage || '—'}
+                  </TableCell>
+                  <TableCell align="right">
+                    {['success', 'failed'].includes(delivery.status) && (
+                      <Tooltip title="Reenviar">
+                        <IconButton
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            handleReplay(delivery);
+                          }}
+                        >
+                          <ReplayIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  Nenhuma entrega encontrada
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          rowsPerPageOptions={[10, 25, 50, 100]}
+          component="div"
+          count={totalDeliveries}
+          rowsPerPage={rowsPerPage}
+          page={page}
+          onPageChange={(_event, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          labelRowsPerPage="Linhas por página"
+          labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+        />
+      </TableContainer>
+
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? 'Editar Webhook' : 'Novo Webhook'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Nome"
+            fullWidth
+            margin="normal"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <TextField
+            label="URL"
+            fullWidth
+            margin="normal"
+            value={form.url}
+            onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+            placeholder="https://meusistema.com/webhooks/zapstorm"
+          />
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>
+            Eventos
+          </Typography>
+          <FormGroup>
+            {events.map(({ event, description }) => (
+              <FormControlLabel
+                key={event}
+                control={
+                  <Checkbox
+                    checked={form.events.includes(event)}
+                    onChange={() => handleToggleEvent(event)}
+                  />
+                }
+                label={`${description} (${event})`}
+              />
+            ))}
+          </FormGroup>
+          {editing && (
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.active}
+                  onChange={(e) => setForm(prev => ({ ...prev, active: e.target.checked }))}
+                />
+              }
+              label="Ativo"
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancelar</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={!form.name.trim() || !form.url.trim() || form.events.length === 0}
+          >
+            Salvar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(secret)} onClose={() => setSecret(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Segredo de assinatura</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copie o segredo agora. Por segurança, ele não será exibido novamente.
+          </Alert>
+          <TextField
+            fullWidth
+            value={secret || ''}
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: 'monospace' },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <IconButton onClick={handleCopySecret} edge="end">
+                    <ContentCopyIcon />
+                  </IconButton>
+                </InputAdornment>
+              )
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setSecret(null)}>
+            Concluir
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(selectedDelivery)} onClose={() => setSelectedDelivery(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selectedDelivery?.event}</DialogTitle>
+        <DialogContent dividers>
+          {selectedDelivery && (
+            <>
+              <Typography variant="body2" gutterBottom>
+                <strong>Webhook:</strong> {selectedDelivery.subscription?.name || '—'} ({selectedDelivery.subscription?.url})
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Evento:</strong> {selectedDelivery.eventId}
+              </Typography>
+              <Typography variant="body2" gutterBottom>
+                <strong>Status:</strong> {STATUS_CHIPS[selectedDelivery.status].label} — {selectedDelivery.attempts} tentativa(s)
+                {selectedDelivery.processingTimeMs !== undefined && `, ${selectedDelivery.processingTimeMs} ms na última`}
+              </Typography>
+              {selectedDelivery.deliveredAt && (
+                <Typography variant="body2" gutterBottom>
+                  <strong>Entregue em:</strong> {formatDate(selectedDelivery.deliveredAt)}
+                </Typography>
+              )}
+              {selectedDelivery.responseMessage && (
+                <>
+                  <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                    Resposta {selectedDelivery.responseStatus && `(HTTP ${selectedDelivery.responseStatus})`}
+                  </Typography>
+                  <Box component="pre" sx={{ p: 1, bgcolor: 'action.hover', borderRadius: 1, overflow: 'auto', whiteSpace: 'pre-wrap' }}>
+                    {selectedDelivery.responseMessage}
+                  </Box>
+                </>
+              )}
+              <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                Corpo enviado
+              </Typography>
+              <Box component="pre" sx={{ p: 1, bgcolor: 'action.hover', borderRadius: 1, overflow: 'auto' }}>
+                {JSON.stringify(selectedDelivery.payload, null, 2)}
+              </Box>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {selectedDelivery && ['success', 'failed'].includes(selectedDelivery.status) && (
+            <Button startIcon={<ReplayIcon />} onClick={() => handleReplay(selectedDelivery)}>
+              Reenviar
+            </Button>
+          )}
+          <Button onClick={() => setSelectedDelivery(null)}>Fechar</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default OutboundWebhooks;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import LogoutIcon from '@mui/icons-material/Logout';
+import DevicesIcon from '@mui/icons-material/Devices';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface Session {
+  _id: string;
+  device: string;
+  ip: string;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+type ActiveSessionsProps = {
+  onMessage: (message: string, severity: 'success' | 'error') => void;
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+// Sessões abertas do usuário (dispositivo, IP e último uso), com opção de encerrá-las
+const ActiveSessions: React.FC<ActiveSessionsProps> = ({ onMessage }) => {
+  const { signOut } = useAuth();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data);
+    } catch (err) {
+      console.error('Erro ao carregar sessões:', err);
+      setError(getErrorMessage(err, 'Erro ao carregar sessões'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session: Session) => {
+    // Encerrar a sessão atual equivale a sair
+    if (session.current) {
+      signOut();
+      return;
+    }
+
+    try {
+      await api.delete(`/auth/sessions/${session._id}`);
+      onMessage('Sessão encerrada com sucesso', 'success');
+      loadSessions();
+    } catch (err) {
+      console.error('Erro ao encerrar sessão:', err);
+      onMessage(getErrorMessage(err, 'Erro ao encerrar sessão'), 'error');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await api.delete('/auth/sessions');
+      onMessage(response.data.message, 'success');
+      loadSessions();
+    } catch (err) {
+      console.error('Erro ao encerrar sessões:', err);
+      onMessage(getErrorMessage(err, 'Erro ao encerrar sessões'), 'error');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h6">
+          Sessões Ativas
+        </Typography>
+        <Button
+          color="error"
+          startIcon={<LogoutIcon />}
+          onClick={handleRevokeOthers}
+          disabled={loading || sessions.filter(session => !session.current).length === 0}
+        >
+          Encerrar outras sessões
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={3}>
+          <CircularProgress />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Dispositivo</TableCell>
+              <TableCell>IP</TableCell>
+              <TableCell>Último uso</TableCell>
+              <TableCell>Início</TableCell>
+              <TableCell align="right">Ações</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sessions.map(session => (
+              <TableRow key={session._id}>
+                <TableCell>
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <DevicesIcon fontSize="small" color="action" />
+                    {session.device}
+                    {session.current && <Chip size="small" color="primary" label="Esta sessão" />}
+                  </Box>
+                </TableCell>
+                <TableCell>{session.ip || '-'}</TableCell>
+                <TableCell>{new Date(session.lastUsedAt).toLocaleString()}</TableCell>
+                <TableCell>{new Date(session.createdAt).toLocaleString()}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title={session.current ? 'Sair' : 'Encerrar sessão'}>
+                    <IconButton size="small" color="error" onClick={() => handleRevoke(session)}>
+                      <LogoutIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+};
+
+export default ActiveSessions;
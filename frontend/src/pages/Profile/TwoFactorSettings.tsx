@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  TextField,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import SecurityIcon from '@mui/icons-material/Security';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+interface Enrollment {
+  secret: string;
+  qrCode: string;
+}
+
+type TwoFactorSettingsProps = {
+  onMessage: (message: string, severity: 'success' | 'error') => void;
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+// Ativação, desativação e códigos de recuperação da autenticação em dois fatores
+const TwoFactorSettings: React.FC<TwoFactorSettingsProps> = ({ onMessage }) => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [disableOpen, setDisableOpen] = useState(false);
+  const [regenerateOpen, setRegenerateOpen] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/auth/2fa');
+      setStatus(response.data.data);
+    } catch (err) {
+      console.error('Erro ao carregar autenticação em dois fatores:', err);
+      onMessage(getErrorMessage(err, 'Erro ao carregar autenticação em dois fatores'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [onMessage]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const closeDialogs = () => {
+    setDisableOpen(false);
+    setRegenerateOpen(false);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.post('/auth/2fa/setup');
+      setEnrollment(response.data.data);
+      setCode('');
+    } catch (err) {
+      onMessage(getErrorMessage(err, 'Erro ao iniciar a ativação'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.post('/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setEnrollment(null);
+      setCode('');
+      onMessage('Autenticação em dois fatores ativada', 'success');
+      loadStatus();
+    } catch (err) {
+      onMessage(getErrorMessage(err, 'Erro ao ativar a autenticação em dois fatores'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      setSubmitting(true);
+      await api.post('/auth/2fa/disable', { password, code });
+      closeDialogs();
+      onMessage('Autenticação em dois fatores desativada', 'success');
+      loadStatus();
+    } catch (err) {
+      onMessage(getErrorMessage(err, 'Erro ao desativar a autenticação em dois fatores'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      closeDialogs();
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      loadStatus();
+    } catch (err) {
+      onMessage(getErrorMessage(err, 'Erro ao gerar códigos de recuperação'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    onMessage('Códigos copiados', 'success');
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={1} mb={2}>
+        <SecurityIcon color="action" />
+        <Typography variant="h6">
+          Autenticação em Dois Fatores
+        </Typography>
+        {status && (
+          <Chip
+            size="small"
+            label={status.enabled ? 'Ativa' : 'Inativa'}
+            color={status.enabled ? 'success' : 'default'}
+          />
+        )}
+      </Box>
+
+      {loading || !status ? (
+        <Box display="flex" justifyContent="center" p={3}>
+          <CircularProgress />
+        </Box>
+      ) : status.enabled ? (
+        <>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {`Ativada em ${status.enabledAt ? new Date(status.enabledAt).toLocaleString() : '-'}. `}
+            {`Restam ${status.recoveryCodesRemaining} código(s) de recuperação.`}
+          </Typography>
+          {status.recoveryCodesRemaining <= 2 && (
+            <Alert severity="warning" sx={{ my: 2 }}>
+              Poucos códigos de recuperação restantes. Gere novos códigos e guarde-os em local seguro.
+            </Alert>
+          )}
+          <Box display="flex" gap={2} mt={2}>
+            <Button variant="outlined" onClick={() => setRegenerateOpen(true)}>
+              Gerar novos códigos de recuperação
+            </Button>
+            {!status.required && (
+              <Button color="error" onClick={() => setDisableOpen(true)}>
+                Desativar
+              </Button>
+            )}
+          </Box>
+        </>
+      ) : enrollment ? (
+        <Box>
+          <Typography variant="body2" gutterBottom>
+            Escaneie o QR code com um aplicativo autenticador (Google Authenticator, Microsoft Authenticator, Authy etc.) e digite o código gerado.
+          </Typography>
+          <Box display="flex" justifyContent="center" my={2}>
+            <Box component="img" src={enrollment.qrCode} alt="QR code da autenticação em dois fatores" sx={{ width: 200, height: 200 }} />
+          </Box>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Sem câmera? Informe a chave manualmente:
+          </Typography>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+            {enrollment.secret}
+          </Typography>
+          <Box display="flex" gap={2} alignItems="flex-start">
+            <TextField
+              size="small"
+              label="Código de 6 dígitos"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+            />
+            <Button variant="contained" onClick={handleEnable} disabled={submitting || code.length !== 6}>
+              Confirmar
+            </Button>
+            <Button onClick={() => setEnrollment(null)} disabled={submitting}>
+              Cancelar
+            </Button>
+          </Box>
+        </Box>
+      ) : (
+        <>
+          {status.required && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              A autenticação em dois fatores é obrigatória para o seu perfil de acesso. Ative-a para continuar usando o sistema.
+            </Alert>
+          )}
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Além da senha, o login passa a exigir um código gerado no seu celular.
+          </Typography>
+          <Button variant="contained" sx={{ mt: 2 }} onClick={handleStartSetup} disabled={submitting}>
+            Ativar
+          </Button>
+        </>
+      )}
+
+      <Dialog open={recoveryCodes.length > 0} onClose={() => setRecoveryCodes([])} maxWidth="xs" fullWidth>
+        <DialogTitle>Códigos de Recuperação</DialogTitle>
+        <DialogContent>
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Guarde estes códigos em local seguro. Cada um permite entrar uma única vez sem o aplicativo autenticador e eles não serão exibidos novamente.
+          </Alert>
+          <Box display="grid" gridTemplateColumns="1fr 1fr" gap={1} sx={{ fontFamily: 'monospace' }}>
+            {recoveryCodes.map(recoveryCode => (
+              <Typography key={recoveryCode} variant="body2" sx={{ fontFamily: 'monospace' }}>
+                {recoveryCode}
+              </Typography>
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button startIcon={<ContentCopyIcon />} onClick={handleCopyCodes}>
+            Copiar
+          </Button>
+          <Button variant="contained" onClick={() => setRecoveryCodes([])}>
+            Já guardei
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={disableOpen} onClose={closeDialogs} maxWidth="xs" fullWidth>
+        <DialogTitle>Desativar Autenticação em Dois Fatores</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="normal"
+            type="password"
+            label="Senha atual"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Código do aplicativo"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialogs}>Cancelar</Button>
+          <Button color="error" variant="contained" onClick={handleDisable} disabled={submitting || !password || !code}>
+            Desativar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={regenerateOpen} onClose={closeDialogs} maxWidth="xs" fullWidth>
+        <DialogTitle>Gerar Novos Códigos de Recuperação</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            Os códigos atuais deixarão de valer.
+          </Typography>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Código do aplicativo"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialogs}>Cancelar</Button>
+          <Button variant="contained" onClick={handleRegenerate} disabled={submitting || code.length !== 6}>
+            Gerar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Typography,
@@ -18,7 +18,12 @@ import SaveIcon from '@mui/icons-material/Save';
 import Visibility from '@mui/icons-material/Visibility';
 import VisibilityOff from '@mui/icons-material/VisibilityOff';
 import LockIcon from '@mui/icons-material/Lock';
+import { isAxiosError } from 'axios';
 import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ROLE_LABELS } from '../../utils/permissions';
+import ActiveSessions from './ActiveSessions';
+import TwoFactorSettings from './TwoFactorSettings';
 
 interface UserProfile {
   id: string;
@@ -34,7 +39,11 @@ interface PasswordChange {
   confirmPassword: string;
 }
 
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
 const Profile: React.FC = () => {
+  const { updateToken } = useAuth();
   const [profile, setProfile] = useState<UserProfile | null>(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -62,20 +71,9 @@ const Profile: React.FC = () => {
   const loadProfile = async () => {
     try {
       setLoading(true);
-      try {
-        const response = await api.get('/auth/profile');
-        if (response.data.success) {
-          setProfile(response.data.data);
-        }
-      } catch (apiError) {
-        console.error('Erro específico da API:', apiError);
-        setProfile({
-          id: '1',
-          name: 'Usuário Demo',
-          email: 'usuario@exemplo.com',
-          role: 'admin',
-          createdAt: new Date().toISOString()
-        });
+      const response = await api.get('/auth/profile');
+      if (response.data.success) {
+        setProfile(response.data.user);
       }
     } catch (error) {
       console.error('Erro ao carregar perfil:', error);
@@ -119,23 +117,14 @@ const Profile: React.FC = () => {
     
     try {
       setSaving(true);
-      try {
-        const response = await api.put('/auth/profile', {
-          name: profile.name
-        });
-        
-        if (response.data.success) {
-          setSnackbar({
-            open: true,
-            message: 'Perfil atualizado com sucesso',
-            severity: 'success'
-          });
-        }
-      } catch (apiError) {
-        console.error('Erro específico da API:', apiError);
+      const response = await api.put('/auth/profile', {
+        name: profile.name
+      });
+      
+      if (response.data.success) {
         setSnackbar({
           open: true,
-          message: 'Perfil atualizado com sucesso (modo demonstração)',
+          message: 'Perfil atualizado com sucesso',
           severity: 'success'
         });
       }
@@ -143,7 +132,7 @@ const Profile: React.FC = () => {
       console.error('Erro ao atualizar perfil:', error);
       setSnackbar({
         open: true,
-        message: 'Erro ao atualizar perfil',
+        message: getErrorMessage(error, 'Erro ao atualizar perfil'),
         severity: 'error'
       });
     } finally {
@@ -161,10 +150,10 @@ const Profile: React.FC = () => {
       return;
     }
     
-    if (passwordData.newPassword.length < 6) {
+    if (passwordData.newPassword.length < 8) {
       setSnackbar({
         open: true,
-        message: 'A nova senha deve ter pelo menos 6 caracteres',
+        message: 'A nova senha deve ter pelo menos 8 caracteres',
         severity: 'error'
       });
       return;
@@ -172,30 +161,18 @@ const Profile: React.FC = () => {
     
     try {
       setChangingPassword(true);
-      try {
-        const response = await api.put('/auth/password', {
-          currentPassword: passwordData.currentPassword,
-          newPassword: passwordData.newPassword
-        });
-        
-        if (response.data.success) {
-          setSnackbar({
-            open: true,
-            message: 'Senha alterada com sucesso',
-            severity: 'success'
-          });
-          
-          setPasswordData({
-            currentPassword: '',
-            newPassword: '',
-            confirmPassword: ''
-          });
-        }
-      } catch (apiError) {
-        console.error('Erro específico da API:', apiError);
+      const response = await api.put('/auth/password', {
+        currentPassword: passwordData.currentPassword,
+        newPassword: passwordData.newPassword
+      });
+      
+      if (response.data.success) {
+        // As demais sessões foram encerradas; esta continua com o novo token
+        updateToken(response.data.token);
+
         setSnackbar({
           open: true,
-          message: 'Senha alterada com sucesso (modo demonstração)',
+          message: 'Senha alterada com sucesso. As outras sessões foram encerradas',
           severity: 'success'
         });
         
@@ -209,7 +186,7 @@ const Profile: React.FC = () => {
       console.error('Erro ao alterar senha:', error);
       setSnackbar({
         open: true,
-        message: 'Erro ao alterar senha. Verifique sua senha atual.',
+        message: getErrorMessage(error, 'Erro ao alterar senha. Verifique sua senha atual.'),
         severity: 'error'
       });
     } finally {
@@ -217,6 +194,10 @@ const Profile: React.FC = () => {
     }
   };
 
+  const showMessage = useCallback((message: string, severity: 'success' | 'error') => {
+    setSnackbar({ open: true, message, severity });
+  }, []);
+
   const handleCloseSnackbar = () => {
     setSnackbar(prev => ({ ...prev, open: false }));
   };
@@ -272,7 +253,7 @@ const Profile: React.FC = () => {
               <Box>
                 <Typography variant="h5">{profile.name}</Typography>
                 <Typography variant="body2" color="textSecondary">
-                  {profile.role === 'admin' ? 'Administrador' : 'Usuário'}
+                  {ROLE_LABELS[profile.role] || profile.role}
                 </Typography>
               </Box>
             </Box>
@@ -366,6 +347,7 @@ const Profile: React.FC = () => {
                     type={showPassword.new ? 'text' : 'password'}
                     value={passwordData.newPassword}
                     onChange={handlePasswordChange}
+                    helperText="Mínimo de 8 caracteres, com letras maiúsculas, minúsculas e números"
                     InputProps={{
                       endAdornment: (
                         <InputAdornment position="end">
@@ -435,6 +417,14 @@ const Profile: React.FC = () => {
             </Box>
           </Paper>
         </Grid>
+
+        <Grid item xs={12}>
+          <TwoFactorSettings onMessage={showMessage} />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ActiveSessions onMessage={showMessage} />
+        </Grid>
       </Grid>
       
       <Snackbar
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Alert,
+  Link as MuiLink,
+} from '@mui/material';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { useFormik } from 'formik';
+import * as yup from 'yup';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import LogoImage from '../../assets/images/logo.png';
+
+const requestSchema = yup.object({
+  email: yup
+    .string()
+    .email('Digite um email válido')
+    .required('Email é obrigatório'),
+});
+
+const resetSchema = yup.object({
+  password: yup
+    .string()
+    .min(8, 'A senha deve ter pelo menos 8 caracteres')
+    .matches(/[a-z]/, 'A senha deve conter letras minúsculas')
+    .matches(/[A-Z]/, 'A senha deve conter letras maiúsculas')
+    .matches(/\d/, 'A senha deve conter números')
+    .required('Senha é obrigatória'),
+  confirmPassword: yup
+    .string()
+    .oneOf([yup.ref('password')], 'As senhas não coincidem')
+    .required('Confirme a nova senha'),
+});
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+// Sem token: solicita o link de redefinição. Com ?token=: define a nova senha
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const requestFormik = useFormik({
+    initialValues: { email: '' },
+    validationSchema: requestSchema,
+    onSubmit: async (values) => {
+      try {
+        setError(null);
+        const response = await api.post('/auth/forgot-password', { email: values.email });
+        setSuccess(response.data.message);
+      } catch (err) {
+        setError(getErrorMessage(err, 'Erro ao solicitar redefinição de senha'));
+      }
+    },
+  });
+
+  const resetFormik = useFormik({
+    initialValues: { password: '', confirmPassword: '' },
+    validationSchema: resetSchema,
+    onSubmit: async (values) => {
+      try {
+        setError(null);
+        const response = await api.post('/auth/reset-password', { token, password: values.password });
+        setSuccess(response.data.message);
+      } catch (err) {
+        setError(getErrorMessage(err, 'Erro ao redefinir senha'));
+      }
+    },
+  });
+
+  return (
+    <Box
+      sx={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: theme => theme.palette.mode === 'dark' ? '#121212' : '#f5f5f5',
+      }}
+    >
+      <Paper
+        elevation={4}
+        sx={{
+          width: '90%',
+          maxWidth: '400px',
+          padding: '32px',
+          borderRadius: '8px',
+          textAlign: 'center',
+        }}
+      >
+        <Box
+          component="img"
+          src={LogoImage}
+          alt="ZapStorm Logo"
+          sx={{
+            height: 120,
+            maxWidth: '100%',
+            marginBottom: '16px',
+          }}
+        />
+
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          {token ? 'Definir nova senha' : 'Esqueceu a senha?'}
+        </Typography>
+        <Typography variant="body2" sx={{ mb: 3, color: 'text.secondary' }}>
+          {token
+            ? 'Use pelo menos 8 caracteres, com letras maiúsculas, minúsculas e números.'
+            : 'Informe seu email para receber o link de redefinição. Se preferir, peça ao administrador que gere um link.'}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {success ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {success}
+          </Alert>
+        ) : token ? (
+          <Box component="form" onSubmit={resetFormik.handleSubmit}>
+            <TextField
+              margin="normal"
+              fullWidth
+              name="password"
+              label="Nova senha"
+              type="password"
+              autoComplete="new-password"
+              autoFocus
+              value={resetFormik.values.password}
+              onChange={resetFormik.handleChange}
+              error={resetFormik.touched.password && Boolean(resetFormik.errors.password)}
+              helperText={resetFormik.touched.password && resetFormik.errors.password}
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              name="confirmPassword"
+              label="Confirmar nova senha"
+              type="password"
+              autoComplete="new-password"
+              value={resetFormik.values.confirmPassword}
+              onChange={resetFormik.handleChange}
+              error={resetFormik.touched.confirmPassword && Boolean(resetFormik.errors.confirmPassword)}
+              helperText={resetFormik.touched.confirmPassword && resetFormik.errors.confirmPassword}
+            />
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2, py: 1.5 }}
+              disabled={resetFormik.isSubmitting}
+            >
+              {resetFormik.isSubmitting ? 'Salvando...' : 'Redefinir senha'}
+            </Button>
+          </Box>
+        ) : (
+          <Box component="form" onSubmit={requestFormik.handleSubmit}>
+            <TextField
+              margin="normal"
+              fullWidth
+              name="email"
+              label="Email"
+              autoComplete="email"
+              autoFocus
+              value={requestFormik.values.email}
+              onChange={requestFormik.handleChange}
+              error={requestFormik.touched.email && Boolean(requestFormik.errors.email)}
+              helperText={requestFormik.touched.email && requestFormik.errors.email}
+            />
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2, py: 1.5 }}
+              disabled={requestFormik.isSubmitting}
+            >
+              {requestFormik.isSubmitting ? 'Enviando...' : 'Enviar link'}
+            </Button>
+          </Box>
+        )}
+
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <MuiLink component={RouterLink} to="/login" variant="body2">
+            Voltar para o login
+          </MuiLink>
+        </Box>
+      </Paper>
+    </Box>
+  );
+}
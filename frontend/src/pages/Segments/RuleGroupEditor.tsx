@@ -0,0 +1,313 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Autocomplete,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AccountTreeIcon from '@mui/icons-material/AccountTree';
+import { ContactField } from '../Contacts/CustomFieldsDialog';
+import {
+  RuleGroup,
+  SegmentRule,
+  MAX_GROUP_DEPTH,
+  ruleTypeLabels,
+  tagOperatorLabels,
+  fieldOperatorLabels,
+  isRuleGroup,
+  createEmptyGroup,
+  createRule
+} from './segmentRules';
+
+export type RuleEditorOptions = {
+  fields: ContactField[];
+  tags: string[];
+  campaigns: { _id: string; name: string }[];
+};
+
+type RuleGroupEditorProps = {
+  group: RuleGroup;
+  onChange: (group: RuleGroup) => void;
+  onRemove?: () => void;
+  options: RuleEditorOptions;
+  depth?: number;
+};
+
+type RuleEditorProps = {
+  rule: SegmentRule;
+  onChange: (rule: SegmentRule) => void;
+  options: RuleEditorOptions;
+};
+
+// Operadores disponíveis para cada tipo de campo personalizado
+const operatorsByFieldType: Record<ContactField['type'], string[]> = {
+  string: ['eq', 'ne', 'contains', 'exists'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'exists'],
+  boolean: ['eq', 'exists'],
+  enum: ['eq', 'ne', 'exists']
+};
+
+const RuleEditor: React.FC<RuleEditorProps> = ({ rule, onChange, options }) => {
+  switch (rule.type) {
+    case 'tag':
+      return (
+        <>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Condição</InputLabel>
+            <Select
+              value={rule.operator}
+              label="Condição"
+              onChange={(e) => onChange({ ...rule, operator: e.target.value as typeof rule.operator })}
+            >
+              {Object.entries(tagOperatorLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Autocomplete
+            multiple
+            freeSolo
+            size="small"
+            options={options.tags}
+            value={rule.values}
+            onChange={(_, values) => onChange({ ...rule, values: values.map(value => String(value)) })}
+            renderInput={(params) => <TextField {...params} label="Tags" />}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+        </>
+      );
+
+    case 'customField': {
+      const field = options.fields.find(current => current.key === rule.field);
+      const operators = field ? operatorsByFieldType[field.type] : ['eq'];
+
+      return (
+        <>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Campo</InputLabel>
+            <Select
+              value={rule.field}
+              label="Campo"
+              onChange={(e) => onChange({ ...rule, field: e.target.value, operator: 'eq', value: '' })}
+            >
+              {options.fields.map(current => (
+                <MenuItem key={current.key} value={current.key}>{current.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }} disabled={!field}>
+            <InputLabel>Condição</InputLabel>
+            <Select
+              value={rule.operator}
+              label="Condição"
+              onChange={(e) => onChange({
+                ...rule,
+                operator: e.target.value,
+                value: e.target.value === 'exists' ? 'true' : ''
+              })}
+            >
+              {operators.map(operator => (
+                <MenuItem key={operator} value={operator}>{fieldOperatorLabels[operator]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {field && rule.operator !== 'exists' && (
+            field.type === 'boolean' || field.type === 'enum' ? (
+              <FormControl size="small" sx={{ flex: 1, minWidth: 160 }}>
+                <InputLabel>Valor</InputLabel>
+                <Select value={rule.value} label="Valor" onChange={(e) => onChange({ ...rule, value: e.target.value })}>
+                  {(field.type === 'boolean' ? ['true', 'false'] : field.options).map(option => (
+                    <MenuItem key={option} value={option}>
+                      {field.type === 'boolean' ? (option === 'true' ? 'Sim' : 'Não') : option}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            ) : (
+              <TextField
+                size="small"
+                label="Valor"
+                type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+                value={rule.value}
+                onChange={(e) => onChange({ ...rule, value: e.target.value })}
+                InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+                sx={{ flex: 1, minWidth: 160 }}
+              />
+            )
+          )}
+        </>
+      );
+    }
+
+    case 'createdAt':
+      return (
+        <>
+          <TextField
+            size="small"
+            label="De"
+            type="date"
+            value={rule.from || ''}
+            onChange={(e) => onChange({ ...rule, from: e.target.value || null })}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            label="Até"
+            type="date"
+            value={rule.to || ''}
+            onChange={(e) => onChange({ ...rule, to: e.target.value || null })}
+            InputLabelProps={{ shrink: true }}
+          />
+        </>
+      );
+
+    case 'receivedCampaign':
+      return (
+        <>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Condição</InputLabel>
+            <Select
+              value={rule.operator}
+              label="Condição"
+              onChange={(e) => onChange({ ...rule, operator: e.target.value as typeof rule.operator })}
+            >
+              <MenuItem value="received">recebeu</MenuItem>
+              <MenuItem value="not_received">não recebeu</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ flex: 1, minWidth: 200 }}>
+            <InputLabel>Campanha</InputLabel>
+            <Select
+              value={rule.campaignId}
+              label="Campanha"
+              onChange={(e) => onChange({ ...rule, campaignId: e.target.value })}
+            >
+              {options.campaigns.map(campaign => (
+                <MenuItem key={campaign._id} value={campaign._id}>{campaign.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </>
+      );
+
+    case 'repliedWithin':
+      return (
+        <TextField
+          size="small"
+          label="Nos últimos (dias)"
+          type="number"
+          value={rule.days}
+          onChange={(e) => onChange({ ...rule, days: parseInt(e.target.value) || 0 })}
+          inputProps={{ min: 1, max: 365 }}
+          sx={{ width: 180 }}
+        />
+      );
+
+    default:
+      return null;
+  }
+};
+
+// Editor recursivo de um grupo de regras (E / OU)
+const RuleGroupEditor: React.FC<RuleGroupEditorProps> = ({ group, onChange, onRemove, options, depth = 1 }) => {
+  const updateRule = (index: number, rule: SegmentRule | RuleGroup) => {
+    const rules = [...group.rules];
+    rules[index] = rule;
+    onChange({ ...group, rules });
+  };
+
+  const removeRule = (index: number) => {
+    onChange({ ...group, rules: group.rules.filter((_, current) => current !== index) });
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, bgcolor: depth > 1 ? 'action.hover' : undefined }}>
+      <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+        <Box display="flex" alignItems="center" gap={1}>
+          <Typography variant="body2">Contatos que atendem</Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={group.operator}
+            onChange={(_, operator) => operator && onChange({ ...group, operator })}
+          >
+            <ToggleButton value="and">todas</ToggleButton>
+            <ToggleButton value="or">alguma</ToggleButton>
+          </ToggleButtonGroup>
+          <Typography variant="body2">das regras</Typography>
+        </Box>
+        {onRemove && (
+          <IconButton size="small" color="error" onClick={onRemove}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        )}
+      </Box>
+
+      {group.rules.map((rule, index) => (
+        <Box key={index} mb={1.5}>
+          {isRuleGroup(rule) ? (
+            <RuleGroupEditor
+              group={rule}
+              onChange={(updated) => updateRule(index, updated)}
+              onRemove={() => removeRule(index)}
+              options={options}
+              depth={depth + 1}
+            />
+          ) : (
+            <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Regra</InputLabel>
+                <Select
+                  value={rule.type}
+                  label="Regra"
+                  onChange={(e) => updateRule(index, createRule(e.target.value as SegmentRule['type']))}
+                >
+                  {Object.entries(ruleTypeLabels).map(([value, label]) => (
+                    <MenuItem key={value} value={value} disabled={value === 'customField' && options.fields.length === 0}>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <RuleEditor rule={rule} onChange={(updated) => updateRule(index, updated)} options={options} />
+              <IconButton size="small" color="error" onClick={() => removeRule(index)}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          )}
+        </Box>
+      ))}
+
+      {group.rules.length === 0 && (
+        <Typography variant="body2" color="text.secondary" mb={1}>
+          Sem regras: todos os contatos aptos fazem parte do segmento.
+        </Typography>
+      )}
+
+      <Box display="flex" gap={1}>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => onChange({ ...group, rules: [...group.rules, createRule('tag')] })}>
+          Regra
+        </Button>
+        {depth < MAX_GROUP_DEPTH && (
+          <Button size="small" startIcon={<AccountTreeIcon />} onClick={() => onChange({ ...group, rules: [...group.rules, createEmptyGroup()] })}>
+            Grupo
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default RuleGroupEditor;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  GridLegacy as Grid,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Tooltip,
+  Chip
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { AlertColor } from '@mui/material/Alert';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import RuleGroupEditor, { RuleEditorOptions } from './RuleGroupEditor';
+import { RuleGroup, createEmptyGroup, isRuleComplete } from './segmentRules';
+
+type Segment = {
+  _id: string;
+  name: string;
+  description?: string;
+  rules: RuleGroup;
+  contactCount: number;
+  countedAt?: string;
+  lastUpdated: string;
+};
+
+type SegmentPreview = {
+  count: number;
+  sample: { _id: string; name: string; phone: string }[];
+};
+
+// Intervalo sem alterações nas regras antes de recalcular a prévia
+const PREVIEW_DEBOUNCE_MS = 600;
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+const Segments: React.FC = () => {
+  const { can } = useAuth();
+  const [segments, setSegments] = useState<Segment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
+  const [selectedSegment, setSelectedSegment] = useState<Segment | null>(null);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [rules, setRules] = useState<RuleGroup>(createEmptyGroup());
+  const [preview, setPreview] = useState<SegmentPreview | null>(null);
+  const [previewError, setPreviewError] = useState('');
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [editorOptions, setEditorOptions] = useState<RuleEditorOptions>({ fields: [], tags: [], campaigns: [] });
+  const [snackbar, setSnackbar] = useState<{ open: boolean; message: string; severity: AlertColor }>({ open: false, message: '', severity: 'success' });
+
+  const loadSegments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/segments');
+      setSegments(response.data.data);
+    } catch (error) {
+      setSnackbar({ open: true, message: 'Erro ao carregar segmentos', severity: 'error' });
+      console.error('Erro ao carregar segmentos:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Campos, tags e campanhas usados nas opções do editor de regras
+  const loadEditorOptions = useCallback(async () => {
+    try {
+      const [fieldsResponse, tagsResponse, campaignsResponse] = await Promise.all([
+        api.get('/contact-fields'),
+        api.get('/contacts/tags'),
+        api.get('/campaigns', { params: { limit: 200 } })
+      ]);
+
+      setEditorOptions({
+        fields: fieldsResponse.data.data,
+        tags: tagsResponse.data.data.filter(Boolean),
+        campaigns: campaignsResponse.data.data
+      });
+    } catch (error) {
+      console.error('Erro ao carregar opções de segmentação:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSegments();
+    loadEditorOptions();
+  }, [loadSegments, loadEditorOptions]);
+
+  // Prévia ao vivo: recalcula a contagem sempre que as regras completas mudam
+  useEffect(() => {
+    if (!openDialog || !isRuleComplete(rules)) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        setPreviewLoading(true);
+        const response = await api.post('/segments/preview', { rules });
+        setPreview(response.data.data);
+        setPreviewError('');
+      } catch (error) {
+        setPreview(null);
+        setPreviewError(getErrorMessage(error, 'Erro ao calcular prévia do segmento'));
+      } finally {
+        setPreviewLoading(false);
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [rules, openDialog]);
+
+  const handleOpenDialog = (segment: Segment | null = null) => {
+    setSelectedSegment(segment);
+    setFormData({
+      name: segment?.name || '',
+      description: segment?.description || ''
+    });
+    setRules(segment?.rules || createEmptyGroup());
+    setPreview(null);
+    setPreviewError('');
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setSelectedSegment(null);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const payload = { ...formData, rules };
+
+      if (selectedSegment) {
+        await api.put(`/segments/${selectedSegment._id}`, payload);
+        setSnackbar({ open: true, message: 'Segmento atualizado com sucesso!', severity: 'success' });
+      } else {
+        await api.post('/segments', payload);
+        setSnackbar({ open: true, message: 'Segmento criado com sucesso!', severity: 'success' });
+      }
+
+      handleCloseDialog();
+      loadSegments();
+    } catch (error) {
+      setSnackbar({ open: true, message: getErrorMessage(error, 'Erro ao salvar segmento'), severity: 'error' });
+      console.error('Erro ao salvar segmento:', error);
+    }
+  };
+
+  const handleRecount = async (segment: Segment) => {
+    try {
+      await api.post(`/segments/${segment._id}/count`);
+      loadSegments();
+    } catch (error) {
+      setSnackbar({ open: true, message: getErrorMessage(error, 'Erro ao recalcular segmento'), severity: 'error' });
+      console.error('Erro ao recalcular segmento:', error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedSegment) return;
+
+    try {
+      await api.delete(`/segments/${selectedSegment._id}`);
+      setSnackbar({ open: true, message: 'Segmento excluído com sucesso!', severity: 'success' });
+      loadSegments();
+    } catch (error) {
+      setSnackbar({ open: true, message: getErrorMessage(error, 'Erro ao excluir segmento'), severity: 'error' });
+      console.error('Erro ao excluir segmento:', error);
+    } finally {
+      setDeleteConfirmOpen(false);
+      setSelectedSegment(null);
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4">Segmentos</Typography>
+        {can('segment:manage') && (
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog()}
+          >
+            Novo Segmento
+          </Button>
+        )}
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={3}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Nome</TableCell>
+                <TableCell>Descrição</TableCell>
+                <TableCell>Contatos</TableCell>
+                <TableCell>Atualizado em</TableCell>
+                <TableCell align="center">Ações</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {segments.length > 0 ? (
+                segments.map((segment) => (
+                  <TableRow key={segment._id} hover>
+                    <TableCell>{segment.name}</TableCell>
+                    <TableCell>{segment.description || '-'}</TableCell>
+                    <TableCell>
+                      <Tooltip title={segment.countedAt ? `Contado em ${new Date(segment.countedAt).toLocaleString()}` : ''}>
+                        <Chip label={segment.contactCount} size="small" />
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{new Date(segment.lastUpdated).toLocaleString()}</TableCell>
+                    <TableCell align="center">
+                      <Tooltip title="Recalcular contatos">
+                        <IconButton size="small" onClick={() => handleRecount(segment)}>
+                          <RefreshIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {can('segment:manage') && (
+                        <>
+                          <Tooltip title="Editar">
+                            <IconButton color="primary" size="small" onClick={() => handleOpenDialog(segment)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Excluir">
+                            <IconButton
+                              color="error"
+                              size="small"
+                              onClick={() => {
+                                setSelectedSegment(segment);
+                                setDeleteConfirmOpen(true);
+                              }}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    Nenhum segmento cadastrado
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Modal para criar/editar segmento */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="md" fullWidth>
+        <DialogTitle>{selectedSegment ? 'Editar Segmento' : 'Novo Segmento'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12} sm={5}>
+              <TextField
+                fullWidth
+                label="Nome"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={7}>
+              <TextField
+                fullWidth
+                label="Descrição"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <RuleGroupEditor group={rules} onChange={setRules} options={editorOptions} />
+            </Grid>
+            <Grid item xs={12}>
+              {previewError ? (
+                <Alert severity="error">{previewError}</Alert>
+              ) : !isRuleComplete(rules) ? (
+                <Alert severity="info">Complete as regras para ver a prévia do segmento.</Alert>
+              ) : (
+                <Alert severity="success" icon={previewLoading ? <CircularProgress size={20} /> : undefined}>
+                  {preview ? (
+                    <>
+                      <strong>{preview.count}</strong> contato(s) aptos neste segmento
+                      {preview.sample.length > 0 && `: ${preview.sample.map(contact => contact.name).join(', ')}${preview.count > preview.sample.length ? '...' : ''}`}
+                    </>
+                  ) : 'Calculando...'}
+                </Alert>
+              )}
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancelar</Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            color="primary"
+            disabled={!formData.name || !isRuleComplete(rules)}
+          >
+            Salvar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Diálogo de confirmação de exclusão */}
+      <Dialog open={deleteConfirmOpen} onClose={() => setDeleteConfirmOpen(false)}>
+        <DialogTitle>Confirmar Exclusão</DialogTitle>
+        <DialogContent>
+          Tem certeza que deseja excluir o segmento "{selectedSegment?.name}"?
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteConfirmOpen(false)}>Cancelar</Button>
+          <Button onClick={handleDelete} color="error" variant="contained">Excluir</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Segments;
@@ -0,0 +1,118 @@
+// Formato das regras de segmento aceito pela API (ver backend/src/services/segmentService.js)
+
+export type TagRule = {
+  type: 'tag';
+  operator: 'includes' | 'includes_all' | 'excludes';
+  values: string[];
+};
+
+export type CustomFieldRule = {
+  type: 'customField';
+  field: string;
+  operator: string;
+  value: string;
+};
+
+export type CreatedAtRule = {
+  type: 'createdAt';
+  from: string | null;
+  to: string | null;
+};
+
+export type ReceivedCampaignRule = {
+  type: 'receivedCampaign';
+  campaignId: string;
+  operator: 'received' | 'not_received';
+};
+
+export type RepliedWithinRule = {
+  type: 'repliedWithin';
+  days: number;
+};
+
+export type NeverDeliveredRule = {
+  type: 'neverDelivered';
+};
+
+export type SegmentRule =
+  | TagRule
+  | CustomFieldRule
+  | CreatedAtRule
+  | ReceivedCampaignRule
+  | RepliedWithinRule
+  | NeverDeliveredRule;
+
+export type RuleGroup = {
+  operator: 'and' | 'or';
+  rules: Array<SegmentRule | RuleGroup>;
+};
+
+export const MAX_GROUP_DEPTH = 4;
+
+export const ruleTypeLabels: Record<SegmentRule['type'], string> = {
+  tag: 'Tags',
+  customField: 'Campo personalizado',
+  createdAt: 'Data de cadastro',
+  receivedCampaign: 'Campanha recebida',
+  repliedWithin: 'Respondeu recentemente',
+  neverDelivered: 'Nunca recebeu mensagem entregue'
+};
+
+export const tagOperatorLabels: Record<TagRule['operator'], string> = {
+  includes: 'possui alguma das tags',
+  includes_all: 'possui todas as tags',
+  excludes: 'não possui as tags'
+};
+
+export const fieldOperatorLabels: Record<string, string> = {
+  eq: 'igual a',
+  ne: 'diferente de',
+  gt: 'maior que',
+  gte: 'maior ou igual a',
+  lt: 'menor que',
+  lte: 'menor ou igual a',
+  contains: 'contém',
+  exists: 'está preenchido'
+};
+
+export const isRuleGroup = (rule: SegmentRule | RuleGroup): rule is RuleGroup =>
+  Array.isArray((rule as RuleGroup).rules);
+
+export const createEmptyGroup = (): RuleGroup => ({ operator: 'and', rules: [] });
+
+export const createRule = (type: SegmentRule['type']): SegmentRule => {
+  switch (type) {
+    case 'tag':
+      return { type, operator: 'includes', values: [] };
+    case 'customField':
+      return { type, field: '', operator: 'eq', value: '' };
+    case 'createdAt':
+      return { type, from: null, to: null };
+    case 'receivedCampaign':
+      return { type, campaignId: '', operator: 'received' };
+    case 'repliedWithin':
+      return { type, days: 7 };
+    default:
+      return { type: 'neverDelivered' };
+  }
+};
+
+// Regras ainda incompletas no formulário não são enviadas para a prévia
+export const isRuleComplete = (rule: SegmentRule | RuleGroup): boolean => {
+  if (isRuleGroup(rule)) return rule.rules.every(isRuleComplete);
+
+  switch (rule.type) {
+    case 'tag':
+      return rule.values.length > 0;
+    case 'customField':
+      return Boolean(rule.field) && (rule.operator === 'exists' || rule.value !== '');
+    case 'createdAt':
+      return Boolean(rule.from || rule.to);
+    case 'receivedCampaign':
+      return Boolean(rule.campaignId);
+    case 'repliedWithin':
+      return rule.days >= 1;
+    default:
+      return true;
+  }
+};
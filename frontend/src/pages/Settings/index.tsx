@@ -12,7 +12,10 @@ import {
   AccordionSummary,
   AccordionDetails,
   Switch,
+  Checkbox,
   FormControlLabel,
+  FormGroup,
+  FormHelperText,
   Stack,
   InputAdornment,
   IconButton
@@ -21,7 +24,9 @@ import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import Visibility from '@mui/icons-material/Visibility';
 import VisibilityOff from '@mui/icons-material/VisibilityOff';
 import SaveIcon from '@mui/icons-material/Save';
+import { isAxiosError } from 'axios';
 import api from '../../services/api';
+import { ROLE_LABELS } from '../../utils/permissions';
 
 interface AppSettings {
   evolutionApiUrl: string;
@@ -33,8 +38,12 @@ interface AppSettings {
   webhookEnabled: boolean;
   cacheExpiration: number;
   maxConcurrentMessages: number;
+  twoFactorRequiredRoles: string[];
 }
 
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
 const Settings: React.FC = () => {
   const [settings, setSettings] = useState<AppSettings>({
     evolutionApiUrl: '',
@@ -45,7 +54,8 @@ const Settings: React.FC = () => {
     webhookUrl: '',
     webhookEnabled: false,
     cacheExpiration: 86400,
-    maxConcurrentMessages: 10
+    maxConcurrentMessages: 10,
+    twoFactorRequiredRoles: []
   });
   
   const [loading, setLoading] = useState(true);
@@ -64,25 +74,15 @@ const Settings: React.FC = () => {
   const loadSettings = async () => {
     try {
       setLoading(true);
-      try {
-        const response = await api.get('/settings');
-        if (response.data.success) {
-          setSettings(response.data.data);
-        }
-      } catch (apiError) {
-        console.error('Endpoint de configurações não encontrado:', apiError);
-        // Mantém as configurações padrão definidas no estado inicial
-        setSnackbar({
-          open: true,
-          message: 'Usando configurações padrão (modo demonstração)',
-          severity: 'info'
-        });
+      const response = await api.get('/settings');
+      if (response.data.success) {
+        setSettings(response.data.data);
       }
     } catch (error) {
       console.error('Erro ao carregar configurações:', error);
       setSnackbar({
         open: true,
-        message: 'Erro ao carregar configurações',
+        message: getErrorMessage(error, 'Erro ao carregar configurações'),
         severity: 'error'
       });
     } finally {
@@ -101,25 +101,25 @@ const Settings: React.FC = () => {
     }));
   };
 
+  const toggleTwoFactorRole = (role: string, required: boolean) => {
+    setSettings(prev => ({
+      ...prev,
+      twoFactorRequiredRoles: required
+        ? [...prev.twoFactorRequiredRoles, role]
+        : prev.twoFactorRequiredRoles.filter(current => current !== role)
+    }));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
-      try {
-        const response = await api.put('/settings', settings);
-        
-        if (response.data.success) {
-          setSnackbar({
-            open: true,
-            message: 'Configurações salvas com sucesso',
-            severity: 'success'
-          });
-        }
-      } catch (apiError) {
-        console.error('Endpoint de configurações não encontrado:', apiError);
-        // Feedback positivo para demonstração
+      const response = await api.put('/settings', settings);
+      
+      if (response.data.success) {
+        setSettings(response.data.data);
         setSnackbar({
           open: true,
-          message: 'Configurações salvas com sucesso (modo demonstração)',
+          message: 'Configurações salvas com sucesso. Os workers aplicam as alterações em até 30 segundos.',
           severity: 'success'
         });
       }
@@ -127,7 +127,7 @@ const Settings: React.FC = () => {
       console.error('Erro ao salvar configurações:', error);
       setSnackbar({
         open: true,
-        message: 'Erro ao salvar configurações',
+        message: getErrorMessage(error, 'Erro ao salvar configurações'),
         severity: 'error'
       });
     } finally {
@@ -168,7 +168,7 @@ const Settings: React.FC = () => {
                   value={settings.evolutionApiUrl}
                   onChange={handleChange}
                   placeholder="https://evolution-api.example.com"
-                  helperText="URL da API de integração do WhatsApp"
+                  helperText="URL da API de integração do WhatsApp (em branco usa EVOLUTION_API_URL)"
                 />
                 
                 <TextField
@@ -178,7 +178,7 @@ const Settings: React.FC = () => {
                   type={showApiKey ? 'text' : 'password'}
                   value={settings.evolutionApiKey}
                   onChange={handleChange}
-                  helperText="Chave de autenticação da Evolution API"
+                  helperText="Chave de autenticação da Evolution API (em branco usa EVOLUTION_API_TOKEN)"
                   InputProps={{
                     endAdornment: (
                       <InputAdornment position="end">
@@ -210,8 +210,8 @@ const Settings: React.FC = () => {
                     type="number"
                     value={settings.messageSendDelay}
                     onChange={handleChange}
-                    inputProps={{ min: 100 }}
-                    helperText="Tempo em milissegundos entre o envio de cada mensagem"
+                    inputProps={{ min: 100, max: 60000 }}
+                    helperText="Tempo em milissegundos entre mensagens quando a instância não define throttling"
                   />
                   
                   <TextField
@@ -222,7 +222,7 @@ const Settings: React.FC = () => {
                     value={settings.defaultRetries}
                     onChange={handleChange}
                     inputProps={{ min: 0, max: 10 }}
-                    helperText="Número de tentativas para reenviar mensagens com falha"
+                    helperText="Tentativas para mensagens com falha quando a instância não define um limite"
                   />
                 </Box>
                 
@@ -234,7 +234,7 @@ const Settings: React.FC = () => {
                   value={settings.maxConcurrentMessages}
                   onChange={handleChange}
                   inputProps={{ min: 1, max: 50 }}
-                  helperText="Quantidade máxima de mensagens enviadas simultaneamente"
+                  helperText="Quantidade máxima de mensagens processadas simultaneamente por worker"
                 />
               </Box>
             </AccordionDetails>
@@ -276,13 +276,41 @@ const Settings: React.FC = () => {
                     value={settings.webhookUrl}
                     onChange={handleChange}
                     placeholder="https://example.com/webhook"
-                    helperText="URL para receber eventos de mensagens"
+                    helperText="URL que recebe as notificações de alertas (POST JSON)"
                   />
                 )}
               </Stack>
             </AccordionDetails>
           </Accordion>
           
+          <Accordion>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Typography variant="h6">Segurança</Typography>
+            </AccordionSummary>
+            <AccordionDetails>
+              <Typography variant="subtitle2" gutterBottom>
+                Autenticação em dois fatores obrigatória para
+              </Typography>
+              <FormGroup row>
+                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                  <FormControlLabel
+                    key={role}
+                    control={
+                      <Checkbox
+                        checked={settings.twoFactorRequiredRoles.includes(role)}
+                        onChange={(e) => toggleTwoFactorRole(role, e.target.checked)}
+                      />
+                    }
+                    label={label}
+                  />
+                ))}
+              </FormGroup>
+              <FormHelperText>
+                Usuários desses perfis sem 2FA só acessam o próprio perfil até ativá-lo
+              </FormHelperText>
+            </AccordionDetails>
+          </Accordion>
+          
           <Accordion>
             <AccordionSummary expandIcon={<ExpandMoreIcon />}>
               <Typography variant="h6">Configurações Avançadas</Typography>
@@ -295,8 +323,8 @@ const Settings: React.FC = () => {
                 type="number"
                 value={settings.cacheExpiration}
                 onChange={handleChange}
-                inputProps={{ min: 60 }}
-                helperText="Tempo em segundos para expiração de cache"
+                inputProps={{ min: 60, max: 2592000 }}
+                helperText="Validade em segundos das contagens de contatos dos segmentos"
               />
             </AccordionDetails>
           </Accordion>
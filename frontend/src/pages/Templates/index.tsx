@@ -33,6 +33,7 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import PreviewIcon from '@mui/icons-material/Preview';
 import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
 import { AlertColor } from '@mui/material/Alert';
 
 type Template = {
@@ -54,6 +55,7 @@ const mediaTypeLabels = {
 };
 
 const Templates: React.FC = () => {
+  const { can } = useAuth();
   const [templates, setTemplates] = useState<Template[]>([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -68,6 +70,7 @@ const Templates: React.FC = () => {
     mediaType: 'none'
   });
   const [snackbar, setSnackbar] = useState<{ open: boolean; message: string; severity: AlertColor }>({ open: false, message: '', severity: 'success' });
+  const [renderedPreview, setRenderedPreview] = useState<{ preview: string; unknownVariables: string[] } | null>(null);
 
   useEffect(() => {
     loadTemplates();
@@ -140,13 +143,17 @@ const Templates: React.FC = () => {
         mediaType: formData.mediaType === 'none' ? undefined : formData.mediaType
       };
 
-      if (selectedTemplate) {
-        await api.put(`/templates/${selectedTemplate._id}`, payload);
+      const response = selectedTemplate
+        ? await api.put(`/templates/${selectedTemplate._id}`, payload)
+        : await api.post('/templates', payload);
+      
+      const unknownVariables: string[] = response.data.warnings?.unknownVariables || [];
+      
+      if (unknownVariables.length > 0) {
+        setSnackbar({ open: true, message: `Template salvo, mas estas variáveis não correspondem a campos do contato: ${unknownVariables.join(', ')}`, severity: 'warning' });
       } else {
-        await api.post('/templates', payload);
+        setSnackbar({ open: true, message: selectedTemplate ? 'Template atualizado com sucesso!' : 'Template criado com sucesso!', severity: 'success' });
       }
-      
-      setSnackbar({ open: true, message: selectedTemplate ? 'Template atualizado com sucesso!' : 'Template criado com sucesso!', severity: 'success' });
       handleCloseDialog();
       loadTemplates();
     } catch (error) {
@@ -194,9 +201,24 @@ const Templates: React.FC = () => {
     }
   };
 
+  const loadRenderedPreview = async (template: Template) => {
+    try {
+      const response = await api.post(`/templates/${template._id}/preview`, { variables: {} });
+      setRenderedPreview({
+        preview: response.data.data.preview,
+        unknownVariables: response.data.data.unknownVariables || []
+      });
+    } catch (error) {
+      setRenderedPreview(null);
+      console.error('Erro ao pré-visualizar template:', error);
+    }
+  };
+
   const handlePreview = (template: Template) => {
     setSelectedTemplate(template);
+    setRenderedPreview(null);
     setPreviewOpen(true);
+    loadRenderedPreview(template);
   };
 
   const shortenContent = (content: string, maxLength = 50) => {
@@ -208,14 +230,16 @@ const Templates: React.FC = () => {
     <Box p={3}>
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
         <Typography variant="h4">Templates</Typography>
-        <Button 
-          variant="contained" 
-          color="primary" 
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Novo Template
-        </Button>
+        {can('template:manage') && (
+          <Button 
+            variant="contained" 
+            color="primary" 
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog()}
+          >
+            Novo Template
+          </Button>
+        )}
       </Box>
 
       {loading ? (
@@ -270,27 +294,31 @@ const Templates: React.FC = () => {
                       >
                         <PreviewIcon fontSize="small" />
                       </IconButton>
-                      <IconButton 
-                        color="primary" 
-                        size="small" 
-                        onClick={() => handleOpenDialog(template)}
-                      >
-                        <EditIcon fontSize="small" />
-                      </IconButton>
-                      <IconButton 
-                        color="success" 
-                        size="small"
-                        onClick={() => handleDuplicate(template)}
-                      >
-                        <ContentCopyIcon fontSize="small" />
-                      </IconButton>
-                      <IconButton 
-                        color="error" 
-                        size="small"
-                        onClick={() => confirmDelete(template)}
-                      >
-                        <DeleteIcon fontSize="small" />
-                      </IconButton>
+                      {can('template:manage') && (
+                        <>
+                          <IconButton 
+                            color="primary" 
+                            size="small" 
+                            onClick={() => handleOpenDialog(template)}
+                          >
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton 
+                            color="success" 
+                            size="small"
+                            onClick={() => handleDuplicate(template)}
+                          >
+                            <ContentCopyIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton 
+                            color="error" 
+                            size="small"
+                            onClick={() => confirmDelete(template)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -332,7 +360,7 @@ const Templates: React.FC = () => {
                 required
                 multiline
                 rows={6}
-                helperText="Use {{variável}} para inserir variáveis dinâmicas."
+                helperText="Use {{variável}} ou {{contact.name}}, valores padrão com {{nome|cliente}}, formatos como {{valor:moeda}} e {{vencimento:data}}, blocos {{#if promo}}...{{/if}} e variações {Olá|Oi}."
               />
             </Grid>
             
@@ -430,6 +458,29 @@ const Templates: React.FC = () => {
                 {selectedTemplate.content}
               </Typography>
               
+              {renderedPreview && (
+                <Box mt={3}>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Typography variant="subtitle1" gutterBottom>
+                      Exemplo para um contato:
+                    </Typography>
+                    <Button size="small" onClick={() => loadRenderedPreview(selectedTemplate)}>
+                      Outra variação
+                    </Button>
+                  </Box>
+                  <Paper variant="outlined" sx={{ p: 2 }}>
+                    <Typography variant="body2" style={{ whiteSpace: 'pre-line' }}>
+                      {renderedPreview.preview}
+                    </Typography>
+                  </Paper>
+                  {renderedPreview.unknownVariables.length > 0 && (
+                    <Typography variant="caption" color="text.secondary">
+                      Sem valor neste exemplo: {renderedPreview.unknownVariables.join(', ')}
+                    </Typography>
+                  )}
+                </Box>
+              )}
+              
               {selectedTemplate.variables.length > 0 && (
                 <Box mt={3}>
                   <Typography variant="subtitle1" gutterBottom>
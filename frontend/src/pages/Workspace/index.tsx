@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  LinearProgress,
+  Stack
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SaveIcon from '@mui/icons-material/Save';
+import { isAxiosError } from 'axios';
+import api from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ROLE_LABELS } from '../../utils/permissions';
+
+interface CurrentWorkspace {
+  _id: string;
+  name: string;
+  slug: string;
+  active: boolean;
+  quotas: {
+    maxInstances: number;
+  };
+  usage: {
+    instances: number;
+  };
+}
+
+interface Member {
+  id: string;
+  name: string;
+  email: string;
+  active: boolean;
+  lastLogin?: string;
+  role: string;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback;
+
+const Workspace: React.FC = () => {
+  const { user, can, switchWorkspace } = useAuth();
+  const [workspace, setWorkspace] = useState<CurrentWorkspace | null>(null);
+  const [members, setMembers] = useState<Member[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [maxInstances, setMaxInstances] = useState(0);
+  const [memberDialogOpen, setMemberDialogOpen] = useState(false);
+  const [newMember, setNewMember] = useState({ email: '', role: 'operator' });
+  const [workspaceDialogOpen, setWorkspaceDialogOpen] = useState(false);
+  const [newWorkspace, setNewWorkspace] = useState({ name: '', maxInstances: 5 });
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success' as 'success' | 'error' | 'info' | 'warning'
+  });
+
+  const showMessage = (message: string, severity: 'success' | 'error' = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [workspaceResponse, membersResponse] = await Promise.all([
+        api.get('/workspaces/current'),
+        api.get('/workspaces/current/members')
+      ]);
+      setWorkspace(workspaceResponse.data.data);
+      setMaxInstances(workspaceResponse.data.data.quotas.maxInstances);
+      setMembers(membersResponse.data.data);
+    } catch (error) {
+      console.error('Erro ao carregar workspace:', error);
+      setSnackbar({
+        open: true,
+        message: getErrorMessage(error, 'Erro ao carregar workspace'),
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleSaveQuota = async () => {
+    if (!workspace) return;
+    try {
+      await api.put(`/workspaces/${workspace._id}`, { quotas: { maxInstances } });
+      showMessage('Cota do workspace atualizada');
+      loadData();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao atualizar cota'), 'error');
+    }
+  };
+
+  const handleAddMember = async () => {
+    try {
+      await api.post('/workspaces/current/members', newMember);
+      setMemberDialogOpen(false);
+      setNewMember({ email: '', role: 'operator' });
+      showMessage('Membro adicionado ao workspace');
+      loadData();
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao adicionar membro'), 'error');
+    }
+  };
+
+  const handleChangeRole = async (member: Member, role: string) => {
+    try {
+      await api.put(`/workspaces/current/members/${member.id}`, { role });
+      setMembers(prev => prev.map(item => (item.id === member.id ? { ...item, role } : item)));
+      showMessage('Papel do membro atualizado');
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao atualizar membro'), 'error');
+    }
+  };
+
+  const handleRemoveMember = async (member: Member) => {
+    if (!window.confirm(`Remover ${member.name} deste workspace?`)) return;
+    try {
+      await api.delete(`/workspaces/current/members/${member.id}`);
+      setMembers(prev => prev.filter(item => item.id !== member.id));
+      showMessage('Membro removido do workspace');
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao remover membro'), 'error');
+    }
+  };
+
+  const handleCreateWorkspace = async () => {
+    try {
+      const response = await api.post('/workspaces', {
+        name: newWorkspace.name,
+        quotas: { maxInstances: newWorkspace.maxInstances }
+      });
+      setWorkspaceDialogOpen(false);
+      switchWorkspace(response.data.data._id);
+    } catch (error) {
+      showMessage(getErrorMessage(error, 'Erro ao criar workspace'), 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const quotaUsage = workspace && workspace.quotas.maxInstances > 0
+    ? Math.min(100, (workspace.usage.instances / workspace.quotas.maxInstances) * 100)
+    : 100;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Workspace
+        </Typography>
+        {can('workspace:manage') && (
+          <Button variant="outlined" startIcon={<AddIcon />} onClick={() => setWorkspaceDialogOpen(true)}>
+            Novo Workspace
+          </Button>
+        )}
+      </Box>
+
+      {workspace && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6">{workspace.name}</Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {workspace.slug}
+          </Typography>
+
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>
+            Instâncias: {workspace.usage.instances} de {workspace.quotas.maxInstances}
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={quotaUsage}
+            color={quotaUsage >= 100 ? 'error' : 'primary'}
+            sx={{ mt: 1, maxWidth: 400 }}
+          />
+
+          {can('workspace:manage') && (
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 3 }}>
+              <TextField
+                label="Limite de instâncias"
+                type="number"
+                size="small"
+                value={maxInstances}
+                onChange={(e) => setMaxInstances(Number(e.target.value))}
+                inputProps={{ min: 0 }}
+              />
+              <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSaveQuota}>
+                Salvar cota
+              </Button>
+            </Stack>
+          )}
+        </Paper>
+      )}
+
+      <Paper sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6">Membros</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setMemberDialogOpen(true)}>
+            Adicionar Membro
+          </Button>
+        </Box>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Nome</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Papel</TableCell>
+                <TableCell align="right">Ações</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map(member => {
+                const isSelf = member.id === user?.id;
+                return (
+                  <TableRow key={member.id}>
+                    <TableCell>{member.name}</TableCell>
+                    <TableCell>{member.email}</TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={member.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleChangeRole(member, e.target.value)}
+                      >
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <MenuItem key={role} value={role}>
+                            {label}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell align="right">
+                      {!isSelf && (
+                        <Tooltip title="Remover do workspace">
+                          <IconButton color="error" onClick={() => handleRemoveMember(member)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+              {members.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    Nenhum membro neste workspace
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={memberDialogOpen} onClose={() => setMemberDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Adicionar Membro</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Email do usuário"
+            type="email"
+            fullWidth
+            margin="normal"
+            value={newMember.email}
+            onChange={(e) => setNewMember(prev => ({ ...prev, email: e.target.value }))}
+            helperText="O usuário precisa ter uma conta no sistema"
+          />
+          <Select
+            fullWidth
+            value={newMember.role}
+            onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+          >
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <MenuItem key={role} value={role}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMemberDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleAddMember} disabled={!newMember.email}>
+            Adicionar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={workspaceDialogOpen} onClose={() => setWorkspaceDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Novo Workspace</DialogTitle>
+        <DialogContent>
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Você será adicionado como administrador do novo workspace.
+          </Alert>
+          <TextField
+            label="Nome"
+            fullWidth
+            margin="normal"
+            value={newWorkspace.name}
+            onChange={(e) => setNewWorkspace(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <TextField
+            label="Limite de instâncias"
+            type="number"
+            fullWidth
+            margin="normal"
+            value={newWorkspace.maxInstances}
+            onChange={(e) => setNewWorkspace(prev => ({ ...prev, maxInstances: Number(e.target.value) }))}
+            inputProps={{ min: 0 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setWorkspaceDialogOpen(false)}>Cancelar</Button>
+          <Button variant="contained" onClick={handleCreateWorkspace} disabled={!newWorkspace.name.trim()}>
+            Criar
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Workspace;
@@ -2,14 +2,21 @@ import { Navigate, Route, Routes } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import MainLayout from '../components/Layout/MainLayout';
 import Login from '../pages/Login';
+import ResetPassword from '../pages/ResetPassword';
 import Dashboard from '../pages/Dashboard';
 import Campaigns from '../pages/Campaigns';
 import Contacts from '../pages/Contacts';
+import Segments from '../pages/Segments';
 import Templates from '../pages/Templates';
 import Instances from '../pages/Instances';
 import Settings from '../pages/Settings';
 import Profile from '../pages/Profile';
 import WebhookLogs from '../pages/WebhookLogs';
+import Inbox from '../pages/Inbox';
+import Workspace from '../pages/Workspace';
+import Audit from '../pages/Audit';
+import ApiKeys from '../pages/ApiKeys';
+import OutboundWebhooks from '../pages/OutboundWebhooks';
 
 // Rota privada que verifica autenticação
 const PrivateRoute = ({ children }: { children: React.ReactNode }) => {
@@ -53,6 +60,14 @@ export default function AppRoutes() {
           </PublicRoute>
         }
       />
+      <Route
+        path="/reset-password"
+        element={
+          <PublicRoute>
+            <ResetPassword />
+          </PublicRoute>
+        }
+      />
 
       {/* Rota para redirecionar / para /dashboard */}
       <Route
@@ -84,6 +99,28 @@ export default function AppRoutes() {
         }
       />
 
+      <Route
+        path="/segments"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <Segments />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
+      <Route
+        path="/inbox"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <Inbox />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
       <Route
         path="/campaigns"
         element={
@@ -150,6 +187,50 @@ export default function AppRoutes() {
         }
       />
 
+      <Route
+        path="/audit"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <Audit />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
+      <Route
+        path="/api-keys"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <ApiKeys />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
+      <Route
+        path="/outbound-webhooks"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <OutboundWebhooks />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
+      <Route
+        path="/workspace"
+        element={
+          <PrivateRoute>
+            <MainLayout>
+              <Workspace />
+            </MainLayout>
+          </PrivateRoute>
+        }
+      />
+
       {/* Rota 404 */}
       <Route path="*" element={<Navigate to="/dashboard" />} />
     </Routes>
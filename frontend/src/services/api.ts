@@ -1,4 +1,4 @@
-import axios from 'axios';
+import axios, { InternalAxiosRequestConfig } from 'axios';
 
 // Declaração para o objeto _env_ global
 declare global {
@@ -52,6 +52,12 @@ api.interceptors.request.use(
       config.headers.common = config.headers.common || {};
       config.headers.common['Authorization'] = `Bearer ${token}`;
     }
+
+    // Workspace escolhido no seletor; sem ele o backend usa o workspace padrão do usuário
+    const workspaceId = localStorage.getItem('@ZapStorm:workspace');
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
     return config;
   },
   (error) => {
@@ -59,15 +65,94 @@ api.interceptors.request.use(
   }
 );
 
+// Renovação do token de acesso com o refresh token da sessão
+// Requisições que falham juntas compartilham a mesma renovação
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = async (): Promise<string> => {
+  const refreshToken = localStorage.getItem('@ZapStorm:refreshToken');
+  if (!refreshToken) {
+    throw new Error('Sessão sem refresh token');
+  }
+
+  try {
+    // axios puro para não passar pelos interceptors desta instância
+    const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+    const { token, refreshToken: newRefreshToken } = response.data;
+
+    localStorage.setItem('@ZapStorm:token', token);
+    localStorage.setItem('@ZapStorm:refreshToken', newRefreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+    return token;
+  } catch (error) {
+    // Outra aba pode ter renovado a sessão ao mesmo tempo
+    const currentRefreshToken = localStorage.getItem('@ZapStorm:refreshToken');
+    const currentToken = localStorage.getItem('@ZapStorm:token');
+    if (currentRefreshToken && currentRefreshToken !== refreshToken && currentToken) {
+      return currentToken;
+    }
+    throw error;
+  }
+};
+
+// Renovação compartilhada entre os interceptors e o canal de tempo real
+export const renewAccessToken = (): Promise<string> => {
+  refreshPromise = refreshPromise || refreshAccessToken().finally(() => {
+    refreshPromise = null;
+  });
+  return refreshPromise;
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('@ZapStorm:token');
+  localStorage.removeItem('@ZapStorm:refreshToken');
+  localStorage.removeItem('@ZapStorm:user');
+  localStorage.removeItem('@ZapStorm:workspace');
+  window.location.href = '/login';
+};
+
 // Interceptor para tratamento de erros
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Token expirado ou inválido
-      localStorage.removeItem('@ZapStorm:token');
-      localStorage.removeItem('@ZapStorm:user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config as (InternalAxiosRequestConfig & { _retry?: boolean }) | undefined;
+    const isLoginRequest = Boolean(originalRequest?.url?.includes('/auth/login'));
+
+    if (error.response && error.response.status === 401 && !isLoginRequest) {
+      // Token de acesso expirado: renovar e repetir a requisição uma vez
+      if (originalRequest && !originalRequest._retry && localStorage.getItem('@ZapStorm:refreshToken')) {
+        originalRequest._retry = true;
+        try {
+          const token = await renewAccessToken();
+          originalRequest.headers['Authorization'] = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          console.error('Erro ao renovar sessão:', refreshError);
+        }
+      }
+
+      // Sessão expirada ou encerrada
+      clearSession();
+    }
+
+    // O papel do usuário exige 2FA: levar ao perfil para ativá-lo
+    if (
+      error.response?.status === 403 &&
+      error.response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED' &&
+      window.location.pathname !== '/profile'
+    ) {
+      window.location.href = '/profile';
+    }
+
+    // O workspace salvo não está mais disponível para o usuário: voltar ao workspace padrão
+    if (
+      error.response?.status === 403 &&
+      error.response.data?.code === 'WORKSPACE_FORBIDDEN' &&
+      localStorage.getItem('@ZapStorm:workspace')
+    ) {
+      localStorage.removeItem('@ZapStorm:workspace');
+      window.location.reload();
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,181 @@
+import { useEffect, useRef } from 'react';
+import { renewAccessToken, clearSession } from './api';
+
+// Eventos enviados pelo backend em /api/realtime/stream
+export type RealtimeEventName =
+  | 'ready'
+  | 'campaign.metrics'
+  | 'campaign.status'
+  | 'message.status'
+  | 'instance.status'
+  | 'instance.qrcode'
+  | 'instance.risk'
+  | 'instance.warmup'
+  | 'alert.created';
+
+export interface RealtimeEvent {
+  event: RealtimeEventName;
+  data: Record<string, unknown>;
+}
+
+type Listener = (event: RealtimeEvent) => void;
+
+// Intervalo entre reconexões quando o servidor não informa outro
+const DEFAULT_RETRY_MS = 5000;
+
+const listeners = new Set<Listener>();
+let controller: AbortController | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+let retryMs = DEFAULT_RETRY_MS;
+
+const dispatch = (block: string) => {
+  let event = 'message';
+  const data: string[] = [];
+
+  block.split('\n').forEach((line) => {
+    // Linhas iniciadas por ":" são comentários (heartbeat)
+    if (!line || line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+    if (field === 'retry' && Number(value) > 0) retryMs = Number(value);
+  });
+
+  if (data.length === 0) return;
+
+  try {
+    const payload = { event: event as RealtimeEventName, data: JSON.parse(data.join('\n')) };
+    listeners.forEach((listener) => listener(payload));
+  } catch (error) {
+    console.error('Evento de tempo real inválido:', error);
+  }
+};
+
+const scheduleReconnect = () => {
+  if (listeners.size === 0 || retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryMs);
+};
+
+// EventSource não envia cabeçalhos; o fluxo é lido com fetch para enviar o token e o workspace
+const connect = async () => {
+  const token = localStorage.getItem('@ZapStorm:token');
+  if (!token || listeners.size === 0) return;
+
+  const current = new AbortController();
+  controller = current;
+
+  const headers: Record<string, string> = {
+    Accept: 'text/event-stream',
+    Authorization: `Bearer ${token}`,
+  };
+  const workspaceId = localStorage.getItem('@ZapStorm:workspace');
+  if (workspaceId) {
+    headers['X-Workspace-Id'] = workspaceId;
+  }
+
+  try {
+    const response = await fetch('/api/realtime/stream', { headers, signal: current.signal });
+
+    // Token de acesso expirado: renovar antes de reconectar
+    if (response.status === 401) {
+      try {
+        await renewAccessToken();
+      } catch {
+        clearSession();
+        return;
+      }
+      if (controller === current) {
+        controller = null;
+        connect();
+      }
+      return;
+    }
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Canal de tempo real indisponível (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+  } catch (error) {
+    if (current.signal.aborted) return;
+    console.error('Erro no canal de tempo real:', error);
+  }
+
+  // O servidor encerra a conexão periodicamente; reconectar enquanto houver ouvintes
+  if (controller === current) {
+    controller = null;
+    scheduleReconnect();
+  }
+};
+
+const disconnect = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+};
+
+/**
+ * Assina os eventos de tempo real; a conexão é compartilhada entre todas as telas
+ * e fechada quando o último ouvinte sai
+ */
+export const subscribeRealtime = (listener: Listener) => {
+  listeners.add(listener);
+  if (!controller && !retryTimer) {
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
+
+/**
+ * Hook que repassa ao componente os eventos de tempo real dos tipos informados
+ */
+export const useRealtime = (events: RealtimeEventName[], handler: (event: RealtimeEvent) => void) => {
+  const handlerRef = useRef(handler);
+  const eventsKey = events.join(',');
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    const names = new Set(eventsKey.split(','));
+    return subscribeRealtime((event) => {
+      if (names.has(event.event)) {
+        handlerRef.current(event);
+      }
+    });
+  }, [eventsKey]);
+};
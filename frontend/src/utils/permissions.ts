@@ -0,0 +1,41 @@
+// Permissões e papéis definidos no backend (config/permissions.js)
+
+export type Permission =
+  | 'campaign:read'
+  | 'campaign:manage'
+  | 'campaign:start'
+  | 'contact:read'
+  | 'contact:manage'
+  | 'contact:delete'
+  | 'contact:export'
+  | 'contact_field:manage'
+  | 'segment:read'
+  | 'segment:manage'
+  | 'template:read'
+  | 'template:manage'
+  | 'instance:read'
+  | 'instance:connect'
+  | 'instance:manage'
+  | 'conversation:read'
+  | 'conversation:reply'
+  | 'message:send'
+  | 'dashboard:read'
+  | 'alert:read'
+  | 'webhook_log:read'
+  | 'webhook_log:manage'
+  | 'member:manage'
+  | 'user:manage'
+  | 'settings:manage'
+  | 'workspace:manage'
+  | 'audit:read'
+  | 'api_key:manage'
+  | 'webhook:manage';
+
+export const ROLE_LABELS: Record<string, string> = {
+  admin: 'Administrador',
+  campaign_manager: 'Gerente de campanhas',
+  operator: 'Operador',
+  viewer: 'Visualizador',
+  auditor: 'Auditor',
+  user: 'Usuário (legado)'
+};